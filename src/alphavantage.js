@@ -5,6 +5,12 @@
  * Paid tier: $50/month for 1200+ calls per day
  */
 
+import { seededRandom } from './random.js';
+import { toCanonicalSymbol, toProviderSymbol } from './symbols.js';
+import { scoreWithModel } from './scoring.js';
+import { getScoringModel } from './config.js';
+import { tradingYearFraction } from './trading-calendar.js';
+
 class AlphaVantageAPI {
     constructor(apiKey = null) {
         this.baseUrl = 'https://www.alphavantage.co/query';
@@ -61,7 +67,7 @@ class AlphaVantageAPI {
             
             const data = await this.makeRequest({
                 function: 'GLOBAL_QUOTE',
-                symbol: symbol
+                symbol: toProviderSymbol(symbol, 'alphavantage')
             });
 
             const quote = data['Global Quote'];
@@ -71,7 +77,7 @@ class AlphaVantageAPI {
             }
 
             return {
-                symbol: quote['01. symbol'],
+                symbol: toCanonicalSymbol(quote['01. symbol'], 'alphavantage'),
                 price: parseFloat(quote['05. price']),
                 change: parseFloat(quote['09. change']),
                 changePercent: quote['10. change percent'],
@@ -98,7 +104,7 @@ class AlphaVantageAPI {
             
             const data = await this.makeRequest({
                 function: 'HISTORICAL_OPTIONS',
-                symbol: symbol
+                symbol: toProviderSymbol(symbol, 'alphavantage')
             });
 
             // Note: This requires a premium subscription
@@ -119,7 +125,7 @@ class AlphaVantageAPI {
             
             const data = await this.makeRequest({
                 function: 'TIME_SERIES_DAILY_ADJUSTED',
-                symbol: symbol,
+                symbol: toProviderSymbol(symbol, 'alphavantage'),
                 outputsize: 'compact'
             });
 
@@ -249,8 +255,9 @@ class AlphaVantageAPI {
             defaultEstimate = 28; // Likely smaller/growth company
         }
         
-        // Add some randomization to make it more realistic (±3%)
-        const randomAdjustment = (Math.random() - 0.5) * 6;
+        // Per-symbol adjustment (±3%) so unknown names don't all share one estimate;
+        // seeded by symbol so the estimate is identical on every run
+        const randomAdjustment = (seededRandom('estimated-volatility', symbolUpper)() - 0.5) * 6;
         defaultEstimate = Math.max(15, Math.min(50, defaultEstimate + randomAdjustment));
         
         console.log(`📊 Using estimated volatility for ${symbol}: ${defaultEstimate.toFixed(1)}%`);
@@ -277,33 +284,35 @@ class AlphaVantageAPI {
             // Base it on historical vol but add market-specific adjustments
             let estimatedIV = null;
             if (historicalVol) {
-                // Base multiplier varies between 1.0 and 1.5 depending on market conditions and stock type
-                let ivMultiplier = 1.0 + (Math.random() * 0.5); // 1.0 to 1.5
-                
                 // Adjust based on stock characteristics
                 const symbolUpper = symbol.toUpperCase();
+                const random = seededRandom('iv-multiplier', symbolUpper);
+
+                // Base multiplier varies between 1.0 and 1.5 depending on stock type (seeded per symbol)
+                let ivMultiplier = 1.0 + (random() * 0.5); // 1.0 to 1.5
                 
                 // High-beta/growth stocks tend to have higher IV premiums
                 const highIVStocks = ['TSLA', 'NVDA', 'MRNA', 'SPOT', 'SHOP', 'ARM', 'PLTR', 'SNOW'];
                 const lowIVStocks = ['AAPL', 'MSFT', 'JNJ', 'PG', 'KO', 'CSCO'];
                 
                 if (highIVStocks.includes(symbolUpper)) {
-                    ivMultiplier = 1.15 + (Math.random() * 0.4); // 1.15 to 1.55
+                    ivMultiplier = 1.15 + (random() * 0.4); // 1.15 to 1.55
                 } else if (lowIVStocks.includes(symbolUpper)) {
-                    ivMultiplier = 1.0 + (Math.random() * 0.25); // 1.0 to 1.25
+                    ivMultiplier = 1.0 + (random() * 0.25); // 1.0 to 1.25
                 }
                 
                 estimatedIV = parseFloat((historicalVol * ivMultiplier).toFixed(1));
             }
 
             const analysis = {
-                symbol: symbol,
+                symbol,
                 currentPrice: quote.price,
                 impliedVolatility: estimatedIV, // Estimated
+                impliedVolatilitySource: 'estimated',
                 historicalVolatility: historicalVol,
-                ivRank: null, // Would need 1-year IV data
+                impliedVolatilityRank: null, // Would need 1-year IV data
                 expectedMove: estimatedIV && quote.price ? 
-                    quote.price * (estimatedIV / 100) * Math.sqrt(30/365) : null,
+                    quote.price * (estimatedIV / 100) * Math.sqrt(tradingYearFraction(30)) : null,
                 optionsVolume: null, // Not available in free tier
                 bidAskSpread: null, // Not available
                 technicalIndicators: {
@@ -312,11 +321,12 @@ class AlphaVantageAPI {
                 },
                 lastUpdated: new Date().toISOString(),
                 dataSource: 'Alpha Vantage',
+                isSynthetic: false,
                 note: 'IV estimated as 1.2x historical volatility (upgrade to premium for real options data)'
             };
 
-            // Calculate volatility score
-            analysis.volatilityScore = this.calculateVolatilityScore(analysis);
+            // Same declarative model as the simplified provider (src/config/scoring.js)
+            analysis.volatilityScore = scoreWithModel(getScoringModel('volatility'), analysis).score;
 
             console.log(`✅ Alpha Vantage: Analysis complete for ${symbol}`);
             console.log(`   Current Price: $${analysis.currentPrice?.toFixed(2)}`);
@@ -354,65 +364,6 @@ class AlphaVantageAPI {
         console.log(`✅ Alpha Vantage bulk analysis complete`);
         return results;
     }
-
-    /**
-     * Calculate volatility score based on various factors
-     */
-    calculateVolatilityScore(data) {
-        if (!data) return 0;
-
-        let score = 0;
-        const weights = {
-            impliedVolatility: 25,
-            historicalVolatility: 20,
-            ivRank: 20,
-            expectedMove: 15,
-            currentPrice: 10,
-            dataQuality: 10
-        };
-
-        // IV score (higher IV = higher score up to a point)
-        if (data.impliedVolatility) {
-            const iv = data.impliedVolatility;
-            if (iv >= 20 && iv <= 60) score += weights.impliedVolatility;
-            else if (iv >= 15 && iv <= 80) score += weights.impliedVolatility * 0.7;
-            else if (iv >= 10) score += weights.impliedVolatility * 0.4;
-        }
-
-        // Historical volatility (consistency factor)
-        if (data.historicalVolatility) {
-            const hv = data.historicalVolatility;
-            if (hv >= 15 && hv <= 50) score += weights.historicalVolatility;
-            else if (hv >= 10 && hv <= 70) score += weights.historicalVolatility * 0.7;
-        }
-
-        // IV Rank (percentile ranking)
-        if (data.ivRank) {
-            if (data.ivRank > 70) score += weights.ivRank;
-            else if (data.ivRank > 50) score += weights.ivRank * 0.7;
-            else if (data.ivRank > 30) score += weights.ivRank * 0.4;
-        }
-
-        // Expected move (reasonable range)
-        if (data.expectedMove && data.currentPrice) {
-            const movePercent = (data.expectedMove / data.currentPrice) * 100;
-            if (movePercent >= 3 && movePercent <= 12) score += weights.expectedMove;
-            else if (movePercent >= 2 && movePercent <= 15) score += weights.expectedMove * 0.7;
-        }
-
-        // Current price (not penny stocks, not too expensive)
-        if (data.currentPrice) {
-            if (data.currentPrice >= 20 && data.currentPrice <= 1000) score += weights.currentPrice;
-            else if (data.currentPrice >= 10) score += weights.currentPrice * 0.5;
-        }
-
-        // Data quality bonus
-        if (data.impliedVolatility && data.historicalVolatility) {
-            score += weights.dataQuality;
-        }
-
-        return Math.round(Math.max(0, Math.min(100, score)));
-    }
 }
 
 export default AlphaVantageAPI;
\ No newline at end of file
@@ -0,0 +1,459 @@
+/**
+ * Backtest of the opportunity scoring model
+ * Report dates: earningsCalendar providers (default Finnhub, per-symbol, with BMO/AMC timing)
+ * Prices: daily bars from the 'history' providers (cached for a day, CACHE_TTLS.priceHistory)
+ * Regime: ^VIX daily closes, classified like the live market context
+ *
+ * Replays each past report as the scanner would have seen it `leadDays` before the print: features
+ * are built from bars up to the scan session only, scored with the live quality model (minus the
+ * chain-only factors, see UNOBSERVED_FACTORS), and the candidate earnings trades are opened at the
+ * close of the last session before the print and closed at the close of the reaction session.
+ * Results are grouped by score bucket and VIX regime so the model can be judged on whether higher
+ * scores actually traded better.
+ *
+ * Pricing is deliberately simple (no historical option quotes are available):
+ *   - the straddle costs the average of the last `pricingReports` earnings moves × `impliedMoveMarkup`
+ *   - the underlying is assumed normally distributed over the event, so the straddle fixes the
+ *     standard deviation (straddle = sd × sqrt(2/π)) and the iron condor wings are priced off it
+ *   - credits are received `premiumHaircut` below, debits paid above, model value (bid/ask)
+ * P&L is quoted as a percentage of the underlying price at entry.
+ */
+
+import { createProviderRegistry } from './providers/registry.js';
+import DataCache from './cache.js';
+import { computeEarningsMoves, summarizeEarningsMoves, compareImpliedToRealized } from './earnings-history.js';
+import { normalizeEarningsEvent } from './earnings-events.js';
+import { calculateRSI, calculateHistoricalVolatility } from './technical-indicators.js';
+import { calendarDaysBetween, toMarketDate, DAY_MS } from './trading-calendar.js';
+import { scoreWithModel, rescaleScoringModel } from './scoring.js';
+import { scoreOpportunity, classifyMarketRegime } from './finnhub.js';
+import { normalCdf, normalPdf } from './pricing.js';
+import { getScoringModel } from './config.js';
+import { round } from './math.js';
+
+// Eight prior reports need two years of history before the first replayed event
+const LOOKBACK_DAYS = 2 * 365 + 60;
+// ATM straddle value per unit of standard deviation under a normal distribution
+const STRADDLE_SD_FACTOR = Math.sqrt(2 / Math.PI);
+const VIX_SYMBOL = '^VIX';
+
+export const BACKTEST_STRATEGIES = ['shortStraddle', 'ironCondor', 'longStraddle'];
+
+export const STRATEGY_LABELS = {
+    shortStraddle: 'Short straddle',
+    ironCondor: 'Iron condor',
+    longStraddle: 'Long straddle'
+};
+
+export const SCORE_BUCKETS = [
+    { label: '80-100', min: 80 },
+    { label: '60-79', min: 60 },
+    { label: '40-59', min: 40 },
+    { label: '0-39', min: 0 }
+];
+
+// Quality factors read from the live option chain, which has no history: left out of the replayed
+// score and the remaining weights scaled up, so the score buckets span the same 0-100 range
+export const UNOBSERVED_FACTORS = ['liquidity', 'termStructure', 'skew', 'smile'];
+
+export const BACKTEST_ASSUMPTIONS = {
+    leadDays: 14, // Scan this many calendar days before the report (the timing factor's sweet spot)
+    hvWindow: 42, // Sessions in the historical-volatility window (~60 calendar days, as in the live scan)
+    minPriorReports: 4, // Events without this many earlier measured reports are skipped
+    maxPriorReports: 8,
+    pricingReports: 4, // Recent reactions the market prices the straddle off
+    impliedMoveMarkup: 1.15, // Straddles usually price a little above the realized average
+    ivPremium: 1.2, // IV estimate from HV when no stored IV snapshot exists
+    ivSnapshotMaxAgeDays: 5,
+    condorShortStrikes: 1, // Short strikes at ±1 implied move
+    condorWingStrikes: 2, // Long wings at ±2 implied moves
+    premiumHaircut: 0.05
+};
+
+/**
+ * Replays past earnings reports through the scanner and scoring model
+ * @class BacktestEngine
+ */
+class BacktestEngine {
+    /**
+     * @param {Object} [config={}] - Configuration options
+     * @param {ProviderRegistry} [config.providers] - Registry serving 'history' and 'earningsCalendar'
+     * @param {string} [config.finnhubApiKey] - Finnhub API key, used to build a default registry
+     * @param {DataCache} [config.cache] - Cross-run cache for bars and report dates (defaults to in-memory)
+     * @param {IVHistoryStore} [config.ivHistory] - Stored IV snapshots, used instead of HV estimates when present
+     * @param {Object} [config.qualityModel] - Opportunity scoring model (see getScoringModel)
+     * @param {Object} [config.volatilityModel] - Volatility scoring model
+     * @param {Object} [config.assumptions] - Overrides for BACKTEST_ASSUMPTIONS
+     */
+    constructor(config = {}) {
+        this.providers = config.providers || createProviderRegistry({ finnhubApiKey: config.finnhubApiKey });
+        this.cache = config.cache || new DataCache();
+        this.ivHistory = config.ivHistory || null;
+        this.qualityModel = config.qualityModel || getScoringModel('quality');
+        this.volatilityModel = config.volatilityModel || getScoringModel('volatility');
+        this.assumptions = { ...BACKTEST_ASSUMPTIONS, ...config.assumptions };
+    }
+
+    /**
+     * Replay every report in a date range
+     * @async
+     * @param {Object} options - Backtest options
+     * @param {string} options.from - First report date (YYYY-MM-DD)
+     * @param {string} options.to - Last report date (YYYY-MM-DD)
+     * @param {Array<string>} options.symbols - Symbols to replay
+     * @param {Date} [options.now=new Date()] - Reference time (reports whose reaction has not traded are skipped)
+     * @returns {Promise<Object>} Backtest result
+     * @returns {Array<Object>} returns.trades - One replayed event per report (see replayEarningsEvent)
+     * @returns {Array<Object>} returns.skipped - { symbol, date, reason } for reports that could not be replayed
+     * @returns {Object} returns.summary - Output of summarizeBacktest
+     */
+    async run({ from, to, symbols, now = new Date() }) {
+        if (!isDateString(from) || !isDateString(to) || from > to) {
+            throw new Error(`Invalid backtest range: ${from} to ${to}`);
+        }
+
+        const historyFrom = toMarketDate(new Date(Date.parse(`${from}T12:00:00Z`) - LOOKBACK_DAYS * DAY_MS));
+        const historyDays = calendarDaysBetween(historyFrom, now) + 5;
+        const today = toMarketDate(now);
+
+        const vixBars = await this.loadBars(VIX_SYMBOL, historyDays).catch(error => {
+            console.warn(`⚠️ VIX history unavailable, regime will be 'unknown': ${error.message}`);
+            return [];
+        });
+
+        const trades = [];
+        const skipped = [];
+
+        for (const symbol of symbols) {
+            let bars;
+            let reports;
+            try {
+                bars = await this.loadBars(symbol, historyDays);
+                reports = await this.loadReports(symbol, historyFrom, to);
+            } catch (error) {
+                console.warn(`⚠️ Backtest data unavailable for ${symbol}: ${error.message}`);
+                skipped.push({ symbol, date: null, reason: error.message });
+                continue;
+            }
+
+            const ivSnapshots = this.ivHistory ? await this.ivHistory.getHistory(symbol) : [];
+            const events = reports.filter(report => report.date >= from && report.date <= to);
+            const replayedBefore = trades.length;
+
+            for (const report of events) {
+                const result = replayEarningsEvent({ symbol, ...report }, {
+                    bars,
+                    reports,
+                    vixBars,
+                    ivSnapshots,
+                    today,
+                    qualityModel: this.qualityModel,
+                    volatilityModel: this.volatilityModel,
+                    assumptions: this.assumptions
+                });
+
+                if (result.skipped) {
+                    skipped.push({ symbol, date: report.date, reason: result.skipped });
+                } else {
+                    trades.push(result);
+                }
+            }
+
+            console.log(`📊 ${symbol}: ${events.length} reports, ${trades.length - replayedBefore} replayed`);
+        }
+
+        return { trades, skipped, summary: summarizeBacktest(trades) };
+    }
+
+    /**
+     * Daily bars (oldest first), cached for a day
+     */
+    async loadBars(symbol, days) {
+        return this.cache.getOrLoad('priceHistory', `${symbol}:${days}`, async () => {
+            const { data } = await this.providers.request('history', symbol, days);
+            if (!data?.prices?.length) {
+                throw new Error('No historical data available');
+            }
+            return data.prices;
+        });
+    }
+
+    /**
+     * Report dates (oldest first) from the earnings calendar
+     */
+    async loadReports(symbol, from, to) {
+        return this.cache.getOrLoad('earningsHistory', `reports:${symbol}:${from}:${to}`, async () => {
+            const { data: events } = await this.providers.request('earningsCalendar', { from, to, symbol });
+            return events
+                .filter(event => event.symbol === symbol && event.date)
+                .map(event => ({ date: event.date, hour: event.hour || '' }))
+                .sort((a, b) => a.date.localeCompare(b.date));
+        });
+    }
+}
+
+/**
+ * Replay one report: score it as of the scan session and simulate the candidate trades
+ * @param {Object} report - { symbol, date, hour }
+ * @param {Object} context - Replay inputs
+ * @param {Array<Object>} context.bars - Daily bars (oldest first) with date, open and close
+ * @param {Array<Object>} context.reports - All known report dates for the symbol (oldest first)
+ * @param {Array<Object>} [context.vixBars=[]] - ^VIX daily bars (oldest first)
+ * @param {Array<Object>} [context.ivSnapshots=[]] - Stored IV snapshots (oldest first)
+ * @param {string} [context.today] - Reports whose reaction session is not before this date are skipped
+ * @param {Object} context.qualityModel - Opportunity scoring model (UNOBSERVED_FACTORS are dropped and the rest rescaled)
+ * @param {Object} context.volatilityModel - Volatility scoring model
+ * @param {Object} [context.assumptions=BACKTEST_ASSUMPTIONS] - Replay and pricing assumptions
+ * @returns {Object} Replayed trade, or { skipped: reason }
+ */
+export function replayEarningsEvent(report, context) {
+    const { bars = [], reports = [], vixBars = [], ivSnapshots = [], today, qualityModel, volatilityModel } = context;
+    const assumptions = { ...BACKTEST_ASSUMPTIONS, ...context.assumptions };
+    const event = normalizeEarningsEvent(report);
+
+    if (!event.lastSessionBeforePrint) return { skipped: 'invalid report date' };
+    if (today && event.reactionSession >= today) return { skipped: 'reaction has not traded yet' };
+
+    const scanTarget = toMarketDate(new Date(Date.parse(`${event.date}T12:00:00Z`) - assumptions.leadDays * DAY_MS));
+    const scanIndex = findLastIndex(bars, bar => bar.date <= scanTarget);
+    if (scanIndex < assumptions.hvWindow) return { skipped: 'insufficient price history' };
+
+    const entryIndex = findLastIndex(bars, bar => bar.date <= event.lastSessionBeforePrint);
+    const exitIndex = bars.findIndex(bar => bar.date >= event.reactionSession);
+    if (exitIndex <= entryIndex || entryIndex < scanIndex || calendarDaysBetween(event.reactionSession, bars[exitIndex].date) > 5) {
+        return { skipped: 'missing bars around the report' };
+    }
+
+    const scan = bars[scanIndex];
+    const entry = bars[entryIndex];
+    const exit = bars[exitIndex];
+
+    // Only reactions that had already traded by the scan session are known to the scanner
+    const priorMoves = computeEarningsMoves(reports.filter(prior => prior.date < scan.date), bars.slice(0, scanIndex + 1))
+        .slice(-assumptions.maxPriorReports);
+    if (priorMoves.length < assumptions.minPriorReports) return { skipped: 'insufficient earnings history' };
+
+    const earningsHistory = summarizeEarningsMoves(event.symbol, priorMoves);
+    const pricingHistory = summarizeEarningsMoves(event.symbol, priorMoves.slice(-assumptions.pricingReports));
+    const impliedMovePercent = round(pricingHistory.averageMove * assumptions.impliedMoveMarkup);
+
+    const closes = bars.slice(0, scanIndex + 1).map(bar => bar.close);
+    const historicalVolatility = calculateHistoricalVolatility(closes.slice(-(assumptions.hvWindow + 1)));
+    const snapshot = findLast(ivSnapshots, stored => stored.date <= scan.date);
+    const storedIV = snapshot && calendarDaysBetween(snapshot.date, scan.date) <= assumptions.ivSnapshotMaxAgeDays
+        ? snapshot.impliedVolatility
+        : null;
+
+    const volatilityData = {
+        currentPrice: scan.close,
+        historicalVolatility,
+        impliedVolatility: storedIV ?? round(historicalVolatility * assumptions.ivPremium),
+        volume: scan.volume,
+        optionsVolume: null, // No historical option volume
+        dataQuality: storedIV != null ? 'real' : 'estimated',
+        technicalIndicators: { rsi: calculateRSI(closes) }
+    };
+    volatilityData.volatilityScore = scoreWithModel(volatilityModel || getScoringModel('volatility'), volatilityData).score;
+
+    const opportunity = {
+        symbol: event.symbol,
+        date: event.date,
+        timing: event.timing,
+        daysToEarnings: calendarDaysBetween(scan.date, event.date),
+        volatilityData,
+        earningsHistory,
+        impliedVsRealized: compareImpliedToRealized(impliedMovePercent, earningsHistory)
+    };
+    const scoreBreakdown = scoreOpportunity(opportunity, rescaleScoringModel(qualityModel || getScoringModel('quality'), UNOBSERVED_FACTORS));
+    const vix = findLast(vixBars, bar => bar.date <= scan.date)?.close ?? null;
+
+    return {
+        symbol: event.symbol,
+        reportDate: event.date,
+        timing: event.timing,
+        scanDate: scan.date,
+        entryDate: entry.date,
+        exitDate: exit.date,
+        score: scoreBreakdown.score,
+        scoreBucket: getScoreBucket(scoreBreakdown.score),
+        scoreBreakdown,
+        vix,
+        regime: classifyMarketRegime(vix),
+        impliedMovePercent,
+        realizedMovePercent: round(((exit.close - entry.close) / entry.close) * 100),
+        ivSource: volatilityData.dataQuality,
+        strategies: simulateEarningsTrades(entry.close, exit.close, impliedMovePercent, assumptions)
+    };
+}
+
+/**
+ * Price and settle the candidate earnings trades
+ * @param {number} entryPrice - Underlying close before the print
+ * @param {number} exitPrice - Underlying close of the reaction session
+ * @param {number} impliedMovePercent - Straddle-implied move (%)
+ * @param {Object} [assumptions=BACKTEST_ASSUMPTIONS] - condorShortStrikes, condorWingStrikes, premiumHaircut
+ * @returns {Object} { shortStraddle, ironCondor, longStraddle }, each { premium, payoff, pnl, pnlPercent }
+ * @description Premium and payoff are per share: positive premium is collected, positive payoff is
+ * received at exit. The position is closed at intrinsic value on the reaction close.
+ */
+export function simulateEarningsTrades(entryPrice, exitPrice, impliedMovePercent, assumptions = BACKTEST_ASSUMPTIONS) {
+    const { condorShortStrikes, condorWingStrikes, premiumHaircut } = { ...BACKTEST_ASSUMPTIONS, ...assumptions };
+    const impliedMove = entryPrice * impliedMovePercent / 100;
+    const sd = impliedMove / STRADDLE_SD_FACTOR;
+    const realizedMove = Math.abs(exitPrice - entryPrice);
+
+    const shortStrike = impliedMove * condorShortStrikes;
+    const wingStrike = impliedMove * condorWingStrikes;
+    // Symmetric condor: two call spreads' worth of credit, at most one side finishes in the money
+    const condorValue = 2 * (normalCallValue(sd, shortStrike) - normalCallValue(sd, wingStrike));
+    const condorLoss = Math.min(Math.max(realizedMove - shortStrike, 0), wingStrike - shortStrike);
+
+    const trades = {
+        shortStraddle: { premium: impliedMove * (1 - premiumHaircut), payoff: -realizedMove },
+        ironCondor: { premium: condorValue * (1 - premiumHaircut), payoff: -condorLoss },
+        longStraddle: { premium: -impliedMove * (1 + premiumHaircut), payoff: realizedMove }
+    };
+
+    return Object.fromEntries(Object.entries(trades).map(([strategy, { premium, payoff }]) => {
+        const pnl = premium + payoff;
+        return [strategy, {
+            premium: round(premium),
+            payoff: round(payoff),
+            pnl: round(pnl),
+            pnlPercent: round((pnl / entryPrice) * 100)
+        }];
+    }));
+}
+
+/**
+ * Group replayed trades by score bucket and regime
+ * @param {Array<Object>} trades - Output of replayEarningsEvent
+ * @returns {Object} Summary
+ * @returns {number} returns.trades - Replayed events
+ * @returns {Object} returns.overall - { [strategy]: stats } across all events
+ * @returns {Object} returns.byScoreBucket - { [bucket]: { [strategy]: stats } } in SCORE_BUCKETS order
+ * @returns {Object} returns.byRegime - { [regime]: { [strategy]: stats } }
+ * @description stats are { trades, winRate (%), averagePnl, totalPnl, maxDrawdown }, with P&L in
+ * percent of the underlying and drawdown measured on cumulative P&L in exit-date order.
+ */
+export function summarizeBacktest(trades = []) {
+    const byScoreBucket = {};
+    for (const { label } of SCORE_BUCKETS) {
+        const bucketTrades = trades.filter(trade => trade.scoreBucket === label);
+        if (bucketTrades.length) byScoreBucket[label] = summarizeStrategies(bucketTrades);
+    }
+
+    const byRegime = {};
+    for (const regime of [...new Set(trades.map(trade => trade.regime))].sort()) {
+        byRegime[regime] = summarizeStrategies(trades.filter(trade => trade.regime === regime));
+    }
+
+    return {
+        trades: trades.length,
+        overall: summarizeStrategies(trades),
+        byScoreBucket,
+        byRegime
+    };
+}
+
+/**
+ * Performance statistics for one strategy
+ * @param {Array<Object>} trades - Replayed events
+ * @param {string} strategy - One of BACKTEST_STRATEGIES
+ * @returns {Object} { trades, winRate, averagePnl, totalPnl, maxDrawdown }
+ */
+export function calculateStrategyStats(trades, strategy) {
+    const pnls = [...trades]
+        .sort((a, b) => a.exitDate.localeCompare(b.exitDate))
+        .map(trade => trade.strategies[strategy]?.pnlPercent)
+        .filter(pnl => typeof pnl === 'number');
+
+    if (pnls.length === 0) {
+        return { trades: 0, winRate: null, averagePnl: null, totalPnl: 0, maxDrawdown: 0 };
+    }
+
+    let cumulative = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+    for (const pnl of pnls) {
+        cumulative += pnl;
+        peak = Math.max(peak, cumulative);
+        maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+    }
+
+    return {
+        trades: pnls.length,
+        winRate: round((pnls.filter(pnl => pnl > 0).length / pnls.length) * 100),
+        averagePnl: round(cumulative / pnls.length),
+        totalPnl: round(cumulative),
+        maxDrawdown: round(maxDrawdown)
+    };
+}
+
+/**
+ * Score bucket label for a quality score
+ * @param {number} score - Quality score (0-100)
+ * @returns {string} One of the SCORE_BUCKETS labels
+ */
+export function getScoreBucket(score) {
+    return (SCORE_BUCKETS.find(bucket => score >= bucket.min) || SCORE_BUCKETS[SCORE_BUCKETS.length - 1]).label;
+}
+
+/**
+ * Plain-text tables for the CLI
+ * @param {Object} summary - Output of summarizeBacktest
+ * @returns {string} Score-bucket and regime tables
+ */
+export function formatBacktestReport(summary) {
+    const header = `${'Group'.padEnd(20)}${'Strategy'.padEnd(16)}${'Trades'.padStart(7)}${'Win %'.padStart(8)}${'Avg P&L'.padStart(10)}${'Max DD'.padStart(9)}`;
+    const table = (title, groups) => {
+        const rows = Object.entries(groups).flatMap(([group, strategies]) => BACKTEST_STRATEGIES.map(strategy => {
+            const stats = strategies[strategy];
+            return `${group.padEnd(20)}${STRATEGY_LABELS[strategy].padEnd(16)}${String(stats.trades).padStart(7)}` +
+                `${formatPercent(stats.winRate).padStart(8)}${formatPercent(stats.averagePnl, true).padStart(10)}` +
+                `${formatPercent(stats.maxDrawdown ? -stats.maxDrawdown : 0, true).padStart(9)}`;
+        }));
+        return [title, header, ...rows].join('\n');
+    };
+
+    return [
+        `${summary.trades} earnings events replayed (P&L in % of the underlying)`,
+        table('By score bucket', summary.byScoreBucket),
+        table('By VIX regime', summary.byRegime),
+        table('All events', { all: summary.overall })
+    ].join('\n\n');
+}
+
+function formatPercent(value, signed = false) {
+    if (value === null || value === undefined) return 'n/a';
+    return `${signed && value > 0 ? '+' : ''}${value.toFixed(signed ? 2 : 1)}%`;
+}
+
+function summarizeStrategies(trades) {
+    return Object.fromEntries(BACKTEST_STRATEGIES.map(strategy => [strategy, calculateStrategyStats(trades, strategy)]));
+}
+
+// E[max(S - K, 0)] for S ~ N(S0, sd²), with the strike `distance` above S0
+function normalCallValue(sd, distance) {
+    if (!(sd > 0)) return 0;
+    const d = -distance / sd;
+    return -distance * normalCdf(d) + sd * normalPdf(d);
+}
+
+function findLastIndex(items, predicate) {
+    for (let i = items.length - 1; i >= 0; i--) {
+        if (predicate(items[i])) return i;
+    }
+    return -1;
+}
+
+function findLast(items, predicate) {
+    const index = findLastIndex(items, predicate);
+    return index >= 0 ? items[index] : null;
+}
+
+function isDateString(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+export default BacktestEngine;
@@ -0,0 +1,150 @@
+/**
+ * Cross-run data cache with per-type TTLs
+ * Backed by the shared storage interface (storage.js): Workers KV in the Worker,
+ * JSON files in the CLI (file-storage.js), in-memory otherwise.
+ *
+ * Keys are namespaced as cache:<type>:<key> so cached market data never collides with
+ * IV history or other stored state. Hits and misses are counted per type for the run summary.
+ */
+
+import { MemoryStorage } from './storage.js';
+
+// Time-to-live per data type, in seconds
+export const CACHE_TTLS = {
+    quote: 5 * 60, // Prices go stale within minutes
+    fundamentals: 24 * 60 * 60, // 52-week range moves at most once per session
+    earningsHistory: 7 * 24 * 60 * 60, // Past reports only change once a quarter
+    priceHistory: 24 * 60 * 60 // Daily bars gain one bar per session (backtests)
+};
+
+/**
+ * Typed read-through cache
+ * @class DataCache
+ */
+export class DataCache {
+    /**
+     * @param {Object} [config={}] - Configuration options
+     * @param {Object} [config.storage] - Storage backend (defaults to in-memory)
+     * @param {Object} [config.ttls] - TTL overrides in seconds, keyed by data type
+     */
+    constructor(config = {}) {
+        this.storage = config.storage || new MemoryStorage();
+        this.ttls = { ...CACHE_TTLS, ...config.ttls };
+        this.counters = {};
+    }
+
+    /**
+     * Read a cached value
+     * @async
+     * @param {string} type - Data type (key of CACHE_TTLS)
+     * @param {string} key - Entry key within the type (usually the symbol)
+     * @returns {Promise<*|null>} Cached value or null on a miss
+     */
+    async get(type, key) {
+        let entry = null;
+        try {
+            entry = await this.storage.get(this.keyFor(type, key));
+        } catch (error) {
+            console.warn(`⚠️ Cache read failed for ${type} ${key}:`, error.message);
+        }
+
+        // Enforce the current TTL even if the entry was written with a longer one
+        const ttlMs = this.ttlFor(type) * 1000;
+        const fresh = entry && (!ttlMs || Date.now() - entry.cachedAt < ttlMs);
+
+        this.count(type, fresh ? 'hits' : 'misses');
+        return fresh ? entry.value : null;
+    }
+
+    /**
+     * Write a value with the type's TTL
+     * @async
+     */
+    async set(type, key, value) {
+        try {
+            await this.storage.put(
+                this.keyFor(type, key),
+                { value, cachedAt: Date.now() },
+                { ttlSeconds: this.ttlFor(type) }
+            );
+        } catch (error) {
+            console.warn(`⚠️ Cache write failed for ${type} ${key}:`, error.message);
+        }
+    }
+
+    /**
+     * Return the cached value, or load, cache and return it on a miss
+     * @async
+     * @param {string} type - Data type (key of CACHE_TTLS)
+     * @param {string} key - Entry key within the type
+     * @param {function(): Promise<*>} loader - Fetches the value; null/undefined results are not cached
+     * @returns {Promise<*>} Cached or freshly loaded value
+     */
+    async getOrLoad(type, key, loader) {
+        const cached = await this.get(type, key);
+        if (cached !== null) {
+            return cached;
+        }
+
+        const value = await loader();
+        if (value != null) {
+            await this.set(type, key, value);
+        }
+        return value;
+    }
+
+    /**
+     * Hit/miss counters for the current run
+     * @returns {Object} { hits, misses, hitRate (0-100 or null), byType: { [type]: { hits, misses } } }
+     */
+    stats() {
+        const byType = structuredClone(this.counters);
+        const hits = Object.values(byType).reduce((sum, counter) => sum + counter.hits, 0);
+        const misses = Object.values(byType).reduce((sum, counter) => sum + counter.misses, 0);
+        const total = hits + misses;
+
+        return {
+            hits,
+            misses,
+            hitRate: total > 0 ? Math.round((hits / total) * 100) : null,
+            byType
+        };
+    }
+
+    resetStats() {
+        this.counters = {};
+    }
+
+    keyFor(type, key) {
+        return `cache:${type}:${key}`;
+    }
+
+    ttlFor(type) {
+        return this.ttls[type] ?? 0;
+    }
+
+    count(type, outcome) {
+        this.counters[type] = this.counters[type] || { hits: 0, misses: 0 };
+        this.counters[type][outcome]++;
+    }
+}
+
+/**
+ * Flatten cache stats into run-summary metrics
+ * @param {Object|null} stats - Result of DataCache.stats()
+ * @returns {Object} { cacheHits, cacheMisses, cacheHitRate, cacheByType } (empty when no stats)
+ */
+export function formatCacheMetrics(stats) {
+    if (!stats) return {};
+
+    return {
+        cacheHits: stats.hits,
+        cacheMisses: stats.misses,
+        cacheHitRate: stats.hitRate == null ? null : `${stats.hitRate}%`,
+        cacheByType: Object.entries(stats.byType)
+            .map(([type, counter]) => `${type} ${counter.hits}/${counter.hits + counter.misses}`)
+            .join(', ') || null
+    };
+}
+
+export default DataCache;
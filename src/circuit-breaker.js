@@ -0,0 +1,184 @@
+/**
+ * Per-provider circuit breakers and health tracking
+ *
+ * closed    - requests flow; consecutive failures are counted
+ * open      - after `failureThreshold` consecutive failures the provider is skipped for `cooldownMs`
+ * half-open - once the cool-down ends a single probe request is let through; success closes the
+ *             breaker, failure re-opens it for another cool-down
+ *
+ * The latest snapshot is persisted (storage.js) so /status can report it between runs.
+ */
+
+import { CIRCUIT_BREAKER } from './config.js';
+
+export const BREAKER_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+export const HEALTH_STORAGE_KEY = 'provider-health';
+
+/**
+ * Circuit breaker for one provider
+ * @class CircuitBreaker
+ */
+export class CircuitBreaker {
+    /**
+     * @param {string} name - Provider name (used in logs)
+     * @param {Object} [config={}] - Configuration options
+     * @param {number} [config.failureThreshold] - Consecutive failures that open the breaker
+     * @param {number} [config.cooldownMs] - How long an open breaker skips the provider
+     * @param {function(): number} [config.now=Date.now] - Clock
+     */
+    constructor(name, config = {}) {
+        this.name = name;
+        this.failureThreshold = config.failureThreshold ?? CIRCUIT_BREAKER.failureThreshold;
+        this.cooldownMs = config.cooldownMs ?? CIRCUIT_BREAKER.cooldownMs;
+        this.now = config.now || Date.now;
+
+        this.state = BREAKER_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.requests = 0;
+        this.failures = 0;
+        this.skipped = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.probing = false;
+    }
+
+    /**
+     * Whether a request may be sent now; moves open -> half-open once the cool-down has passed
+     * @returns {boolean} False while open (or while a half-open probe is already in flight)
+     */
+    allowRequest() {
+        if (this.state === BREAKER_STATES.OPEN && this.now() - this.openedAt >= this.cooldownMs) {
+            this.state = BREAKER_STATES.HALF_OPEN;
+            console.log(`🔄 ${this.name} circuit half-open, probing...`);
+        }
+
+        if (this.state === BREAKER_STATES.CLOSED) return true;
+
+        if (this.state === BREAKER_STATES.HALF_OPEN && !this.probing) {
+            this.probing = true;
+            return true;
+        }
+
+        this.skipped++;
+        return false;
+    }
+
+    /**
+     * Give back an allowed request that was never sent (e.g. rejected by the rate limiter)
+     */
+    release() {
+        this.probing = false;
+    }
+
+    recordSuccess() {
+        this.requests++;
+        this.consecutiveFailures = 0;
+        this.probing = false;
+
+        if (this.state !== BREAKER_STATES.CLOSED) {
+            console.log(`✅ ${this.name} circuit closed`);
+            this.state = BREAKER_STATES.CLOSED;
+            this.openedAt = null;
+        }
+    }
+
+    recordFailure(error) {
+        this.requests++;
+        this.failures++;
+        this.consecutiveFailures++;
+        this.lastError = error?.message || String(error);
+        this.probing = false;
+
+        if (this.state === BREAKER_STATES.HALF_OPEN
+            || (this.state === BREAKER_STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold)) {
+            this.state = BREAKER_STATES.OPEN;
+            this.openedAt = this.now();
+            console.warn(`⚠️ ${this.name} circuit open after ${this.consecutiveFailures} consecutive failures; skipping for ${Math.round(this.cooldownMs / 1000)}s`);
+        }
+    }
+
+    /**
+     * Serializable state and counters
+     * @returns {Object} { state, consecutiveFailures, requests, failures, skipped, errorRate, openedAt, lastError }
+     */
+    snapshot() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            requests: this.requests,
+            failures: this.failures,
+            skipped: this.skipped,
+            errorRate: this.requests > 0 ? Math.round((this.failures / this.requests) * 1000) / 10 : null,
+            openedAt: this.openedAt != null ? new Date(this.openedAt).toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+/**
+ * Circuit breakers keyed by provider name
+ * @class ProviderHealth
+ */
+export class ProviderHealth {
+    /**
+     * @param {Object} [config={}] - Breaker options shared by every provider (see CircuitBreaker)
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.breakers = new Map();
+    }
+
+    breakerFor(name) {
+        if (!this.breakers.has(name)) {
+            this.breakers.set(name, new CircuitBreaker(name, this.config));
+        }
+        return this.breakers.get(name);
+    }
+
+    /**
+     * @returns {Object} Breaker snapshots keyed by provider name
+     */
+    snapshot() {
+        return Object.fromEntries([...this.breakers].map(([name, breaker]) => [name, breaker.snapshot()]));
+    }
+}
+
+/**
+ * Flatten a health snapshot into run-summary metrics (one line per provider)
+ * @param {Object|null} snapshot - Result of ProviderHealth.snapshot()
+ * @returns {Object} e.g. { providerYahoo: 'closed · 1/42 failed (2.4%)' }
+ */
+export function formatHealthMetrics(snapshot) {
+    const metrics = {};
+    for (const [name, health] of Object.entries(snapshot || {})) {
+        const key = `provider${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+        const rate = health.errorRate == null ? '' : ` (${health.errorRate}%)`;
+        const skipped = health.skipped ? `, ${health.skipped} skipped` : '';
+        metrics[key] = `${health.state} · ${health.failures}/${health.requests} failed${rate}${skipped}`;
+    }
+    return metrics;
+}
+
+/**
+ * Persist the latest health snapshot for /status
+ * @async
+ */
+export async function saveHealthSnapshot(storage, snapshot) {
+    await storage.put(HEALTH_STORAGE_KEY, { updatedAt: new Date().toISOString(), providers: snapshot });
+}
+
+/**
+ * Load the last persisted health snapshot
+ * @async
+ * @returns {Promise<Object|null>} { updatedAt, providers } or null when none has been stored
+ */
+export async function loadHealthSnapshot(storage) {
+    return await storage.get(HEALTH_STORAGE_KEY);
+}
+
+export default ProviderHealth;
@@ -1,12 +1,50 @@
-import { getEarningsOpportunities, getMarketContext } from './finnhub.js';
-import { getBulkVolatilityAnalysis } from './real-volatility.js';
+import { getEarningsOpportunities, excludeSyntheticOpportunities, excludeEstimatedOpportunities, scoreOpportunity } from './finnhub.js';
+import { getMarketContext, formatMarketContext, formatMacroEvents, getUpcomingMacroEvents } from './market-context.js';
+import { getBulkVolatilityAnalysis, calculateVolatilityScore, initializeRealData, getCacheStats, getProviderHealth, getProviderRegistry } from './real-volatility.js';
 import { generateTradingIdeas, validateAnalysis } from './gemini.js';
 import { sendEmailDigest, previewEmailTemplate, sendRunSummaryEmail } from './email.js';
+import FileStorage, { DEFAULT_DATA_DIR } from './file-storage.js';
+import { formatEarningsTiming } from './earnings-events.js';
+import { getAccountModel, getProviderPriority, getRateLimits, getRequiredRealFields, getRiskFreeRate, getScoringModel } from './config.js';
+import { formatScoreBreakdown, formatScoreMetrics } from './scoring.js';
+import { validateUniverseWithFinnhub, refreshUniverse, formatUniverseModule, UNIVERSE, UNIVERSE_UPDATED } from './universe.js';
+import BacktestEngine, { formatBacktestReport } from './backtest.js';
+import { createProviderRegistry } from './providers/registry.js';
+import RateLimiter from './rate-limiter.js';
+import DataCache from './cache.js';
+import IVHistoryStore from './iv-history.js';
+import { toCanonicalSymbol } from './symbols.js';
+import TrackRecordStore, { formatTrackRecordMetrics } from './track-record.js';
+import { attachPayoffCharts } from './payoff-chart.js';
+import { analyzeCandidate } from './strategies.js';
+import { calculatePositionSize } from './position-sizing.js';
+
+// Commands that fetch market data and should record IV history
+const DATA_COMMANDS = new Set(['finnhub', 'alphavantage', 'volatility', 'pipeline', 'full-run', 'test-stock', 'track-record']);
+
+/**
+ * Initialize market data providers with file-backed storage so IV history persists between CLI runs
+ */
+async function initializeDataProviders() {
+    const storage = new FileStorage(process.env.OPTIONS_INSIGHT_DATA_DIR || DEFAULT_DATA_DIR);
+    await initializeRealData(process.env.ALPHA_VANTAGE_API_KEY, process.env.FINNHUB_API_KEY, {
+        storage,
+        providerPriority: getProviderPriority(process.env),
+        rateLimits: getRateLimits(process.env),
+        scoringModel: getScoringModel('volatility', process.env),
+        riskFreeRate: getRiskFreeRate(process.env),
+        accountModel: getAccountModel(process.env)
+    });
+}
 
 async function main() {
     const [,, command, ...args] = process.argv;
 
     try {
+        if (DATA_COMMANDS.has(command)) {
+            await initializeDataProviders();
+        }
+
         switch (command) {
             case 'finnhub':
                 await testFinnhub();
@@ -44,6 +82,15 @@ async function main() {
             case 'validate-keys':
                 await validateApiKeys();
                 break;
+            case 'universe':
+                await manageUniverse(args);
+                break;
+            case 'backtest':
+                await runBacktest(args);
+                break;
+            case 'track-record':
+                await showTrackRecord();
+                break;
             default:
                 console.log('🔧 Options Insight CLI');
                 console.log('');
@@ -62,6 +109,9 @@ async function main() {
         console.log('  summary-email  - Send a test run summary email');
                 console.log('  test-stock     - Test specific stock (set SYMBOL env var)');
                 console.log('  validate-keys  - Validate all API keys');
+                console.log('  universe       - Check the stock universe for dead tickers (validate) or regenerate it from index constituents (refresh [--write] [--drop-unlisted])');
+                console.log('  track-record   - Grade published calls whose earnings reaction has traded and print the scorecard');
+                console.log('  backtest       - Replay past earnings through the scoring model (--from YYYY-MM-DD --to YYYY-MM-DD [--symbols AAPL,MSFT | --index SP500|NDX] [--json file])');
         }
     } catch (error) {
         console.error('❌ Error:', error.message);
@@ -78,11 +128,16 @@ async function testFinnhub() {
         throw new Error('FINNHUB_API_KEY environment variable is not set');
     }
     
-    const opportunities = await getEarningsOpportunities(finnhubApiKey, alphaVantageApiKey);
+    const opportunities = await getEarningsOpportunities(finnhubApiKey, alphaVantageApiKey, {
+        scoringModel: getScoringModel('quality', process.env)
+    });
     console.log(`✅ Found ${opportunities.length} earnings opportunities`);
     
     opportunities.forEach(opp => {
-        console.log(`  📈 ${opp.symbol} - ${opp.date} (Quality: ${opp.qualityScore}/100)`);
+        console.log(`  📈 ${opp.symbol} - ${formatEarningsTiming(opp)} (Quality: ${opp.qualityScore}/100)`);
+        if (opp.scoreBreakdown) {
+            console.log(`     ${formatScoreBreakdown(opp.scoreBreakdown)}`);
+        }
     });
 }
 
@@ -129,8 +184,15 @@ async function testVolatilityAnalysis() {
         console.log(`  Symbol: ${symbol}`);
         console.log(`  Current Price: $${symbolData.currentPrice?.toFixed(2) || 'N/A'}`);
         console.log(`  Historical Vol: ${symbolData.historicalVolatility?.toFixed(1) || 'N/A'}%`);
-        console.log(`  IV Estimate: ${symbolData.impliedVolatility?.toFixed(1) || 'N/A'}%`);
+        console.log(`  Implied Vol: ${symbolData.impliedVolatility?.toFixed(1) || 'N/A'}% (${symbolData.impliedVolatilitySource || 'unknown source'})`);
+        console.log(`  IV Rank: ${symbolData.impliedVolatilityRank ?? 'N/A'} | IV Percentile: ${symbolData.impliedVolatilityPercentile ?? 'N/A'} (${symbolData.ivHistory?.sampleSize ?? 0} snapshots)`);
         console.log(`  Expected Move: $${symbolData.expectedMove?.toFixed(2) || 'N/A'}`);
+        const technicals = symbolData.technicalIndicators || {};
+        console.log(`  RSI(14): ${technicals.rsi ?? 'N/A'} | ATR(14): $${technicals.atr ?? 'N/A'} | SMA20/50/200: ${[technicals.sma20, technicals.sma50, technicals.sma200].map(value => value ?? 'N/A').join(' / ')} (${technicals.source || 'unknown'}, ${technicals.inputs?.bars ?? 0} bars)`);
+        if (symbolData.earningsHistory) {
+            const history = symbolData.earningsHistory;
+            console.log(`  Earnings Moves: avg ±${history.averageMove}% | median ±${history.medianMove}% | max ±${history.maxMove}% (${history.sampleSize} reports)`);
+        }
         console.log(`  Volatility Score: ${symbolData.volatilityScore || 'N/A'}/100`);
     } else {
         console.log('❌ No volatility data available');
@@ -256,6 +318,14 @@ async function testScoring() {
         console.log(`  📊 ${data.symbol}: ${score}/100`);
         console.log(`     IV: ${data.impliedVolatility}% | HV: ${data.historicalVolatility}% | Volume: ${data.optionsVolume.toLocaleString()}`);
     });
+
+    console.log('Calculating quality scores (14 days to earnings)...');
+    const qualityModel = getScoringModel('quality', process.env);
+    mockVolatilityData.forEach(data => {
+        const volatilityData = { ...data, volatilityScore: calculateVolatilityScore(data) };
+        const breakdown = scoreOpportunity({ symbol: data.symbol, daysToEarnings: 14, volatilityData }, qualityModel);
+        console.log(`  🎯 ${data.symbol}: ${formatScoreBreakdown(breakdown)}`);
+    });
     
     console.log('✅ Scoring algorithm test completed');
 }
@@ -270,12 +340,28 @@ async function testPipeline() {
     }
     
     console.log('1. Fetching earnings opportunities...');
-    const opportunities = await getEarningsOpportunities(finnhubApiKey, alphaVantageApiKey);
+    const opportunities = await getEarningsOpportunities(finnhubApiKey, alphaVantageApiKey, {
+        scoringModel: getScoringModel('quality', process.env)
+    });
     console.log(`   Found ${opportunities.length} opportunities`);
     
     console.log('2. Getting market context...');
-    const marketContext = await getMarketContext(finnhubApiKey);
+    const marketContext = await getMarketContext(finnhubApiKey, { providers: getProviderRegistry(), opportunities });
     console.log(`   VIX: ${marketContext.vix} | Regime: ${marketContext.marketRegime}`);
+    console.log(`   ${formatMarketContext(marketContext)}`);
+
+    const cacheStats = getCacheStats();
+    if (cacheStats) {
+        console.log(`3. Cache: ${cacheStats.hits} hits / ${cacheStats.misses} misses (hit rate ${cacheStats.hitRate ?? 'n/a'}%)`);
+    }
+
+    const health = getProviderHealth();
+    if (health) {
+        console.log('4. Provider health:');
+        Object.entries(health).forEach(([name, provider]) => {
+            console.log(`   ${name}: ${provider.state} | ${provider.failures}/${provider.requests} failed${provider.skipped ? ` | ${provider.skipped} skipped` : ''}`);
+        });
+    }
     
     console.log('✅ Data pipeline test completed');
 }
@@ -312,17 +398,36 @@ async function testFullRun() {
         };
 
         console.log('1. 📊 Scanning earnings opportunities...');
-        const opportunities = await getEarningsOpportunities(FINNHUB_API_KEY, ALPHA_VANTAGE_API_KEY);
+        const scannedOpportunities = await getEarningsOpportunities(FINNHUB_API_KEY, ALPHA_VANTAGE_API_KEY, {
+            scoringModel: getScoringModel('quality', process.env)
+        });
+        const { opportunities: liveOpportunities, excluded: syntheticExcluded } = excludeSyntheticOpportunities(scannedOpportunities, {
+            allowSynthetic: String(process.env.ALLOW_SYNTHETIC_DATA).toLowerCase() === 'true'
+        });
+        const { opportunities, excluded: estimatedExcluded, reasons: estimatedFields } = excludeEstimatedOpportunities(liveOpportunities, {
+            requiredFields: getRequiredRealFields(process.env)
+        });
         console.log(`   ✅ Found ${opportunities.length} qualified opportunities`);
-        addStep('Scan earnings opportunities', 'success', `${opportunities.length} opportunities analyzed`);
+        if (syntheticExcluded > 0) {
+            console.log(`   ⚠️  Excluded ${syntheticExcluded} synthetic opportunities (set ALLOW_SYNTHETIC_DATA=true to include)`);
+        }
+        for (const [symbol, fields] of Object.entries(estimatedFields)) {
+            console.log(`   ⚠️  Excluded ${symbol}: estimated ${fields.join(', ')} (see REQUIRE_REAL_FIELDS)`);
+        }
+        addStep('Scan earnings opportunities', syntheticExcluded > 0 || estimatedExcluded > 0 ? 'warning' : 'success', `${opportunities.length} opportunities analyzed`);
         summary.metrics.totalOpportunities = opportunities.length;
+        summary.metrics.syntheticExcluded = syntheticExcluded;
+        summary.metrics.estimatedExcluded = estimatedExcluded;
+        Object.assign(summary.metrics, formatScoreMetrics(opportunities));
 
         console.log('2. 🌍 Getting market context...');
-        const marketContext = await getMarketContext(FINNHUB_API_KEY);
+        const marketContext = await getMarketContext(FINNHUB_API_KEY, { providers: getProviderRegistry(), opportunities });
         console.log(`   ✅ VIX: ${marketContext.vix?.toFixed(1)} | Regime: ${marketContext.marketRegime}`);
         addStep('Fetch market context', 'success', `VIX ${marketContext.vix?.toFixed(1) ?? 'N/A'}, Regime: ${marketContext.marketRegime || 'Unknown'}`);
         summary.metrics.vix = marketContext.vix;
         summary.metrics.marketRegime = marketContext.marketRegime;
+        summary.metrics.vixTermStructure = marketContext.vixTermStructure?.shape ?? null;
+        summary.metrics.macroEvents = formatMacroEvents(marketContext.macroEvents);
 
         let emailContent = [];
         let validatedContent = [];
@@ -371,6 +476,23 @@ async function testFullRun() {
             }
         }
 
+        const trackRecordStore = createTrackRecordStore();
+        const graded = await trackRecordStore.gradePending(getProviderRegistry());
+        const trackRecord = {
+            calls: await trackRecordStore.getRecentResults(),
+            scorecard: await trackRecordStore.getScorecard()
+        };
+        console.log(`   ✅ Graded ${graded.length} past calls; ${trackRecord.calls.length} results from the past week`);
+        summary.metrics.gradedCalls = graded.length;
+        Object.assign(summary.metrics, formatTrackRecordMetrics(trackRecord.scorecard));
+
+        if (!contextPayload) {
+            // The CLI has no public URL to host images from, so charts are inlined as data: URIs
+            const charts = await attachPayoffCharts(validatedContent, { rate: getRiskFreeRate(process.env) });
+            summary.metrics.payoffCharts = charts.rendered;
+            console.log(`   ✅ Rendered ${charts.rendered} payoff charts`);
+        }
+
         console.log(`${contextPayload ? '5' : '5'}. 📧 Sending newsletter...`);
         const result = await sendEmailDigest(
             RESEND_API_KEY,
@@ -379,6 +501,7 @@ async function testFullRun() {
             contextPayload ? contextPayload : marketContext,
             {
                 opportunityCount: contextPayload ? 0 : validatedContent.length,
+                trackRecord,
                 ...(subjectTag ? { subjectTag } : {})
             }
         );
@@ -389,6 +512,9 @@ async function testFullRun() {
         summary.metrics.recipientCount = result.recipientCount;
         summary.metrics.completedAt = result.timestamp;
         summary.metrics.newsletterReason = contextPayload ? (subjectTag === 'No Screened Setups' ? 'no-opportunities' : 'quality-gate') : 'opportunities-published';
+        if (!contextPayload) {
+            summary.metrics.trackedCalls = (await trackRecordStore.recordPublished(validatedContent)).length;
+        }
 
         // Finalize summary
         summary.finishedAt = new Date().toISOString();
@@ -445,6 +571,7 @@ async function previewEmail() {
                 impliedVolatility: 35.5,
                 historicalVolatility: 28.3,
                 expectedMove: 8.75,
+                impliedEarningsMove: { expiration: '2025-10-31', strike: 150, move: 6.4, movePercent: 4.26 },
                 optionsVolume: 15000,
                 technicalIndicators: { rsi: 68.5, atr: 2.15 }
             }
@@ -453,7 +580,16 @@ async function previewEmail() {
             sentimentScore: 8,
             recommendation: 'STRONGLY CONSIDER',
             strategies: [
-                { name: 'Iron Condor', details: 'Sell 145/150/155/160 Iron Condor for $2.50 credit targeting 20% profit in 10-14 days' }
+                {
+                    name: 'Iron Condor 140/145/155/160',
+                    details: 'Why: straddle prices a bigger move than AAPL usually delivers, Entry: day before the report',
+                    candidate: analyzeCandidate('ironCondor', [
+                        { action: 'sell', type: 'put', strike: 145, expiration: '2025-10-31', quantity: 1, price: 1.35 },
+                        { action: 'buy', type: 'put', strike: 140, expiration: '2025-10-31', quantity: 1, price: 0.55 },
+                        { action: 'sell', type: 'call', strike: 155, expiration: '2025-10-31', quantity: 1, price: 1.3 },
+                        { action: 'buy', type: 'call', strike: 160, expiration: '2025-10-31', quantity: 1, price: 0.5 }
+                    ], { spot: 150.25, daysToExpiration: 18, impliedVolatility: 35.5, rate: 0.045 })
+                }
             ],
             riskFactors: 'High IV environment may lead to volatility crush post-earnings'
         }
@@ -483,9 +619,48 @@ async function previewEmail() {
         }
     }];
     
-    const mockMarketContext = { vix: 18.5, marketRegime: 'normal' };
+    const mockMarketContext = {
+        vix: 18.5,
+        marketRegime: 'normal',
+        vixTermStructure: { vix9d: 17.2, vix: 18.5, vix3m: 20.1, ratio: 1.09, shape: 'contango' },
+        indexes: [
+            { symbol: 'SPY', price: 582.4, changePercent: 0.42, sma20: 575.1, sma50: 568.3, trend: 'uptrend' },
+            { symbol: 'QQQ', price: 498.7, changePercent: 0.65, sma20: 490.2, sma50: 484.9, trend: 'uptrend' },
+            { symbol: 'IWM', price: 221.3, changePercent: -0.31, sma20: 223.8, sma50: 219.6, trend: 'mixed' }
+        ],
+        sectors: [
+            { sector: 'Information Technology', etf: 'XLK', symbols: ['AAPL'], changePercent: 0.8, fiveDayChange: 2.1, relativeToMarket: 1.0 },
+            { sector: 'Consumer Discretionary', etf: 'XLY', symbols: ['TSLA'], changePercent: -0.4, fiveDayChange: -1.2, relativeToMarket: -2.3 }
+        ],
+        macroEvents: getUpcomingMacroEvents()
+    };
+
+    const mockTrackRecord = {
+        calls: [
+            { symbol: 'NFLX', recommendation: 'STRONGLY CONSIDER', sentimentScore: 8, expectedMovePercent: 7.1, result: { realizedMovePercent: -4.3, correct: true } },
+            { symbol: 'TSLA', recommendation: 'STAY AWAY', sentimentScore: 3, expectedMovePercent: 8.4, result: { realizedMovePercent: 6.2, correct: false } },
+            { symbol: 'KO', recommendation: 'NEUTRAL', sentimentScore: 5, expectedMovePercent: 2.6, result: { realizedMovePercent: 1.1, correct: null } }
+        ],
+        scorecard: {
+            windowDays: 90,
+            byRecommendation: {
+                'STRONGLY CONSIDER': { calls: 12, graded: 12, hits: 8, hitRate: 67 },
+                'STAY AWAY': { calls: 5, graded: 5, hits: 3, hitRate: 60 }
+            },
+            bySentiment: { '8-10': { calls: 7, graded: 7, hits: 5, hitRate: 71 } }
+        }
+    };
     
-    const htmlContent = previewEmailTemplate(mockContent, mockMarketContext);
+    const accountModel = getAccountModel(process.env);
+    for (const { opportunity, analysis } of mockContent) {
+        for (const strategy of analysis.strategies) {
+            if (strategy.candidate) {
+                strategy.candidate.sizing = calculatePositionSize(strategy.candidate, accountModel, { spot: opportunity.volatilityData.currentPrice });
+            }
+        }
+    }
+    await attachPayoffCharts(mockContent, { rate: getRiskFreeRate(process.env) });
+    const htmlContent = previewEmailTemplate(mockContent, mockMarketContext, mockTrackRecord);
     
     // Save preview to file
     const fs = await import('fs');
@@ -562,7 +737,7 @@ async function testSpecificStock() {
     if (symbolData) {
         console.log(`✅ Analysis for ${symbol}:`);
         console.log(`  Price: $${symbolData.currentPrice?.toFixed(2) || 'N/A'}`);
-        console.log(`  IV Estimate: ${symbolData.impliedVolatility?.toFixed(1) || 'N/A'}%`);
+        console.log(`  Implied Vol: ${symbolData.impliedVolatility?.toFixed(1) || 'N/A'}% (${symbolData.impliedVolatilitySource || 'unknown source'})`);
         console.log(`  Volatility Score: ${symbolData.volatilityScore || 'N/A'}/100`);
     } else {
         console.log(`❌ No data available for ${symbol}`);
@@ -606,4 +781,131 @@ async function validateApiKeys() {
     console.log('✅ API key validation completed');
 }
 
+async function manageUniverse(args) {
+    const [action = 'validate', ...flags] = args;
+    const finnhubApiKey = process.env.FINNHUB_API_KEY;
+
+    if (action === 'validate') {
+        console.log(`🔍 Validating stock universe (updated ${UNIVERSE_UPDATED}) against Finnhub symbols...`);
+        const report = await validateUniverseWithFinnhub(finnhubApiKey);
+
+        report.dead.forEach(({ symbol, providerSymbol }) => {
+            console.log(`  ❌ ${symbol}: not listed by Finnhub${providerSymbol !== symbol ? ` (as ${providerSymbol})` : ''}`);
+        });
+        report.duplicates.forEach(symbol => console.log(`  ⚠️  ${symbol}: listed more than once`));
+        report.invalid.forEach(({ symbol, problems }) => console.log(`  ⚠️  ${symbol || '(no symbol)'}: ${problems.join(', ')}`));
+
+        if (!report.valid) {
+            throw new Error('Stock universe has problems – run `node src/cli.js universe refresh --write` or edit src/config/universe.js');
+        }
+        console.log('✅ Every ticker in the universe is listed');
+        return;
+    }
+
+    if (action === 'refresh') {
+        console.log('🔄 Regenerating stock universe from index constituents...');
+        const { universe, added, removed } = await refreshUniverse(finnhubApiKey, {
+            keepUnlisted: !flags.includes('--drop-unlisted'),
+            limiter: new RateLimiter({ limits: getRateLimits(process.env), maxWaitMs: Infinity })
+        });
+
+        console.log(`  ➕ Added (${added.length}): ${added.join(', ') || 'none'}`);
+        console.log(`  ➖ Removed (${removed.length}): ${removed.join(', ') || 'none'}`);
+
+        const source = formatUniverseModule(universe);
+        if (flags.includes('--write')) {
+            const fs = await import('fs');
+            const universePath = new URL('./config/universe.js', import.meta.url);
+            fs.writeFileSync(universePath, source);
+            console.log(`✅ Wrote ${universe.length} tickers to src/config/universe.js – review new entries marked 'Unclassified'`);
+        } else {
+            console.log(`ℹ️  ${universe.length} tickers; re-run with --write to update src/config/universe.js`);
+        }
+        return;
+    }
+
+    throw new Error(`Unknown universe action: ${action} (use validate or refresh)`);
+}
+
+function createTrackRecordStore() {
+    return new TrackRecordStore(new FileStorage(process.env.OPTIONS_INSIGHT_DATA_DIR || DEFAULT_DATA_DIR));
+}
+
+async function showTrackRecord() {
+    console.log('🗓️ Grading published calls...');
+    const trackRecordStore = createTrackRecordStore();
+    const graded = await trackRecordStore.gradePending(getProviderRegistry());
+    graded.forEach(call => {
+        const { realizedMovePercent, correct } = call.result;
+        const verdict = correct === true ? '✅ hit' : correct === false ? '❌ miss' : 'ℹ️  not graded';
+        console.log(`  ${call.symbol} ${call.earningsDate} ${call.recommendation}: ${realizedMovePercent ?? 'n/a'}% vs ±${call.expectedMovePercent ?? 'n/a'}% expected - ${verdict}`);
+    });
+
+    const scorecard = await trackRecordStore.getScorecard();
+    console.log('');
+    console.log(`📊 Scorecard (last ${scorecard.windowDays} days, ${scorecard.overall.calls} graded calls):`);
+    for (const [group, stats] of [...Object.entries(scorecard.byRecommendation), ...Object.entries(scorecard.bySentiment).map(([bucket, value]) => [`Sentiment ${bucket}`, value])]) {
+        console.log(`  ${group.padEnd(18)} ${stats.hits}/${stats.graded} hits${stats.hitRate !== null ? ` (${stats.hitRate}%)` : ''} | avg move ${stats.averageMoveRatio ?? 'n/a'}x expected`);
+    }
+}
+
+async function runBacktest(args) {
+    const flags = parseFlags(args);
+    const to = flags.to || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const from = flags.from || `${Number(to.slice(0, 4)) - 1}${to.slice(4)}`;
+
+    let symbols;
+    if (flags.symbols) {
+        symbols = flags.symbols.split(',').map(symbol => toCanonicalSymbol(symbol)).filter(Boolean);
+    } else if (flags.index) {
+        symbols = UNIVERSE.filter(entry => entry.indexes?.includes(flags.index)).map(entry => entry.symbol);
+        if (symbols.length === 0) {
+            throw new Error(`No universe tickers belong to index ${flags.index} (use SP500 or NDX)`);
+        }
+    } else {
+        symbols = UNIVERSE.map(entry => entry.symbol);
+    }
+
+    const storage = new FileStorage(process.env.OPTIONS_INSIGHT_DATA_DIR || DEFAULT_DATA_DIR);
+    const engine = new BacktestEngine({
+        providers: createProviderRegistry({
+            finnhubApiKey: process.env.FINNHUB_API_KEY,
+            priority: getProviderPriority(process.env),
+            rateLimits: getRateLimits(process.env),
+            storage
+        }),
+        cache: new DataCache({ storage }),
+        ivHistory: new IVHistoryStore(storage),
+        qualityModel: getScoringModel('quality', process.env),
+        volatilityModel: getScoringModel('volatility', process.env)
+    });
+
+    console.log(`🔄 Backtesting ${symbols.length} tickers, reports ${from} to ${to}...`);
+    const result = await engine.run({ from, to, symbols });
+
+    console.log('');
+    console.log(formatBacktestReport(result.summary));
+    if (result.skipped.length) {
+        console.log('');
+        console.log(`ℹ️  ${result.skipped.length} reports skipped (missing price or earnings history)`);
+    }
+
+    if (flags.json) {
+        const fs = await import('fs');
+        fs.writeFileSync(flags.json, JSON.stringify({ from, to, symbols, ...result }, null, 2));
+        console.log(`✅ Wrote trades and summary to ${flags.json}`);
+    }
+}
+
+// --name value pairs (values without a leading --)
+function parseFlags(args) {
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) continue;
+        const next = args[i + 1];
+        flags[args[i].slice(2)] = next && !next.startsWith('--') ? args[++i] : true;
+    }
+    return flags;
+}
+
 main().catch(console.error);
@@ -1,36 +1,9 @@
-// Expanded representative universe covering many missing names from S&P 500 + NASDAQ 100
-// Updated STOCK_UNIVERSE_RAW: Comprehensive list of relevant tickers
-const STOCK_UNIVERSE_RAW = [
-  // Core / mega tech
-  'AAPL', 'MSFT', 'GOOGL', 'GOOG', 'AMZN', 'NVDA', 'META', 'TSLA', 'ADBE', 'NFLX',
+import { UNIVERSE } from './config/universe.js';
+import { SCORING_MODELS } from './config/scoring.js';
+import { mergeScoringModel, validateScoringModel } from './scoring.js';
 
-  // Financials / big banks / services
-  'BRK-B', 'JPM', 'GS', 'MS', 'C', 'BAC', 'WFC', 'BLK', 'AXP', 'ICE', 'SCHW', 'COF',
-
-  // Healthcare / biotech / pharma
-  'UNH', 'JNJ', 'PFE', 'LLY', 'MRK', 'ABT', 'MDT', 'BIIB', 'GILD', 'AMGN', 'REGN', 'ISRG', 'MRNA',
-
-  // Consumer / staples / discretionary
-  'V', 'MA', 'HD', 'DIS', 'MCD', 'COST', 'NKE', 'KO', 'PEP', 'PG', 'SBUX', 'TGT', 'LOW', 'LULU',
-
-  // Semiconductors / hardware / equipment
-  'CSCO', 'INTC', 'QCOM', 'TXN', 'AMD', 'AMAT', 'ASML', 'ADI', 'LRCX', 'KLAC', 'MU', 'NXPI',
-
-  // Enterprise & software / cloud / SaaS
-  'INTU', 'CRM', 'ORCL', 'NOW', 'SNYS', 'WORK', 'ADSK', 'PYPL', 'ZM', 'DOCU', 'OKTA',
-
-  // Communications / telecom / media
-  'VZ', 'T', 'TMUS', 'CMCSA', 'CHTR', 'DISCA', 'DISCK', 'CMG', 'ATVI', 'SIRI', 'TTWO', 'EBAY', 'EXC', 'MAR', 'MELI', 'MNST', 'VRTX', 'ZTS',
-
-  // Industrials / transportation / infrastructure
-  'XOM', 'CVX', 'COP', 'SLB', 'CAT', 'BA', 'HON', 'GE', 'UNP', 'UPS', 'DE', 'RTX',
-
-  // Growth / newer economy / disruptors (non-meme)
-  'UBER', 'LYFT', 'SHOP', 'SNAP', 'ETSY', 'ROKU', 'SPOT', 'TWLO', 'SNOW', 'PLTR', 'COIN', 'RBLX', 'SOFI', 'PTON', 'ARM'
-];
-
-// Remove duplicates and export the clean stock universe
-export const STOCK_UNIVERSE = [...new Set(STOCK_UNIVERSE_RAW)];
+// Canonical tickers of the managed universe (src/config/universe.js holds sector, index and alias metadata)
+export const STOCK_UNIVERSE = UNIVERSE.map(entry => entry.symbol);
 
 // Quality thresholds for filtering opportunities
 export const QUALITY_THRESHOLDS = {
@@ -39,6 +12,11 @@ export const QUALITY_THRESHOLDS = {
   maxDaysToEarnings: 45
 };
 
+// Fields that must come from market data (not estimates) for an opportunity to be published.
+// Names match PROVENANCE_FIELDS in provenance.js. Override with REQUIRE_REAL_FIELDS=price,historicalVolatility
+// or REQUIRE_REAL_FIELDS=none to publish opportunities regardless of estimated fields.
+export const REQUIRED_REAL_FIELDS = ['price', 'impliedVolatility'];
+
 // Volatility analysis thresholds
 export const VOLATILITY_THRESHOLDS = {
   minImpliedVolatility: 15,
@@ -47,6 +25,50 @@ export const VOLATILITY_THRESHOLDS = {
   maxHistoricalVolatility: 150
 };
 
+// Market-data provider priority per capability (first provider that returns data wins).
+// Override one capability with PROVIDER_PRIORITY_<CAPABILITY>, e.g. PROVIDER_PRIORITY_QUOTE=finnhub,yahoo
+// Polygon and Tradier are skipped unless their API keys are set; when they are, their
+// chains (with greeks) take precedence over Yahoo's.
+export const PROVIDER_PRIORITY = {
+  quote: ['yahoo', 'polygon', 'tradier', 'finnhub', 'alphavantage'],
+  history: ['yahoo', 'polygon', 'tradier', 'alphavantage'],
+  chain: ['tradier', 'polygon', 'yahoo', 'alphavantage'],
+  fundamentals: ['finnhub'],
+  earningsCalendar: ['finnhub']
+};
+
+// Published request limits per provider. Buckets start full (burst = limit unless set) and refill
+// continuously. Override with RATE_LIMIT_<PROVIDER>=<requests>/<seconds>, e.g. RATE_LIMIT_POLYGON=5/60
+export const RATE_LIMITS = {
+  yahoo: { limit: 100, intervalMs: 60 * 1000 }, // Unofficial API; stays below observed throttling
+  finnhub: { limit: 60, intervalMs: 60 * 1000 }, // Free tier: 60 calls/min
+  alphavantage: { limit: 25, intervalMs: 24 * 60 * 60 * 1000 }, // Free tier: 25 calls/day (counted across runs, see rate-limiter.js)
+  polygon: { limit: 100, intervalMs: 60 * 1000 }, // Paid plans are unmetered; free tier is 5/min
+  tradier: { limit: 120, intervalMs: 60 * 1000 } // Market-data endpoints: 120 calls/min
+};
+
+// Per-provider circuit breaker: skip a provider after this many consecutive failures, then
+// probe it again once the cool-down has passed
+export const CIRCUIT_BREAKER = {
+  failureThreshold: 3,
+  cooldownMs: 2 * 60 * 1000
+};
+
+// Symbols analyzed in parallel by the bulk volatility scan (provider buckets still apply)
+export const ANALYSIS_CONCURRENCY = 4;
+
+// Annualized risk-free rate used by the option pricing engine (src/pricing.js)
+export const RISK_FREE_RATE = 0.045;
+
+// Reference account for position sizing (src/position-sizing.js). The newsletter is one broadcast,
+// so every reader sees sizing for this account alongside the account size one contract needs.
+// Risk figures are percentages of the account.
+export const ACCOUNT_MODEL = {
+  accountSize: 25000,
+  maxRiskPerTrade: 2,
+  maxPortfolioHeat: 6
+};
+
 /**
  * Check if a symbol is in the curated stock universe
  * @param {string} symbol - Stock symbol to check
@@ -80,4 +102,170 @@ export function getQualityThreshold(key) {
  */
 export function getVolatilityThreshold(key) {
   return VOLATILITY_THRESHOLDS[key];
-}
\ No newline at end of file
+}
+
+/**
+ * Resolve provider priority lists, applying environment overrides
+ * @param {Object} [env={}] - Environment (Worker env or process.env)
+ * @returns {Object} Priority lists keyed by capability
+ * @description Each capability can be overridden with a comma-separated list in
+ * PROVIDER_PRIORITY_<CAPABILITY> (earningsCalendar -> PROVIDER_PRIORITY_EARNINGS_CALENDAR).
+ * Capabilities without an override keep the defaults from PROVIDER_PRIORITY.
+ */
+export function getProviderPriority(env = {}) {
+  const priority = {};
+  for (const [capability, defaults] of Object.entries(PROVIDER_PRIORITY)) {
+    const envKey = `PROVIDER_PRIORITY_${capability.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+    const override = env[envKey];
+    priority[capability] = override
+      ? override.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+      : [...defaults];
+  }
+  return priority;
+}
+
+/**
+ * Resolve the fields the quality gate requires to be real market data
+ * @param {Object} [env={}] - Environment (Worker env or process.env)
+ * @returns {Array<string>} Field names (empty when the check is disabled)
+ * @description REQUIRE_REAL_FIELDS takes a comma-separated list of provenance field names;
+ * 'none' (or an empty value) disables the check. Unset keeps REQUIRED_REAL_FIELDS.
+ */
+export function getRequiredRealFields(env = {}) {
+  const override = env.REQUIRE_REAL_FIELDS;
+  if (override == null) return [...REQUIRED_REAL_FIELDS];
+  if (String(override).trim().toLowerCase() === 'none') return [];
+  return String(override).split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve per-provider rate limits, applying environment overrides
+ * @param {Object} [env={}] - Environment (Worker env or process.env)
+ * @returns {Object} Limits keyed by provider name ({ limit, intervalMs })
+ * @description RATE_LIMIT_<PROVIDER> takes "<requests>/<seconds>" (e.g. RATE_LIMIT_POLYGON=5/60).
+ * Malformed overrides are ignored with a warning.
+ */
+export function getRateLimits(env = {}) {
+  const limits = structuredClone(RATE_LIMITS);
+  for (const [key, value] of Object.entries(env)) {
+    const match = key.match(/^RATE_LIMIT_([A-Z0-9_]+)$/);
+    if (!match || !value) continue;
+
+    const [requests, seconds] = String(value).split('/').map(Number);
+    if (!(requests > 0) || !(seconds > 0)) {
+      console.warn(`⚠️ Ignoring ${key}=${value} (expected <requests>/<seconds>)`);
+      continue;
+    }
+    limits[match[1].toLowerCase()] = { limit: requests, intervalMs: seconds * 1000 };
+  }
+  return limits;
+}
+
+/**
+ * Resolve the risk-free rate used for option pricing
+ * @param {Object} [env={}] - Environment (Worker env or process.env)
+ * @returns {number} Annualized rate as a decimal
+ * @description RISK_FREE_RATE takes a percentage (RISK_FREE_RATE=4.25 for 4.25%). Values that are
+ * not numbers between 0 and 20 are ignored with a warning.
+ */
+export function getRiskFreeRate(env = {}) {
+  const override = env.RISK_FREE_RATE;
+  if (override == null || override === '') return RISK_FREE_RATE;
+
+  const percent = Number(override);
+  if (!Number.isFinite(percent) || percent < 0 || percent > 20) {
+    console.warn(`⚠️ Ignoring RISK_FREE_RATE=${override} (expected a percentage between 0 and 20)`);
+    return RISK_FREE_RATE;
+  }
+  return percent / 100;
+}
+
+/**
+ * Resolve the reference account used for position sizing
+ * @param {Object} [env={}] - Environment (Worker env or process.env)
+ * @returns {Object} { accountSize, maxRiskPerTrade, maxPortfolioHeat }
+ * @description ACCOUNT_SIZE takes dollars; MAX_RISK_PER_TRADE and MAX_PORTFOLIO_HEAT take
+ * percentages of the account (MAX_RISK_PER_TRADE=1.5 for 1.5%). Invalid values are ignored with a
+ * warning; a heat limit below the per-trade risk is raised with a warning.
+ */
+export function getAccountModel(env = {}) {
+  const model = { ...ACCOUNT_MODEL };
+  const overrides = [
+    ['accountSize', 'ACCOUNT_SIZE', 1000, 100000000, 'an amount between 1000 and 100000000'],
+    ['maxRiskPerTrade', 'MAX_RISK_PER_TRADE', 0.1, 100, 'a percentage between 0.1 and 100'],
+    ['maxPortfolioHeat', 'MAX_PORTFOLIO_HEAT', 0.1, 100, 'a percentage between 0.1 and 100']
+  ];
+
+  for (const [field, name, min, max, expected] of overrides) {
+    const override = env[name];
+    if (override == null || override === '') continue;
+    const value = Number(override);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      console.warn(`⚠️ Ignoring ${name}=${override} (expected ${expected})`);
+      continue;
+    }
+    model[field] = value;
+  }
+
+  if (model.maxPortfolioHeat < model.maxRiskPerTrade) {
+    const heat = Math.max(ACCOUNT_MODEL.maxPortfolioHeat, model.maxRiskPerTrade);
+    console.warn(`⚠️ Portfolio heat ${model.maxPortfolioHeat}% is below the ${model.maxRiskPerTrade}% risk per trade; using ${heat}%`);
+    model.maxPortfolioHeat = heat;
+  }
+  return model;
+}
+
+/**
+ * Resolve the Worker's public URL (used to host newsletter images such as payoff charts)
+ * @param {Object} [env={}] - Environment (Worker env or process.env)
+ * @returns {string|null} Origin without a trailing slash, or null when unset or invalid
+ * @description PUBLIC_BASE_URL must be an https URL (e.g. https://options-insight.example.workers.dev).
+ * Invalid values are ignored with a warning.
+ */
+export function getPublicBaseUrl(env = {}) {
+  const value = env.PUBLIC_BASE_URL;
+  if (!value) return null;
+
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'https:') throw new Error('not https');
+    return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+  } catch {
+    console.warn(`⚠️ Ignoring PUBLIC_BASE_URL=${value} (expected an https URL)`);
+    return null;
+  }
+}
+
+/**
+ * Resolve a scoring model, applying environment overrides
+ * @param {string} name - Model name ('quality' or 'volatility', see SCORING_MODELS in src/config/scoring.js)
+ * @param {Object} [env={}] - Environment (Worker env or process.env)
+ * @returns {Object} Scoring model ({ baseline, maxScore, factors })
+ * @description SCORING_MODEL takes JSON keyed by model name; factors are merged by key, so
+ * {"quality":{"factors":{"timing":{"weight":30}}}} only changes the timing weight. Malformed or
+ * invalid overrides are ignored with a warning.
+ */
+export function getScoringModel(name, env = {}) {
+  const model = SCORING_MODELS[name];
+  if (!model) {
+    throw new Error(`Unknown scoring model: ${name}. Available: ${Object.keys(SCORING_MODELS).join(', ')}`);
+  }
+  if (!env.SCORING_MODEL) return structuredClone(model);
+
+  let overrides;
+  try {
+    overrides = JSON.parse(env.SCORING_MODEL);
+  } catch (error) {
+    console.warn(`⚠️ Ignoring SCORING_MODEL (invalid JSON: ${error.message})`);
+    return structuredClone(model);
+  }
+  if (!overrides?.[name]) return structuredClone(model);
+
+  const merged = mergeScoringModel(model, overrides[name]);
+  const problems = validateScoringModel(merged);
+  if (problems.length > 0) {
+    console.warn(`⚠️ Ignoring SCORING_MODEL for ${name}: ${problems.join('; ')}`);
+    return structuredClone(model);
+  }
+  return merged;
+}
@@ -2,6 +2,8 @@
 export const SENSITIVE_KEYS = [
   'FINNHUB_API_KEY',
   'ALPHA_VANTAGE_API_KEY',
+  'POLYGON_API_KEY',
+  'TRADIER_API_KEY',
   'GEMINI_API_KEY',
   'RESEND_API_KEY',
   'AUDIENCE_ID',
@@ -0,0 +1,20 @@
+// Scheduled US macro releases shown in the market context (see src/market-context.js).
+// Refresh the lists when the next year's schedules are published.
+//
+// FOMC_DECISIONS - statement day (second day) of each scheduled FOMC meeting (federalreserve.gov)
+// CPI_RELEASES   - Consumer Price Index release dates (bls.gov/schedule)
+// The monthly jobs report is derived from the BLS timing rule instead (see jobsReportDate), so it
+// needs no list.
+export const FOMC_DECISIONS = [
+  '2025-01-29', '2025-03-19', '2025-05-07', '2025-06-18',
+  '2025-07-30', '2025-09-17', '2025-10-29', '2025-12-10',
+  '2026-01-28', '2026-03-18', '2026-04-29', '2026-06-17',
+  '2026-07-29', '2026-09-16', '2026-10-28', '2026-12-09'
+];
+
+export const CPI_RELEASES = [
+  '2025-01-15', '2025-02-12', '2025-03-12', '2025-04-10', '2025-05-13', '2025-06-11',
+  '2025-07-15', '2025-08-12', '2025-09-11', '2025-10-24', '2025-12-18',
+  '2026-01-13', '2026-02-11', '2026-03-11', '2026-04-10', '2026-05-12', '2026-06-10',
+  '2026-07-14', '2026-08-12', '2026-09-11', '2026-10-14', '2026-11-10', '2026-12-10'
+];
@@ -0,0 +1,208 @@
+// Scoring models (evaluated by src/scoring.js)
+//
+// Each factor reads one value from the scored object (`input`: dot path, or a list tried in order),
+// finds the first bucket whose bounds hold (gt/gte/lt/lte/eq; `any` = at least one of the listed
+// conditions) and earns `credit` (0-1) of its `weight`. A bucket without bounds matches any value;
+// `missing` is the credit when the value is absent. score = baseline + sum(points), capped at maxScore.
+// Keep baseline + all weights equal to maxScore so the best profile lands exactly on the cap and
+// weaker ones stay ranked below it.
+//
+// Override any part with the SCORING_MODEL environment variable (JSON, merged per factor), e.g.
+//   SCORING_MODEL={"quality":{"factors":{"timing":{"weight":30}}}}
+
+export const SCORING_MODELS = {
+  // Opportunity ranking (finnhub.js)
+  quality: {
+    baseline: 10, // Having earnings data at all
+    maxScore: 100,
+    factors: {
+      volatility: {
+        label: 'Volatility',
+        weight: 20,
+        input: ['volatilityData.volatilityScore', 'volatilityScore'],
+        buckets: [
+          { gt: 70, credit: 1 },
+          { gt: 50, credit: 0.8 },
+          { gt: 30, credit: 0.6 },
+          { gt: 10, credit: 0.4 },
+          { credit: 0.2 } // Even very low scores get some points
+        ],
+        missing: 0.2
+      },
+      timing: {
+        label: 'Timing',
+        weight: 15,
+        input: 'daysToEarnings', // Prefer 14-21 days to earnings
+        buckets: [
+          { gte: 14, lte: 21, credit: 1 },
+          { gte: 10, lte: 28, credit: 0.7 },
+          { gte: 5, lte: 35, credit: 0.4 },
+          { credit: 0.2 }
+        ],
+        missing: 0.2
+      },
+      liquidity: {
+        label: 'Liquidity',
+        weight: 15,
+        input: 'volatilityData.optionsVolume',
+        buckets: [
+          { gt: 10000, credit: 1 },
+          { gt: 5000, credit: 0.7 },
+          { gt: 1000, credit: 0.4 },
+          { gt: 0, credit: 0.2 } // Some volume is better than none
+        ]
+      },
+      technical: {
+        label: 'Technical',
+        weight: 10,
+        input: 'volatilityData.technicalIndicators.rsi', // RSI extremes favor mean reversion
+        buckets: [
+          { any: [{ gt: 70 }, { lt: 30 }], credit: 1 },
+          { any: [{ gt: 60 }, { lt: 40 }], credit: 0.5 },
+          { credit: 0.2 }
+        ]
+      },
+      earningsEdge: {
+        label: 'Earnings edge',
+        weight: 8,
+        // Straddle priced well away from the stock's own history: rich favors selling, cheap favors buying
+        input: 'impliedVsRealized.ratio',
+        buckets: [
+          { any: [{ gte: 1.3 }, { lte: 0.75 }], credit: 1 },
+          { any: [{ gte: 1.15 }, { lte: 0.87 }], credit: 0.6 },
+          { credit: 0.2 }
+        ]
+      },
+      termStructure: {
+        label: 'Term structure',
+        weight: 10,
+        // Post-earnings ATM IV over the back month (volatility-surface.js): the event premium that gets crushed
+        input: 'volatilityData.volatilitySurface.termStructure.ratio',
+        buckets: [
+          { gte: 1.5, credit: 1 },
+          { gte: 1.25, credit: 0.7 },
+          { gte: 1.1, credit: 0.4 },
+          { credit: 0.1 }
+        ]
+      },
+      skew: {
+        label: 'Skew',
+        weight: 3,
+        // 25-delta risk reversal: one clearly rich wing to sell or finance with
+        input: 'volatilityData.volatilitySurface.skew.riskReversal',
+        buckets: [
+          { any: [{ gte: 5 }, { lte: -5 }], credit: 1 },
+          { any: [{ gte: 2.5 }, { lte: -2.5 }], credit: 0.5 },
+          { credit: 0.2 }
+        ]
+      },
+      smile: {
+        label: 'Smile',
+        weight: 3,
+        // 25-delta wings over ATM IV: rich wings favor selling them (short strangle)
+        input: 'volatilityData.volatilitySurface.smile.butterfly',
+        buckets: [
+          { gte: 4, credit: 1 },
+          { gte: 2, credit: 0.5 },
+          { credit: 0.2 }
+        ]
+      },
+      dataAvailability: {
+        label: 'Data',
+        weight: 3,
+        input: 'volatilityData',
+        buckets: [{ credit: 1 }]
+      },
+      priceHistory: {
+        label: 'Price history',
+        weight: 3,
+        input: 'volatilityData.historicalVolatility',
+        buckets: [{ gt: 0, credit: 1 }]
+      }
+    }
+  },
+
+  // Per-symbol volatility analysis (simplified-data.js)
+  volatility: {
+    baseline: 0,
+    maxScore: 100,
+    factors: {
+      historicalVolatility: {
+        label: 'Historical vol',
+        weight: 25,
+        input: 'historicalVolatility',
+        buckets: [
+          { gte: 20, lte: 50, credit: 1 },
+          { gte: 15, lte: 60, credit: 0.83 },
+          { gte: 10, credit: 0.67 }
+        ]
+      },
+      impliedVolatility: {
+        label: 'Implied vol',
+        weight: 20,
+        input: 'impliedVolatility',
+        buckets: [
+          { gte: 25, lte: 55, credit: 1 },
+          { gte: 20, lte: 65, credit: 0.8 },
+          { gte: 15, credit: 0.6 }
+        ]
+      },
+      price: {
+        label: 'Price',
+        weight: 15,
+        input: 'currentPrice',
+        buckets: [
+          { gte: 20, lte: 500, credit: 1 },
+          { gte: 10, credit: 0.75 }
+        ]
+      },
+      dataQuality: {
+        label: 'Data quality',
+        weight: 15,
+        input: 'dataQuality',
+        buckets: [
+          { eq: 'real', credit: 1 },
+          { credit: 8 / 15 } // Partial credit for estimates
+        ],
+        missing: 8 / 15
+      },
+      volume: {
+        label: 'Volume',
+        weight: 10,
+        input: 'volume',
+        buckets: [
+          { gt: 1000000, credit: 1 },
+          { gt: 500000, credit: 0.8 },
+          { gt: 100000, credit: 0.5 },
+          { credit: 0.3 }
+        ],
+        missing: 0.3 // Default for no volume data
+      },
+      ivRank: {
+        label: 'IV rank',
+        weight: 10,
+        // 52-week IV rank from the stored snapshots (iv-history.js); rich IV favors selling premium
+        input: 'impliedVolatilityRank',
+        buckets: [
+          { gte: 70, credit: 1 },
+          { gte: 50, credit: 0.7 },
+          { gte: 30, credit: 0.4 },
+          { credit: 0.1 }
+        ],
+        missing: 0.5 // Neutral until MIN_SNAPSHOTS exist
+      },
+      ivPercentile: {
+        label: 'IV percentile',
+        weight: 5,
+        input: 'impliedVolatilityPercentile',
+        buckets: [
+          { gte: 80, credit: 1 },
+          { gte: 60, credit: 0.7 },
+          { gte: 40, credit: 0.4 },
+          { credit: 0.1 }
+        ],
+        missing: 0.5
+      }
+    }
+  }
+};
@@ -0,0 +1,141 @@
+// Curated stock universe: liquid S&P 500 and Nasdaq-100 names plus a few actively traded growth stocks.
+// Regenerate from index constituents with `node src/cli.js universe refresh` (see src/universe.js).
+//
+// symbol   - canonical ticker (exchange format, e.g. BRK.B)
+// indexes  - index membership: SP500, NDX (empty for names kept outside the indexes)
+// aliases  - provider-specific tickers where they differ from the canonical one
+export const UNIVERSE_UPDATED = '2025-06-30';
+
+export const UNIVERSE = [
+  // Core / mega tech
+  { symbol: 'AAPL', name: 'Apple Inc.', sector: 'Information Technology', industry: 'Technology Hardware, Storage & Peripherals', indexes: ['SP500', 'NDX'] },
+  { symbol: 'MSFT', name: 'Microsoft Corporation', sector: 'Information Technology', industry: 'Systems Software', indexes: ['SP500', 'NDX'] },
+  { symbol: 'GOOGL', name: 'Alphabet Inc. (Class A)', sector: 'Communication Services', industry: 'Interactive Media & Services', indexes: ['SP500', 'NDX'] },
+  { symbol: 'GOOG', name: 'Alphabet Inc. (Class C)', sector: 'Communication Services', industry: 'Interactive Media & Services', indexes: ['SP500', 'NDX'] },
+  { symbol: 'AMZN', name: 'Amazon.com, Inc.', sector: 'Consumer Discretionary', industry: 'Broadline Retail', indexes: ['SP500', 'NDX'] },
+  { symbol: 'NVDA', name: 'NVIDIA Corporation', sector: 'Information Technology', industry: 'Semiconductors', indexes: ['SP500', 'NDX'] },
+  { symbol: 'META', name: 'Meta Platforms, Inc.', sector: 'Communication Services', industry: 'Interactive Media & Services', indexes: ['SP500', 'NDX'] },
+  { symbol: 'TSLA', name: 'Tesla, Inc.', sector: 'Consumer Discretionary', industry: 'Automobile Manufacturers', indexes: ['SP500', 'NDX'] },
+  { symbol: 'ADBE', name: 'Adobe Inc.', sector: 'Information Technology', industry: 'Application Software', indexes: ['SP500', 'NDX'] },
+  { symbol: 'NFLX', name: 'Netflix, Inc.', sector: 'Communication Services', industry: 'Movies & Entertainment', indexes: ['SP500', 'NDX'] },
+
+  // Financials / big banks / services
+  { symbol: 'BRK.B', name: 'Berkshire Hathaway Inc. (Class B)', sector: 'Financials', industry: 'Multi-Sector Holdings', indexes: ['SP500'], aliases: { yahoo: 'BRK-B', alphavantage: 'BRK-B' } },
+  { symbol: 'JPM', name: 'JPMorgan Chase & Co.', sector: 'Financials', industry: 'Diversified Banks', indexes: ['SP500'] },
+  { symbol: 'GS', name: 'The Goldman Sachs Group, Inc.', sector: 'Financials', industry: 'Investment Banking & Brokerage', indexes: ['SP500'] },
+  { symbol: 'MS', name: 'Morgan Stanley', sector: 'Financials', industry: 'Investment Banking & Brokerage', indexes: ['SP500'] },
+  { symbol: 'C', name: 'Citigroup Inc.', sector: 'Financials', industry: 'Diversified Banks', indexes: ['SP500'] },
+  { symbol: 'BAC', name: 'Bank of America Corporation', sector: 'Financials', industry: 'Diversified Banks', indexes: ['SP500'] },
+  { symbol: 'WFC', name: 'Wells Fargo & Company', sector: 'Financials', industry: 'Diversified Banks', indexes: ['SP500'] },
+  { symbol: 'BLK', name: 'BlackRock, Inc.', sector: 'Financials', industry: 'Asset Management & Custody Banks', indexes: ['SP500'] },
+  { symbol: 'AXP', name: 'American Express Company', sector: 'Financials', industry: 'Consumer Finance', indexes: ['SP500'] },
+  { symbol: 'ICE', name: 'Intercontinental Exchange, Inc.', sector: 'Financials', industry: 'Financial Exchanges & Data', indexes: ['SP500'] },
+  { symbol: 'SCHW', name: 'The Charles Schwab Corporation', sector: 'Financials', industry: 'Investment Banking & Brokerage', indexes: ['SP500'] },
+  { symbol: 'COF', name: 'Capital One Financial Corporation', sector: 'Financials', industry: 'Consumer Finance', indexes: ['SP500'] },
+
+  // Healthcare / biotech / pharma
+  { symbol: 'UNH', name: 'UnitedHealth Group Incorporated', sector: 'Health Care', industry: 'Managed Health Care', indexes: ['SP500'] },
+  { symbol: 'JNJ', name: 'Johnson & Johnson', sector: 'Health Care', industry: 'Pharmaceuticals', indexes: ['SP500'] },
+  { symbol: 'PFE', name: 'Pfizer Inc.', sector: 'Health Care', industry: 'Pharmaceuticals', indexes: ['SP500'] },
+  { symbol: 'LLY', name: 'Eli Lilly and Company', sector: 'Health Care', industry: 'Pharmaceuticals', indexes: ['SP500'] },
+  { symbol: 'MRK', name: 'Merck & Co., Inc.', sector: 'Health Care', industry: 'Pharmaceuticals', indexes: ['SP500'] },
+  { symbol: 'ABT', name: 'Abbott Laboratories', sector: 'Health Care', industry: 'Health Care Equipment', indexes: ['SP500'] },
+  { symbol: 'MDT', name: 'Medtronic plc', sector: 'Health Care', industry: 'Health Care Equipment', indexes: ['SP500'] },
+  { symbol: 'BIIB', name: 'Biogen Inc.', sector: 'Health Care', industry: 'Biotechnology', indexes: ['SP500'] },
+  { symbol: 'GILD', name: 'Gilead Sciences, Inc.', sector: 'Health Care', industry: 'Biotechnology', indexes: ['SP500', 'NDX'] },
+  { symbol: 'AMGN', name: 'Amgen Inc.', sector: 'Health Care', industry: 'Biotechnology', indexes: ['SP500', 'NDX'] },
+  { symbol: 'REGN', name: 'Regeneron Pharmaceuticals, Inc.', sector: 'Health Care', industry: 'Biotechnology', indexes: ['SP500', 'NDX'] },
+  { symbol: 'ISRG', name: 'Intuitive Surgical, Inc.', sector: 'Health Care', industry: 'Health Care Equipment', indexes: ['SP500', 'NDX'] },
+  { symbol: 'MRNA', name: 'Moderna, Inc.', sector: 'Health Care', industry: 'Biotechnology', indexes: ['SP500'] },
+
+  // Consumer / staples / discretionary / payments
+  { symbol: 'V', name: 'Visa Inc.', sector: 'Financials', industry: 'Transaction & Payment Processing Services', indexes: ['SP500'] },
+  { symbol: 'MA', name: 'Mastercard Incorporated', sector: 'Financials', industry: 'Transaction & Payment Processing Services', indexes: ['SP500'] },
+  { symbol: 'HD', name: 'The Home Depot, Inc.', sector: 'Consumer Discretionary', industry: 'Home Improvement Retail', indexes: ['SP500'] },
+  { symbol: 'DIS', name: 'The Walt Disney Company', sector: 'Communication Services', industry: 'Movies & Entertainment', indexes: ['SP500'] },
+  { symbol: 'MCD', name: "McDonald's Corporation", sector: 'Consumer Discretionary', industry: 'Restaurants', indexes: ['SP500'] },
+  { symbol: 'COST', name: 'Costco Wholesale Corporation', sector: 'Consumer Staples', industry: 'Consumer Staples Merchandise Retail', indexes: ['SP500', 'NDX'] },
+  { symbol: 'NKE', name: 'NIKE, Inc.', sector: 'Consumer Discretionary', industry: 'Footwear', indexes: ['SP500'] },
+  { symbol: 'KO', name: 'The Coca-Cola Company', sector: 'Consumer Staples', industry: 'Soft Drinks & Non-alcoholic Beverages', indexes: ['SP500'] },
+  { symbol: 'PEP', name: 'PepsiCo, Inc.', sector: 'Consumer Staples', industry: 'Soft Drinks & Non-alcoholic Beverages', indexes: ['SP500', 'NDX'] },
+  { symbol: 'PG', name: 'The Procter & Gamble Company', sector: 'Consumer Staples', industry: 'Household Products', indexes: ['SP500'] },
+  { symbol: 'SBUX', name: 'Starbucks Corporation', sector: 'Consumer Discretionary', industry: 'Restaurants', indexes: ['SP500', 'NDX'] },
+  { symbol: 'TGT', name: 'Target Corporation', sector: 'Consumer Staples', industry: 'Consumer Staples Merchandise Retail', indexes: ['SP500'] },
+  { symbol: 'LOW', name: "Lowe's Companies, Inc.", sector: 'Consumer Discretionary', industry: 'Home Improvement Retail', indexes: ['SP500'] },
+  { symbol: 'LULU', name: 'Lululemon Athletica Inc.', sector: 'Consumer Discretionary', industry: 'Apparel, Accessories & Luxury Goods', indexes: ['SP500', 'NDX'] },
+
+  // Semiconductors / hardware / equipment
+  { symbol: 'CSCO', name: 'Cisco Systems, Inc.', sector: 'Information Technology', industry: 'Communications Equipment', indexes: ['SP500', 'NDX'] },
+  { symbol: 'INTC', name: 'Intel Corporation', sector: 'Information Technology', industry: 'Semiconductors', indexes: ['SP500', 'NDX'] },
+  { symbol: 'QCOM', name: 'QUALCOMM Incorporated', sector: 'Information Technology', industry: 'Semiconductors', indexes: ['SP500', 'NDX'] },
+  { symbol: 'TXN', name: 'Texas Instruments Incorporated', sector: 'Information Technology', industry: 'Semiconductors', indexes: ['SP500', 'NDX'] },
+  { symbol: 'AMD', name: 'Advanced Micro Devices, Inc.', sector: 'Information Technology', industry: 'Semiconductors', indexes: ['SP500', 'NDX'] },
+  { symbol: 'AMAT', name: 'Applied Materials, Inc.', sector: 'Information Technology', industry: 'Semiconductor Materials & Equipment', indexes: ['SP500', 'NDX'] },
+  { symbol: 'ASML', name: 'ASML Holding N.V.', sector: 'Information Technology', industry: 'Semiconductor Materials & Equipment', indexes: ['NDX'] },
+  { symbol: 'ADI', name: 'Analog Devices, Inc.', sector: 'Information Technology', industry: 'Semiconductors', indexes: ['SP500', 'NDX'] },
+  { symbol: 'LRCX', name: 'Lam Research Corporation', sector: 'Information Technology', industry: 'Semiconductor Materials & Equipment', indexes: ['SP500', 'NDX'] },
+  { symbol: 'KLAC', name: 'KLA Corporation', sector: 'Information Technology', industry: 'Semiconductor Materials & Equipment', indexes: ['SP500', 'NDX'] },
+  { symbol: 'MU', name: 'Micron Technology, Inc.', sector: 'Information Technology', industry: 'Semiconductors', indexes: ['SP500', 'NDX'] },
+  { symbol: 'NXPI', name: 'NXP Semiconductors N.V.', sector: 'Information Technology', industry: 'Semiconductors', indexes: ['SP500', 'NDX'] },
+
+  // Enterprise & software / cloud / SaaS
+  { symbol: 'INTU', name: 'Intuit Inc.', sector: 'Information Technology', industry: 'Application Software', indexes: ['SP500', 'NDX'] },
+  { symbol: 'CRM', name: 'Salesforce, Inc.', sector: 'Information Technology', industry: 'Application Software', indexes: ['SP500'] },
+  { symbol: 'ORCL', name: 'Oracle Corporation', sector: 'Information Technology', industry: 'Systems Software', indexes: ['SP500'] },
+  { symbol: 'NOW', name: 'ServiceNow, Inc.', sector: 'Information Technology', industry: 'Systems Software', indexes: ['SP500'] },
+  { symbol: 'SNPS', name: 'Synopsys, Inc.', sector: 'Information Technology', industry: 'Application Software', indexes: ['SP500', 'NDX'] },
+  { symbol: 'ADSK', name: 'Autodesk, Inc.', sector: 'Information Technology', industry: 'Application Software', indexes: ['SP500', 'NDX'] },
+  { symbol: 'PYPL', name: 'PayPal Holdings, Inc.', sector: 'Financials', industry: 'Transaction & Payment Processing Services', indexes: ['SP500', 'NDX'] },
+  { symbol: 'ZM', name: 'Zoom Communications, Inc.', sector: 'Information Technology', industry: 'Application Software', indexes: [] },
+  { symbol: 'DOCU', name: 'DocuSign, Inc.', sector: 'Information Technology', industry: 'Application Software', indexes: [] },
+  { symbol: 'OKTA', name: 'Okta, Inc.', sector: 'Information Technology', industry: 'Application Software', indexes: [] },
+
+  // Communications / telecom / media
+  { symbol: 'VZ', name: 'Verizon Communications Inc.', sector: 'Communication Services', industry: 'Integrated Telecommunication Services', indexes: ['SP500'] },
+  { symbol: 'T', name: 'AT&T Inc.', sector: 'Communication Services', industry: 'Integrated Telecommunication Services', indexes: ['SP500'] },
+  { symbol: 'TMUS', name: 'T-Mobile US, Inc.', sector: 'Communication Services', industry: 'Wireless Telecommunication Services', indexes: ['SP500', 'NDX'] },
+  { symbol: 'CMCSA', name: 'Comcast Corporation', sector: 'Communication Services', industry: 'Cable & Satellite', indexes: ['SP500', 'NDX'] },
+  { symbol: 'CHTR', name: 'Charter Communications, Inc.', sector: 'Communication Services', industry: 'Cable & Satellite', indexes: ['SP500', 'NDX'] },
+  { symbol: 'WBD', name: 'Warner Bros. Discovery, Inc.', sector: 'Communication Services', industry: 'Movies & Entertainment', indexes: ['SP500'] },
+  { symbol: 'CMG', name: 'Chipotle Mexican Grill, Inc.', sector: 'Consumer Discretionary', industry: 'Restaurants', indexes: ['SP500'] },
+  { symbol: 'SIRI', name: 'Sirius XM Holdings Inc.', sector: 'Communication Services', industry: 'Broadcasting', indexes: [] },
+  { symbol: 'TTWO', name: 'Take-Two Interactive Software, Inc.', sector: 'Communication Services', industry: 'Interactive Home Entertainment', indexes: ['SP500', 'NDX'] },
+  { symbol: 'EBAY', name: 'eBay Inc.', sector: 'Consumer Discretionary', industry: 'Broadline Retail', indexes: ['SP500'] },
+  { symbol: 'EXC', name: 'Exelon Corporation', sector: 'Utilities', industry: 'Electric Utilities', indexes: ['SP500', 'NDX'] },
+  { symbol: 'MAR', name: 'Marriott International, Inc.', sector: 'Consumer Discretionary', industry: 'Hotels, Resorts & Cruise Lines', indexes: ['SP500', 'NDX'] },
+  { symbol: 'MELI', name: 'MercadoLibre, Inc.', sector: 'Consumer Discretionary', industry: 'Broadline Retail', indexes: ['NDX'] },
+  { symbol: 'MNST', name: 'Monster Beverage Corporation', sector: 'Consumer Staples', industry: 'Soft Drinks & Non-alcoholic Beverages', indexes: ['SP500', 'NDX'] },
+  { symbol: 'VRTX', name: 'Vertex Pharmaceuticals Incorporated', sector: 'Health Care', industry: 'Biotechnology', indexes: ['SP500', 'NDX'] },
+  { symbol: 'ZTS', name: 'Zoetis Inc.', sector: 'Health Care', industry: 'Pharmaceuticals', indexes: ['SP500'] },
+
+  // Industrials / energy / transportation / infrastructure
+  { symbol: 'XOM', name: 'Exxon Mobil Corporation', sector: 'Energy', industry: 'Integrated Oil & Gas', indexes: ['SP500'] },
+  { symbol: 'CVX', name: 'Chevron Corporation', sector: 'Energy', industry: 'Integrated Oil & Gas', indexes: ['SP500'] },
+  { symbol: 'COP', name: 'ConocoPhillips', sector: 'Energy', industry: 'Oil & Gas Exploration & Production', indexes: ['SP500'] },
+  { symbol: 'SLB', name: 'SLB N.V.', sector: 'Energy', industry: 'Oil & Gas Equipment & Services', indexes: ['SP500'] },
+  { symbol: 'CAT', name: 'Caterpillar Inc.', sector: 'Industrials', industry: 'Construction Machinery & Heavy Transportation Equipment', indexes: ['SP500'] },
+  { symbol: 'BA', name: 'The Boeing Company', sector: 'Industrials', industry: 'Aerospace & Defense', indexes: ['SP500'] },
+  { symbol: 'HON', name: 'Honeywell International Inc.', sector: 'Industrials', industry: 'Industrial Conglomerates', indexes: ['SP500', 'NDX'] },
+  { symbol: 'GE', name: 'GE Aerospace', sector: 'Industrials', industry: 'Aerospace & Defense', indexes: ['SP500'] },
+  { symbol: 'UNP', name: 'Union Pacific Corporation', sector: 'Industrials', industry: 'Rail Transportation', indexes: ['SP500'] },
+  { symbol: 'UPS', name: 'United Parcel Service, Inc.', sector: 'Industrials', industry: 'Air Freight & Logistics', indexes: ['SP500'] },
+  { symbol: 'DE', name: 'Deere & Company', sector: 'Industrials', industry: 'Agricultural & Farm Machinery', indexes: ['SP500'] },
+  { symbol: 'RTX', name: 'RTX Corporation', sector: 'Industrials', industry: 'Aerospace & Defense', indexes: ['SP500'] },
+
+  // Growth / newer economy / disruptors (non-meme)
+  { symbol: 'UBER', name: 'Uber Technologies, Inc.', sector: 'Industrials', industry: 'Passenger Ground Transportation', indexes: ['SP500'] },
+  { symbol: 'LYFT', name: 'Lyft, Inc.', sector: 'Industrials', industry: 'Passenger Ground Transportation', indexes: [] },
+  { symbol: 'SHOP', name: 'Shopify Inc.', sector: 'Information Technology', industry: 'Internet Services & Infrastructure', indexes: [] },
+  { symbol: 'SNAP', name: 'Snap Inc.', sector: 'Communication Services', industry: 'Interactive Media & Services', indexes: [] },
+  { symbol: 'ETSY', name: 'Etsy, Inc.', sector: 'Consumer Discretionary', industry: 'Broadline Retail', indexes: [] },
+  { symbol: 'ROKU', name: 'Roku, Inc.', sector: 'Communication Services', industry: 'Movies & Entertainment', indexes: [] },
+  { symbol: 'SPOT', name: 'Spotify Technology S.A.', sector: 'Communication Services', industry: 'Movies & Entertainment', indexes: [] },
+  { symbol: 'TWLO', name: 'Twilio Inc.', sector: 'Information Technology', industry: 'Internet Services & Infrastructure', indexes: [] },
+  { symbol: 'SNOW', name: 'Snowflake Inc.', sector: 'Information Technology', industry: 'Internet Services & Infrastructure', indexes: [] },
+  { symbol: 'PLTR', name: 'Palantir Technologies Inc.', sector: 'Information Technology', industry: 'Application Software', indexes: ['SP500', 'NDX'] },
+  { symbol: 'COIN', name: 'Coinbase Global, Inc.', sector: 'Financials', industry: 'Financial Exchanges & Data', indexes: ['SP500'] },
+  { symbol: 'RBLX', name: 'Roblox Corporation', sector: 'Communication Services', industry: 'Interactive Home Entertainment', indexes: [] },
+  { symbol: 'SOFI', name: 'SoFi Technologies, Inc.', sector: 'Financials', industry: 'Consumer Finance', indexes: [] },
+  { symbol: 'PTON', name: 'Peloton Interactive, Inc.', sector: 'Consumer Discretionary', industry: 'Leisure Products', indexes: [] },
+  { symbol: 'ARM', name: 'Arm Holdings plc', sector: 'Information Technology', industry: 'Semiconductors', indexes: ['NDX'] }
+];
@@ -0,0 +1,125 @@
+/**
+ * Earnings event normalization
+ *
+ * Finnhub calendar rows carry the report date plus `hour` (bmo / amc / dmh), EPS and revenue
+ * estimates, and the fiscal quarter/year. The session matters as much as the date:
+ *   bmo - reported before the open: the reaction trades the same day, so the last session before
+ *         the print is the previous trading day
+ *   amc - reported after the close: the report-day session is still tradeable, the reaction trades
+ *         the next trading day
+ *   dmh - reported during market hours: the reaction starts the same day
+ * Finnhub only publishes the session once the company has announced it; rows without one are
+ * projected dates and are treated as unconfirmed.
+ *
+ * Sessions follow the exchange calendar (trading-calendar.js), so holidays are skipped.
+ */
+
+import { isTradingDay, nextTradingDay, previousTradingDay } from './trading-calendar.js';
+import { toNumber } from './math.js';
+
+export const EARNINGS_TIMING = {
+    BEFORE_OPEN: 'bmo',
+    AFTER_CLOSE: 'amc',
+    DURING_MARKET: 'dmh',
+    UNKNOWN: 'unknown'
+};
+
+const TIMING_LABELS = {
+    bmo: 'before open',
+    amc: 'after close',
+    dmh: 'during market hours'
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Normalize Finnhub's `hour` field
+ * @param {string} [hour] - 'bmo', 'amc', 'dmh', '' or null
+ * @returns {string} One of EARNINGS_TIMING
+ */
+export function normalizeEarningsTiming(hour) {
+    const value = String(hour || '').trim().toLowerCase();
+    return Object.values(EARNINGS_TIMING).includes(value) ? value : EARNINGS_TIMING.UNKNOWN;
+}
+
+/**
+ * Normalize a Finnhub earnings-calendar row
+ * @param {Object} event - Calendar row ({ symbol, date, hour, quarter, year, epsEstimate, revenueEstimate, ... })
+ * @returns {Object} Normalized event
+ * @returns {string} returns.symbol - Stock symbol
+ * @returns {string} returns.date - Report date (YYYY-MM-DD)
+ * @returns {string} returns.timing - 'bmo', 'amc', 'dmh' or 'unknown'
+ * @returns {boolean} returns.confirmed - False for projected dates without an announced session
+ * @returns {number|null} returns.quarter - Fiscal quarter
+ * @returns {number|null} returns.year - Fiscal year
+ * @returns {number|null} returns.epsEstimate - Consensus EPS estimate
+ * @returns {number|null} returns.revenueEstimate - Consensus revenue estimate
+ * @returns {string} returns.lastSessionBeforePrint - Last session that trades entirely before the report
+ * @returns {string} returns.reactionSession - First session that trades on the report
+ */
+export function normalizeEarningsEvent(event) {
+    const timing = normalizeEarningsTiming(event.hour);
+
+    return {
+        ...event,
+        hour: event.hour || '',
+        timing,
+        confirmed: timing !== EARNINGS_TIMING.UNKNOWN,
+        quarter: toNumber(event.quarter),
+        year: toNumber(event.year),
+        epsEstimate: toNumber(event.epsEstimate),
+        epsActual: toNumber(event.epsActual),
+        revenueEstimate: toNumber(event.revenueEstimate),
+        revenueActual: toNumber(event.revenueActual),
+        lastSessionBeforePrint: getLastSessionBeforePrint(event.date, timing),
+        reactionSession: getReactionSession(event.date, timing)
+    };
+}
+
+/**
+ * Last trading session that closes before the report is released
+ * @param {string} date - Report date (YYYY-MM-DD)
+ * @param {string} [timing='unknown'] - EARNINGS_TIMING value
+ * @returns {string|null} Session date (YYYY-MM-DD)
+ * @description Only after-close reports leave the report day itself tradeable. Unknown timing is
+ * treated like a pre-market report so positions are never opened after the print.
+ */
+export function getLastSessionBeforePrint(date, timing = EARNINGS_TIMING.UNKNOWN) {
+    if (!isDateString(date)) return null;
+    return timing === EARNINGS_TIMING.AFTER_CLOSE && isTradingDay(date) ? date : previousTradingDay(date);
+}
+
+/**
+ * First trading session that reflects the report
+ * @param {string} date - Report date (YYYY-MM-DD)
+ * @param {string} [timing='unknown'] - EARNINGS_TIMING value
+ * @returns {string|null} Session date (YYYY-MM-DD)
+ * @description Unknown timing is treated like an after-close report so the chosen expiration
+ * always spans the reaction.
+ */
+export function getReactionSession(date, timing = EARNINGS_TIMING.UNKNOWN) {
+    if (!isDateString(date)) return null;
+    const sameDay = timing === EARNINGS_TIMING.BEFORE_OPEN || timing === EARNINGS_TIMING.DURING_MARKET;
+    return sameDay && isTradingDay(date) ? date : nextTradingDay(date);
+}
+
+/**
+ * Reader-facing description of when a company reports
+ * @param {Object} event - Normalized event (or any object with date and timing/hour)
+ * @returns {string} e.g. 'Reports Thu Jan 30 after close' or 'Reports Thu Jan 30 (time unconfirmed)'
+ */
+export function formatEarningsTiming(event) {
+    if (!isDateString(event?.date)) return 'Report date unavailable';
+
+    const date = new Date(`${event.date}T12:00:00Z`);
+    const day = `${WEEKDAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}`;
+    const timing = event.timing || normalizeEarningsTiming(event.hour);
+    const label = TIMING_LABELS[timing];
+
+    return label ? `Reports ${day} ${label}` : `Reports ${day} (time unconfirmed)`;
+}
+
+function isDateString(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
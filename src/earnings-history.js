@@ -0,0 +1,174 @@
+/**
+ * Historical earnings-move database
+ * Report dates: earningsCalendar providers (default Finnhub, per-symbol, with BMO/AMC timing)
+ * Price reaction: daily bars already fetched by SimplifiedDataProvider
+ *
+ * Measures how far each name actually moved around its last 8-12 reports so the
+ * straddle-implied move can be compared against realized history.
+ */
+
+import { createProviderRegistry } from './providers/registry.js';
+import DataCache from './cache.js';
+import { DAY_MS, toDateString } from './trading-calendar.js';
+import { round } from './math.js';
+
+const DEFAULT_MAX_REPORTS = 12;
+const DEFAULT_LOOKBACK_YEARS = 3;
+
+/**
+ * Per-symbol earnings-move history, cached for a week (CACHE_TTLS.earningsHistory)
+ * @class EarningsHistoryService
+ * @description Fetches past report dates from the earnings calendar, measures the close-to-open and
+ * close-to-close reaction around each one from daily bars, and caches the per-symbol
+ * summary (average / median / max move) across runs.
+ */
+class EarningsHistoryService {
+    /**
+     * @param {Object} [config={}] - Configuration options
+     * @param {ProviderRegistry} [config.providers] - Provider registry serving 'earningsCalendar'
+     * @param {string} [config.finnhubApiKey] - Finnhub API key, used to build a default registry
+     * @param {number} [config.maxReports=12] - Number of past reports to measure
+     * @param {DataCache} [config.cache] - Cross-run cache (defaults to in-memory)
+     */
+    constructor(config = {}) {
+        this.providers = config.providers || createProviderRegistry({ finnhubApiKey: config.finnhubApiKey });
+        this.maxReports = config.maxReports || DEFAULT_MAX_REPORTS;
+        this.cache = config.cache || new DataCache();
+    }
+
+    /**
+     * Get the earnings-move history for a symbol
+     * @async
+     * @param {string} symbol - Stock symbol
+     * @param {Array<Object>} prices - Daily bars (oldest first) with date, open and close
+     * @returns {Promise<Object|null>} Earnings-move summary or null when unavailable
+     */
+    async getEarningsHistory(symbol, prices) {
+        return this.cache.getOrLoad('earningsHistory', symbol, async () => {
+            if (!this.providers.supports('earningsCalendar') || !prices?.length) {
+                return null;
+            }
+
+            const reports = await this.getReportDates(symbol);
+            const moves = computeEarningsMoves(reports, prices);
+            return summarizeEarningsMoves(symbol, moves);
+        });
+    }
+
+    /**
+     * Past report dates (most recent first) from the earnings calendar
+     */
+    async getReportDates(symbol, now = new Date()) {
+        const from = toDateString(now.getTime() - DEFAULT_LOOKBACK_YEARS * 365 * DAY_MS);
+        const to = toDateString(now.getTime() - DAY_MS);
+
+        const { data: events } = await this.providers.request('earningsCalendar', { from, to, symbol });
+        return events
+            .filter(event => event.symbol === symbol && event.date)
+            .map(event => ({ date: event.date, hour: event.hour || '' }))
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .slice(0, this.maxReports);
+    }
+}
+
+/**
+ * Measure the price reaction around each earnings report
+ * @param {Array<{date: string, hour: string}>} reports - Report dates with Finnhub timing ('bmo', 'amc', 'dmh' or '')
+ * @param {Array<Object>} prices - Daily bars (oldest first) with date, open and close
+ * @returns {Array<Object>} One entry per measurable report, in report order
+ * @description Before-market-open reports react on the report date itself, so the
+ * reference close is the prior session. After-close (and unannounced) reports react on
+ * the following session. Moves are signed percentages.
+ */
+export function computeEarningsMoves(reports = [], prices = []) {
+    const bars = prices.filter(bar => bar && bar.date && bar.close > 0);
+    const moves = [];
+
+    for (const report of reports) {
+        const reactsSameDay = report.hour === 'bmo' || report.hour === 'dmh';
+        const reactionIndex = reactsSameDay
+            ? bars.findIndex(bar => bar.date >= report.date)
+            : bars.findIndex(bar => bar.date > report.date);
+
+        if (reactionIndex < 1) continue;
+
+        const before = bars[reactionIndex - 1];
+        const reaction = bars[reactionIndex];
+
+        // Skip reports where the bars around the print are missing (gaps longer than a long weekend)
+        if (Date.parse(reaction.date) - Date.parse(before.date) > 5 * DAY_MS) continue;
+
+        moves.push({
+            date: report.date,
+            hour: report.hour,
+            previousClose: before.close,
+            closeToOpen: reaction.open > 0 ? percentChange(before.close, reaction.open) : null,
+            closeToClose: percentChange(before.close, reaction.close)
+        });
+    }
+
+    return moves;
+}
+
+/**
+ * Summarize measured moves into per-symbol statistics
+ * @param {string} symbol - Stock symbol
+ * @param {Array<Object>} moves - Output of computeEarningsMoves
+ * @returns {Object|null} Summary statistics (absolute percentages) or null with no moves
+ */
+export function summarizeEarningsMoves(symbol, moves = []) {
+    if (moves.length === 0) return null;
+
+    const closeMoves = moves.map(move => Math.abs(move.closeToClose));
+    const gapMoves = moves.filter(move => move.closeToOpen != null).map(move => Math.abs(move.closeToOpen));
+
+    return {
+        symbol,
+        sampleSize: moves.length,
+        averageMove: round(mean(closeMoves)),
+        medianMove: round(median(closeMoves)),
+        maxMove: round(Math.max(...closeMoves)),
+        averageGap: gapMoves.length ? round(mean(gapMoves)) : null,
+        medianGap: gapMoves.length ? round(median(gapMoves)) : null,
+        maxGap: gapMoves.length ? round(Math.max(...gapMoves)) : null,
+        upMoves: moves.filter(move => move.closeToClose > 0).length,
+        downMoves: moves.filter(move => move.closeToClose < 0).length,
+        reports: moves,
+        lastUpdated: new Date().toISOString()
+    };
+}
+
+/**
+ * Compare the straddle-implied move against the average realized earnings move
+ * @param {number} impliedMovePercent - Straddle-implied move (%)
+ * @param {Object} earningsHistory - Output of summarizeEarningsMoves
+ * @returns {Object|null} { ratio, label } where label is 'rich', 'fair' or 'cheap'
+ */
+export function compareImpliedToRealized(impliedMovePercent, earningsHistory) {
+    if (!(impliedMovePercent > 0) || !(earningsHistory?.averageMove > 0)) {
+        return null;
+    }
+
+    const ratio = round(impliedMovePercent / earningsHistory.averageMove);
+    let label = 'fair';
+    if (ratio >= 1.15) label = 'rich';
+    else if (ratio <= 0.87) label = 'cheap';
+
+    return { ratio, label };
+}
+
+function percentChange(from, to) {
+    return round(((to - from) / from) * 100);
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+export default EarningsHistoryService;
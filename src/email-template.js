@@ -4,6 +4,12 @@
  * Modified for Issue: Fix 52-week range and add ticker hyperlinks to newsletter #16
  */
 
+import { formatEarningsTiming } from "./earnings-events.js";
+import { isEstimatedField } from "./provenance.js";
+import { formatLegs } from "./strategies.js";
+import { formatSizingGuidance } from "./position-sizing.js";
+import { formatMacroEvents, MACRO_LOOKAHEAD_DAYS } from "./market-context.js";
+
 const palette = {
   background: "#FAF6F0",
   surface: "#FDFDFD",
@@ -18,6 +24,7 @@ const palette = {
 const EmailTemplate = ({
   opportunities = [],
   marketContext = {},
+  trackRecord = null,
   date = new Date().toDateString(),
 }) => {
   const digestNote = marketContext?.digestNote;
@@ -28,6 +35,92 @@ const EmailTemplate = ({
     return palette.muted;
   };
 
+  // Small "(est.)" marker for fields filled from estimates rather than market data (see provenance.js)
+  const estimatedMark = (vol, field) =>
+    isEstimatedField(vol, field)
+      ? ` <span class="estimated" style="font-size: 9px; color: ${palette.muted};" title="Estimated">(est.)</span>`
+      : "";
+
+  // One small bar per scoring factor (points earned out of the factor's weight, see scoring.js)
+  const scoreBars = (breakdown) =>
+    (breakdown?.factors || [])
+      .filter((factor) => factor.weight > 0)
+      .map(
+        (factor) => `
+                <span class="score-factor" style="display: inline-block; margin: 0 10px 2px 0; font-size: 9px; color: ${palette.muted}; white-space: nowrap;">
+                  ${factor.label} ${factor.points}/${factor.weight}
+                  <span style="display: inline-block; width: 40px; height: 4px; margin-left: 3px; background-color: ${palette.highlight}; vertical-align: middle;">
+                    <span style="display: block; width: ${Math.round((factor.points / factor.weight) * 100)}%; height: 4px; background-color: ${palette.primaryDark};"></span>
+                  </span>
+                </span>`
+      )
+      .join("");
+
+  // Per-share Greeks quoted per contract (100 shares), e.g. "-$45"
+  const contractDollars = (value) =>
+    `${value < 0 ? "-" : ""}$${Math.abs(value * 100).toFixed(0)}`;
+
+  // Chain-built strategy (see strategies.js): strikes, legs and the computed figures, per contract
+  const strategyFigures = (candidate) => {
+    const figures = [
+      `${candidate.premiumType} ${contractDollars(candidate.premium)}`,
+      `max loss ${candidate.maxLoss == null ? "unlimited" : contractDollars(candidate.maxLoss)}`,
+    ];
+    if (candidate.breakevens.length) {
+      figures.push(`BE ${candidate.breakevens.map((value) => `$${value.toFixed(2)}`).join("/")}`);
+    }
+    if (candidate.probabilityOfProfit != null) {
+      figures.push(`POP ${candidate.probabilityOfProfit.toFixed(0)}%`);
+    }
+    const sizing = formatSizingGuidance(candidate.sizing);
+    return `<span style="color: ${palette.text}; font-weight: 500;">${candidate.label}</span> · ${figures.join(" · ")}
+                    <div style="font-size: 10px; margin-left: 10px;">${formatLegs(candidate)}</div>${
+                      sizing
+                        ? `
+                    <div class="position-sizing" style="font-size: 10px; margin-left: 10px;">Size: ${sizing}</div>`
+                        : ""
+                    }`;
+  };
+
+  // Term structure and skew of the post-earnings expiration (see volatility-surface.js)
+  const volatilitySurfaceRow = (surface) => {
+    if (!surface?.termStructure && !surface?.skew) return "";
+    const signed = (value) => `${value >= 0 ? "+" : ""}${value.toFixed(1)}`;
+    const term = surface.termStructure;
+    return `
+              <tr>
+                <td style="padding: 4px 8px 4px 0; font-weight: 500;">Term IV:</td>
+                <td style="padding: 4px 8px 4px 0;${term?.ratio >= 1.25 ? ` color: ${palette.primaryDark}; font-weight: 600;` : ""}">${
+                  term
+                    ? `${term.frontIV.toFixed(1)}% vs ${term.backIV.toFixed(1)}% (${signed(term.spread)} pts)`
+                    : "N/A"
+                }</td>
+                <td style="padding: 4px 8px 4px 0; font-weight: 500;">25Δ Skew:</td>
+                <td style="padding: 4px 0; font-size: 10px;">${
+                  surface.skew
+                    ? `RR ${signed(surface.skew.riskReversal)} pts${surface.smile ? ` · ${surface.smile.shape}, wings ${signed(surface.smile.butterfly)}` : ""}`
+                    : "N/A"
+                }</td>
+              </tr>`;
+  };
+
+  // Payoff diagrams under the strategy list (PNG, see payoff-chart.js)
+  const payoffCharts = (strategies, vol) => {
+    const charted = strategies.filter((strategy) => strategy.chart);
+    if (charted.length === 0) return "";
+    const move = vol.impliedEarningsMove?.move;
+    return `
+                <div class="payoff-charts" style="margin-top: 6px;">
+                  ${charted
+                    .map(
+                      ({ chart }) => `
+                  <img src="${chart.src}" width="${chart.width}" height="${chart.height}" alt="${chart.alt}" style="display: block; margin: 4px 0; border: 0; max-width: 100%; height: auto;">`
+                    )
+                    .join("")}
+                  <div style="font-size: 9px; color: ${palette.muted};">P&amp;L at expiration · shaded: expected move${move ? ` ±$${move.toFixed(2)}` : ""} · dotted: current price</div>
+                </div>`;
+  };
+
   const getRecommendationStyle = (recommendation) => {
     const styles = {
       "STRONGLY CONSIDER": `background-color: ${palette.primaryDark}; color: #ffffff; padding: 4px 8px; border-radius: 4px; font-size: 11px; font-weight: bold;`,
@@ -61,8 +154,8 @@ const EmailTemplate = ({
                             ${opp.symbol}
                           </a>
                         </h3>
-                        <span style="font-size: 12px; color: ${palette.muted}; margin-left: 12px;">$${vol.currentPrice?.toFixed(2) || "N/A"}</span>
-                        <span style="font-size: 12px; color: ${palette.muted}; margin-left: 8px;">${new Date(opp.date).toLocaleDateString("en-US", { month: "short", day: "numeric" })} (${opp.daysToEarnings}d)</span>
+                        <span style="font-size: 12px; color: ${palette.muted}; margin-left: 12px;">$${vol.currentPrice?.toFixed(2) || "N/A"}${estimatedMark(vol, "price")}</span>
+                        <span style="font-size: 12px; color: ${palette.muted}; margin-left: 8px;">${formatEarningsTiming(opp)} (${opp.daysToEarnings}d)</span>
                       </td>
                     </tr>
                   </table>
@@ -94,14 +187,40 @@ const EmailTemplate = ({
             <table class="metrics-table" style="width: 100%; font-size: 11px; color: ${palette.text}; border-collapse: collapse;">
               <tr>
                 <td style="padding: 4px 8px 4px 0; font-weight: 500; width: 20%;">IV/HV:</td>
-                <td style="padding: 4px 8px 4px 0; width: 30%;">${vol.impliedVolatility?.toFixed(1) || "N/A"}% / ${vol.historicalVolatility?.toFixed(1) || "N/A"}%</td>
-                <td style="padding: 4px 8px 4px 0; font-weight: 500; width: 20%;">Expected Move:</td>
+                <td style="padding: 4px 8px 4px 0; width: 30%;">${vol.impliedVolatility?.toFixed(1) || "N/A"}%${estimatedMark(vol, "impliedVolatility")} / ${vol.historicalVolatility?.toFixed(1) || "N/A"}%${estimatedMark(vol, "historicalVolatility")}</td>
+                <td style="padding: 4px 8px 4px 0; font-weight: 500; width: 20%;">30D Move:</td>
                 <td style="padding: 4px 0; width: 30%;">${
                   vol.expectedMove && vol.currentPrice
-                    ? `${((vol.expectedMove / vol.currentPrice) * 100).toFixed(1)}% ($${vol.expectedMove.toFixed(2)})`
+                    ? `${((vol.expectedMove / vol.currentPrice) * 100).toFixed(1)}% ($${vol.expectedMove.toFixed(2)})${estimatedMark(vol, "expectedMove")}`
+                    : "N/A"
+                }</td>
+              </tr>
+              <tr>
+                <td style="padding: 4px 8px 4px 0; font-weight: 500;">Earnings Move:</td>
+                <td style="padding: 4px 8px 4px 0; color: ${palette.primaryDark}; font-weight: 600;">${
+                  vol.impliedEarningsMove
+                    ? `±${vol.impliedEarningsMove.movePercent.toFixed(1)}% ($${vol.impliedEarningsMove.move.toFixed(2)})`
+                    : "N/A"
+                }</td>
+                <td style="padding: 4px 8px 4px 0; font-weight: 500;">Straddle:</td>
+                <td style="padding: 4px 0; font-size: 10px;">${
+                  vol.impliedEarningsMove
+                    ? `$${vol.impliedEarningsMove.strike} exp ${new Date(`${vol.impliedEarningsMove.expiration}T12:00:00Z`).toLocaleDateString("en-US", { month: "short", day: "numeric" })}`
                     : "N/A"
                 }</td>
               </tr>
+              ${
+                vol.optionPricing
+                  ? `
+              <tr>
+                <td style="padding: 4px 8px 4px 0; font-weight: 500;">Straddle POP:</td>
+                <td style="padding: 4px 8px 4px 0;">Short ${vol.optionPricing.probabilityOfProfit.short.toFixed(0)}% / Long ${vol.optionPricing.probabilityOfProfit.long.toFixed(0)}%</td>
+                <td style="padding: 4px 8px 4px 0; font-weight: 500;">Greeks:</td>
+                <td style="padding: 4px 0; font-size: 10px;">Θ ${contractDollars(vol.optionPricing.greeks.theta)}/day · Vega ${contractDollars(vol.optionPricing.greeks.vega)} · BE $${vol.optionPricing.breakevens.lower.toFixed(2)}-$${vol.optionPricing.breakevens.upper.toFixed(2)}</td>
+              </tr>`
+                  : ""
+              }
+              ${volatilitySurfaceRow(vol.volatilitySurface)}
               <tr>
                 <td style="padding: 4px 8px 4px 0; font-weight: 500;">Quality:</td>
                 <td style="padding: 4px 8px 4px 0; color: ${opp.qualityScore >= 70 ? palette.primaryDark : opp.qualityScore >= 40 ? palette.accent : palette.muted}; font-weight: 600;">
@@ -119,6 +238,15 @@ const EmailTemplate = ({
                 }
               </td>
               </tr>
+              ${
+                opp.scoreBreakdown
+                  ? `
+              <tr>
+                <td colspan="4" class="score-breakdown" style="padding: 2px 0 4px 0;">${scoreBars(opp.scoreBreakdown)}
+                </td>
+              </tr>`
+                  : ""
+              }
               <tr>
                 <td style="padding: 4px 8px 4px 0; font-weight: 500;">RSI:</td>
                 <td style="padding: 4px 8px 4px 0; color: ${
@@ -130,13 +258,13 @@ const EmailTemplate = ({
                         : palette.muted
                     : palette.muted
                 };">
-                  ${vol.technicalIndicators?.rsi?.toFixed(1) || "N/A"}
+                  ${vol.technicalIndicators?.rsi?.toFixed(1) || "N/A"}${vol.technicalIndicators?.rsi ? estimatedMark(vol, "rsi") : ""}
                 </td>
                 <td style="padding: 4px 8px 4px 0; font-weight: 500;">52W Range:</td>
                 <td style="padding: 4px 0; font-size: 10px;">
                   ${
                     vol.fiftyTwoWeekLow != null && vol.fiftyTwoWeekHigh != null
-                      ? `$${vol.fiftyTwoWeekLow.toFixed(2)} - $${vol.fiftyTwoWeekHigh.toFixed(2)}`
+                      ? `$${vol.fiftyTwoWeekLow.toFixed(2)} - $${vol.fiftyTwoWeekHigh.toFixed(2)}${estimatedMark(vol, "fiftyTwoWeekRange")}`
                       : "N/A"
                   }
                 </td>
@@ -152,10 +280,11 @@ const EmailTemplate = ({
                   .slice(0, 2)
                   .map(
                     (strategy) => `
-                  <div style="margin-bottom: 2px; color: ${palette.muted};">• ${strategy.name}</div>
+                  <div style="margin-bottom: 2px; color: ${palette.muted};">• ${strategy.candidate ? strategyFigures(strategy.candidate) : strategy.name}</div>
                 `
                   )
                   .join("")}
+                ${payoffCharts(analysis.strategies.slice(0, 2), vol)}
               </div>
             `
                 : ""
@@ -173,6 +302,13 @@ const EmailTemplate = ({
     </div>
   `;
 
+  // Graded calls from the past week with the rolling scorecard (see track-record.js)
+  const trackRecordHtml =
+    trackRecord?.calls?.length > 0 ? generateTrackRecordSection(trackRecord) : "";
+
+  // Index trends, VIX term structure, sectors and macro calendar (see market-context.js)
+  const marketHeaderHtml = generateMarketHeader(marketContext);
+
   // Generate AI consolidated recommendation
   const aiRecommendation =
     opportunities.length > 0
@@ -268,6 +404,8 @@ const EmailTemplate = ({
             ${digestNote ? `<p style="margin: 12px 0 0 0; font-size: 13px; color: ${palette.muted}; line-height: 1.6;">${digestNote}</p>` : ""}
           </div>
 
+          ${marketHeaderHtml}
+
           <div style="padding: 0;">
             <h2 style="font-size: 16px; font-weight: 600; margin: 24px 28px 8px 28px; color: ${palette.text}; text-transform: uppercase; letter-spacing: 0.08em;">
               📊 Earnings Opportunities
@@ -277,6 +415,8 @@ const EmailTemplate = ({
 
           ${aiRecommendation}
 
+          ${trackRecordHtml}
+
           ${
             marketContext.vix
               ? `
@@ -299,12 +439,13 @@ const EmailTemplate = ({
               📚 Key Terms
             </h3>
             <div style="font-size: 11px; color: ${palette.muted}; line-height: 1.5;">
-              <div style="margin-bottom: 6px;"><strong>IV (Implied Volatility):</strong> Market's expectation of future price movement</div>
+              <div style="margin-bottom: 6px;"><strong>IV (Implied Volatility):</strong> Market's expectation of future price movement (front-month ATM options; "est." marks a historical-volatility estimate when no chain was available)</div>
               <div style="margin-bottom: 6px;"><strong>HV (Historical Volatility):</strong> Past 30-day realized price movement</div>
               <div style="margin-bottom: 6px;"><strong>RSI (Relative Strength Index):</strong> Momentum indicator (0-100); >70 overbought, <30 oversold</div>
-              <div style="margin-bottom: 6px;"><strong>Expected Move:</strong> Predicted price range through earnings (1 std dev)</div>
+              <div style="margin-bottom: 6px;"><strong>Earnings Move:</strong> Market-implied earnings move from the ATM straddle on the first expiration after the report</div>
+              <div style="margin-bottom: 6px;"><strong>30D Move:</strong> One standard deviation 30-day range implied by IV</div>
               <div style="margin-bottom: 6px;"><strong>52W Range:</strong> 5-week high/low price range for recent context</div>
-              <div><strong>Quality Score:</strong> Composite ranking based on liquidity, volume, and data reliability</div>
+              <div><strong>Quality Score:</strong> Composite ranking of volatility, timing, liquidity, technicals and earnings edge; the bars show points earned per factor</div>
             </div>
           </div>
 
@@ -348,6 +489,108 @@ const EmailTemplate = ({
   return hyperlinkTickers(rawHtml);
 };
 
+// Helper function to generate the "Last week's calls" section
+function generateTrackRecordSection({ calls, scorecard }) {
+  const callLabels = {
+    "STRONGLY CONSIDER": "BUY",
+    NEUTRAL: "NEUTRAL",
+    "STAY AWAY": "AVOID",
+  };
+
+  const resultLabel = (result) => {
+    if (result.correct === true) return `<span style="color: ${palette.primaryDark}; font-weight: 600;">✓ Hit</span>`;
+    if (result.correct === false) return `<span style="color: ${palette.muted}; font-weight: 600;">✗ Miss</span>`;
+    return `<span style="color: ${palette.muted};">—</span>`;
+  };
+
+  const rows = calls
+    .map(
+      (call) => `
+          <tr>
+            <td style="padding: 4px 8px 4px 0; font-weight: 600;">${call.symbol}</td>
+            <td style="padding: 4px 8px 4px 0;">${callLabels[call.recommendation] || call.recommendation}${call.sentimentScore ? ` (${call.sentimentScore}/10)` : ""}</td>
+            <td style="padding: 4px 8px 4px 0;">${call.expectedMovePercent ? `±${call.expectedMovePercent.toFixed(1)}%` : "N/A"}</td>
+            <td style="padding: 4px 8px 4px 0;">${call.result.realizedMovePercent > 0 ? "+" : ""}${call.result.realizedMovePercent.toFixed(1)}%</td>
+            <td style="padding: 4px 0;">${resultLabel(call.result)}</td>
+          </tr>`
+    )
+    .join("");
+
+  const hitRates = Object.entries(scorecard?.byRecommendation || {})
+    .filter(([, stats]) => stats.graded > 0)
+    .map(([recommendation, stats]) => `${callLabels[recommendation] || recommendation} ${stats.hits}/${stats.graded} (${stats.hitRate}%)`);
+  const sentimentRates = Object.entries(scorecard?.bySentiment || {})
+    .filter(([, stats]) => stats.graded > 0)
+    .map(([bucket, stats]) => `sentiment ${bucket}: ${stats.hitRate}%`);
+
+  return `
+    <div style="margin: 24px 28px; padding: 18px; background-color: ${palette.surface}; border: 1px solid ${palette.accent}; border-radius: 8px;">
+      <h3 style="font-size: 14px; font-weight: 600; margin: 0 0 8px 0; color: ${palette.primaryDark}; text-transform: uppercase; letter-spacing: 0.05em;">
+        🗓️ Last Week's Calls
+      </h3>
+      <table class="metrics-table track-record" style="width: 100%; font-size: 11px; color: ${palette.text}; border-collapse: collapse;">
+        <tr style="color: ${palette.muted};">
+          <td style="padding: 0 8px 4px 0;">Ticker</td>
+          <td style="padding: 0 8px 4px 0;">Call</td>
+          <td style="padding: 0 8px 4px 0;">Expected</td>
+          <td style="padding: 0 8px 4px 0;">Actual</td>
+          <td style="padding: 0 0 4px 0;">Result</td>
+        </tr>${rows}
+      </table>
+      ${
+        hitRates.length > 0
+          ? `<p style="font-size: 11px; line-height: 1.5; margin: 8px 0 0 0; color: ${palette.muted};">
+        <strong>Last ${scorecard.windowDays} days:</strong> ${hitRates.join(" · ")}${sentimentRates.length > 0 ? ` · ${sentimentRates.join(", ")}` : ""}
+      </p>`
+          : ""
+      }
+      <p style="font-size: 10px; line-height: 1.4; margin: 6px 0 0 0; color: ${palette.muted};">
+        BUY calls hit when the stock stayed inside the expected earnings move; AVOID calls hit when it moved beyond it.
+      </p>
+    </div>
+  `;
+}
+
+// Helper function to generate the market backdrop under the intro
+function generateMarketHeader(marketContext) {
+  const indexes = marketContext?.indexes || [];
+  const term = marketContext?.vixTermStructure;
+  const sectors = marketContext?.sectors || [];
+  const macroEvents = marketContext?.macroEvents;
+  if (indexes.length === 0 && !term && sectors.length === 0 && !macroEvents) return "";
+
+  const signed = (value) => (value == null ? "N/A" : `${value >= 0 ? "+" : ""}${value.toFixed(1)}%`);
+  const trendArrows = { uptrend: "▲", downtrend: "▼", mixed: "▶" };
+  const row = (label, value) =>
+    `<div style="margin-bottom: 6px;"><strong style="color: ${palette.text};">${label}</strong> ${value}</div>`;
+
+  const chips = indexes
+    .map(
+      (index) => `<span class="index-chip" style="display: inline-block; margin: 0 6px 6px 0; padding: 3px 8px; background-color: ${palette.surface}; border: 1px solid ${palette.accent}; border-radius: 12px; color: ${palette.text};">
+        <strong>${index.symbol}</strong> ${signed(index.changePercent)} ${trendArrows[index.trend] || ""} ${index.trend}
+      </span>`
+    )
+    .join("");
+  const vixTerm = term
+    ? `${term.vix9d != null ? `${term.vix9d.toFixed(1)} / ` : ""}${term.vix.toFixed(1)} / ${term.vix3m.toFixed(1)} (${term.shape})`
+    : "";
+  const sectorLines = sectors
+    .map(
+      (sector) =>
+        `${sector.sector} (${sector.etf}) ${signed(sector.fiveDayChange)} 5d${sector.relativeToMarket != null ? `, ${sector.relativeToMarket >= 0 ? "+" : ""}${sector.relativeToMarket.toFixed(1)} vs SPY` : ""} — ${sector.symbols.join(", ")}`
+    )
+    .join("<br>");
+
+  return `
+    <div class="market-header" style="padding: 16px 28px; background-color: ${palette.highlight}; border-bottom: 1px solid ${palette.accent}; font-size: 12px; color: ${palette.muted}; line-height: 1.5;">
+      ${chips ? `<div style="margin-bottom: 6px;">${chips}</div>` : ""}
+      ${vixTerm ? row(`VIX ${term.vix9d != null ? "9D / " : ""}30D / 3M:`, vixTerm) : ""}
+      ${sectorLines ? row("Sectors:", sectorLines) : ""}
+      ${macroEvents ? row(`Macro (next ${MACRO_LOOKAHEAD_DAYS}d):`, formatMacroEvents(macroEvents)) : ""}
+    </div>
+  `;
+}
+
 // Helper function to generate consolidated AI recommendation
 function generateConsolidatedRecommendation(opportunities, marketContext) {
   const stronglyConsider = opportunities.filter(
@@ -13,6 +13,7 @@ import htmlToReactEmail from './email-renderer.js';
  * @param {string} [options.from] - Sender email address
  * @param {string} [options.subjectTag] - Custom subject tag
  * @param {number} [options.opportunityCount] - Override opportunity count
+ * @param {Object} [options.trackRecord] - Last week's graded calls and the rolling scorecard ({ calls, scorecard }, see track-record.js)
  * @returns {Promise<Object>} Delivery result object
  * @returns {boolean} returns.success - Whether email was sent successfully
  * @returns {string} returns.broadcastId - Resend broadcast ID for tracking
@@ -40,6 +41,7 @@ export async function sendEmailDigest(apiKey, audienceId, content, marketContext
         const htmlContent = EmailTemplate({
             opportunities: content,
             marketContext: marketContext,
+            trackRecord: options.trackRecord,
             date: today
         });
 
@@ -92,12 +94,13 @@ export async function sendEmailDigest(apiKey, audienceId, content, marketContext
 /**
  * Preview email template (for testing)
  */
-export function previewEmailTemplate(content, marketContext) {
+export function previewEmailTemplate(content, marketContext, trackRecord = null) {
     const today = new Date().toDateString();
     
     return EmailTemplate({
         opportunities: content,
         marketContext: marketContext,
+        trackRecord,
         date: today
     });
 }
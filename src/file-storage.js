@@ -0,0 +1,61 @@
+/**
+ * File-backed storage for the CLI
+ * Stores each key as a JSON file under a data directory (default: .data/).
+ * Keys use ':' as a namespace separator, so 'iv-history:AAPL' maps to .data/iv-history/AAPL.json.
+ *
+ * Node-only: never import this module from the Worker entry point.
+ */
+
+import { mkdir, readFile, writeFile, rm } from 'node:fs/promises';
+import path from 'node:path';
+
+export const DEFAULT_DATA_DIR = '.data';
+
+/**
+ * JSON file storage with the same interface as KVStorage / MemoryStorage
+ * @class FileStorage
+ */
+class FileStorage {
+    /**
+     * @param {string} [directory='.data'] - Root directory for stored files
+     */
+    constructor(directory = DEFAULT_DATA_DIR) {
+        this.directory = directory;
+        this.type = 'file';
+    }
+
+    async get(key) {
+        try {
+            const entry = JSON.parse(await readFile(this.pathFor(key), 'utf8'));
+            if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+                await this.delete(key);
+                return null;
+            }
+            return entry.value;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async put(key, value, options = {}) {
+        const filePath = this.pathFor(key);
+        await mkdir(path.dirname(filePath), { recursive: true });
+        const entry = {
+            value,
+            expiresAt: options.ttlSeconds ? Date.now() + options.ttlSeconds * 1000 : null
+        };
+        await writeFile(filePath, JSON.stringify(entry, null, 2));
+    }
+
+    async delete(key) {
+        await rm(this.pathFor(key), { force: true });
+    }
+
+    pathFor(key) {
+        const segments = key.split(':').map(segment => segment.replace(/[^A-Za-z0-9._-]/g, '_'));
+        return `${path.join(this.directory, ...segments)}.json`;
+    }
+}
+
+export default FileStorage;
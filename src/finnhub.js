@@ -1,5 +1,12 @@
-import { STOCK_UNIVERSE } from './config.js';
-import { getBulkVolatilityAnalysis, calculateVolatilityScore, initializeRealData } from './real-volatility.js';
+import { STOCK_UNIVERSE, REQUIRED_REAL_FIELDS, getQualityThreshold, getScoringModel } from './config.js';
+import { getBulkVolatilityAnalysis, calculateVolatilityScore, initializeRealData, getProviderRegistry } from './real-volatility.js';
+import { compareImpliedToRealized } from './earnings-history.js';
+import { seededRandom } from './random.js';
+import { normalizeEarningsEvent } from './earnings-events.js';
+import { calendarDaysBetween, toMarketDate, tradingDaysBetween } from './trading-calendar.js';
+import { createEstimatedProvenance, getEstimatedFields } from './provenance.js';
+import { toCanonicalSymbol, toProviderSymbol } from './symbols.js';
+import { scoreWithModel } from './scoring.js';
 
 /**
  * Finnhub API wrapper class
@@ -28,19 +35,27 @@ class FinnhubAPI {
 
     async getEarningsCalendar(fromDate, toDate) {
         const data = await this.makeRequest(`/calendar/earnings?from=${fromDate}&to=${toDate}`);
-        return data.earningsCalendar || [];
+        return (data.earningsCalendar || []).map(event => ({ ...event, symbol: toCanonicalSymbol(event.symbol, 'finnhub') }));
     }
 
     async getQuote(symbol) {
-        return this.makeRequest(`/quote?symbol=${symbol}`);
+        return this.makeRequest(`/quote?symbol=${toProviderSymbol(symbol, 'finnhub')}`);
     }
 
     async getCompanyProfile(symbol) {
-        return this.makeRequest(`/stock/profile2?symbol=${symbol}`);
+        return this.makeRequest(`/stock/profile2?symbol=${toProviderSymbol(symbol, 'finnhub')}`);
     }
 
     async getBasicFinancials(symbol) {
-        return this.makeRequest(`/stock/metric?symbol=${symbol}&metric=all`);
+        return this.makeRequest(`/stock/metric?symbol=${toProviderSymbol(symbol, 'finnhub')}&metric=all`);
+    }
+
+    async getStockSymbols(exchange = 'US') {
+        return this.makeRequest(`/stock/symbol?exchange=${exchange}`);
+    }
+
+    async getIndexConstituents(indexSymbol) {
+        return this.makeRequest(`/index/constituents?symbol=${encodeURIComponent(indexSymbol)}`);
     }
 }
 
@@ -49,23 +64,36 @@ class FinnhubAPI {
  * @async
  * @param {string} finnhubApiKey - Finnhub API key for earnings calendar data
  * @param {string} alphaVantageApiKey - Alpha Vantage API key (legacy fallback)
+ * @param {Object} [options={}] - Scan options
+ * @param {Object} [options.scoringModel] - Quality scoring model (see getScoringModel in config.js)
+ * @param {ProviderRegistry} [options.providers] - Registry gating the volatility analysis (defaults to the one
+ * built by initializeRealData)
  * @returns {Promise<Array<Object>>} Array of qualified earnings opportunities
  * @returns {Object[]} returns.opportunities - Individual opportunity objects
  * @returns {string} returns.opportunities[].symbol - Stock symbol
  * @returns {string} returns.opportunities[].date - Earnings date (YYYY-MM-DD)
- * @returns {number} returns.opportunities[].daysToEarnings - Days until earnings
+ * @returns {number} returns.opportunities[].daysToEarnings - Calendar days until the report
+ * @returns {number} returns.opportunities[].tradingDaysToEarnings - Sessions until the report (holidays excluded)
+ * @returns {string} returns.opportunities[].timing - Report session: 'bmo', 'amc', 'dmh' or 'unknown'
+ * @returns {boolean} returns.opportunities[].confirmed - False for projected dates without an announced session
+ * @returns {string} returns.opportunities[].lastSessionBeforePrint - Last session to open a position before the report
+ * @returns {string} returns.opportunities[].reactionSession - First session that trades on the report
  * @returns {Object} returns.opportunities[].volatilityData - Complete volatility analysis
  * @returns {number} returns.opportunities[].qualityScore - Composite quality score (0-100)
+ * @returns {Object} returns.opportunities[].scoreBreakdown - Points per scoring factor (see scoring.js)
  * @description Main pipeline function that scans earnings calendar, filters by stock universe,
  * performs volatility analysis, and calculates quality scores. Returns only opportunities
- * that pass timing (1-45 days) and universe (S&P 500 + NASDAQ 100) filters.
+ * that pass timing (QUALITY_THRESHOLDS days-to-earnings window, counted on the exchange calendar)
+ * and universe (S&P 500 + NASDAQ 100) filters.
  */
-export async function getEarningsOpportunities(finnhubApiKey, alphaVantageApiKey) {
+export async function getEarningsOpportunities(finnhubApiKey, alphaVantageApiKey, options = {}) {
+    const { scoringModel = getScoringModel('quality') } = options;
     const fromDate = new Date();
-    const toDate = new Date();
-    toDate.setDate(fromDate.getDate() + 45);
-    const fromDateStr = fromDate.toISOString().split('T')[0];
-    const toDateStr = toDate.toISOString().split('T')[0];
+    const minDays = getQualityThreshold('minDaysToEarnings');
+    const maxDays = getQualityThreshold('maxDaysToEarnings');
+    // Exchange-local dates so an evening run does not count from tomorrow's UTC date
+    const fromDateStr = toMarketDate(fromDate);
+    const toDateStr = toMarketDate(fromDate.getTime() + maxDays * 24 * 60 * 60 * 1000);
 
     console.log(`Scanning earnings from ${fromDateStr} to ${toDateStr}...`);
 
@@ -76,7 +104,9 @@ export async function getEarningsOpportunities(finnhubApiKey, alphaVantageApiKey
         throw new Error(`Finnhub API Error: ${response.statusText}`);
     }
     const data = await response.json();
-    const earningsCalendar = data.earningsCalendar || [];
+    // Keep the report session, estimates and fiscal period alongside the date; tickers in canonical format
+    const earningsCalendar = (data.earningsCalendar || [])
+        .map(event => normalizeEarningsEvent({ ...event, symbol: toCanonicalSymbol(event.symbol, 'finnhub') }));
 
     console.log(`📊 Total earnings found: ${earningsCalendar.length}`);
 
@@ -90,14 +120,12 @@ export async function getEarningsOpportunities(finnhubApiKey, alphaVantageApiKey
         console.log('   Symbols:', universeFiltered.map(e => e.symbol).slice(0, 10).join(', '));
     }
 
-    // Apply time window filter (7-30 days out) - more flexible for testing
-    const timeWindowFiltered = universeFiltered.filter(event => {
-        const earningsDate = new Date(event.date);
-        const daysToEarnings = Math.ceil((earningsDate - fromDate) / (1000 * 60 * 60 * 24));
-        return daysToEarnings >= 1 && daysToEarnings <= 45; // More flexible: 1-45 days instead of 7-30
-    });
+    // Time window: at least one session before the report, at most maxDaysToEarnings calendar days out
+    const timeWindowFiltered = universeFiltered
+        .map(event => ({ ...event, ...countDaysToEarnings(event, fromDate) }))
+        .filter(event => event.tradingDaysToEarnings >= minDays && event.daysToEarnings <= maxDays);
 
-    console.log(`📊 Earnings in optimal time window (1-45 days): ${timeWindowFiltered.length}`);
+    console.log(`📊 Earnings in optimal time window (${minDays}+ sessions, ≤${maxDays} days): ${timeWindowFiltered.length}`);
 
     if (timeWindowFiltered.length === 0) {
         console.log('ℹ️  No earnings found in time window. Relaxing filters for testing...');
@@ -110,7 +138,7 @@ export async function getEarningsOpportunities(finnhubApiKey, alphaVantageApiKey
         if (allUniverseEarnings.length > 0) {
             console.log('📊 Using closest available earnings for testing:');
             allUniverseEarnings.forEach(e => {
-                const daysAway = Math.ceil((new Date(e.date) - fromDate) / (1000 * 60 * 60 * 24));
+                const { daysToEarnings: daysAway } = countDaysToEarnings(e, fromDate);
                 console.log(`   ${e.symbol}: ${e.date} (${daysAway} days away)`);
             });
             
@@ -121,11 +149,21 @@ export async function getEarningsOpportunities(finnhubApiKey, alphaVantageApiKey
         return [];
     }
 
-    // If we have Alpha Vantage API, get volatility analysis
-    if (alphaVantageApiKey && timeWindowFiltered.length > 0) {
+    // Volatility analysis runs on the provider registry (keyless Yahoo included), not on any one API key
+    if (!options.providers && !getProviderRegistry()) {
+        await initializeRealData(alphaVantageApiKey, finnhubApiKey);
+    }
+    const providers = options.providers || getProviderRegistry();
+    if (providers?.supports('quote') && timeWindowFiltered.length > 0) {
+        if (!providers.supports('chain')) {
+            console.log('ℹ️  No options-chain provider configured, implied volatility will be estimated from HV');
+        }
         try {
             const symbols = timeWindowFiltered.map(event => event.symbol);
-            const volatilityData = await getBulkVolatilityAnalysis(symbols, alphaVantageApiKey);
+            const contexts = Object.fromEntries(
+                timeWindowFiltered.map(event => [event.symbol, { earningsDate: event.date, earningsTiming: event.timing }])
+            );
+            const volatilityData = await getBulkVolatilityAnalysis(symbols, alphaVantageApiKey, finnhubApiKey, contexts);
 
             // Create volatility lookup map from the object returned by getBulkVolatilityAnalysis
             const volatilityMap = new Map();
@@ -138,19 +176,23 @@ export async function getEarningsOpportunities(finnhubApiKey, alphaVantageApiKey
             // Enhance earnings data with volatility metrics and scoring
             const enhancedOpportunities = timeWindowFiltered.map(event => {
                 const volatility = volatilityMap.get(event.symbol);
-                const earningsDate = new Date(event.date);
-                const daysToEarnings = Math.ceil((earningsDate - new Date()) / (1000 * 60 * 60 * 24));
                 
                 const enhanced = {
                     ...event,
-                    daysToEarnings,
                     volatilityData: volatility,
                     volatilityScore: calculateVolatilityScore(volatility),
+                    earningsHistory: volatility?.earningsHistory || null,
+                    isSynthetic: Boolean(volatility?.isSynthetic),
+                    impliedVsRealized: compareImpliedToRealized(
+                        volatility?.impliedEarningsMove?.movePercent,
+                        volatility?.earningsHistory
+                    ),
                     qualityScore: 0
                 };
 
-                // Calculate composite quality score
-                enhanced.qualityScore = calculateQualityScore(enhanced);
+                // Composite quality score, with the per-factor breakdown for the email and run summary
+                enhanced.scoreBreakdown = scoreOpportunity(enhanced, scoringModel);
+                enhanced.qualityScore = enhanced.scoreBreakdown.score;
                 
                 return enhanced;
             });
@@ -165,165 +207,145 @@ export async function getEarningsOpportunities(finnhubApiKey, alphaVantageApiKey
 
             return qualifiedOpportunities.slice(0, 5);
         } catch (error) {
-            console.warn('⚠️  Error with Alpha Vantage API, falling back to basic data:', error.message);
+            console.warn('⚠️  Volatility analysis failed, falling back to basic data:', error.message);
             // Fall back to basic earnings data without volatility
             return timeWindowFiltered.slice(0, 5).map(event => createMockEnhancedOpportunity(event, fromDate));
         }
     }
 
-    // Fallback without Alpha Vantage data
-    console.log('📊 No Alpha Vantage API key provided, using basic earnings data');
+    // Fallback without a quote provider
+    console.log('📊 No market-data provider serves quotes, using basic earnings data');
     return timeWindowFiltered.slice(0, 5).map(event => createMockEnhancedOpportunity(event, fromDate));
 }
 
+/**
+ * Calendar and trading days from the scan date to the report
+ * @param {Object} event - Earnings event with a YYYY-MM-DD date
+ * @param {Date} fromDate - Scan date
+ * @returns {{daysToEarnings: number, tradingDaysToEarnings: number}} Day counts (see trading-calendar.js)
+ */
+export function countDaysToEarnings(event, fromDate = new Date()) {
+    return {
+        daysToEarnings: calendarDaysBetween(fromDate, event.date),
+        tradingDaysToEarnings: tradingDaysBetween(fromDate, event.date)
+    };
+}
+
 /**
  * Create a mock enhanced opportunity for testing when Alpha Vantage data is unavailable
+ * @param {Object} event - Earnings calendar event
+ * @param {Date} fromDate - Scan start date
+ * @param {function(): number} [random] - Generator in [0, 1); defaults to one seeded by symbol and date
+ * @returns {Object} Opportunity flagged with isSynthetic: true
+ * @description Numbers are derived from a seed, so the same event always produces the same
+ * mock values. The synthetic flag keeps these out of the broadcast unless explicitly allowed.
  */
-function createMockEnhancedOpportunity(event, fromDate) {
-    const earningsDate = new Date(event.date);
-    const daysToEarnings = Math.ceil((earningsDate - fromDate) / (1000 * 60 * 60 * 24));
+export function createMockEnhancedOpportunity(event, fromDate, random = seededRandom('mock-opportunity', event.symbol, event.date)) {
+    const { daysToEarnings, tradingDaysToEarnings } = countDaysToEarnings(event, fromDate);
     
     // Create mock volatility data for testing
     const mockVolatilityData = {
         symbol: event.symbol,
-        currentPrice: 150 + Math.random() * 100, // Mock price
-        historicalVolatility: 20 + Math.random() * 30,
-        impliedVolatility: 25 + Math.random() * 25,
-        expectedMove: 5 + Math.random() * 15,
-        optionsVolume: Math.floor(1000 + Math.random() * 20000),
+        currentPrice: 150 + random() * 100, // Mock price
+        historicalVolatility: 20 + random() * 30,
+        impliedVolatility: 25 + random() * 25,
+        impliedVolatilitySource: 'estimated',
+        expectedMove: 5 + random() * 15,
+        optionsVolume: Math.floor(1000 + random() * 20000),
         technicalIndicators: {
-            rsi: 30 + Math.random() * 40
-        }
+            rsi: 30 + random() * 40,
+            source: 'estimated'
+        },
+        isSynthetic: true
     };
+    mockVolatilityData.provenance = createEstimatedProvenance({
+        price: mockVolatilityData.currentPrice,
+        impliedVolatility: mockVolatilityData.impliedVolatility,
+        historicalVolatility: mockVolatilityData.historicalVolatility,
+        rsi: mockVolatilityData.technicalIndicators.rsi,
+        expectedMove: mockVolatilityData.expectedMove,
+        optionsVolume: mockVolatilityData.optionsVolume
+    });
 
     return {
         ...event,
         daysToEarnings: Math.abs(daysToEarnings), // Use absolute value for testing
+        tradingDaysToEarnings: Math.abs(tradingDaysToEarnings),
         volatilityData: mockVolatilityData,
-        volatilityScore: 50 + Math.floor(Math.random() * 30), // Random score 50-80
-        qualityScore: 40 + Math.floor(Math.random() * 40) // Random score 40-80
+        volatilityScore: 50 + Math.floor(random() * 30), // Mock score 50-80
+        qualityScore: 40 + Math.floor(random() * 40), // Mock score 40-80
+        isSynthetic: true
     };
 }
 
 /**
- * Calculate composite quality score for an earnings opportunity
+ * Drop opportunities built from synthetic (mock/placeholder) data unless explicitly allowed
+ * @param {Array<Object>} opportunities - Scanned opportunities
+ * @param {Object} [options={}] - Filter options
+ * @param {boolean} [options.allowSynthetic=false] - Keep synthetic opportunities (ALLOW_SYNTHETIC_DATA=true)
+ * @returns {{opportunities: Array<Object>, excluded: number}} Remaining opportunities and how many were dropped
  */
-function calculateQualityScore(opportunity) {
-    let score = 10; // Base score for having earnings data
-    const weights = {
-        volatility: 30,
-        timing: 25,
-        liquidity: 20,
-        technical: 15,
-        dataAvailability: 10
-    };
-
-    // Give base points for having volatility data at all
-    if (opportunity.volatilityData) {
-        score += weights.dataAvailability;
-        
-        // Give points for having historical volatility (even if IV is missing)
-        if (opportunity.volatilityData.historicalVolatility > 0) {
-            score += 5; // Bonus for having historical data
-        }
+export function excludeSyntheticOpportunities(opportunities, options = {}) {
+    if (options.allowSynthetic) {
+        return { opportunities, excluded: 0 };
     }
 
-    // Volatility score (from volatility analysis) - use the detailed volatility score
-    const volatilityScore = opportunity.volatilityData?.volatilityScore || opportunity.volatilityScore || 0;
-    if (volatilityScore > 70) {
-        score += weights.volatility;
-    } else if (volatilityScore > 50) {
-        score += weights.volatility * 0.8;
-    } else if (volatilityScore > 30) {
-        score += weights.volatility * 0.6;
-    } else if (volatilityScore > 10) {
-        score += weights.volatility * 0.4;
-    } else {
-        score += weights.volatility * 0.2; // Even very low scores get some points
-    }
-
-    // Timing score - prefer 14-21 days to earnings
-    const daysToEarnings = opportunity.daysToEarnings;
-    if (daysToEarnings >= 14 && daysToEarnings <= 21) {
-        score += weights.timing;
-    } else if (daysToEarnings >= 10 && daysToEarnings <= 28) {
-        score += weights.timing * 0.7;
-    } else if (daysToEarnings >= 5 && daysToEarnings <= 35) {
-        score += weights.timing * 0.4;
-    } else {
-        score += weights.timing * 0.2; // Even bad timing gets some points
-    }
-
-    // Liquidity score based on options volume - but more tolerant
-    const optionsVolume = opportunity.volatilityData?.optionsVolume || 0;
-    if (optionsVolume > 10000) {
-        score += weights.liquidity;
-    } else if (optionsVolume > 5000) {
-        score += weights.liquidity * 0.7;
-    } else if (optionsVolume > 1000) {
-        score += weights.liquidity * 0.4;
-    } else if (optionsVolume > 0) {
-        score += weights.liquidity * 0.2; // Some volume is better than none
-    }
+    const real = opportunities.filter(opportunity => !opportunity.isSynthetic);
+    return { opportunities: real, excluded: opportunities.length - real.length };
+}
 
-    // Technical score based on RSI extremes
-    const rsi = opportunity.volatilityData?.technicalIndicators?.rsi;
-    if (rsi) {
-        if (rsi > 70 || rsi < 30) {
-            score += weights.technical; // Extreme levels good for mean reversion
-        } else if (rsi > 60 || rsi < 40) {
-            score += weights.technical * 0.5;
+/**
+ * Quality gate: drop opportunities whose key fields are estimated rather than market data
+ * @param {Array<Object>} opportunities - Scanned opportunities
+ * @param {Object} [options={}] - Filter options
+ * @param {Array<string>} [options.requiredFields=REQUIRED_REAL_FIELDS] - Provenance fields that must be real
+ * @returns {{opportunities: Array<Object>, excluded: number, reasons: Object}} Remaining opportunities, how many
+ * were dropped, and the estimated fields of each dropped symbol
+ * @description Synthetic opportunities are left to excludeSyntheticOpportunities (and ALLOW_SYNTHETIC_DATA);
+ * this gate only judges opportunities built from live data.
+ */
+export function excludeEstimatedOpportunities(opportunities, options = {}) {
+    const requiredFields = options.requiredFields ?? REQUIRED_REAL_FIELDS;
+    const kept = [];
+    const reasons = {};
+
+    for (const opportunity of opportunities) {
+        const estimated = opportunity.isSynthetic
+            ? []
+            : getEstimatedFields(opportunity.volatilityData, requiredFields);
+
+        if (estimated.length > 0) {
+            reasons[opportunity.symbol] = estimated;
         } else {
-            score += weights.technical * 0.2; // Any RSI data gets some points
+            kept.push(opportunity);
         }
     }
 
-    return Math.round(score);
+    return { opportunities: kept, excluded: opportunities.length - kept.length, reasons };
 }
 
 /**
- * Get market volatility context and regime classification
- * @async
- * @param {string} finnhubApiKey - Finnhub API key for VIX data
- * @returns {Promise<Object>} Market context object
- * @returns {number|null} returns.vix - Current VIX level or null if unavailable
- * @returns {string} returns.marketRegime - Volatility regime classification
- * @returns {string} returns.lastUpdated - ISO timestamp of data retrieval
- * @description Fetches VIX data and classifies market volatility regime:
- * - 'low-volatility': VIX < 20 (premium selling favored)
- * - 'normal': VIX 20-30 (balanced strategies)
- * - 'high-volatility': VIX > 30 (premium buying considerations)
- * Used by AI analysis for strategy recommendations.
+ * Composite quality score with per-factor breakdown
+ * @param {Object} opportunity - Enhanced opportunity (volatilityData, daysToEarnings, impliedVsRealized)
+ * @param {Object} [model] - Scoring model (defaults to SCORING_MODELS.quality)
+ * @returns {Object} scoreWithModel breakdown; `score` is the 0-100 quality score
  */
-export async function getMarketContext(finnhubApiKey) {
-    try {
-        // Get VIX data for market volatility context
-        const vixUrl = `https://finnhub.io/api/v1/quote?symbol=VIX&token=${finnhubApiKey}`;
-        const vixResponse = await fetch(vixUrl);
-        
-        if (!vixResponse.ok) {
-            console.warn('Failed to fetch VIX data');
-            return { vix: null, marketRegime: 'unknown' };
-        }
-        
-        const vixData = await vixResponse.json();
-        const vixLevel = vixData.c; // Current price
-        
-        let marketRegime = 'normal';
-        if (vixLevel > 30) marketRegime = 'high-volatility';
-        else if (vixLevel > 20) marketRegime = 'elevated-volatility';
-        else if (vixLevel < 15) marketRegime = 'low-volatility';
-        
-        return {
-            vix: vixLevel,
-            marketRegime,
-            lastUpdated: new Date().toISOString()
-        };
-        
-    } catch (error) {
-        console.error('Error fetching market context:', error);
-        return { vix: null, marketRegime: 'unknown' };
-    }
+export function scoreOpportunity(opportunity, model = getScoringModel('quality')) {
+    return scoreWithModel(model, opportunity);
+}
+
+/**
+ * Classify the market volatility regime from a VIX level
+ * @param {number|null} vixLevel - VIX close
+ * @returns {string} 'high-volatility' (> 30), 'elevated-volatility' (> 20), 'low-volatility' (< 15),
+ * 'normal', or 'unknown' without a level
+ */
+export function classifyMarketRegime(vixLevel) {
+    if (!(vixLevel > 0)) return 'unknown';
+    if (vixLevel > 30) return 'high-volatility';
+    if (vixLevel > 20) return 'elevated-volatility';
+    if (vixLevel < 15) return 'low-volatility';
+    return 'normal';
 }
 
 export default FinnhubAPI;
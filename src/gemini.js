@@ -1,11 +1,17 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import { formatEarningsTiming } from "./earnings-events.js";
+import { formatStrategyCandidate, matchStrategyCandidate } from "./strategies.js";
+import { formatSizingGuidance } from "./position-sizing.js";
+import { formatVolatilitySurface } from "./volatility-surface.js";
+import { formatMarketContext, formatSectorContext } from "./market-context.js";
+import { formatIVRank } from "./iv-history.js";
 
 /**
  * Generate AI-powered trading ideas using Google Gemini
  * @async
  * @param {string} apiKey - Google Gemini API key
  * @param {Array<Object>} opportunities - Array of earnings opportunities from scanner
- * @param {Object} marketContext - Market volatility context from getMarketContext
+ * @param {Object} marketContext - Market context from getMarketContext (market-context.js)
  * @returns {Promise<Array<Object>>} Array of analyzed opportunities with AI insights
  * @returns {Object[]} returns.analyses - Individual analysis objects
  * @returns {Object} returns.analyses[].opportunity - Original opportunity data
@@ -70,18 +76,31 @@ async function generateSingleAnalysis(model, opportunity, marketContext) {
 
 /**
  * Create enhanced prompt with quantitative data
+ * @param {Object} opportunity - Earnings opportunity with volatilityData
+ * @param {Object} marketContext - Market context (VIX, index trends, sector ETFs, macro calendar)
+ * @returns {string} Prompt text
+ * @description When the chain produced strategy candidates (strategies.js) the model must pick
+ * among them by name; every strike, premium, max loss and POP is computed in code.
  */
-function createEnhancedPrompt(opportunity, marketContext) {
+export function createEnhancedPrompt(opportunity, marketContext) {
     const vol = opportunity.volatilityData;
     const marketRegimeDescription = getMarketRegimeDescription(marketContext);
     
     const prompt = `
 QUANTITATIVE ANALYST: Analyze this earnings opportunity. KEEP RESPONSE CONCISE.
 
-STOCK: ${opportunity.symbol} | Earnings: ${opportunity.date} (${opportunity.daysToEarnings}d)
-Price: $${vol?.currentPrice?.toFixed(2) || 'N/A'} | Expected Move: ${vol?.expectedMove ? `${((vol.expectedMove/vol.currentPrice)*100).toFixed(1)}%` : 'N/A'}
-IV: ${vol?.impliedVolatility?.toFixed(1) || 'N/A'}% | HV: ${vol?.historicalVolatility?.toFixed(1) || 'N/A'}% | RSI: ${vol?.technicalIndicators?.rsi?.toFixed(1) || 'N/A'}
+STOCK: ${opportunity.symbol} | Earnings: ${formatEarningsTiming(opportunity)} (${opportunity.daysToEarnings}d)${formatEarningsSessions(opportunity)}
+Price: $${vol?.currentPrice?.toFixed(2) || 'N/A'} | 30D Expected Move: ${vol?.expectedMove ? `${((vol.expectedMove/vol.currentPrice)*100).toFixed(1)}%` : 'N/A'}
+Straddle-Implied Earnings Move: ${formatImpliedEarningsMove(vol?.impliedEarningsMove)}
+Model Pricing (computed): ${formatOptionPricing(vol?.optionPricing)}
+${formatStrategyCandidates(vol?.strategyCandidates)}
+Realized Earnings Moves: ${formatEarningsHistory(opportunity.earningsHistory, opportunity.impliedVsRealized)}
+IV: ${formatImpliedVolatility(vol)} | IV Rank: ${formatIVRank(vol)} | HV: ${vol?.historicalVolatility?.toFixed(1) || 'N/A'}% | RSI(14): ${vol?.technicalIndicators?.rsi?.toFixed(1) || 'N/A'}
+Vol Surface (computed): ${formatVolatilitySurface(vol?.volatilitySurface)}
+Technicals: ${formatTechnicals(vol?.technicalIndicators, vol?.currentPrice)}
 Quality: ${opportunity.qualityScore}/100 | VIX: ${marketContext?.vix?.toFixed(1) || 'N/A'} (${marketContext?.marketRegime || 'Unknown'})
+Market: ${formatMarketContext(marketContext)}
+Sector: ${formatSectorContext(marketContext, opportunity.symbol)}
 
 RESPOND IN EXACTLY THIS FORMAT (NO EXTRA TEXT):
 
@@ -91,9 +110,7 @@ RESPOND IN EXACTLY THIS FORMAT (NO EXTRA TEXT):
 
 **REASONING:** [2-3 sentences max explaining key factors]
 
-**STRATEGIES:**
-1. **[Strategy Name]** - POP: [%], Risk: $[amount], Entry: [timing]  
-2. **[Strategy Name]** - POP: [%], Risk: $[amount], Entry: [timing]
+${formatStrategyInstructions(vol?.strategyCandidates)}
 
 **KEY RISKS:** [1-2 bullets max]
 
@@ -102,10 +119,119 @@ BE CONCISE. NO FLUFF.`;
     return prompt;
 }
 
+/**
+ * Last session to enter before the report and the EPS consensus, when known
+ */
+function formatEarningsSessions(opportunity) {
+    const parts = [];
+    if (opportunity.lastSessionBeforePrint) parts.push(`Last session before print: ${opportunity.lastSessionBeforePrint}`);
+    if (opportunity.epsEstimate != null) parts.push(`EPS est: ${opportunity.epsEstimate}`);
+    return parts.length ? `\n${parts.join(' | ')}` : '';
+}
+
+/**
+ * Format implied volatility with its origin so estimates are never presented as market data
+ */
+function formatImpliedVolatility(vol) {
+    if (!vol?.impliedVolatility) return 'N/A';
+    const value = `${vol.impliedVolatility.toFixed(1)}%`;
+
+    if (vol.impliedVolatilitySource === 'estimated') {
+        return `${value} (ESTIMATED from HV - no options chain)`;
+    }
+    if (vol.optionsChain?.frontMonth?.expiration) {
+        return `${value} (ATM ${vol.optionsChain.frontMonth.expiration}, ${vol.optionsChain.source} chain)`;
+    }
+    return value;
+}
+
+/**
+ * Format the straddle-implied earnings move for the prompt
+ */
+function formatImpliedEarningsMove(move) {
+    if (!move) return 'N/A (no options chain)';
+    return `±$${move.move.toFixed(2)} (±${move.movePercent.toFixed(1)}%) from $${move.strike} straddle expiring ${move.expiration}`;
+}
+
+/**
+ * List the chain-built strategy candidates the model has to choose from, with their computed sizing
+ */
+function formatStrategyCandidates(strategyCandidates) {
+    if (!strategyCandidates?.candidates?.length) return 'Strategy Candidates: N/A (no options chain)';
+    const lines = strategyCandidates.candidates.map(candidate => {
+        const sizing = formatSizingGuidance(candidate.sizing);
+        return `- ${formatStrategyCandidate(candidate)}${sizing ? ` | Size: ${sizing}` : ''}`;
+    });
+    const account = strategyCandidates.candidates.find(candidate => candidate.sizing)?.sizing.account;
+    const sizingNote = account
+        ? `; sizing for a $${account.accountSize.toLocaleString('en-US')} account, ${account.maxRiskPerTrade}% max risk per trade, ${account.maxPortfolioHeat}% portfolio heat`
+        : '';
+    return `Strategy Candidates (computed from the ${strategyCandidates.expiration} chain, per share${sizingNote}):\n${lines.join('\n')}`;
+}
+
+/**
+ * Strategy section of the response format: pick candidates by name, or generic ideas without a chain
+ */
+function formatStrategyInstructions(strategyCandidates) {
+    if (!strategyCandidates?.candidates?.length) {
+        return `**STRATEGIES:**
+1. **[Strategy Name]** - Entry: [timing]
+2. **[Strategy Name]** - Entry: [timing]
+(No chain-based candidates: name strategy types only. Do not state strikes, POP, breakevens or dollar risk.)`;
+    }
+    return `**STRATEGIES:** (choose 1-2 of the Strategy Candidates above, using their exact name)
+1. **[Candidate Name]** - Why: [one sentence], Entry: [timing]
+2. **[Candidate Name]** - Why: [one sentence], Entry: [timing]
+(Do not change strikes or restate POP, premium, risk or position size; they are shown from the computed figures.)`;
+}
+
+/**
+ * Format the code-computed straddle pricing (POP, breakevens, Greeks) so the model never invents them
+ */
+function formatOptionPricing(pricing) {
+    if (!pricing) return 'N/A (no options chain)';
+    const { probabilityOfProfit: pop, breakevens, greeks } = pricing;
+    return `$${pricing.strike} straddle $${pricing.premium.toFixed(2)} (model $${pricing.theoreticalPrice.toFixed(2)}) | Breakevens $${breakevens.lower.toFixed(2)}-$${breakevens.upper.toFixed(2)} | POP short ${pop.short.toFixed(0)}% / long ${pop.long.toFixed(0)}% | Per straddle: delta ${greeks.delta.toFixed(2)}, theta $${greeks.theta.toFixed(2)}/day, vega $${greeks.vega.toFixed(2)}`;
+}
+
+/**
+ * Format ATR, moving averages and Bollinger width (only values computed from real price history)
+ */
+function formatTechnicals(indicators, currentPrice) {
+    if (!indicators || indicators.source !== 'computed') return 'N/A (no price history)';
+
+    const parts = [];
+    if (indicators.atr != null) parts.push(`ATR(14) $${indicators.atr.toFixed(2)} (${indicators.atrPercent.toFixed(1)}%)`);
+    for (const period of [20, 50, 200]) {
+        const sma = indicators[`sma${period}`];
+        if (sma == null) continue;
+        const position = currentPrice ? (currentPrice >= sma ? ' above' : ' below') : '';
+        parts.push(`SMA${period} $${sma.toFixed(2)}${position}`);
+    }
+    if (indicators.bollingerBandwidth != null) parts.push(`BB width ${indicators.bollingerBandwidth.toFixed(1)}%`);
+
+    return parts.length ? parts.join(' | ') : 'N/A (insufficient price history)';
+}
+
+/**
+ * Format the realized earnings-move history and how the straddle compares to it
+ */
+function formatEarningsHistory(history, impliedVsRealized) {
+    if (!history) return 'N/A (no earnings history)';
+    const stats = `avg ±${history.averageMove.toFixed(1)}% | median ±${history.medianMove.toFixed(1)}% | max ±${history.maxMove.toFixed(1)}% (last ${history.sampleSize} reports)`;
+    if (!impliedVsRealized) return stats;
+    return `${stats} | Implied/Realized: ${impliedVsRealized.ratio.toFixed(2)}x (${impliedVsRealized.label.toUpperCase()})`;
+}
+
 /**
  * Parse structured AI response into organized data
+ * @param {string} rawResponse - Model response text
+ * @param {Object} opportunity - Opportunity the response is about
+ * @returns {Object} Analysis; strategies naming one of the opportunity's strategy candidates
+ * carry it as `candidate` (null for free-text strategies), and `positionSizing` summarizes the
+ * computed sizing of those candidates (see position-sizing.js)
  */
-function parseAnalysisResponse(rawResponse, opportunity) {
+export function parseAnalysisResponse(rawResponse, opportunity) {
     const analysis = {
         symbol: opportunity.symbol,
         sentimentScore: null,
@@ -149,7 +275,8 @@ function parseAnalysisResponse(rawResponse, opportunity) {
             analysis.recommendation = recommendationMatch[1].toUpperCase();
         }
 
-        // Extract strategies (simplified parsing)
+        // Extract strategies (simplified parsing), linked to the chain-built candidate they name
+        const candidates = opportunity.volatilityData?.strategyCandidates?.candidates || [];
         const strategyMatches = rawResponse.match(/\d\.\s*\*\*([^*]+)\*\*([\s\S]*?)(?=\d\.\s*\*\*|\*\*POSITION SIZING|\n\n|$)/gi);
         if (strategyMatches) {
             strategyMatches.forEach(match => {
@@ -157,7 +284,8 @@ function parseAnalysisResponse(rawResponse, opportunity) {
                 if (strategyName) {
                     analysis.strategies.push({
                         name: strategyName,
-                        details: match.replace(/\*\*[^*]+\*\*/, '').trim()
+                        details: match.replace(/\*\*[^*]+\*\*/, '').trim(),
+                        candidate: matchStrategyCandidate(strategyName, candidates)
                     });
                 }
             });
@@ -174,8 +302,14 @@ function parseAnalysisResponse(rawResponse, opportunity) {
             analysis.riskFactors = riskMatch[1].trim();
         }
 
+        // Sizing comes from the code-computed figures of the chosen candidates; model text is only a fallback
+        const positionSizing = analysis.strategies
+            .filter(strategy => strategy.candidate?.sizing)
+            .map(strategy => `${strategy.candidate.name}: ${formatSizingGuidance(strategy.candidate.sizing)}`);
         const positionMatch = rawResponse.match(/\*\*POSITION SIZING:\*\*\s*([\s\S]*?)(?=\*\*[A-Z\s]+:|$)/i);
-        if (positionMatch) {
+        if (positionSizing.length > 0) {
+            analysis.positionSizing = positionSizing.join('; ');
+        } else if (positionMatch) {
             analysis.positionSizing = positionMatch[1].trim();
         }
 
@@ -0,0 +1,78 @@
+/**
+ * Straddle-implied earnings move
+ * Prices the at-the-money straddle on the first expiration that spans the earnings reaction.
+ * The straddle price is the market's own estimate of the earnings move, as opposed
+ * to the 30-day IV projection used for `expectedMove`.
+ */
+
+import { selectExpirations, findAtmStrike, getContractsForExpiration, contractPrice } from './options-chain.js';
+import { tradingDaysBetween, daysUntilExpiration } from './trading-calendar.js';
+import { round } from './math.js';
+
+
+/**
+ * Calculate the straddle-implied earnings move from a normalized options chain
+ * @param {Object} chain - Normalized chain from OptionsChainService
+ * @param {Object} options - Calculation options
+ * @param {string} options.earningsDate - Earnings date (YYYY-MM-DD)
+ * @param {string} [options.earningsTiming] - 'bmo', 'amc', 'dmh' or 'unknown' (picks the expiration that spans the reaction)
+ * @param {number} options.underlyingPrice - Current stock price
+ * @param {Date} [options.now] - Reference time (defaults to current time)
+ * @returns {Object|null} Implied move or null when the straddle cannot be priced
+ * @returns {string} returns.expiration - Expiration used (first on or after the reaction session)
+ * @returns {number} returns.strike - ATM strike
+ * @returns {number} returns.callPrice - ATM call price (mid, falling back to last)
+ * @returns {number} returns.putPrice - ATM put price (mid, falling back to last)
+ * @returns {number} returns.straddlePrice - Call + put
+ * @returns {number} returns.move - Implied move in dollars (± around the current price)
+ * @returns {number} returns.movePercent - Implied move as a percentage of the current price
+ * @returns {number} returns.daysToExpiration - Calendar days until the expiration
+ * @returns {number} returns.tradingDaysToExpiration - Sessions until the expiration (holidays excluded)
+ * @description Uses the post-earnings expiration selected by `selectExpirations` so the
+ * straddle always spans the report. Mid prices are preferred; the last trade is only used
+ * when the quote has no usable bid/ask.
+ */
+export function calculateStraddleImpliedMove(chain, options = {}) {
+    const { earningsDate, underlyingPrice } = options;
+    if (!chain?.contracts?.length || !earningsDate || !(underlyingPrice > 0)) {
+        return null;
+    }
+
+    const now = options.now || new Date();
+    const { postEarnings } = selectExpirations(chain.expirations, {
+        earningsDate,
+        earningsTiming: options.earningsTiming,
+        now
+    });
+    if (!postEarnings) {
+        return null;
+    }
+
+    const strike = findAtmStrike(chain, postEarnings, underlyingPrice);
+    const atStrike = getContractsForExpiration(chain, postEarnings).filter(contract => contract.strike === strike);
+    const call = atStrike.find(contract => contract.type === 'call');
+    const put = atStrike.find(contract => contract.type === 'put');
+
+    const callPrice = contractPrice(call);
+    const putPrice = contractPrice(put);
+    if (callPrice == null || putPrice == null) {
+        return null;
+    }
+
+    const straddlePrice = callPrice + putPrice;
+
+    return {
+        expiration: postEarnings,
+        strike,
+        callPrice: round(callPrice),
+        putPrice: round(putPrice),
+        straddlePrice: round(straddlePrice),
+        move: round(straddlePrice),
+        movePercent: round((straddlePrice / underlyingPrice) * 100),
+        daysToExpiration: daysUntilExpiration(postEarnings, now),
+        tradingDaysToExpiration: Math.max(0, tradingDaysBetween(now, postEarnings)),
+        source: chain.source
+    };
+}
+
+export default calculateStraddleImpliedMove;
@@ -5,10 +5,20 @@
  * Implements 7-stage deterministic pipeline with graceful degradation.
  */
 
-import { getEarningsOpportunities, getMarketContext } from './finnhub.js';
+import { getEarningsOpportunities, excludeSyntheticOpportunities, excludeEstimatedOpportunities } from './finnhub.js';
+import { getMarketContext, formatMacroEvents } from './market-context.js';
 import { generateTradingIdeas, validateAnalysis } from './gemini.js';
 import { sendEmailDigest, sendRunSummaryEmail, addSubscriberToAudience } from './email.js';
-import { initializeRealData } from './real-volatility.js';
+import { initializeRealData, getCacheStats, getProviderHealth, getProviderRegistry } from './real-volatility.js';
+import { formatCacheMetrics } from './cache.js';
+import { formatHealthMetrics, saveHealthSnapshot, loadHealthSnapshot, BREAKER_STATES } from './circuit-breaker.js';
+import { createStorage } from './storage.js';
+import { getAccountModel, getProviderPriority, getPublicBaseUrl, getRateLimits, getRequiredRealFields, getRiskFreeRate, getScoringModel } from './config.js';
+import { formatScoreMetrics } from './scoring.js';
+import { formatIVRankMetrics } from './iv-history.js';
+import TrackRecordStore, { formatTrackRecordMetrics } from './track-record.js';
+import { PayoffChartStore, attachPayoffCharts } from './payoff-chart.js';
+import { getMarketHoliday, isEarlyClose, isTradingDay, toMarketDate } from './trading-calendar.js';
 
 /**
  * Main Cloudflare Worker export with scheduled and fetch handlers
@@ -24,9 +34,16 @@ export default {
      * @description Runs the complete 7-stage pipeline: Environment validation,
      * data initialization, earnings scanning, market context, AI analysis,
      * validation, and newsletter delivery. Includes comprehensive error handling
-     * and summary reporting.
+     * and summary reporting. The cron fires every weekday; runs on NYSE holidays are
+     * skipped (see trading-calendar.js). Manual /trigger runs are never skipped.
      */
     async scheduled(controller, env, ctx) {
+        const runDate = toMarketDate(controller?.scheduledTime ?? Date.now());
+        if (!isTradingDay(runDate)) {
+            console.log(`📅 Market closed on ${runDate} (${getMarketHoliday(runDate) || 'weekend'}); skipping newsletter run`);
+            return;
+        }
+
         console.log("🎯 Running Options Insight Research Agent...");
         let summary;
 
@@ -56,6 +73,7 @@ export default {
      * - GET /status: Configuration audit  
      * - POST /trigger: Manual pipeline execution
      * - POST /subscribe: Newsletter subscription management
+     * - GET /charts/<id>.png: Payoff charts embedded in the newsletter
      */
     async fetch(request, env, ctx) {
         const url = new URL(request.url);
@@ -75,7 +93,8 @@ export default {
 
         // API status endpoint - checks if required environment variables are present
         if (url.pathname === '/status') {
-            const { FINNHUB_API_KEY, ALPHA_VANTAGE_API_KEY, RESEND_API_KEY, GEMINI_API_KEY } = env;
+            const { FINNHUB_API_KEY, ALPHA_VANTAGE_API_KEY, RESEND_API_KEY, GEMINI_API_KEY, POLYGON_API_KEY, TRADIER_API_KEY } = env;
+            const providerHealth = await loadHealthSnapshot(createStorage(env)).catch(() => null);
             
             const status = {
                 service: 'Options Insight',
@@ -84,8 +103,12 @@ export default {
                     FINNHUB_API_KEY: !!FINNHUB_API_KEY,
                     ALPHA_VANTAGE_API_KEY: !!ALPHA_VANTAGE_API_KEY, 
                     RESEND_API_KEY: !!RESEND_API_KEY,
-                    GEMINI_API_KEY: !!GEMINI_API_KEY
+                    GEMINI_API_KEY: !!GEMINI_API_KEY,
+                    POLYGON_API_KEY: !!POLYGON_API_KEY,
+                    TRADIER_API_KEY: !!TRADIER_API_KEY
                 },
+                // Circuit-breaker state and error rates from the most recent run
+                providers: providerHealth,
                 ready: !!(FINNHUB_API_KEY && ALPHA_VANTAGE_API_KEY && RESEND_API_KEY && GEMINI_API_KEY)
             };
 
@@ -240,6 +263,19 @@ export default {
             });
         }
 
+        // Payoff charts referenced by the newsletter (see payoff-chart.js)
+        const chartMatch = url.pathname.match(/^\/charts\/([^/]+)\.png$/);
+        if (chartMatch && request.method === 'GET') {
+            const png = await new PayoffChartStore(createStorage(env)).load(chartMatch[1]).catch(() => null);
+            if (!png) {
+                return new Response('Chart not found', { status: 404 });
+            }
+            return new Response(png, {
+                headers: { 'Content-Type': 'image/png', 'Cache-Control': 'public, max-age=86400' },
+                status: 200
+            });
+        }
+
         // Default response
         return new Response('Options Insight Worker - Use /health, /status, or POST /trigger endpoints', {
             status: 404
@@ -269,7 +305,11 @@ async function processAndSendDigest(env) {
 
     try {
     const { FINNHUB_API_KEY, ALPHA_VANTAGE_API_KEY, RESEND_API_KEY, GEMINI_API_KEY, AUDIENCE_ID } = env;
+    const storage = createStorage(env);
     let marketContext = null;
+    if (isEarlyClose(new Date())) {
+        summary.metrics.marketClose = '13:00 ET (early close)';
+    }
 
         beginStep('Validate environment');
         const missingKeys = ['FINNHUB_API_KEY', 'RESEND_API_KEY', 'GEMINI_API_KEY', 'AUDIENCE_ID'].filter(key => !env[key]);
@@ -288,7 +328,17 @@ async function processAndSendDigest(env) {
         } else {
             console.log("🔐 Initializing market data providers...");
             try {
-                const dataInit = await initializeRealData(ALPHA_VANTAGE_API_KEY, FINNHUB_API_KEY);
+                const dataInit = await initializeRealData(ALPHA_VANTAGE_API_KEY, FINNHUB_API_KEY, {
+                    storage,
+                    providerPriority: getProviderPriority(env),
+                    rateLimits: getRateLimits(env),
+                    scoringModel: getScoringModel('volatility', env),
+                    riskFreeRate: getRiskFreeRate(env),
+                    accountModel: getAccountModel(env),
+                    polygonApiKey: env.POLYGON_API_KEY,
+                    tradierApiKey: env.TRADIER_API_KEY,
+                    tradierSandbox: String(env.TRADIER_SANDBOX).toLowerCase() === 'true'
+                });
                 if (!dataInit) {
                     console.warn("⚠️  Market data initialization failed, using fallback data");
                     completeStep('warning', 'Market data initialization failed; using fallback data');
@@ -302,11 +352,48 @@ async function processAndSendDigest(env) {
             }
         }
 
+        beginStep('Grade past calls');
+        const trackRecordStore = new TrackRecordStore(storage);
+        const trackRecord = await gradeTrackRecord(trackRecordStore, summary);
+        if (trackRecord) {
+            completeStep('success', `${summary.metrics.gradedCalls} calls graded, ${trackRecord.calls.length} results from the past week`);
+        } else {
+            completeStep('warning', 'Track record unavailable');
+        }
+
         beginStep('Scan earnings opportunities');
         console.log("📊 Step 1: Scanning earnings opportunities...");
-        const opportunities = await getEarningsOpportunities(FINNHUB_API_KEY, ALPHA_VANTAGE_API_KEY);
+        const scannedOpportunities = await getEarningsOpportunities(FINNHUB_API_KEY, ALPHA_VANTAGE_API_KEY, {
+            scoringModel: getScoringModel('quality', env)
+        });
+        const { opportunities: liveOpportunities, excluded: syntheticExcluded } = excludeSyntheticOpportunities(scannedOpportunities, {
+            allowSynthetic: String(env.ALLOW_SYNTHETIC_DATA).toLowerCase() === 'true'
+        });
+        const { opportunities, excluded: estimatedExcluded, reasons: estimatedFields } = excludeEstimatedOpportunities(liveOpportunities, {
+            requiredFields: getRequiredRealFields(env)
+        });
         summary.metrics.totalOpportunities = opportunities.length;
-        completeStep('success', `${opportunities.length} opportunities analyzed`);
+        summary.metrics.syntheticExcluded = syntheticExcluded;
+        summary.metrics.estimatedExcluded = estimatedExcluded;
+        Object.assign(summary.metrics, formatScoreMetrics(opportunities));
+        Object.assign(summary.metrics, formatIVRankMetrics(opportunities));
+        Object.assign(summary.metrics, formatCacheMetrics(getCacheStats()));
+        await recordProviderHealth(storage, summary);
+        if (syntheticExcluded > 0) {
+            console.warn(`⚠️  Excluded ${syntheticExcluded} opportunities built from synthetic data (set ALLOW_SYNTHETIC_DATA=true to include)`);
+        }
+        for (const [symbol, fields] of Object.entries(estimatedFields)) {
+            console.warn(`⚠️  Excluded ${symbol}: estimated ${fields.join(', ')} (see REQUIRE_REAL_FIELDS)`);
+        }
+        if (syntheticExcluded > 0 || estimatedExcluded > 0) {
+            const exclusions = [
+                syntheticExcluded > 0 ? `${syntheticExcluded} synthetic` : null,
+                estimatedExcluded > 0 ? `${estimatedExcluded} with estimated key fields` : null
+            ].filter(Boolean).join(', ');
+            completeStep('warning', `${opportunities.length} opportunities analyzed, ${exclusions} excluded`);
+        } else {
+            completeStep('success', `${opportunities.length} opportunities analyzed`);
+        }
 
         if (opportunities.length === 0) {
             console.log("ℹ️  No qualifying earnings opportunities found today.");
@@ -315,9 +402,8 @@ async function processAndSendDigest(env) {
 
             beginStep('Fetch market context');
             try {
-                marketContext = await getMarketContext(FINNHUB_API_KEY);
-                summary.metrics.vix = marketContext.vix;
-                summary.metrics.marketRegime = marketContext.marketRegime;
+                marketContext = await getMarketContext(FINNHUB_API_KEY, { providers: getProviderRegistry() });
+                recordMarketContextMetrics(summary.metrics, marketContext);
                 completeStep('success', `VIX ${marketContext.vix?.toFixed(1) ?? 'N/A'}, Regime: ${marketContext.marketRegime || 'Unknown'}`);
             } catch (error) {
                 console.warn('⚠️  Failed to fetch market context for fallback digest:', error);
@@ -332,7 +418,8 @@ async function processAndSendDigest(env) {
             const result = await sendEmailDigest(RESEND_API_KEY, AUDIENCE_ID, [], contextPayload, {
                 from: env.NEWSLETTER_FROM || env.NEWSLETTER_FROM_EMAIL || 'newsletter@ravishankars.com',
                 subjectTag: 'No Screened Setups',
-                opportunityCount: 0
+                opportunityCount: 0,
+                trackRecord
             });
             summary.metrics.newsletterSent = true;
             summary.metrics.broadcastId = result.broadcastId;
@@ -353,9 +440,8 @@ async function processAndSendDigest(env) {
 
         beginStep('Fetch market context');
         console.log("🌍 Step 2: Getting market context...");
-    marketContext = await getMarketContext(FINNHUB_API_KEY);
-        summary.metrics.vix = marketContext.vix;
-        summary.metrics.marketRegime = marketContext.marketRegime;
+    marketContext = await getMarketContext(FINNHUB_API_KEY, { providers: getProviderRegistry(), opportunities });
+        recordMarketContextMetrics(summary.metrics, marketContext);
         completeStep('success', `VIX ${marketContext.vix?.toFixed(1) ?? 'N/A'}, Regime: ${marketContext.marketRegime}`);
         console.log(`✅ Market context - VIX: ${marketContext.vix?.toFixed(1)}, Regime: ${marketContext.marketRegime}`);
 
@@ -391,7 +477,8 @@ async function processAndSendDigest(env) {
             const result = await sendEmailDigest(RESEND_API_KEY, AUDIENCE_ID, [], contextPayload, {
                 from: env.NEWSLETTER_FROM || env.NEWSLETTER_FROM_EMAIL || 'newsletter@ravishankars.com',
                 subjectTag: 'Quality Gate Hold',
-                opportunityCount: 0
+                opportunityCount: 0,
+                trackRecord
             });
             summary.metrics.newsletterSent = true;
             summary.metrics.broadcastId = result.broadcastId;
@@ -410,11 +497,21 @@ async function processAndSendDigest(env) {
 
         console.log(`✅ Generated ${validatedContent.length} validated analyses`);
 
+        beginStep('Render payoff charts');
+        const charts = await renderNewsletterCharts(validatedContent, storage, env);
+        summary.metrics.payoffCharts = charts.rendered;
+        if (charts.failed > 0) {
+            completeStep('warning', `${charts.rendered} charts rendered, ${charts.failed} failed`);
+        } else {
+            completeStep('success', `${charts.rendered} charts ${charts.hosted ? 'hosted' : 'inlined'}`);
+        }
+
         beginStep('Send newsletter');
         console.log("📧 Step 4: Sending newsletter...");
         const result = await sendEmailDigest(RESEND_API_KEY, AUDIENCE_ID, validatedContent, marketContext, {
             from: env.NEWSLETTER_FROM || env.NEWSLETTER_FROM_EMAIL || 'newsletter@ravishankars.com',
-            opportunityCount: validatedContent.length
+            opportunityCount: validatedContent.length,
+            trackRecord
         });
         summary.metrics.newsletterSent = true;
         summary.metrics.broadcastId = result.broadcastId;
@@ -423,6 +520,13 @@ async function processAndSendDigest(env) {
         summary.metrics.newsletterReason = 'opportunities-published';
         completeStep('success', `Broadcast ${result.broadcastId} dispatched`);
 
+        try {
+            const recorded = await trackRecordStore.recordPublished(validatedContent);
+            summary.metrics.trackedCalls = recorded.length;
+        } catch (error) {
+            console.warn('⚠️  Could not record published calls:', error.message);
+        }
+
         console.log(`🎉 Newsletter sent successfully!`);
         console.log(`   📊 Opportunities analyzed: ${opportunities.length}`);
         console.log(`   ✅ Analyses passed validation: ${validatedContent.length}`);
@@ -438,6 +542,74 @@ async function processAndSendDigest(env) {
     }
 }
 
+/**
+ * Render the strategies' payoff charts, hosted from KV when the Worker has a public URL
+ * @returns {Promise<Object>} { rendered, failed, hosted } (see attachPayoffCharts)
+ */
+async function renderNewsletterCharts(content, storage, env) {
+    const baseUrl = getPublicBaseUrl(env);
+    // In-memory storage does not outlive the run, so hosted charts would 404 when the email is opened
+    const store = baseUrl && storage.type !== 'memory' ? new PayoffChartStore(storage) : null;
+    return attachPayoffCharts(content, {
+        store,
+        baseUrl,
+        rate: getRiskFreeRate(env),
+        date: toMarketDate(new Date())
+    });
+}
+
+/**
+ * Flat run-summary metrics for the market context
+ */
+function recordMarketContextMetrics(metrics, marketContext) {
+    metrics.vix = marketContext.vix;
+    metrics.marketRegime = marketContext.marketRegime;
+    metrics.vixTermStructure = marketContext.vixTermStructure?.shape ?? null;
+    metrics.macroEvents = formatMacroEvents(marketContext.macroEvents);
+}
+
+/**
+ * Grade published calls whose reaction has traded and load last week's results for the newsletter
+ * @returns {Promise<Object|null>} { calls, scorecard } or null when the track record is unavailable
+ */
+async function gradeTrackRecord(trackRecordStore, summary) {
+    try {
+        const graded = await trackRecordStore.gradePending(getProviderRegistry());
+        const calls = await trackRecordStore.getRecentResults();
+        const scorecard = await trackRecordStore.getScorecard();
+        summary.metrics.gradedCalls = graded.length;
+        Object.assign(summary.metrics, formatTrackRecordMetrics(scorecard));
+        return { calls, scorecard };
+    } catch (error) {
+        console.warn('⚠️  Could not grade past calls:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Add breaker states to the run summary and persist them for /status
+ */
+async function recordProviderHealth(storage, summary) {
+    const health = getProviderHealth();
+    if (!health) return;
+
+    Object.assign(summary.metrics, formatHealthMetrics(health));
+
+    const tripped = Object.entries(health)
+        .filter(([, provider]) => provider.state !== BREAKER_STATES.CLOSED)
+        .map(([name, provider]) => `${name} (${provider.state}: ${provider.lastError || 'repeated failures'})`);
+    if (tripped.length > 0) {
+        console.warn(`⚠️  Provider circuits not closed: ${tripped.join(', ')}`);
+        summary.steps.push({ name: 'Provider health', status: 'warning', detail: `Providers degraded: ${tripped.join(', ')}` });
+    }
+
+    try {
+        await saveHealthSnapshot(storage, health);
+    } catch (error) {
+        console.warn('⚠️  Could not persist provider health:', error.message);
+    }
+}
+
 async function deliverRunSummary(env, summary) {
     const rawRecipients = env.SUMMARY_EMAIL_RECIPIENT;
     const parsedRecipients = rawRecipients
@@ -0,0 +1,137 @@
+/**
+ * Daily implied-volatility history per symbol
+ * Stores one ATM IV snapshot per symbol per day and derives 52-week IV rank and IV percentile.
+ *
+ * IV rank:       where today's IV sits between the 52-week low (0) and high (100)
+ * IV percentile: share of days in the past 52 weeks with IV below today's (0-100)
+ *
+ * Only market-derived IV (from an options chain) is recorded; HV-based estimates would
+ * make the history meaningless.
+ */
+
+import { DAY_MS, toDateString } from './trading-calendar.js';
+import { round } from './math.js';
+
+const KEY_PREFIX = 'iv-history:';
+const LOOKBACK_DAYS = 365;
+// Keep a little more than a year so the 52-week window is always full
+const MAX_SNAPSHOTS = 400;
+// Below this many snapshots the rank/percentile are too noisy to report
+export const MIN_SNAPSHOTS = 20;
+
+/**
+ * IV snapshot store backed by a storage backend (KV, file or memory)
+ * @class IVHistoryStore
+ */
+class IVHistoryStore {
+    /**
+     * @param {Object} storage - Storage backend from storage.js or file-storage.js
+     */
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Get the stored snapshots for a symbol (oldest first)
+     * @param {string} symbol - Stock symbol
+     * @returns {Promise<Array<{date: string, impliedVolatility: number, source: string}>>}
+     */
+    async getHistory(symbol) {
+        return (await this.storage.get(`${KEY_PREFIX}${symbol}`)) || [];
+    }
+
+    /**
+     * Record today's IV snapshot (replacing any earlier snapshot from the same day)
+     * @param {string} symbol - Stock symbol
+     * @param {Object} snapshot - Snapshot to store
+     * @param {number} snapshot.impliedVolatility - ATM implied volatility (%)
+     * @param {string} snapshot.source - Chain source (e.g. 'yahoo-chain')
+     * @param {string} [snapshot.date] - Snapshot date (YYYY-MM-DD, defaults to today UTC)
+     * @returns {Promise<Array<Object>>} Updated history (oldest first)
+     */
+    async record(symbol, snapshot) {
+        const date = snapshot.date || toDateString();
+        const history = (await this.getHistory(symbol)).filter(entry => entry.date !== date);
+
+        history.push({ date, impliedVolatility: snapshot.impliedVolatility, source: snapshot.source });
+        history.sort((a, b) => a.date.localeCompare(b.date));
+
+        const trimmed = history.slice(-MAX_SNAPSHOTS);
+        await this.storage.put(`${KEY_PREFIX}${symbol}`, trimmed);
+        return trimmed;
+    }
+}
+
+/**
+ * Calculate 52-week IV rank and IV percentile for the current IV
+ * @param {Array<Object>} history - Stored snapshots (any order)
+ * @param {number} currentIV - Current implied volatility (%)
+ * @param {Object} [options={}] - Calculation options
+ * @param {string} [options.asOf] - Reference date (YYYY-MM-DD, defaults to the latest snapshot)
+ * @returns {Object} IV statistics
+ * @returns {number|null} returns.ivRank - 0-100, null until MIN_SNAPSHOTS exist
+ * @returns {number|null} returns.ivPercentile - 0-100, null until MIN_SNAPSHOTS exist
+ * @returns {number} returns.sampleSize - Snapshots inside the 52-week window
+ * @returns {number|null} returns.high - 52-week IV high
+ * @returns {number|null} returns.low - 52-week IV low
+ * @returns {number} returns.coverageDays - Calendar days spanned by the window's snapshots
+ */
+export function calculateIVStatistics(history = [], currentIV, options = {}) {
+    const sorted = [...history].sort((a, b) => a.date.localeCompare(b.date));
+    const asOf = options.asOf || sorted[sorted.length - 1]?.date;
+    const cutoff = asOf ? Date.parse(asOf) - LOOKBACK_DAYS * DAY_MS : 0;
+    const window = sorted.filter(entry => Date.parse(entry.date) >= cutoff && entry.impliedVolatility > 0);
+
+    const empty = { ivRank: null, ivPercentile: null, sampleSize: window.length, high: null, low: null, coverageDays: 0 };
+    if (window.length === 0 || !(currentIV > 0)) {
+        return empty;
+    }
+
+    const values = window.map(entry => entry.impliedVolatility);
+    const high = Math.max(...values);
+    const low = Math.min(...values);
+    const coverageDays = Math.round((Date.parse(window[window.length - 1].date) - Date.parse(window[0].date)) / DAY_MS);
+    const stats = { ...empty, high, low, coverageDays };
+
+    if (window.length < MIN_SNAPSHOTS) {
+        return stats;
+    }
+
+    const range = high - low;
+    const ivRank = range > 0 ? Math.min(100, Math.max(0, ((currentIV - low) / range) * 100)) : 50;
+    const ivPercentile = (values.filter(value => value < currentIV).length / values.length) * 100;
+
+    return {
+        ...stats,
+        ivRank: round(ivRank, 1),
+        ivPercentile: round(ivPercentile, 1)
+    };
+}
+
+/**
+ * One-line IV rank / percentile for the prompt and run summary
+ * @param {Object} analysis - Volatility analysis with impliedVolatilityRank, impliedVolatilityPercentile, ivHistory
+ * @returns {string} e.g. '79 rank / 75 pct (52w, 40 snapshots)', or 'N/A (12/20 snapshots)' while the history fills
+ */
+export function formatIVRank(analysis) {
+    const sampleSize = analysis?.ivHistory?.sampleSize ?? 0;
+    if (analysis?.impliedVolatilityRank == null) {
+        return sampleSize > 0 ? `N/A (${sampleSize}/${MIN_SNAPSHOTS} snapshots)` : 'N/A';
+    }
+    return `${analysis.impliedVolatilityRank.toFixed(0)} rank / ${analysis.impliedVolatilityPercentile.toFixed(0)} pct (52w, ${sampleSize} snapshots)`;
+}
+
+/**
+ * Run-summary metrics with the IV rank / percentile of each opportunity
+ * @param {Array<Object>} opportunities - Opportunities with `volatilityData`
+ * @returns {Object} { ivRankAAPL: '79 rank / 75 pct (52w, 40 snapshots)', ... }
+ */
+export function formatIVRankMetrics(opportunities = []) {
+    return Object.fromEntries(
+        opportunities
+            .filter(opportunity => opportunity?.volatilityData)
+            .map(opportunity => [`ivRank${opportunity.symbol}`, formatIVRank(opportunity.volatilityData)])
+    );
+}
+
+export default IVHistoryStore;
@@ -0,0 +1,320 @@
+/**
+ * Market-wide context for the prompt and the email header
+ * Beyond the VIX level and its regime (classifyMarketRegime in finnhub.js), every run gathers:
+ *   - index trend: SPY, QQQ and IWM daily change and position against their 20/50-day averages
+ *   - VIX term structure: VIX9D / VIX / VIX3M (contango is calm; backwardation is near-term stress)
+ *   - sector ETFs: the SPDR fund of each opportunity's sector, 1-day and 5-day change against SPY
+ *   - macro calendar: FOMC decisions, CPI releases and the jobs report in the coming two weeks
+ *
+ * Bars come through the provider registry (Yahoo serves the ^VIX index symbols); the VIX falls back
+ * to a Finnhub quote when the registry is unavailable. Every part is optional: a failed fetch
+ * leaves that part empty instead of failing the run.
+ */
+
+import { classifyMarketRegime } from './finnhub.js';
+import { getUniverseEntry } from './universe.js';
+import { calculateSMA } from './technical-indicators.js';
+import { toMarketDate, calendarDaysBetween, isTradingDay, previousTradingDay, DAY_MS } from './trading-calendar.js';
+import { round } from './math.js';
+import { FOMC_DECISIONS, CPI_RELEASES } from './config/macro-calendar.js';
+
+export const MARKET_INDEXES = ['SPY', 'QQQ', 'IWM'];
+
+export const VIX_INDEXES = {
+    vix9d: '^VIX9D',
+    vix: '^VIX',
+    vix3m: '^VIX3M'
+};
+
+// SPDR sector funds by GICS sector (sector names as in src/config/universe.js)
+export const SECTOR_ETFS = {
+    'Communication Services': 'XLC',
+    'Consumer Discretionary': 'XLY',
+    'Consumer Staples': 'XLP',
+    'Energy': 'XLE',
+    'Financials': 'XLF',
+    'Health Care': 'XLV',
+    'Industrials': 'XLI',
+    'Information Technology': 'XLK',
+    'Materials': 'XLB',
+    'Real Estate': 'XLRE',
+    'Utilities': 'XLU'
+};
+
+export const MACRO_LOOKAHEAD_DAYS = 14;
+// Calendar days of bars requested per symbol (enough for a 50-session average)
+const HISTORY_DAYS = 90;
+// VIX3M / VIX beyond these bounds counts as contango / backwardation
+const CONTANGO_RATIO = 1.03;
+const BACKWARDATION_RATIO = 0.97;
+
+/**
+ * Get market context for a run
+ * @async
+ * @param {string} finnhubApiKey - Finnhub API key (VIX fallback)
+ * @param {Object} [options={}] - Context options
+ * @param {ProviderRegistry} [options.providers] - Provider registry (see getProviderRegistry in real-volatility.js)
+ * @param {Array<Object>} [options.opportunities=[]] - Opportunities whose sectors are tracked
+ * @param {Date} [options.now] - Reference time (defaults to current time)
+ * @returns {Promise<Object>} Market context object
+ * @returns {number|null} returns.vix - Current VIX level or null if unavailable
+ * @returns {string} returns.marketRegime - Volatility regime (see classifyMarketRegime)
+ * @returns {Object|null} returns.vixTermStructure - { vix9d, vix, vix3m, ratio, shape } (see summarizeVixTermStructure)
+ * @returns {Array<Object>} returns.indexes - Index trends (see summarizeTrend)
+ * @returns {Array<Object>} returns.sectors - Sector ETF performance (see summarizeSector)
+ * @returns {Array<Object>} returns.macroEvents - Upcoming releases (see getUpcomingMacroEvents)
+ * @returns {string} returns.lastUpdated - ISO timestamp of data retrieval
+ */
+export async function getMarketContext(finnhubApiKey, options = {}) {
+    const { providers, opportunities = [] } = options;
+    const now = options.now || new Date();
+    const bars = {};
+
+    if (providers) {
+        const sectorEtfs = [...new Set(sectorsFor(opportunities).map(({ etf }) => etf))];
+        const symbols = [...MARKET_INDEXES, ...Object.values(VIX_INDEXES), ...sectorEtfs];
+        for (const symbol of symbols) {
+            bars[symbol] = await loadBars(providers, symbol);
+        }
+    }
+
+    const lastClose = symbol => bars[symbol]?.[bars[symbol].length - 1]?.close ?? null;
+    const vixTermStructure = summarizeVixTermStructure({
+        vix9d: lastClose(VIX_INDEXES.vix9d),
+        vix: lastClose(VIX_INDEXES.vix),
+        vix3m: lastClose(VIX_INDEXES.vix3m)
+    });
+    const vix = vixTermStructure?.vix ?? lastClose(VIX_INDEXES.vix) ?? await fetchFinnhubVix(finnhubApiKey);
+
+    return {
+        vix,
+        marketRegime: classifyMarketRegime(vix),
+        vixTermStructure,
+        indexes: MARKET_INDEXES.map(symbol => summarizeTrend(symbol, bars[symbol])).filter(Boolean),
+        sectors: sectorsFor(opportunities)
+            .map(({ sector, etf, symbols }) => summarizeSector(sector, etf, bars[etf], bars.SPY, symbols))
+            .filter(Boolean),
+        macroEvents: getUpcomingMacroEvents(now),
+        lastUpdated: now.toISOString()
+    };
+}
+
+/**
+ * Daily change and moving-average trend of an index ETF
+ * @param {string} symbol - Ticker
+ * @param {Array<Object>} prices - Daily bars, oldest first ({ date, close })
+ * @returns {Object|null} { symbol, price, changePercent, sma20, sma50, trend } or null without two bars;
+ * trend is 'uptrend' (price > SMA20 > SMA50), 'downtrend' (price < SMA20 < SMA50) or 'mixed'
+ */
+export function summarizeTrend(symbol, prices) {
+    if (!prices || prices.length < 2) return null;
+    const closes = prices.map(price => price.close);
+    const price = closes[closes.length - 1];
+    const sma20 = calculateSMA(closes, 20);
+    const sma50 = calculateSMA(closes, 50);
+
+    let trend = 'mixed';
+    if (sma20 != null && sma50 != null) {
+        if (price > sma20 && sma20 > sma50) trend = 'uptrend';
+        else if (price < sma20 && sma20 < sma50) trend = 'downtrend';
+    }
+
+    return {
+        symbol,
+        price: round(price),
+        changePercent: percentChange(closes, 1),
+        sma20: sma20 == null ? null : round(sma20),
+        sma50: sma50 == null ? null : round(sma50),
+        trend
+    };
+}
+
+/**
+ * VIX term structure from the 9-day, 30-day and 3-month indexes
+ * @param {Object} levels - { vix9d, vix, vix3m } (null when unavailable)
+ * @returns {Object|null} { vix9d, vix, vix3m, ratio (VIX3M / VIX), shape: 'contango'|'backwardation'|'flat' },
+ * or null without the VIX and VIX3M
+ */
+export function summarizeVixTermStructure({ vix9d = null, vix = null, vix3m = null }) {
+    if (!(vix > 0) || !(vix3m > 0)) return null;
+    const ratio = round(vix3m / vix);
+    let shape = 'flat';
+    if (ratio >= CONTANGO_RATIO) shape = 'contango';
+    else if (ratio <= BACKWARDATION_RATIO) shape = 'backwardation';
+
+    return {
+        vix9d: vix9d > 0 ? round(vix9d) : null,
+        vix: round(vix),
+        vix3m: round(vix3m),
+        ratio,
+        shape
+    };
+}
+
+/**
+ * Sector ETF performance against SPY
+ * @param {string} sector - GICS sector
+ * @param {string} etf - Sector ETF ticker
+ * @param {Array<Object>} prices - ETF daily bars, oldest first
+ * @param {Array<Object>} [benchmark] - SPY daily bars, oldest first
+ * @param {Array<string>} [symbols=[]] - Opportunities in the sector
+ * @returns {Object|null} { sector, etf, symbols, changePercent, fiveDayChange, relativeToMarket } or
+ * null without six bars; relativeToMarket is the 5-day change minus SPY's (null without SPY)
+ */
+export function summarizeSector(sector, etf, prices, benchmark, symbols = []) {
+    if (!prices || prices.length < 6) return null;
+    const closes = prices.map(price => price.close);
+    const fiveDayChange = percentChange(closes, 5);
+    const benchmarkChange = benchmark?.length >= 6 ? percentChange(benchmark.map(price => price.close), 5) : null;
+
+    return {
+        sector,
+        etf,
+        symbols,
+        changePercent: percentChange(closes, 1),
+        fiveDayChange,
+        relativeToMarket: benchmarkChange == null ? null : round(fiveDayChange - benchmarkChange)
+    };
+}
+
+/**
+ * Scheduled macro releases in the coming days
+ * @param {Date|string} [now=new Date()] - Reference time
+ * @param {number} [days=MACRO_LOOKAHEAD_DAYS] - Lookahead in calendar days (today included)
+ * @returns {Array<Object>} { type: 'FOMC'|'CPI'|'Jobs', name, date, daysAway, estimated } sorted by date;
+ * `estimated` marks dates derived from a rule rather than a published schedule
+ */
+export function getUpcomingMacroEvents(now = new Date(), days = MACRO_LOOKAHEAD_DAYS) {
+    const today = toMarketDate(now);
+    const events = [
+        ...FOMC_DECISIONS.map(date => ({ type: 'FOMC', name: 'FOMC rate decision', date, estimated: false })),
+        ...CPI_RELEASES.map(date => ({ type: 'CPI', name: 'CPI report', date, estimated: false }))
+    ];
+
+    // Jobs reports for this month and the next cover any lookahead up to a month
+    const [year, month] = today.split('-').map(Number);
+    for (const offset of [0, 1]) {
+        const date = jobsReportDate(year, month + offset);
+        events.push({ type: 'Jobs', name: 'Jobs report', date, estimated: true });
+    }
+
+    return events
+        .map(event => ({ ...event, daysAway: calendarDaysBetween(today, event.date) }))
+        .filter(event => event.daysAway >= 0 && event.daysAway <= days)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Employment Situation release date by the BLS rule
+ * @param {number} year - Release year
+ * @param {number} month - Release month (1-12; 13 rolls into January of the next year)
+ * @returns {string} YYYY-MM-DD
+ * @description The report comes out on the third Friday after the week (Sunday-Saturday) that
+ * contains the 12th of the previous month, moved to the prior session when that Friday is a market
+ * holiday. BLS occasionally deviates (most Januaries come a week later), so callers mark it estimated.
+ */
+export function jobsReportDate(year, month) {
+    const reference = new Date(Date.UTC(year, month - 2, 12));
+    const weekEnd = new Date(reference.getTime() + (6 - reference.getUTCDay()) * DAY_MS);
+    const release = new Date(weekEnd.getTime() + (6 + 14) * DAY_MS);
+    const date = release.toISOString().split('T')[0];
+    return isTradingDay(date) ? date : previousTradingDay(date);
+}
+
+/**
+ * Index, VIX and macro summary for the prompt
+ * @param {Object} marketContext - Result of getMarketContext
+ * @returns {string} e.g. 'SPY +0.4% (uptrend) | QQQ ... | VIX 9D/30D/3M 14.2/15.1/17.3 (contango) | Macro: FOMC Oct 28 (10d), ...'
+ */
+export function formatMarketContext(marketContext) {
+    if (!marketContext) return 'N/A';
+    const parts = (marketContext.indexes || []).map(index => `${index.symbol} ${signed(index.changePercent)}% (${index.trend})`);
+
+    const term = marketContext.vixTermStructure;
+    if (term) {
+        parts.push(`VIX 9D/30D/3M ${term.vix9d?.toFixed(1) ?? 'N/A'}/${term.vix.toFixed(1)}/${term.vix3m.toFixed(1)} (${term.shape})`);
+    }
+    parts.push(`Macro (next ${MACRO_LOOKAHEAD_DAYS}d): ${formatMacroEvents(marketContext.macroEvents)}`);
+    return parts.join(' | ');
+}
+
+/**
+ * Sector ETF line for one opportunity
+ * @param {Object} marketContext - Result of getMarketContext
+ * @param {string} symbol - Opportunity ticker
+ * @returns {string} e.g. 'Information Technology (XLK) +0.8% today, +2.1% 5d (+1.0 vs SPY)' or 'N/A'
+ */
+export function formatSectorContext(marketContext, symbol) {
+    const sector = marketContext?.sectors?.find(entry => entry.symbols.includes(symbol));
+    if (!sector) return 'N/A';
+    const relative = sector.relativeToMarket == null ? '' : ` (${signed(sector.relativeToMarket)} vs SPY)`;
+    return `${sector.sector} (${sector.etf}) ${signed(sector.changePercent)}% today, ${signed(sector.fiveDayChange)}% 5d${relative}`;
+}
+
+/**
+ * Macro events as a short list
+ * @param {Array<Object>} [events=[]] - Result of getUpcomingMacroEvents
+ * @returns {string} e.g. 'FOMC Oct 28 (10d), CPI Nov 10 (23d)' or 'none scheduled'
+ */
+export function formatMacroEvents(events = []) {
+    if (!events.length) return 'none scheduled';
+    return events
+        .map(event => `${event.type} ${formatShortDate(event.date)}${event.estimated ? ' (est.)' : ''} (${event.daysAway === 0 ? 'today' : `${event.daysAway}d`})`)
+        .join(', ');
+}
+
+/**
+ * Sectors of the opportunities that have a sector ETF, with their tickers
+ */
+function sectorsFor(opportunities) {
+    const sectors = new Map();
+    for (const opportunity of opportunities) {
+        const sector = getUniverseEntry(opportunity.symbol)?.sector;
+        const etf = SECTOR_ETFS[sector];
+        if (!etf) continue;
+        if (!sectors.has(sector)) sectors.set(sector, { sector, etf, symbols: [] });
+        sectors.get(sector).symbols.push(opportunity.symbol);
+    }
+    return [...sectors.values()];
+}
+
+async function loadBars(providers, symbol) {
+    try {
+        const { data } = await providers.request('history', symbol, HISTORY_DAYS);
+        return data?.prices?.length ? data.prices : null;
+    } catch (error) {
+        console.warn(`⚠️ Market context: no bars for ${symbol}:`, error.message);
+        return null;
+    }
+}
+
+async function fetchFinnhubVix(finnhubApiKey) {
+    if (!finnhubApiKey) return null;
+    try {
+        const response = await fetch(`https://finnhub.io/api/v1/quote?symbol=VIX&token=${finnhubApiKey}`);
+        if (!response.ok) {
+            console.warn('Failed to fetch VIX data');
+            return null;
+        }
+        const data = await response.json();
+        return data.c > 0 ? data.c : null;
+    } catch (error) {
+        console.error('Error fetching VIX:', error);
+        return null;
+    }
+}
+
+function percentChange(closes, sessions) {
+    const latest = closes[closes.length - 1];
+    const base = closes[closes.length - 1 - sessions];
+    return base > 0 ? round(((latest - base) / base) * 100) : null;
+}
+
+function formatShortDate(date) {
+    return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function signed(value) {
+    if (value == null) return 'N/A';
+    return `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+}
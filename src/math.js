@@ -0,0 +1,26 @@
+/**
+ * Numeric helpers shared by the pricing, sizing, scoring, chart and provider paths
+ * One rounding rule everywhere, so figures computed in one module match the same figures
+ * recomputed or displayed by another, and one parser for the numeric fields providers send.
+ */
+
+/**
+ * Round to a fixed number of decimals
+ * @param {number} value - Value to round
+ * @param {number} [decimals=2] - Decimal places
+ * @returns {number} Rounded value (toFixed rounding, returned as a number)
+ */
+export function round(value, decimals = 2) {
+    return parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Parse a numeric field from a provider payload
+ * @param {*} value - Number or numeric string
+ * @returns {number|null} Finite number, or null for blanks and non-numeric values
+ */
+export function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const parsed = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : null;
+}
@@ -0,0 +1,463 @@
+/**
+ * Options chain ingestion and normalization
+ * Primary: Yahoo Finance options endpoint (free, front expirations on demand)
+ * Fallback: Alpha Vantage HISTORICAL_OPTIONS (premium, full chain for prior session)
+ * Paid: Polygon.io option snapshots and Tradier chains (both carry greeks)
+ *
+ * Every source is normalized into one contract shape so downstream analysis
+ * (ATM implied volatility, straddle pricing) never has to know where it came from.
+ */
+
+import { getReactionSession } from './earnings-events.js';
+import { round, toNumber } from './math.js';
+import { toDateString } from './trading-calendar.js';
+
+const YAHOO_OPTIONS_ENDPOINT = 'https://query2.finance.yahoo.com/v7/finance/options/';
+
+/**
+ * Options chain loader with multi-source fallback
+ * @class OptionsChainService
+ * @description Loads the front-month and post-earnings expirations for a symbol and
+ * returns them in the normalized chain shape. Yahoo Finance is tried first; Alpha Vantage
+ * is used when an API client is supplied and Yahoo fails.
+ */
+class OptionsChainService {
+    /**
+     * @param {Object} [config={}] - Configuration options
+     * @param {Object} [config.alphaVantage] - AlphaVantageAPI instance used as fallback
+     * @param {string} [config.userAgent] - User agent sent to Yahoo Finance
+     */
+    constructor(config = {}) {
+        this.alphaVantage = config.alphaVantage || null;
+        this.yahooEndpoint = YAHOO_OPTIONS_ENDPOINT;
+        this.userAgent = config.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+    }
+
+    /**
+     * Load a normalized options chain for a symbol
+     * @async
+     * @param {string} symbol - Stock symbol (e.g., 'AAPL')
+     * @param {Object} [options={}] - Load options
+     * @param {string} [options.earningsDate] - Earnings date (YYYY-MM-DD) used to pick the post-earnings expiration
+     * @param {Date} [options.now] - Reference time (defaults to current time)
+     * @returns {Promise<Object|null>} Normalized chain or null when no source returned data
+     */
+    async getChain(symbol, options = {}) {
+        try {
+            const chain = await this.getYahooChain(symbol, options);
+            if (chain && chain.contracts.length > 0) {
+                return chain;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Yahoo options chain failed for ${symbol}:`, error.message);
+        }
+
+        if (this.alphaVantage) {
+            try {
+                const raw = await this.alphaVantage.getOptionsChain(symbol);
+                const chain = normalizeAlphaVantageChain(raw, symbol);
+                if (chain && chain.contracts.length > 0) {
+                    return chain;
+                }
+            } catch (error) {
+                console.warn(`⚠️ Alpha Vantage options chain failed for ${symbol}:`, error.message);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Yahoo Finance chain loader (front-month plus post-earnings expiration)
+     */
+    async getYahooChain(symbol, options = {}) {
+        const first = await this.fetchYahooOptions(symbol);
+        const chain = normalizeYahooChain(first, symbol);
+        if (!chain) {
+            return null;
+        }
+
+        const { frontMonth, postEarnings } = selectExpirations(chain.expirations, options);
+        const loaded = new Set(chain.contracts.map(contract => contract.expiration));
+
+        for (const expiration of [frontMonth, postEarnings]) {
+            if (!expiration || loaded.has(expiration)) continue;
+
+            const epoch = Math.floor(Date.parse(`${expiration}T00:00:00Z`) / 1000);
+            const next = normalizeYahooChain(await this.fetchYahooOptions(symbol, epoch), symbol);
+            if (next) {
+                chain.contracts.push(...next.contracts);
+                loaded.add(expiration);
+            }
+        }
+
+        return chain;
+    }
+
+    /**
+     * Raw Yahoo Finance options request
+     */
+    async fetchYahooOptions(symbol, expirationEpoch = null) {
+        const url = `${this.yahooEndpoint}${symbol}${expirationEpoch ? `?date=${expirationEpoch}` : ''}`;
+        const response = await globalThis.fetch(url, {
+            headers: {
+                'User-Agent': this.userAgent
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Yahoo options API error: ${response.status}`);
+        }
+
+        return response.json();
+    }
+}
+
+/**
+ * Normalize a Yahoo Finance v7 options response
+ * @param {Object} data - Raw Yahoo Finance response
+ * @param {string} symbol - Requested symbol
+ * @returns {Object|null} Normalized chain or null when the payload has no chain
+ */
+export function normalizeYahooChain(data, symbol) {
+    const result = data?.optionChain?.result?.[0];
+    if (!result || !Array.isArray(result.options)) {
+        return null;
+    }
+
+    const contracts = [];
+    for (const group of result.options) {
+        for (const call of group.calls || []) {
+            contracts.push(normalizeYahooContract(call, 'call'));
+        }
+        for (const put of group.puts || []) {
+            contracts.push(normalizeYahooContract(put, 'put'));
+        }
+    }
+
+    return {
+        symbol: result.underlyingSymbol || symbol,
+        source: 'yahoo',
+        asOf: new Date().toISOString(),
+        underlyingPrice: result.quote?.regularMarketPrice ?? null,
+        expirations: (result.expirationDates || []).map(epochToDate),
+        contracts: contracts.filter(contract => contract.expiration && contract.strike > 0)
+    };
+}
+
+function normalizeYahooContract(raw, type) {
+    return buildContract({
+        contractSymbol: raw.contractSymbol,
+        type,
+        expiration: raw.expiration ? epochToDate(raw.expiration) : null,
+        strike: raw.strike,
+        bid: raw.bid,
+        ask: raw.ask,
+        last: raw.lastPrice,
+        impliedVolatility: raw.impliedVolatility,
+        openInterest: raw.openInterest,
+        volume: raw.volume
+    });
+}
+
+/**
+ * Normalize an Alpha Vantage HISTORICAL_OPTIONS response
+ * @param {Object} data - Raw Alpha Vantage response
+ * @param {string} symbol - Requested symbol
+ * @returns {Object|null} Normalized chain or null when the payload has no contracts
+ */
+export function normalizeAlphaVantageChain(data, symbol) {
+    if (!data || !Array.isArray(data.data) || data.data.length === 0) {
+        return null;
+    }
+
+    const contracts = data.data
+        .map(raw => buildContract({
+            contractSymbol: raw.contractID,
+            type: String(raw.type || '').toLowerCase(),
+            expiration: raw.expiration,
+            strike: raw.strike,
+            bid: raw.bid,
+            ask: raw.ask,
+            last: raw.last,
+            impliedVolatility: raw.implied_volatility,
+            openInterest: raw.open_interest,
+            volume: raw.volume,
+            delta: raw.delta,
+            gamma: raw.gamma,
+            theta: raw.theta,
+            vega: raw.vega
+        }))
+        .filter(contract => contract.expiration && contract.strike > 0);
+
+    const asOfDate = data.data[0]?.date;
+
+    return {
+        symbol: data.data[0]?.symbol || symbol,
+        source: 'alphavantage',
+        asOf: asOfDate ? new Date(`${asOfDate}T21:00:00Z`).toISOString() : new Date().toISOString(),
+        underlyingPrice: null,
+        expirations: [...new Set(contracts.map(contract => contract.expiration))].sort(),
+        contracts
+    };
+}
+
+/**
+ * Normalize Polygon.io option chain snapshot results
+ * @param {Array<Object>} results - `results` entries from /v3/snapshot/options/{underlying} (all pages)
+ * @param {string} symbol - Requested symbol
+ * @returns {Object|null} Normalized chain or null when there are no contracts
+ */
+export function normalizePolygonChain(results, symbol) {
+    if (!Array.isArray(results) || results.length === 0) {
+        return null;
+    }
+
+    const contracts = results
+        .map(raw => buildContract({
+            contractSymbol: raw.details?.ticker,
+            type: raw.details?.contract_type,
+            expiration: raw.details?.expiration_date,
+            strike: raw.details?.strike_price,
+            bid: raw.last_quote?.bid,
+            ask: raw.last_quote?.ask,
+            last: raw.last_trade?.price ?? raw.day?.close,
+            impliedVolatility: raw.implied_volatility,
+            openInterest: raw.open_interest,
+            volume: raw.day?.volume,
+            delta: raw.greeks?.delta,
+            gamma: raw.greeks?.gamma,
+            theta: raw.greeks?.theta,
+            vega: raw.greeks?.vega
+        }))
+        .filter(contract => contract.expiration && contract.strike > 0);
+
+    return {
+        symbol: results[0]?.underlying_asset?.ticker || symbol,
+        source: 'polygon',
+        asOf: new Date().toISOString(),
+        underlyingPrice: toNumber(results.find(raw => raw.underlying_asset?.price)?.underlying_asset.price),
+        expirations: [...new Set(contracts.map(contract => contract.expiration))].sort(),
+        contracts
+    };
+}
+
+/**
+ * Normalize Tradier option chains
+ * @param {Array<Object>} options - `options.option` entries from /markets/options/chains (one or more expirations)
+ * @param {string} symbol - Requested symbol
+ * @param {Array<string>} [expirations] - All listed expirations from /markets/options/expirations
+ * @returns {Object|null} Normalized chain or null when there are no contracts
+ */
+export function normalizeTradierChain(options, symbol, expirations) {
+    if (!Array.isArray(options) || options.length === 0) {
+        return null;
+    }
+
+    const contracts = options
+        .map(raw => buildContract({
+            contractSymbol: raw.symbol,
+            type: raw.option_type,
+            expiration: raw.expiration_date,
+            strike: raw.strike,
+            bid: raw.bid,
+            ask: raw.ask,
+            last: raw.last,
+            impliedVolatility: raw.greeks?.mid_iv ?? raw.greeks?.smv_vol,
+            openInterest: raw.open_interest,
+            volume: raw.volume,
+            delta: raw.greeks?.delta,
+            gamma: raw.greeks?.gamma,
+            theta: raw.greeks?.theta,
+            vega: raw.greeks?.vega
+        }))
+        .filter(contract => contract.expiration && contract.strike > 0);
+
+    return {
+        symbol: options[0]?.underlying || symbol,
+        source: 'tradier',
+        asOf: new Date().toISOString(),
+        underlyingPrice: null,
+        expirations: expirations?.length
+            ? [...expirations].sort()
+            : [...new Set(contracts.map(contract => contract.expiration))].sort(),
+        contracts
+    };
+}
+
+/**
+ * Build a normalized contract, coercing numeric strings and IV units
+ * @description Implied volatility is stored as a percentage (35.2 rather than 0.352)
+ * to match the rest of the volatility analysis.
+ */
+function buildContract(fields) {
+    const bid = toNumber(fields.bid);
+    const ask = toNumber(fields.ask);
+    const rawIv = toNumber(fields.impliedVolatility);
+
+    return {
+        contractSymbol: fields.contractSymbol || null,
+        type: fields.type === 'put' ? 'put' : 'call',
+        expiration: fields.expiration || null,
+        strike: toNumber(fields.strike),
+        bid,
+        ask,
+        mid: bid != null && ask != null && ask >= bid && ask > 0 ? round((bid + ask) / 2, 4) : null,
+        last: toNumber(fields.last),
+        impliedVolatility: rawIv != null && rawIv > 0 ? round(rawIv * 100, 2) : null,
+        openInterest: toNumber(fields.openInterest) ?? 0,
+        volume: toNumber(fields.volume) ?? 0,
+        delta: toNumber(fields.delta),
+        gamma: toNumber(fields.gamma),
+        theta: toNumber(fields.theta),
+        vega: toNumber(fields.vega)
+    };
+}
+
+/**
+ * Pick the front-month and post-earnings expirations from a list of expirations
+ * @param {Array<string>} expirations - Expiration dates (YYYY-MM-DD)
+ * @param {Object} [options={}] - Selection options
+ * @param {string} [options.earningsDate] - Earnings date (YYYY-MM-DD)
+ * @param {string} [options.earningsTiming] - 'bmo', 'amc', 'dmh' or 'unknown' (see earnings-events.js)
+ * @param {Date} [options.now] - Reference time (defaults to current time)
+ * @returns {{frontMonth: string|null, postEarnings: string|null}} Selected expirations
+ * @description The front month is the nearest standard monthly expiration (third Friday)
+ * that has not expired; the post-earnings expiration is the first expiration on or after
+ * the session that trades on the report (the report day for pre-market reports, the next
+ * trading day otherwise).
+ */
+export function selectExpirations(expirations = [], options = {}) {
+    const today = toDateString(options.now || new Date());
+    const upcoming = [...expirations].filter(expiration => expiration >= today).sort();
+
+    const frontMonth = upcoming.find(isMonthlyExpiration) || upcoming[0] || null;
+    const reactionSession = options.earningsDate
+        ? getReactionSession(options.earningsDate, options.earningsTiming)
+        : null;
+    const postEarnings = reactionSession
+        ? upcoming.find(expiration => expiration >= reactionSession) || null
+        : null;
+
+    return { frontMonth, postEarnings };
+}
+
+/**
+ * First loaded expiration at least `minGapDays` after an expiration
+ * @param {Object} chain - Normalized chain
+ * @param {string} expiration - Reference expiration (YYYY-MM-DD), usually the post-earnings one
+ * @param {number} [minGapDays=7] - Minimum calendar days between the two expirations
+ * @returns {string|null} Later expiration with contracts in the chain, or null when none was loaded
+ * @description Only expirations whose contracts are already in the chain qualify, so callers never
+ * trigger extra provider requests.
+ */
+export function selectBackExpiration(chain, expiration, minGapDays = 7) {
+    if (!chain?.contracts?.length || !expiration) return null;
+    const loaded = [...new Set(chain.contracts.map(contract => contract.expiration))].sort();
+    const earliest = toDateString(new Date(Date.parse(`${expiration}T00:00:00Z`) + minGapDays * 24 * 60 * 60 * 1000));
+    return loaded.find(candidate => candidate >= earliest) || null;
+}
+
+/**
+ * Contracts for a single expiration
+ * @param {Object} chain - Normalized chain
+ * @param {string} expiration - Expiration date (YYYY-MM-DD)
+ * @returns {Array<Object>} Contracts sorted by strike
+ */
+export function getContractsForExpiration(chain, expiration) {
+    if (!chain?.contracts || !expiration) return [];
+    return chain.contracts
+        .filter(contract => contract.expiration === expiration)
+        .sort((a, b) => a.strike - b.strike);
+}
+
+/**
+ * Strike closest to the underlying price for an expiration
+ * @param {Object} chain - Normalized chain
+ * @param {string} expiration - Expiration date (YYYY-MM-DD)
+ * @param {number} underlyingPrice - Current stock price
+ * @returns {number|null} At-the-money strike
+ */
+export function findAtmStrike(chain, expiration, underlyingPrice) {
+    const strikes = [...new Set(getContractsForExpiration(chain, expiration).map(contract => contract.strike))];
+    if (strikes.length === 0 || !(underlyingPrice > 0)) return null;
+
+    return strikes.reduce((best, strike) =>
+        Math.abs(strike - underlyingPrice) < Math.abs(best - underlyingPrice) ? strike : best
+    );
+}
+
+/**
+ * Price used for a contract: the bid/ask mid, else the last trade
+ * @param {Object|null} contract - Normalized contract
+ * @returns {number|null} Premium per share or null when the contract has no usable price
+ */
+export function contractPrice(contract) {
+    if (!contract) return null;
+    if (contract.mid != null && contract.mid > 0) return contract.mid;
+    if (contract.last != null && contract.last > 0) return contract.last;
+    return null;
+}
+
+/**
+ * At-the-money implied volatility for an expiration
+ * @param {Object} chain - Normalized chain
+ * @param {string} expiration - Expiration date (YYYY-MM-DD)
+ * @param {number} underlyingPrice - Current stock price
+ * @returns {number|null} Average of the ATM call and put IV (%) or null when unavailable
+ */
+export function calculateAtmImpliedVolatility(chain, expiration, underlyingPrice) {
+    const strike = findAtmStrike(chain, expiration, underlyingPrice);
+    if (strike == null) return null;
+
+    const ivs = getContractsForExpiration(chain, expiration)
+        .filter(contract => contract.strike === strike && contract.impliedVolatility > 0)
+        .map(contract => contract.impliedVolatility);
+
+    if (ivs.length === 0) return null;
+    return round(ivs.reduce((sum, iv) => sum + iv, 0) / ivs.length, 2);
+}
+
+/**
+ * Summarize a chain into the fields used by the volatility analysis
+ * @param {Object} chain - Normalized chain
+ * @param {Object} options - Summary options
+ * @param {number} options.underlyingPrice - Current stock price
+ * @param {string} [options.earningsDate] - Earnings date (YYYY-MM-DD)
+ * @param {string} [options.earningsTiming] - 'bmo', 'amc', 'dmh' or 'unknown'
+ * @param {Date} [options.now] - Reference time
+ * @returns {Object|null} Chain summary with front-month and post-earnings ATM IV
+ */
+export function summarizeChain(chain, options = {}) {
+    if (!chain || !chain.contracts?.length) return null;
+
+    const underlyingPrice = options.underlyingPrice || chain.underlyingPrice;
+    const { frontMonth, postEarnings } = selectExpirations(chain.expirations, options);
+
+    const describe = (expiration) => expiration
+        ? {
+            expiration,
+            atmStrike: findAtmStrike(chain, expiration, underlyingPrice),
+            atmImpliedVolatility: calculateAtmImpliedVolatility(chain, expiration, underlyingPrice)
+        }
+        : null;
+
+    return {
+        source: chain.source,
+        asOf: chain.asOf,
+        frontMonth: describe(frontMonth),
+        postEarnings: describe(postEarnings)
+    };
+}
+
+function isMonthlyExpiration(expiration) {
+    const date = new Date(`${expiration}T00:00:00Z`);
+    const day = date.getUTCDate();
+    return date.getUTCDay() === 5 && day >= 15 && day <= 21;
+}
+
+function epochToDate(epochSeconds) {
+    return toDateString(epochSeconds * 1000);
+}
+
+export default OptionsChainService;
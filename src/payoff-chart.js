@@ -0,0 +1,239 @@
+/**
+ * Payoff diagrams for the newsletter strategies
+ * Draws each chain-built strategy's P&L at the first expiration (see createProfitFunction in
+ * strategies.js) with the expected-move band shaded and the current price marked.
+ *
+ * Charts are PNG (many email clients strip SVG). When the Worker has a public URL and persistent
+ * storage they are stored under `chart:<id>` and served from GET /charts/<id>.png; otherwise they
+ * are inlined as data: URIs (fine for previews and most desktop clients, stripped by Gmail).
+ */
+
+import { createProfitFunction } from './strategies.js';
+import { encodePng, toBase64, fromBase64 } from './png.js';
+
+// Rendered at twice the display size so the lines stay sharp on high-density screens
+export const CHART_DISPLAY_SIZE = { width: 280, height: 90 };
+const SCALE = 2;
+const PADDING = 6;
+// Shown price range: ± this many expected moves around the current price (widened to fit all strikes)
+const RANGE_EXPECTED_MOVES = 2.5;
+const CHART_TTL_SECONDS = 90 * 24 * 60 * 60;
+const KEY_PREFIX = 'chart:';
+const CHART_ID_PATTERN = /^[a-z0-9-]{1,80}$/;
+
+// Newsletter palette (see email-template.js)
+const COLORS = {
+    background: 0,
+    band: 1,
+    axis: 2,
+    profit: 3,
+    loss: 4,
+    spot: 5
+};
+const PALETTE = ['#FDFDFD', '#F3E2D5', '#DDBEA9', '#B45F4D', '#7C6F64', '#3A3A3A'];
+
+/**
+ * Sample a strategy's P&L across the chart's price range
+ * @param {Object} candidate - Strategy candidate (see strategies.js)
+ * @param {Object} options - Chart options
+ * @param {number} options.spot - Current stock price
+ * @param {number} [options.expectedMove] - Expected earnings move in dollars (shaded band)
+ * @param {number} [options.rate=0] - Risk-free rate for legs that outlive the first expiration
+ * @param {number} [options.samples=100] - Number of prices sampled
+ * @returns {Object} Curve
+ * @returns {number} returns.low - Lowest price shown
+ * @returns {number} returns.high - Highest price shown
+ * @returns {Array<Object>} returns.points - { price, profit } per share, ascending by price
+ */
+export function computePayoffCurve(candidate, options) {
+    const { spot, expectedMove = 0, rate = 0, samples = 100 } = options;
+    const furthestStrike = Math.max(...candidate.legs.map(leg => Math.abs(leg.strike - spot)));
+    const halfRange = Math.max(expectedMove * RANGE_EXPECTED_MOVES, furthestStrike * 1.25, spot * 0.02);
+    const low = Math.max(0, spot - halfRange);
+    const high = spot + halfRange;
+    const profitAt = createProfitFunction(candidate, { rate });
+
+    const points = [];
+    for (let i = 0; i < samples; i++) {
+        const price = low + ((high - low) * i) / (samples - 1);
+        points.push({ price, profit: profitAt(price) });
+    }
+    return { low, high, points };
+}
+
+/**
+ * Render a strategy's payoff diagram as PNG
+ * @async
+ * @param {Object} candidate - Strategy candidate (see strategies.js)
+ * @param {Object} options - Chart options (see computePayoffCurve)
+ * @returns {Promise<Uint8Array>} PNG bytes (CHART_DISPLAY_SIZE × 2)
+ * @description Profit is drawn in the accent color and losses in the muted color, above and below
+ * a zero line; the expected-move band is shaded and the current price is a dotted vertical line.
+ */
+export async function renderPayoffChart(candidate, options) {
+    const width = CHART_DISPLAY_SIZE.width * SCALE;
+    const height = CHART_DISPLAY_SIZE.height * SCALE;
+    const pixels = new Uint8Array(width * height).fill(COLORS.background);
+    const { low, high, points } = computePayoffCurve(candidate, { ...options, samples: width - 2 * PADDING });
+
+    const profits = points.map(point => point.profit);
+    let top = Math.max(0, ...profits);
+    let bottom = Math.min(0, ...profits);
+    const margin = (top - bottom || 1) * 0.1;
+    top += margin;
+    bottom -= margin;
+
+    const toX = price => PADDING + Math.round(((price - low) / (high - low)) * (width - 2 * PADDING - 1));
+    const toY = profit => PADDING + Math.round(((top - profit) / (top - bottom)) * (height - 2 * PADDING - 1));
+    const fillRect = (x0, y0, x1, y1, color) => {
+        for (let y = Math.max(0, Math.min(y0, y1)); y <= Math.min(height - 1, Math.max(y0, y1)); y++) {
+            for (let x = Math.max(0, Math.min(x0, x1)); x <= Math.min(width - 1, Math.max(x0, x1)); x++) {
+                pixels[y * width + x] = color;
+            }
+        }
+    };
+
+    if (options.expectedMove > 0) {
+        fillRect(toX(Math.max(low, options.spot - options.expectedMove)), 0, toX(Math.min(high, options.spot + options.expectedMove)), height - 1, COLORS.band);
+    }
+    const zero = toY(0);
+    fillRect(0, zero, width - 1, zero, COLORS.axis);
+    const spotX = toX(options.spot);
+    for (let y = 0; y < height; y += 6) {
+        fillRect(spotX, y, spotX, y + 2, COLORS.spot);
+    }
+
+    // Curve: two pixels thick, each column joined to the previous one
+    let previousY = toY(points[0].profit);
+    points.forEach((point, index) => {
+        const x = PADDING + index;
+        const y = toY(point.profit);
+        const color = point.profit >= 0 ? COLORS.profit : COLORS.loss;
+        fillRect(x, Math.min(previousY, y), x + 1, Math.max(previousY, y) + 1, color);
+        previousY = y;
+    });
+
+    return encodePng({ width, height, pixels, palette: PALETTE });
+}
+
+/**
+ * Persisted payoff charts served by the Worker at /charts/<id>.png
+ * @class PayoffChartStore
+ */
+export class PayoffChartStore {
+    /**
+     * @param {Object} storage - Storage backend (see storage.js)
+     */
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Store a chart
+     * @async
+     * @param {string} id - Chart id (lowercase letters, digits and dashes)
+     * @param {Uint8Array} png - PNG bytes
+     * @returns {Promise<void>}
+     */
+    async save(id, png) {
+        if (!isValidChartId(id)) {
+            throw new Error(`Invalid chart id: ${id}`);
+        }
+        await this.storage.put(`${KEY_PREFIX}${id}`, { contentType: 'image/png', data: toBase64(png) }, { ttlSeconds: CHART_TTL_SECONDS });
+    }
+
+    /**
+     * Load a chart
+     * @async
+     * @param {string} id - Chart id
+     * @returns {Promise<Uint8Array|null>} PNG bytes or null when unknown or expired
+     */
+    async load(id) {
+        if (!isValidChartId(id)) return null;
+        const stored = await this.storage.get(`${KEY_PREFIX}${id}`);
+        return stored?.data ? fromBase64(stored.data) : null;
+    }
+}
+
+/**
+ * Render payoff charts for the strategies shown in the newsletter
+ * @async
+ * @param {Array<Object>} content - Analyses ({ opportunity, analysis }) from generateTradingIdeas
+ * @param {Object} [options={}] - Chart options
+ * @param {PayoffChartStore} [options.store] - Chart store; charts are hosted when given with a baseUrl
+ * @param {string} [options.baseUrl] - Public Worker URL (see getPublicBaseUrl)
+ * @param {number} [options.rate=0] - Risk-free rate (calendar valuation)
+ * @param {string} [options.date] - Run date used in chart ids (YYYY-MM-DD, defaults to today)
+ * @param {number} [options.limit=2] - Strategies per opportunity (the card shows the first two)
+ * @returns {Promise<Object>} { rendered, failed, hosted }
+ * @description Sets `strategy.chart = { src, alt, width, height }` on every strategy linked to a
+ * chain-built candidate; free-text strategies have no legs and get no chart. A failed chart is
+ * logged and skipped so it never blocks the newsletter.
+ */
+export async function attachPayoffCharts(content, options = {}) {
+    const hosted = Boolean(options.store && options.baseUrl);
+    const date = options.date || new Date().toISOString().split('T')[0];
+    const result = { rendered: 0, failed: 0, hosted };
+
+    for (const { opportunity, analysis } of content) {
+        const vol = opportunity?.volatilityData || {};
+        const spot = vol.currentPrice;
+        const strategies = (analysis?.strategies || []).slice(0, options.limit ?? 2);
+
+        for (const strategy of strategies) {
+            if (!strategy.candidate || !(spot > 0)) continue;
+            try {
+                const png = await renderPayoffChart(strategy.candidate, {
+                    spot,
+                    expectedMove: vol.impliedEarningsMove?.move ?? vol.strategyCandidates?.expectedMove,
+                    rate: options.rate
+                });
+                let src;
+                if (hosted) {
+                    const id = createChartId(date, opportunity.symbol, strategy.candidate.type);
+                    await options.store.save(id, png);
+                    src = `${options.baseUrl}/charts/${id}.png`;
+                } else {
+                    src = `data:image/png;base64,${toBase64(png)}`;
+                }
+                strategy.chart = {
+                    src,
+                    alt: `${opportunity.symbol} ${strategy.candidate.label} payoff at expiration`,
+                    ...CHART_DISPLAY_SIZE
+                };
+                result.rendered++;
+            } catch (error) {
+                console.warn(`⚠️ Payoff chart failed for ${opportunity.symbol} ${strategy.name}:`, error.message);
+                result.failed++;
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Chart id for a symbol's strategy on a run date
+ * @param {string} date - Run date (YYYY-MM-DD)
+ * @param {string} symbol - Stock symbol
+ * @param {string} type - Strategy type
+ * @returns {string} e.g. '2025-01-10-brk-b-iron-condor'
+ */
+export function createChartId(date, symbol, type) {
+    return [date, symbol, type.replace(/([A-Z])/g, '-$1')]
+        .join('-')
+        .toLowerCase()
+        .replace(/[^a-z0-9-]+/g, '-')
+        .replace(/-+/g, '-');
+}
+
+/**
+ * Whether a string is a well-formed chart id (guards the storage key built from the URL)
+ * @param {string} id - Chart id
+ * @returns {boolean} True when the id is safe to look up
+ */
+export function isValidChartId(id) {
+    return typeof id === 'string' && CHART_ID_PATTERN.test(id);
+}
+
+export default renderPayoffChart;
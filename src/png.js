@@ -0,0 +1,135 @@
+/**
+ * Minimal PNG encoder for palette images
+ * Runs unchanged in the Worker and in Node 18+: compression uses the standard CompressionStream
+ * ('deflate' is the zlib format PNG expects), so no native image library is needed.
+ */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const CRC_TABLE = buildCrcTable();
+
+/**
+ * Encode an 8-bit palette image as PNG
+ * @async
+ * @param {Object} image - Image to encode
+ * @param {number} image.width - Width in pixels
+ * @param {number} image.height - Height in pixels
+ * @param {Uint8Array} image.pixels - Palette index per pixel, row by row (width × height)
+ * @param {Array<string>} image.palette - Palette colors as '#rrggbb' (at most 256)
+ * @returns {Promise<Uint8Array>} PNG file bytes
+ */
+export async function encodePng({ width, height, pixels, palette }) {
+    if (pixels.length !== width * height) {
+        throw new Error(`PNG pixel buffer has ${pixels.length} entries, expected ${width * height}`);
+    }
+    if (palette.length === 0 || palette.length > 256) {
+        throw new Error(`PNG palette must have 1-256 colors, got ${palette.length}`);
+    }
+
+    // Each scanline starts with filter type 0 (none)
+    const raw = new Uint8Array((width + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(pixels.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 8; // bit depth
+    header[9] = 3; // color type: indexed
+
+    const colors = new Uint8Array(palette.length * 3);
+    palette.forEach((color, index) => colors.set(parseHexColor(color), index * 3));
+
+    return concatBytes([
+        new Uint8Array(PNG_SIGNATURE),
+        chunk('IHDR', header),
+        chunk('PLTE', colors),
+        chunk('IDAT', await deflate(raw)),
+        chunk('IEND', new Uint8Array(0))
+    ]);
+}
+
+/**
+ * Base64 encoding of binary data (for data: URIs and JSON storage)
+ * @param {Uint8Array} bytes - Binary data
+ * @returns {string} Base64 string
+ */
+export function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 into binary data
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Binary data
+ */
+export function fromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * CRC-32 as used by PNG chunks
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC
+ */
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const bytes = new Uint8Array(12 + data.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) bytes[4 + i] = type.charCodeAt(i);
+    bytes.set(data, 8);
+    view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+    return bytes;
+}
+
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function concatBytes(parts) {
+    const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+}
+
+function parseHexColor(color) {
+    const match = /^#([0-9a-f]{6})$/i.exec(color);
+    if (!match) throw new Error(`Invalid PNG palette color: ${color}`);
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+function buildCrcTable() {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+}
@@ -0,0 +1,120 @@
+/**
+ * Position sizing for the newsletter strategies
+ * Turns the engine's per-share max loss (see analyzeCandidate in strategies.js) into contract counts
+ * for a reference account (see getAccountModel in config.js):
+ *   - contracts: as many as fit in the per-trade risk budget (account × max risk per trade)
+ *   - account per contract: the smallest account for which one contract stays within that budget
+ *   - positions within heat: how many trades of this size fit in the portfolio heat budget
+ *
+ * Strategies without a defined max loss (short strangle) are sized on their loss at a stress move
+ * of STRESS_EXPECTED_MOVES expected moves, and say so.
+ */
+
+import { ACCOUNT_MODEL } from './config.js';
+import { createProfitFunction } from './strategies.js';
+import { round } from './math.js';
+
+export const CONTRACT_MULTIPLIER = 100;
+// Undefined-risk strategies are sized on their loss at this many expected moves
+export const STRESS_EXPECTED_MOVES = 2;
+
+/**
+ * Size one strategy candidate for an account
+ * @param {Object} candidate - Strategy candidate (see strategies.js)
+ * @param {Object} [accountModel=ACCOUNT_MODEL] - { accountSize, maxRiskPerTrade, maxPortfolioHeat } (percentages)
+ * @param {Object} [market={}] - Needed only for undefined-risk candidates
+ * @param {number} [market.spot] - Current stock price
+ * @param {number} [market.expectedMove] - Expected earnings move in dollars
+ * @param {number} [market.rate=0] - Risk-free rate (legs that outlive the first expiration)
+ * @returns {Object|null} Sizing, or null when the risk per contract cannot be determined
+ * @returns {string} returns.riskBasis - 'max-loss' or 'stress'
+ * @returns {number} returns.riskPerContract - Dollars at risk per contract
+ * @returns {number} returns.contracts - Contracts within the per-trade risk budget (may be 0)
+ * @returns {number} returns.totalRisk - Dollars at risk for those contracts
+ * @returns {number} returns.riskPercent - totalRisk as a percentage of the account
+ * @returns {number} returns.accountPerContract - Account size that supports one contract
+ * @returns {number} returns.positionsWithinHeat - Trades of this size that fit in the heat budget
+ * @returns {Object} returns.account - The account model the sizing was computed for
+ */
+export function calculatePositionSize(candidate, accountModel = ACCOUNT_MODEL, market = {}) {
+    let riskBasis = 'max-loss';
+    let riskPerShare = candidate?.maxLoss;
+    if (riskPerShare == null && candidate?.legs?.length) {
+        riskBasis = 'stress';
+        riskPerShare = stressLoss(candidate, market);
+    }
+    if (!(riskPerShare > 0)) return null;
+
+    const { accountSize, maxRiskPerTrade, maxPortfolioHeat } = accountModel;
+    const riskPerContract = round(riskPerShare * CONTRACT_MULTIPLIER);
+    const contracts = Math.floor((accountSize * maxRiskPerTrade) / 100 / riskPerContract);
+    const totalRisk = round(contracts * riskPerContract);
+
+    return {
+        riskBasis,
+        riskPerContract,
+        contracts,
+        totalRisk,
+        riskPercent: round((totalRisk / accountSize) * 100),
+        accountPerContract: Math.ceil((riskPerContract * 100) / maxRiskPerTrade),
+        positionsWithinHeat: contracts > 0 ? Math.floor((accountSize * maxPortfolioHeat) / 100 / totalRisk) : 0,
+        account: { accountSize, maxRiskPerTrade, maxPortfolioHeat }
+    };
+}
+
+/**
+ * Size every candidate of an opportunity, setting `candidate.sizing`
+ * @param {Object|null} strategyCandidates - Result of buildStrategyCandidates
+ * @param {Object} [accountModel=ACCOUNT_MODEL] - Reference account (see getAccountModel)
+ * @param {Object} [market={}] - { spot, rate }; the expected move is taken from strategyCandidates
+ * @returns {Object|null} The same strategyCandidates
+ */
+export function sizeStrategyCandidates(strategyCandidates, accountModel = ACCOUNT_MODEL, market = {}) {
+    for (const candidate of strategyCandidates?.candidates || []) {
+        candidate.sizing = calculatePositionSize(candidate, accountModel, {
+            ...market,
+            expectedMove: strategyCandidates.expectedMove
+        });
+    }
+    return strategyCandidates;
+}
+
+/**
+ * Sizing guidance for the card and the prompt
+ * @param {Object|null} sizing - Result of calculatePositionSize
+ * @returns {string} e.g. '1 contract per $21k account · 1 on $25k: $410 at risk (1.6%), 3 such trades fit 6% heat'
+ */
+export function formatSizingGuidance(sizing) {
+    if (!sizing) return '';
+    const { account: accountModel } = sizing;
+    const perAccount = `1 contract per ${formatAccount(sizing.accountPerContract)} account`;
+    const stress = sizing.riskBasis === 'stress' ? ` (risk undefined; sized on a ${STRESS_EXPECTED_MOVES}× expected move)` : '';
+    const account = formatAccount(accountModel.accountSize);
+
+    if (sizing.contracts === 0) {
+        return `${perAccount} · none on ${account} at ${accountModel.maxRiskPerTrade}% max risk${stress}`;
+    }
+    const count = `${sizing.contracts} on ${account}: $${Math.round(sizing.totalRisk).toLocaleString('en-US')} at risk (${sizing.riskPercent.toFixed(1)}%)`;
+    const heat = `${sizing.positionsWithinHeat} such trade${sizing.positionsWithinHeat === 1 ? '' : 's'} fit ${accountModel.maxPortfolioHeat}% heat`;
+    return `${perAccount} · ${count}, ${heat}${stress}`;
+}
+
+/**
+ * Worst loss between ± STRESS_EXPECTED_MOVES expected moves (the worst case of a short strangle is
+ * at the edge of the range)
+ */
+function stressLoss(candidate, { spot, expectedMove, rate = 0 }) {
+    if (!(spot > 0) || !(expectedMove > 0)) return null;
+    const profitAt = createProfitFunction(candidate, { rate });
+    const shock = expectedMove * STRESS_EXPECTED_MOVES;
+    return -Math.min(profitAt(Math.max(0, spot - shock)), profitAt(spot + shock), 0);
+}
+
+function formatAccount(dollars) {
+    if (dollars >= 1000) {
+        const thousands = dollars / 1000;
+        // Rounded up so the quoted account always covers one contract
+        return `$${thousands >= 10 ? Math.ceil(thousands) : Math.ceil(thousands * 10) / 10}k`;
+    }
+    return `$${Math.round(dollars)}`;
+}
@@ -0,0 +1,297 @@
+/**
+ * Option pricing and Greeks
+ * Black-Scholes-Merton for European pricing and the closed-form Greeks, and a Cox-Ross-Rubinstein
+ * binomial tree for American exercise (single-stock options are American style).
+ *
+ * Conventions used throughout:
+ *   - implied volatility is in percent (as stored on chain contracts and analyses), rates are decimals
+ *   - time is calendar days / 365, matching how IV is quoted by the chain providers
+ *   - theta is per calendar day, vega and rho per 1 point (1%) change in IV / rate
+ *   - probabilities are risk-neutral under a lognormal terminal price, i.e. what the option
+ *     market itself implies, not a forecast
+ *
+ * Every strategy figure quoted in the newsletter (POP, breakevens, risk) comes from here rather
+ * than from the model.
+ */
+
+import { round } from './math.js';
+
+const DAYS_PER_YEAR = 365;
+const DEFAULT_BINOMIAL_STEPS = 200;
+
+/**
+ * Price a European option with Black-Scholes-Merton
+ * @param {Object} params - Option parameters
+ * @param {number} params.spot - Underlying price
+ * @param {number} params.strike - Strike price
+ * @param {number} params.daysToExpiration - Calendar days until expiration
+ * @param {number} params.impliedVolatility - Implied volatility (%)
+ * @param {number} [params.rate=0] - Annualized risk-free rate (decimal)
+ * @param {number} [params.dividendYield=0] - Continuous dividend yield (decimal)
+ * @param {string} [params.type='call'] - 'call' or 'put'
+ * @returns {Object|null} Price and Greeks, or null when the inputs cannot be priced
+ * @returns {number} returns.price - Theoretical value
+ * @returns {number} returns.delta - Delta
+ * @returns {number} returns.gamma - Gamma (delta change per $1 in the underlying)
+ * @returns {number} returns.theta - Value change per calendar day
+ * @returns {number} returns.vega - Value change per IV point
+ * @returns {number} returns.rho - Value change per rate point
+ * @returns {number} returns.probabilityITM - Risk-neutral probability of finishing in the money (0-1)
+ * @returns {number} returns.probabilityOTM - 1 - probabilityITM
+ * @description At (or past) expiration, or with zero volatility, the option is worth its
+ * discounted intrinsic value and the Greeks other than delta are zero.
+ */
+export function blackScholes(params) {
+    const inputs = normalizeInputs(params);
+    if (!inputs) return null;
+    const { spot, strike, time, volatility, rate, dividendYield, isCall } = inputs;
+
+    if (time <= 0 || volatility <= 0) {
+        return expiredValue(inputs);
+    }
+
+    const sqrtTime = Math.sqrt(time);
+    const d1 = (Math.log(spot / strike) + (rate - dividendYield + volatility * volatility / 2) * time) / (volatility * sqrtTime);
+    const d2 = d1 - volatility * sqrtTime;
+    const spotDiscount = Math.exp(-dividendYield * time);
+    const strikeDiscount = Math.exp(-rate * time);
+    const density = normalPdf(d1);
+    const sign = isCall ? 1 : -1;
+
+    const price = sign * (spot * spotDiscount * normalCdf(sign * d1) - strike * strikeDiscount * normalCdf(sign * d2));
+    const decay = -spot * spotDiscount * density * volatility / (2 * sqrtTime);
+    const thetaPerYear = decay
+        - sign * rate * strike * strikeDiscount * normalCdf(sign * d2)
+        + sign * dividendYield * spot * spotDiscount * normalCdf(sign * d1);
+    const probabilityITM = normalCdf(sign * d2);
+
+    return {
+        price,
+        delta: sign * spotDiscount * normalCdf(sign * d1),
+        gamma: spotDiscount * density / (spot * volatility * sqrtTime),
+        theta: thetaPerYear / DAYS_PER_YEAR,
+        vega: spot * spotDiscount * density * sqrtTime / 100,
+        rho: sign * strike * time * strikeDiscount * normalCdf(sign * d2) / 100,
+        probabilityITM,
+        probabilityOTM: 1 - probabilityITM
+    };
+}
+
+/**
+ * Price an option on a Cox-Ross-Rubinstein binomial tree
+ * @param {Object} params - Option parameters (same as blackScholes)
+ * @param {Object} [options={}] - Tree options
+ * @param {number} [options.steps=200] - Number of time steps (at least 3, so the tree has a level two
+ * before expiry for gamma and theta)
+ * @param {boolean} [options.american=true] - Allow early exercise
+ * @returns {Object|null} Price and tree Greeks, or null when the inputs cannot be priced
+ * @returns {number} returns.price - Theoretical value
+ * @returns {number} returns.delta - Delta from the first step
+ * @returns {number} returns.gamma - Gamma from the second step
+ * @returns {number} returns.theta - Value change per calendar day (from the second step)
+ * @description Delta, gamma and theta are read off the first two levels of the tree, so they
+ * include the early-exercise premium. With american=false the tree converges to Black-Scholes.
+ */
+export function binomialPrice(params, options = {}) {
+    const inputs = normalizeInputs(params);
+    if (!inputs) return null;
+    const { spot, strike, time, volatility, rate, dividendYield, isCall } = inputs;
+    const steps = Math.max(3, Math.round(options.steps ?? DEFAULT_BINOMIAL_STEPS));
+    const american = options.american ?? true;
+
+    if (time <= 0 || volatility <= 0) {
+        const { price, delta } = expiredValue(inputs);
+        return { price, delta, gamma: 0, theta: 0 };
+    }
+
+    const dt = time / steps;
+    const up = Math.exp(volatility * Math.sqrt(dt));
+    const down = 1 / up;
+    const growth = Math.exp((rate - dividendYield) * dt);
+    const discount = Math.exp(-rate * dt);
+    const probabilityUp = (growth - down) / (up - down);
+    const payoff = price => Math.max(isCall ? price - strike : strike - price, 0);
+
+    // values[i] holds the node with i up-moves at the current level
+    let values = [];
+    for (let i = 0; i <= steps; i++) {
+        values.push(payoff(spot * up ** i * down ** (steps - i)));
+    }
+    let levelOne = null;
+    let levelTwo = null;
+    for (let step = steps - 1; step >= 0; step--) {
+        const next = [];
+        for (let i = 0; i <= step; i++) {
+            const continuation = discount * (probabilityUp * values[i + 1] + (1 - probabilityUp) * values[i]);
+            next.push(american ? Math.max(continuation, payoff(spot * up ** i * down ** (step - i))) : continuation);
+        }
+        values = next;
+        if (step === 2) levelTwo = values;
+        if (step === 1) levelOne = values;
+    }
+
+    const price = values[0];
+    const delta = (levelOne[1] - levelOne[0]) / (spot * up - spot * down);
+    const upperDelta = (levelTwo[2] - levelTwo[1]) / (spot * up * up - spot);
+    const lowerDelta = (levelTwo[1] - levelTwo[0]) / (spot - spot * down * down);
+    const gamma = (upperDelta - lowerDelta) / ((spot * up * up - spot * down * down) / 2);
+    const theta = (levelTwo[1] - price) / (2 * dt) / DAYS_PER_YEAR;
+
+    return { price, delta, gamma, theta };
+}
+
+/**
+ * Price an option with Greeks and probabilities, American or European style
+ * @param {Object} params - Option parameters (same as blackScholes)
+ * @param {Object} [options={}] - Pricing options
+ * @param {string} [options.style='american'] - 'american' (binomial tree) or 'european' (Black-Scholes)
+ * @param {number} [options.steps] - Binomial steps
+ * @returns {Object|null} Same shape as blackScholes, or null when the inputs cannot be priced
+ * @description American pricing takes price, delta, gamma and theta from the tree; vega, rho and
+ * the probabilities have no tree equivalent and come from Black-Scholes.
+ */
+export function priceOption(params, options = {}) {
+    const european = blackScholes(params);
+    if (!european || options.style === 'european') return european;
+
+    const tree = binomialPrice(params, { steps: options.steps, american: true });
+    return { ...european, ...tree };
+}
+
+/**
+ * Risk-neutral probability that the underlying finishes above a price level
+ * @param {number} level - Price level
+ * @param {Object} params - Underlying parameters
+ * @param {number} params.spot - Underlying price
+ * @param {number} params.daysToExpiration - Calendar days until expiration
+ * @param {number} params.impliedVolatility - Implied volatility (%)
+ * @param {number} [params.rate=0] - Annualized risk-free rate (decimal)
+ * @param {number} [params.dividendYield=0] - Continuous dividend yield (decimal)
+ * @returns {number|null} Probability (0-1), or null when the inputs cannot be priced
+ */
+export function probabilityAbove(level, params) {
+    if (!(level > 0)) return level <= 0 ? 1 : null;
+    const result = blackScholes({ ...params, strike: level, type: 'call' });
+    return result ? result.probabilityITM : null;
+}
+
+/**
+ * Risk-neutral probability that the underlying finishes between two price levels
+ * @param {number} lower - Lower price level (null or <= 0 for no lower bound)
+ * @param {number} upper - Upper price level (null for no upper bound)
+ * @param {Object} params - Underlying parameters (same as probabilityAbove)
+ * @returns {number|null} Probability (0-1), or null when the inputs cannot be priced
+ */
+export function probabilityBetween(lower, upper, params) {
+    const aboveLower = lower > 0 ? probabilityAbove(lower, params) : 1;
+    const aboveUpper = upper == null ? 0 : probabilityAbove(upper, params);
+    if (aboveLower == null || aboveUpper == null) return null;
+    return Math.max(0, aboveLower - aboveUpper);
+}
+
+/**
+ * Price an at-the-money straddle and its breakevens
+ * @param {Object} params - Option parameters (same as blackScholes, without type)
+ * @param {Object} [options={}] - Pricing options
+ * @param {number} [options.premium] - Market straddle price (breakevens and POP use it when given)
+ * @param {string} [options.style='american'] - Exercise style
+ * @returns {Object|null} Straddle pricing, or null when the inputs cannot be priced
+ * @returns {Object} returns.call - Call price and Greeks (see priceOption)
+ * @returns {Object} returns.put - Put price and Greeks
+ * @returns {number} returns.theoreticalPrice - Model call + put
+ * @returns {number} returns.premium - Premium the breakevens are based on
+ * @returns {Object} returns.breakevens - { lower, upper }
+ * @returns {Object} returns.probabilityOfProfit - { long, short } risk-neutral POP at expiration (%)
+ * @returns {Object} returns.greeks - Net long-straddle { delta, gamma, theta, vega }
+ */
+export function priceStraddle(params, options = {}) {
+    const style = options.style || 'american';
+    const call = priceOption({ ...params, type: 'call' }, { style });
+    const put = priceOption({ ...params, type: 'put' }, { style });
+    if (!call || !put) return null;
+
+    const theoreticalPrice = call.price + put.price;
+    const premium = options.premium > 0 ? options.premium : theoreticalPrice;
+    const lower = params.strike - premium;
+    const upper = params.strike + premium;
+    const inside = probabilityBetween(lower, upper, params);
+
+    return {
+        call: roundGreeks(call),
+        put: roundGreeks(put),
+        theoreticalPrice: round(theoreticalPrice),
+        premium: round(premium),
+        breakevens: { lower: round(Math.max(lower, 0)), upper: round(upper) },
+        probabilityOfProfit: {
+            long: round((1 - inside) * 100, 1),
+            short: round(inside * 100, 1)
+        },
+        greeks: roundGreeks({
+            delta: call.delta + put.delta,
+            gamma: call.gamma + put.gamma,
+            theta: call.theta + put.theta,
+            vega: call.vega + put.vega
+        })
+    };
+}
+
+/**
+ * Standard normal probability density
+ * @param {number} x - Value
+ * @returns {number} Density at x
+ */
+export function normalPdf(x) {
+    return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz-Stegun 26.2.17, |error| < 7.5e-8)
+ * @param {number} x - Value
+ * @returns {number} P(Z <= x)
+ */
+export function normalCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    const upperTail = normalPdf(x) * poly;
+    return x >= 0 ? 1 - upperTail : upperTail;
+}
+
+function normalizeInputs(params = {}) {
+    const { spot, strike, daysToExpiration, impliedVolatility } = params;
+    if (!(spot > 0) || !(strike > 0) || !Number.isFinite(daysToExpiration) || !Number.isFinite(impliedVolatility) || impliedVolatility < 0) {
+        return null;
+    }
+    return {
+        spot,
+        strike,
+        time: Math.max(daysToExpiration, 0) / DAYS_PER_YEAR,
+        volatility: impliedVolatility / 100,
+        rate: params.rate ?? 0,
+        dividendYield: params.dividendYield ?? 0,
+        isCall: (params.type || 'call') === 'call'
+    };
+}
+
+function expiredValue({ spot, strike, time, rate, dividendYield, isCall }) {
+    const forward = spot * Math.exp((rate - dividendYield) * time);
+    const inTheMoney = isCall ? forward > strike : forward < strike;
+    const price = Math.max(isCall ? forward - strike : strike - forward, 0) * Math.exp(-rate * time);
+    return {
+        price,
+        delta: inTheMoney ? (isCall ? 1 : -1) * Math.exp(-dividendYield * time) : 0,
+        gamma: 0,
+        theta: 0,
+        vega: 0,
+        rho: 0,
+        probabilityITM: inTheMoney ? 1 : 0,
+        probabilityOTM: inTheMoney ? 0 : 1
+    };
+}
+
+function roundGreeks(greeks) {
+    const rounded = {};
+    for (const [key, value] of Object.entries(greeks)) {
+        rounded[key] = round(value, key.startsWith('probability') || key === 'gamma' || key === 'delta' ? 4 : 2);
+    }
+    return rounded;
+}
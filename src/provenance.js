@@ -0,0 +1,98 @@
+/**
+ * Per-field data lineage for volatility analyses
+ *
+ * Every numeric field the newsletter prints carries where it came from and when:
+ *   { value, source: 'tradier-chain', asOf: '2026-10-16T14:05:00.000Z', estimated: false }
+ *
+ * Sources name the provider and the dataset ('yahoo-quote', 'polygon-history', 'finnhub-fundamentals',
+ * 'tradier-chain'), 'estimated' for heuristic fallbacks, or 'derived' for values computed from other
+ * fields (listed in `derivedFrom`). A derived field is estimated when any of its inputs is.
+ */
+
+export const ESTIMATED_SOURCE = 'estimated';
+export const DERIVED_SOURCE = 'derived';
+
+// Fields tracked on every analysis, in the order the newsletter prints them
+export const PROVENANCE_FIELDS = [
+    'price',
+    'impliedVolatility',
+    'historicalVolatility',
+    'rsi',
+    'fiftyTwoWeekRange',
+    'expectedMove',
+    'optionsVolume'
+];
+
+/**
+ * Lineage entry for a value read from a provider (or estimated)
+ * @param {*} value - Field value
+ * @param {string} source - '<provider>-<dataset>' or 'estimated'
+ * @param {string|null} [asOf] - ISO timestamp of the underlying data
+ * @returns {Object} { value, source, asOf, estimated }
+ */
+export function createFieldProvenance(value, source, asOf = null) {
+    return {
+        value,
+        source,
+        asOf,
+        estimated: source === ESTIMATED_SOURCE
+    };
+}
+
+/**
+ * Lineage entry for a value computed from other tracked fields
+ * @param {*} value - Field value
+ * @param {Array<Object>} inputs - Lineage entries the value was computed from
+ * @param {Array<string>} inputNames - Field names of the inputs (recorded in `derivedFrom`)
+ * @returns {Object} { value, source: 'derived', derivedFrom, asOf (oldest input), estimated }
+ */
+export function createDerivedProvenance(value, inputs, inputNames) {
+    const asOfs = inputs.map(input => input?.asOf).filter(Boolean).sort();
+
+    return {
+        value,
+        source: DERIVED_SOURCE,
+        derivedFrom: inputNames,
+        asOf: asOfs[0] || null,
+        estimated: inputs.some(input => !input || input.estimated)
+    };
+}
+
+/**
+ * Lineage for an analysis built entirely from placeholder data
+ * @param {Object} values - Field values keyed by PROVENANCE_FIELDS name
+ * @returns {Object} Lineage with every field marked estimated
+ */
+export function createEstimatedProvenance(values = {}) {
+    return Object.fromEntries(
+        PROVENANCE_FIELDS.map(field => [field, createFieldProvenance(values[field] ?? null, ESTIMATED_SOURCE)])
+    );
+}
+
+/**
+ * Whether a field of an analysis is estimated
+ * @param {Object} volatilityData - Analysis (with `provenance`)
+ * @param {string} field - PROVENANCE_FIELDS name
+ * @returns {boolean} True when the field is estimated or its lineage is unknown
+ * @description Analyses without lineage (legacy or mock data) fall back to the older
+ * per-analysis flags: impliedVolatilitySource, technicalIndicators.source and dataQuality.
+ */
+export function isEstimatedField(volatilityData, field) {
+    const entry = volatilityData?.provenance?.[field];
+    if (entry) return Boolean(entry.estimated);
+
+    if (!volatilityData || volatilityData.isSynthetic) return true;
+    if (field === 'impliedVolatility') return volatilityData.impliedVolatilitySource === ESTIMATED_SOURCE;
+    if (field === 'rsi') return volatilityData.technicalIndicators?.source === ESTIMATED_SOURCE;
+    return volatilityData.dataQuality === ESTIMATED_SOURCE;
+}
+
+/**
+ * Names of the estimated fields of an analysis
+ * @param {Object} volatilityData - Analysis (with `provenance`)
+ * @param {Array<string>} [fields=PROVENANCE_FIELDS] - Fields to check
+ * @returns {Array<string>} Estimated field names
+ */
+export function getEstimatedFields(volatilityData, fields = PROVENANCE_FIELDS) {
+    return fields.filter(field => isEstimatedField(volatilityData, field));
+}
@@ -0,0 +1,99 @@
+/**
+ * Alpha Vantage market-data adapter
+ * Capabilities: quote, history, chain, fundamentals
+ *
+ * Wraps the existing AlphaVantageAPI client. The free tier allows 25 calls per day and
+ * HISTORICAL_OPTIONS is premium, so this adapter normally sits last in every priority list.
+ */
+
+import { normalizeAlphaVantageChain } from '../options-chain.js';
+import { DAY_MS, toDateString } from '../trading-calendar.js';
+
+/**
+ * Alpha Vantage provider adapter
+ * @class AlphaVantageProvider
+ */
+class AlphaVantageProvider {
+    /**
+     * @param {Object} client - AlphaVantageAPI instance
+     */
+    constructor(client) {
+        this.name = 'alphavantage';
+        this.capabilities = ['quote', 'history', 'chain', 'fundamentals'];
+        this.client = client;
+    }
+
+    isAvailable() {
+        return Boolean(this.client?.apiKey);
+    }
+
+    /**
+     * Current quote (GLOBAL_QUOTE)
+     * @returns {Promise<Object|null>} Quote or null when Alpha Vantage has no data
+     */
+    async quote(symbol) {
+        const quote = await this.client.getQuote(symbol);
+        if (!quote || !(quote.price > 0)) return null;
+
+        return {
+            ...quote,
+            symbol: quote.symbol || symbol,
+            changePercent: parseFloat(String(quote.changePercent).replace('%', ''))
+        };
+    }
+
+    /**
+     * Daily bars (TIME_SERIES_DAILY, unadjusted)
+     * @returns {Promise<Object|null>} { prices (oldest first), count } or null without data
+     */
+    async history(symbol, days = 60) {
+        const data = await this.client.makeRequest({
+            function: 'TIME_SERIES_DAILY',
+            symbol,
+            outputsize: days > 100 ? 'full' : 'compact'
+        });
+
+        const series = data['Time Series (Daily)'];
+        if (!series) return null;
+
+        const cutoff = toDateString(Date.now() - days * DAY_MS);
+        const prices = Object.keys(series)
+            .filter(date => date >= cutoff)
+            .sort()
+            .map(date => ({
+                date,
+                open: parseFloat(series[date]['1. open']),
+                close: parseFloat(series[date]['4. close']),
+                high: parseFloat(series[date]['2. high']),
+                low: parseFloat(series[date]['3. low']),
+                volume: parseInt(series[date]['5. volume'], 10) || 0
+            }));
+
+        return prices.length ? { prices, count: prices.length } : null;
+    }
+
+    /**
+     * Normalized options chain (HISTORICAL_OPTIONS, premium)
+     */
+    async chain(symbol) {
+        const chain = normalizeAlphaVantageChain(await this.client.getOptionsChain(symbol), symbol);
+        return chain?.contracts?.length ? chain : null;
+    }
+
+    /**
+     * Company overview (52-week range)
+     */
+    async fundamentals(symbol) {
+        const data = await this.client.makeRequest({ function: 'OVERVIEW', symbol });
+        const fiftyTwoWeekHigh = parseFloat(data['52WeekHigh']);
+        const fiftyTwoWeekLow = parseFloat(data['52WeekLow']);
+
+        if (Number.isNaN(fiftyTwoWeekHigh) || Number.isNaN(fiftyTwoWeekLow)) {
+            return null;
+        }
+
+        return { fiftyTwoWeekHigh, fiftyTwoWeekLow, metric: data };
+    }
+}
+
+export default AlphaVantageProvider;
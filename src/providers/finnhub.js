@@ -0,0 +1,139 @@
+/**
+ * Finnhub market-data adapter
+ * Capabilities: quote, fundamentals, earningsCalendar
+ *
+ * Free tier covers quotes, basic financials (52-week range) and the earnings calendar;
+ * it has no daily history or options chains.
+ */
+
+import { round } from '../math.js';
+
+const BASE_URL = 'https://finnhub.io/api/v1';
+
+/**
+ * Finnhub provider adapter
+ * @class FinnhubProvider
+ */
+class FinnhubProvider {
+    /**
+     * @param {Object} [config={}] - Configuration options
+     * @param {string} [config.apiKey] - Finnhub API key
+     * @param {number} [config.retries=3] - Attempts for the basic-financials request
+     * @param {number} [config.retryDelay=1000] - Base backoff delay in milliseconds
+     */
+    constructor(config = {}) {
+        this.name = 'finnhub';
+        this.capabilities = ['quote', 'fundamentals', 'earningsCalendar'];
+        this.apiKey = config.apiKey;
+        this.baseUrl = BASE_URL;
+        this.retries = config.retries ?? 3;
+        this.retryDelay = config.retryDelay ?? 1000;
+    }
+
+    /**
+     * Quotes are attempted even without a key (the request fails and the chain moves on);
+     * the other capabilities are skipped outright.
+     */
+    isAvailable(capability) {
+        return capability === 'quote' || Boolean(this.apiKey);
+    }
+
+    /**
+     * Current quote
+     * @param {string} symbol - Stock symbol
+     * @returns {Promise<Object>} Quote (price, change, changePercent, previousClose, high, low, open)
+     */
+    async quote(symbol) {
+        const response = await globalThis.fetch(`${this.baseUrl}/quote?symbol=${symbol}&token=${this.apiKey}`);
+
+        if (!response.ok) {
+            throw new Error(`Finnhub API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+
+        if (!data.c || data.c === 0) {
+            throw new Error('No quote data available');
+        }
+
+        return {
+            symbol,
+            price: data.c,
+            change: round(data.c - data.pc),
+            changePercent: data.pc > 0 ? round(((data.c - data.pc) / data.pc) * 100) : 0,
+            high: data.h,
+            low: data.l,
+            open: data.o,
+            previousClose: data.pc,
+            volume: 0, // Not available in basic Finnhub quote
+            timestamp: data.t
+        };
+    }
+
+    /**
+     * Basic financials (52-week range plus the raw metric block)
+     * @param {string} symbol - Stock symbol
+     * @returns {Promise<Object>} { fiftyTwoWeekHigh, fiftyTwoWeekLow, metric }
+     */
+    async fundamentals(symbol) {
+        this.requireKey();
+        const data = await this.fetchWithRetry(`${this.baseUrl}/stock/metric?symbol=${symbol}&metric=all&token=${this.apiKey}`);
+
+        if (!data || !data.metric) {
+            throw new Error('Invalid Finnhub response');
+        }
+
+        const fiftyTwoWeekHigh = data.metric['52WeekHigh'];
+        const fiftyTwoWeekLow = data.metric['52WeekLow'];
+
+        if (fiftyTwoWeekHigh == null || fiftyTwoWeekLow == null) {
+            throw new Error('52-week range not found in Finnhub response');
+        }
+
+        return { fiftyTwoWeekHigh, fiftyTwoWeekLow, metric: data.metric };
+    }
+
+    /**
+     * Earnings calendar events
+     * @param {Object} params - Query parameters
+     * @param {string} params.from - Start date (YYYY-MM-DD)
+     * @param {string} params.to - End date (YYYY-MM-DD)
+     * @param {string} [params.symbol] - Restrict to one symbol
+     * @returns {Promise<Array<Object>>} Finnhub earnings events ({ symbol, date, hour, epsEstimate, ... })
+     */
+    async earningsCalendar({ from, to, symbol } = {}) {
+        this.requireKey();
+        const symbolParam = symbol ? `&symbol=${symbol}` : '';
+        const response = await globalThis.fetch(`${this.baseUrl}/calendar/earnings?from=${from}&to=${to}${symbolParam}&token=${this.apiKey}`);
+
+        if (!response.ok) {
+            throw new Error(`Finnhub API error: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        return data.earningsCalendar || [];
+    }
+
+    requireKey() {
+        if (!this.apiKey) throw new Error('Finnhub API key not set');
+    }
+
+    /**
+     * Fetch JSON with retry and exponential backoff
+     */
+    async fetchWithRetry(url) {
+        for (let attempt = 1; attempt <= this.retries; attempt++) {
+            try {
+                const response = await globalThis.fetch(url);
+                if (!response.ok) throw new Error(`Fetch failed (status ${response.status})`);
+                return await response.json();
+            } catch (error) {
+                if (attempt === this.retries) throw error;
+                console.warn(`Fetch failed (${error.message}). Retrying ${attempt}/${this.retries}...`);
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay * attempt));
+            }
+        }
+    }
+}
+
+export default FinnhubProvider;
@@ -0,0 +1,163 @@
+/**
+ * Polygon.io market-data adapter
+ * Capabilities: quote, history, chain
+ *
+ * Requires a paid Polygon plan for option snapshots (greeks and implied volatility per contract).
+ * Skipped by the registry when POLYGON_API_KEY is not set.
+ *
+ * The chain snapshot is paginated, so the page count is only known while paging: the registry takes
+ * the token for the first page and chain() takes one per further page from the shared limiter.
+ */
+
+import { normalizePolygonChain } from '../options-chain.js';
+import { DAY_MS, toDateString } from '../trading-calendar.js';
+import { round } from '../math.js';
+
+const BASE_URL = 'https://api.polygon.io';
+const CHAIN_WINDOW_DAYS = 50; // Always reaches the next standard monthly expiration
+const POST_EARNINGS_WINDOW_DAYS = 14;
+const MAX_CHAIN_PAGES = 10;
+
+/**
+ * Polygon.io provider adapter
+ * @class PolygonProvider
+ */
+class PolygonProvider {
+    /**
+     * @param {Object} [config={}] - Configuration options
+     * @param {string} [config.apiKey] - Polygon.io API key
+     * @param {string} [config.baseUrl] - API base URL override
+     * @param {RateLimiter} [config.limiter] - Registry limiter, charged for each chain page after the first
+     */
+    constructor(config = {}) {
+        this.name = 'polygon';
+        this.capabilities = ['quote', 'history', 'chain'];
+        this.apiKey = config.apiKey;
+        this.baseUrl = config.baseUrl || BASE_URL;
+        this.limiter = config.limiter || null;
+    }
+
+    isAvailable() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * Current quote from the stock ticker snapshot
+     * @param {string} symbol - Stock symbol
+     * @returns {Promise<Object>} Quote (price, change, changePercent, previousClose, volume)
+     */
+    async quote(symbol) {
+        const data = await this.get(`/v2/snapshot/locale/us/markets/stocks/tickers/${symbol}`);
+        const ticker = data.ticker;
+
+        const price = ticker?.lastTrade?.p || ticker?.day?.c || ticker?.prevDay?.c;
+        const previousClose = ticker?.prevDay?.c;
+
+        if (!price || !previousClose || price <= 0) {
+            throw new Error('No quote data available');
+        }
+
+        return {
+            symbol: ticker.ticker || symbol,
+            price,
+            change: round(price - previousClose),
+            changePercent: round(((price - previousClose) / previousClose) * 100),
+            high: ticker.day?.h,
+            low: ticker.day?.l,
+            open: ticker.day?.o,
+            previousClose,
+            volume: ticker.day?.v || 0
+        };
+    }
+
+    /**
+     * Daily bars, split/dividend adjusted
+     * @param {string} symbol - Stock symbol
+     * @param {number} [days=60] - Calendar days of history
+     * @returns {Promise<Object|null>} { prices (oldest first), count } or null without data
+     */
+    async history(symbol, days = 60) {
+        const to = toDateString(new Date());
+        const from = toDateString(new Date(Date.now() - days * DAY_MS));
+        const data = await this.get(`/v2/aggs/ticker/${symbol}/range/1/day/${from}/${to}`, {
+            adjusted: 'true',
+            sort: 'asc',
+            limit: '50000'
+        });
+
+        const prices = (data.results || [])
+            .filter(bar => bar.c > 0)
+            .map(bar => ({
+                date: toDateString(new Date(bar.t)),
+                open: bar.o,
+                close: bar.c,
+                high: bar.h,
+                low: bar.l,
+                volume: bar.v || 0
+            }));
+
+        return prices.length ? { prices, count: prices.length } : null;
+    }
+
+    /**
+     * Normalized options chain with greeks for every expiration out to the front month
+     * and past the earnings date
+     * @param {string} symbol - Stock symbol
+     * @param {Object} [options={}] - { earningsDate, earningsTiming, now }
+     * @returns {Promise<Object|null>} Normalized chain or null when Polygon has no contracts
+     */
+    async chain(symbol, options = {}) {
+        const now = options.now || new Date();
+        const windowEnd = Math.max(
+            now.getTime() + CHAIN_WINDOW_DAYS * DAY_MS,
+            options.earningsDate ? Date.parse(`${options.earningsDate}T00:00:00Z`) + POST_EARNINGS_WINDOW_DAYS * DAY_MS : 0
+        );
+
+        const results = [];
+        let data = await this.get(`/v3/snapshot/options/${symbol}`, {
+            'expiration_date.gte': toDateString(now),
+            'expiration_date.lte': toDateString(new Date(windowEnd)),
+            limit: '250'
+        });
+        results.push(...(data.results || []));
+
+        // Follow pagination; next_url carries the cursor but not the key
+        for (let page = 1; data.next_url && page < MAX_CHAIN_PAGES; page++) {
+            try {
+                await this.limiter?.acquire(this.name);
+            } catch (error) {
+                // Out of tokens mid-chain: keep the pages already paid for rather than dropping them
+                console.warn(`⚠️ Polygon chain for ${symbol} cut short after ${page} page(s):`, error.message);
+                break;
+            }
+            data = await this.get(data.next_url);
+            results.push(...(data.results || []));
+        }
+
+        const chain = normalizePolygonChain(results, symbol);
+        return chain?.contracts?.length ? chain : null;
+    }
+
+    /**
+     * Authenticated GET returning parsed JSON
+     * @param {string} pathOrUrl - API path or absolute next_url
+     * @param {Object} [params={}] - Query parameters
+     */
+    async get(pathOrUrl, params = {}) {
+        const url = new URL(pathOrUrl, this.baseUrl);
+        for (const [key, value] of Object.entries(params)) {
+            url.searchParams.set(key, value);
+        }
+        url.searchParams.set('apiKey', this.apiKey);
+
+        const response = await globalThis.fetch(url.toString());
+
+        if (!response.ok) {
+            throw new Error(`Polygon API error: ${response.status}`);
+        }
+
+        return response.json();
+    }
+}
+
+export default PolygonProvider;
@@ -0,0 +1,200 @@
+/**
+ * Market-data provider registry
+ * Routes each capability request through providers in configured priority order.
+ *
+ * Provider interface (adapters implement only the capabilities they list):
+ *   name: string
+ *   capabilities: Array<'quote'|'history'|'chain'|'fundamentals'|'earningsCalendar'>
+ *   isAvailable(capability): boolean   - false skips the provider silently (e.g. missing API key)
+ *   quote(symbol)
+ *   history(symbol, days)
+ *   chain(symbol, { earningsDate, earningsTiming })
+ *   fundamentals(symbol)
+ *   earningsCalendar({ from, to, symbol })
+ *
+ * A provider "misses" by returning null or throwing; the registry then tries the next one.
+ *
+ * Every call first takes a token from the provider's rate-limit bucket (rate-limiter.js).
+ * Adapters whose capability makes several HTTP requests declare it in requestCosts
+ * (e.g. { chain: 3 }); Polygon, whose chain is paginated, takes a token per further page
+ * itself. A provider whose bucket would keep the call waiting too long counts as a miss.
+ *
+ * Each provider also has a circuit breaker (circuit-breaker.js): after repeated errors it is
+ * skipped outright for a cool-down instead of being tried (and failing) for every symbol.
+ *
+ * Callers pass canonical tickers (BRK.B); the registry converts them to each provider's format
+ * (symbols.js) before the call and converts `symbol` fields in the result back, so adapters only
+ * ever see their own format.
+ */
+
+import { PROVIDER_PRIORITY } from '../config.js';
+import YahooProvider from './yahoo.js';
+import FinnhubProvider from './finnhub.js';
+import AlphaVantageProvider from './alphavantage.js';
+import PolygonProvider from './polygon.js';
+import TradierProvider from './tradier.js';
+import RateLimiter from '../rate-limiter.js';
+import ProviderHealth from '../circuit-breaker.js';
+import { toCanonicalSymbol, toProviderSymbol } from '../symbols.js';
+
+export const CAPABILITIES = ['quote', 'history', 'chain', 'fundamentals', 'earningsCalendar'];
+
+/**
+ * Priority-ordered provider registry
+ * @class ProviderRegistry
+ */
+export class ProviderRegistry {
+    /**
+     * @param {Object} [config={}] - Configuration options
+     * @param {Array<Object>} [config.providers=[]] - Provider adapters
+     * @param {Object} [config.priority=PROVIDER_PRIORITY] - Provider names per capability, highest priority first
+     * @param {RateLimiter} [config.limiter] - Per-provider token buckets (no limiting when omitted)
+     * @param {ProviderHealth} [config.health] - Per-provider circuit breakers (no breakers when omitted)
+     */
+    constructor(config = {}) {
+        this.providers = new Map();
+        this.priority = config.priority || PROVIDER_PRIORITY;
+        this.limiter = config.limiter || null;
+        this.health = config.health || null;
+        (config.providers || []).forEach(provider => this.register(provider));
+    }
+
+    /**
+     * Register (or replace) a provider adapter by name
+     */
+    register(provider) {
+        this.providers.set(provider.name, provider);
+        return this;
+    }
+
+    /**
+     * Providers that can currently serve a capability, in priority order
+     * @param {string} capability - Capability name
+     * @returns {Array<Object>} Provider adapters
+     */
+    providersFor(capability) {
+        return (this.priority[capability] || [])
+            .map(name => this.providers.get(name))
+            .filter(provider => provider
+                && provider.capabilities.includes(capability)
+                && typeof provider[capability] === 'function'
+                && provider.isAvailable?.(capability) !== false);
+    }
+
+    /**
+     * Whether any configured provider can serve a capability
+     */
+    supports(capability) {
+        return this.providersFor(capability).length > 0;
+    }
+
+    /**
+     * Request a capability, falling through providers in priority order
+     * @async
+     * @param {string} capability - Capability name
+     * @param {...*} args - Arguments passed to the adapter method (symbol first where applicable)
+     * @returns {Promise<{data: *, source: string}>} First non-null result and the provider that supplied it
+     * @throws {Error} When every provider missed
+     */
+    async request(capability, ...args) {
+        const providers = this.providersFor(capability);
+        const subject = typeof args[0] === 'string' ? ` for ${args[0]}` : '';
+
+        const tried = [];
+
+        for (const provider of providers) {
+            const breaker = this.health?.breakerFor(provider.name);
+            if (breaker && !breaker.allowRequest()) {
+                tried.push(`${provider.name} (circuit open)`);
+                continue;
+            }
+            tried.push(provider.name);
+
+            if (this.limiter) {
+                try {
+                    await this.limiter.acquire(provider.name, { tokens: provider.requestCosts?.[capability] ?? 1 });
+                } catch (error) {
+                    breaker?.release();
+                    console.warn(`⚠️ ${provider.name} ${capability} skipped${subject}:`, error.message);
+                    continue;
+                }
+            }
+
+            try {
+                const data = await provider[capability](...toProviderArgs(args, provider.name));
+                breaker?.recordSuccess();
+                if (data != null) {
+                    return { data: fromProviderData(data, provider.name), source: provider.name };
+                }
+            } catch (error) {
+                breaker?.recordFailure(error);
+                console.warn(`⚠️ ${provider.name} ${capability} failed${subject}:`, error.message);
+            }
+        }
+
+        if (tried.length === 0) tried.push('none configured');
+        throw new Error(`No provider returned ${capability}${subject} (tried: ${tried.join(', ')})`);
+    }
+}
+
+// Symbol first (quote, history, chain, fundamentals) or inside a params object (earningsCalendar)
+function toProviderArgs(args, provider) {
+    const [first, ...rest] = args;
+    if (typeof first === 'string') return [toProviderSymbol(first, provider), ...rest];
+    if (first && typeof first === 'object' && typeof first.symbol === 'string') {
+        return [{ ...first, symbol: toProviderSymbol(first.symbol, provider) }, ...rest];
+    }
+    return args;
+}
+
+function fromProviderData(data, provider) {
+    if (Array.isArray(data)) return data.map(item => fromProviderData(item, provider));
+    if (data && typeof data === 'object' && typeof data.symbol === 'string') {
+        return { ...data, symbol: toCanonicalSymbol(data.symbol, provider) };
+    }
+    return data;
+}
+
+/**
+ * Build the default registry with the Yahoo, Finnhub, Alpha Vantage, Polygon and Tradier adapters
+ * @param {Object} [config={}] - Configuration options
+ * @param {string} [config.finnhubApiKey] - Finnhub API key
+ * @param {Object} [config.alphaVantage] - AlphaVantageAPI client (adapter registered only when provided)
+ * @param {string} [config.polygonApiKey] - Polygon.io API key (adapter registered only when provided)
+ * @param {string} [config.tradierApiKey] - Tradier access token (adapter registered only when provided)
+ * @param {boolean} [config.tradierSandbox=false] - Send Tradier requests to the sandbox host
+ * @param {Object} [config.priority] - Priority lists (see getProviderPriority in config.js)
+ * @param {Object} [config.rateLimits] - Per-provider limits (see getRateLimits in config.js)
+ * @param {RateLimiter} [config.limiter] - Shared limiter (defaults to one built from rateLimits)
+ * @param {Object} [config.storage] - Storage backend for daily quota counters (see rate-limiter.js)
+ * @param {ProviderHealth} [config.health] - Shared circuit breakers (defaults to CIRCUIT_BREAKER settings)
+ * @returns {ProviderRegistry} Registry ready for requests
+ */
+export function createProviderRegistry(config = {}) {
+    const limiter = config.limiter || new RateLimiter({ limits: config.rateLimits, storage: config.storage });
+    const providers = [
+        new YahooProvider(),
+        new FinnhubProvider({ apiKey: config.finnhubApiKey })
+    ];
+
+    if (config.alphaVantage) {
+        providers.push(new AlphaVantageProvider(config.alphaVantage));
+    }
+
+    if (config.polygonApiKey) {
+        providers.push(new PolygonProvider({ apiKey: config.polygonApiKey, limiter }));
+    }
+
+    if (config.tradierApiKey) {
+        providers.push(new TradierProvider({ apiKey: config.tradierApiKey, sandbox: config.tradierSandbox }));
+    }
+
+    return new ProviderRegistry({
+        providers,
+        priority: config.priority,
+        limiter,
+        health: config.health || new ProviderHealth()
+    });
+}
+
+export default ProviderRegistry;
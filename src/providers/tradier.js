@@ -0,0 +1,144 @@
+/**
+ * Tradier market-data adapter
+ * Capabilities: quote, history, chain
+ *
+ * Brokerage API with ORATS-sourced greeks and implied volatility on every option contract.
+ * Skipped by the registry when TRADIER_API_KEY is not set; sandbox accounts (delayed data)
+ * use the sandbox host.
+ */
+
+import { normalizeTradierChain, selectExpirations } from '../options-chain.js';
+import { DAY_MS, toDateString } from '../trading-calendar.js';
+import { round } from '../math.js';
+
+const BASE_URL = 'https://api.tradier.com/v1';
+const SANDBOX_URL = 'https://sandbox.tradier.com/v1';
+
+/**
+ * Tradier provider adapter
+ * @class TradierProvider
+ */
+class TradierProvider {
+    /**
+     * @param {Object} [config={}] - Configuration options
+     * @param {string} [config.apiKey] - Tradier access token
+     * @param {boolean} [config.sandbox=false] - Use the sandbox host (developer accounts)
+     */
+    constructor(config = {}) {
+        this.name = 'tradier';
+        this.capabilities = ['quote', 'history', 'chain'];
+        this.requestCosts = { chain: 3 }; // Expirations plus up to two chains
+        this.apiKey = config.apiKey;
+        this.baseUrl = config.sandbox ? SANDBOX_URL : BASE_URL;
+    }
+
+    isAvailable() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * Current quote
+     * @param {string} symbol - Stock symbol
+     * @returns {Promise<Object>} Quote (price, change, changePercent, previousClose, volume, 52-week range)
+     */
+    async quote(symbol) {
+        const data = await this.get('/markets/quotes', { symbols: symbol });
+        const quote = toArray(data.quotes?.quote)[0];
+
+        if (!quote || !(quote.last > 0)) {
+            throw new Error('No quote data available');
+        }
+
+        return {
+            symbol: quote.symbol || symbol,
+            price: quote.last,
+            change: quote.change ?? round(quote.last - quote.prevclose),
+            changePercent: quote.change_percentage ?? 0,
+            high: quote.high,
+            low: quote.low,
+            open: quote.open,
+            previousClose: quote.prevclose,
+            volume: quote.volume || 0,
+            fiftyTwoWeekHigh: quote.week_52_high,
+            fiftyTwoWeekLow: quote.week_52_low
+        };
+    }
+
+    /**
+     * Daily bars (split adjusted, not dividend adjusted)
+     * @param {string} symbol - Stock symbol
+     * @param {number} [days=60] - Calendar days of history
+     * @returns {Promise<Object|null>} { prices (oldest first), count } or null without data
+     */
+    async history(symbol, days = 60) {
+        const data = await this.get('/markets/history', {
+            symbol,
+            interval: 'daily',
+            start: toDateString(new Date(Date.now() - days * DAY_MS)),
+            end: toDateString(new Date())
+        });
+
+        const prices = toArray(data.history?.day)
+            .filter(bar => bar.close > 0)
+            .map(bar => ({
+                date: bar.date,
+                open: bar.open,
+                close: bar.close,
+                high: bar.high,
+                low: bar.low,
+                volume: bar.volume || 0
+            }));
+
+        return prices.length ? { prices, count: prices.length } : null;
+    }
+
+    /**
+     * Normalized options chain with greeks for the front-month and post-earnings expirations
+     * @param {string} symbol - Stock symbol
+     * @param {Object} [options={}] - { earningsDate, earningsTiming, now }
+     * @returns {Promise<Object|null>} Normalized chain or null when Tradier has no contracts
+     */
+    async chain(symbol, options = {}) {
+        const listed = await this.get('/markets/options/expirations', { symbol, includeAllRoots: 'true' });
+        const expirations = toArray(listed.expirations?.date);
+        if (expirations.length === 0) return null;
+
+        const { frontMonth, postEarnings } = selectExpirations(expirations, options);
+        const contracts = [];
+
+        for (const expiration of new Set([frontMonth, postEarnings].filter(Boolean))) {
+            const data = await this.get('/markets/options/chains', { symbol, expiration, greeks: 'true' });
+            contracts.push(...toArray(data.options?.option));
+        }
+
+        const chain = normalizeTradierChain(contracts, symbol, expirations);
+        return chain?.contracts?.length ? chain : null;
+    }
+
+    /**
+     * Authenticated GET returning parsed JSON
+     */
+    async get(path, params = {}) {
+        const query = new URLSearchParams(params).toString();
+        const response = await globalThis.fetch(`${this.baseUrl}${path}?${query}`, {
+            headers: {
+                Authorization: `Bearer ${this.apiKey}`,
+                Accept: 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Tradier API error: ${response.status}`);
+        }
+
+        return response.json();
+    }
+}
+
+// Tradier returns a bare object instead of a one-element array, and "null" when empty
+function toArray(value) {
+    if (value == null || value === 'null') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+export default TradierProvider;
@@ -0,0 +1,149 @@
+/**
+ * Yahoo Finance market-data adapter
+ * Capabilities: quote, history, chain
+ *
+ * Free and unauthenticated; the primary source for quotes, daily bars and options chains.
+ */
+
+import OptionsChainService from '../options-chain.js';
+import { toDateString } from '../trading-calendar.js';
+import { round } from '../math.js';
+
+const CHART_ENDPOINT = 'https://query1.finance.yahoo.com/v8/finance/chart/';
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+/**
+ * Yahoo Finance provider adapter
+ * @class YahooProvider
+ */
+class YahooProvider {
+    /**
+     * @param {Object} [config={}] - Configuration options
+     * @param {string} [config.userAgent] - User agent sent to Yahoo Finance
+     * @param {OptionsChainService} [config.optionsChain] - Chain loader (defaults to a Yahoo-only OptionsChainService)
+     */
+    constructor(config = {}) {
+        this.name = 'yahoo';
+        this.capabilities = ['quote', 'history', 'chain'];
+        this.requestCosts = { chain: 3 }; // First page plus front-month and post-earnings expirations
+        this.endpoint = CHART_ENDPOINT;
+        this.userAgent = config.userAgent || USER_AGENT;
+        this.optionsChain = config.optionsChain || new OptionsChainService({ userAgent: this.userAgent });
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Current quote from the chart endpoint metadata
+     * @param {string} symbol - Stock symbol
+     * @returns {Promise<Object>} Quote (price, change, changePercent, previousClose, volume, 52-week range)
+     */
+    async quote(symbol) {
+        const data = await this.fetchChart(`${this.endpoint}${symbol}`);
+        const meta = data.chart?.result?.[0]?.meta;
+
+        if (!meta) {
+            throw new Error('No quote data available');
+        }
+
+        const price = meta.regularMarketPrice;
+        const previousClose = meta.previousClose;
+
+        // Validate essential data
+        if (!price || !previousClose || price <= 0) {
+            throw new Error('Invalid price data');
+        }
+
+        return {
+            symbol: meta.symbol || symbol,
+            price: price,
+            change: round(price - previousClose),
+            changePercent: round(((price - previousClose) / previousClose) * 100),
+            high: meta.regularMarketDayHigh,
+            low: meta.regularMarketDayLow,
+            open: meta.regularMarketOpen,
+            previousClose: previousClose,
+            volume: meta.regularMarketVolume,
+            marketCap: meta.marketCap,
+            fiftyTwoWeekHigh: meta.fiftyTwoWeekHigh,
+            fiftyTwoWeekLow: meta.fiftyTwoWeekLow
+        };
+    }
+
+    /**
+     * Daily bars, split/dividend adjusted
+     * @param {string} symbol - Stock symbol
+     * @param {number} [days=60] - Calendar days of history
+     * @returns {Promise<Object>} { prices (oldest first), timestamps, count }
+     */
+    async history(symbol, days = 60) {
+        const endDate = Math.floor(Date.now() / 1000);
+        const startDate = endDate - days * 24 * 60 * 60;
+        const data = await this.fetchChart(`${this.endpoint}${symbol}?period1=${startDate}&period2=${endDate}&interval=1d`);
+        const result = data.chart?.result?.[0];
+
+        if (!result?.indicators?.quote?.[0]) {
+            throw new Error('No historical data available');
+        }
+
+        const quote = result.indicators.quote[0];
+        const adjClose = result.indicators.adjclose?.[0]?.adjclose || quote.close;
+        const rawClose = quote.close || [];
+        const timestamps = result.timestamp || [];
+
+        if (!adjClose || adjClose.length === 0 || timestamps.length === 0) {
+            throw new Error('Insufficient historical data available');
+        }
+
+        const prices = [];
+        for (let i = 0; i < adjClose.length; i++) {
+            if (adjClose[i] === null || adjClose[i] === undefined) continue;
+
+            // Scale open/high/low by the same split/dividend factor as the adjusted close
+            const adjustment = rawClose[i] > 0 ? adjClose[i] / rawClose[i] : 1;
+            prices.push({
+                date: toDateString(timestamps[i] * 1000),
+                open: quote.open?.[i] > 0 ? quote.open[i] * adjustment : undefined,
+                close: adjClose[i],
+                high: quote.high?.[i] ? quote.high[i] * adjustment : adjClose[i],
+                low: quote.low?.[i] ? quote.low[i] * adjustment : adjClose[i],
+                volume: quote.volume?.[i] || 0
+            });
+        }
+
+        return {
+            prices: prices, // Keep chronological order (oldest first)
+            timestamps: result.timestamp,
+            count: prices.length
+        };
+    }
+
+    /**
+     * Normalized options chain (front-month plus post-earnings expiration)
+     * @param {string} symbol - Stock symbol
+     * @param {Object} [options={}] - { earningsDate, earningsTiming }
+     * @returns {Promise<Object|null>} Normalized chain or null when Yahoo has no contracts
+     */
+    async chain(symbol, options = {}) {
+        const chain = await this.optionsChain.getYahooChain(symbol, options);
+        return chain?.contracts?.length ? chain : null;
+    }
+
+    async fetchChart(url) {
+        const response = await globalThis.fetch(url, {
+            headers: {
+                'User-Agent': this.userAgent
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Yahoo API error: ${response.status}`);
+        }
+
+        return response.json();
+    }
+}
+
+export default YahooProvider;
@@ -0,0 +1,50 @@
+/**
+ * Seeded pseudo-random numbers for fallback/mock data
+ * Fallback paths must produce the same numbers for the same inputs, so they derive a
+ * seed from stable values (symbol, date) instead of calling Math.random(). Tests can
+ * inject their own generator through the optional `random` parameters.
+ */
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} value - Input string
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a mulberry32 generator
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create a generator seeded from stable identifiers
+ * @param {...(string|number)} parts - Values identifying the data being generated (e.g. 'mock-volatility', 'AAPL')
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ * @example
+ * const random = seededRandom('mock-volatility', 'AAPL');
+ * const iv = 20 + random() * 40; // same value on every run
+ */
+export function seededRandom(...parts) {
+    return createRandom(hashString(parts.join(':')));
+}
+
+export default seededRandom;
@@ -0,0 +1,241 @@
+/**
+ * Request scheduling: per-provider token buckets and a bounded-concurrency runner
+ *
+ * Each provider gets a bucket sized from its published limit (RATE_LIMITS in config.js).
+ * Requests queue FIFO for the next token instead of sleeping a fixed delay; a request whose
+ * wait would exceed maxWaitMs is rejected immediately so the provider registry can fall
+ * through to the next provider rather than stall the run.
+ *
+ * Buckets live in memory for one run. Limits whose interval is a whole day (Alpha Vantage's
+ * 25 calls/day) are daily quotas shared by every run, so when the limiter has a storage backend
+ * (storage.js) it also keeps a per-UTC-day request counter there and rejects requests once the
+ * day's quota is used up. Runs that overlap can each read the counter before the other writes it.
+ */
+
+import { RATE_LIMITS } from './config.js';
+import { DAY_MS } from './trading-calendar.js';
+
+const DEFAULT_MAX_WAIT_MS = 30 * 1000;
+const QUOTA_KEY_PREFIX = 'rate-limit:';
+// Counters outlive their day briefly so a run straddling midnight UTC still finds yesterday's
+const QUOTA_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Continuously refilling token bucket with a FIFO wait queue
+ * @class TokenBucket
+ */
+export class TokenBucket {
+    /**
+     * @param {Object} config - Bucket configuration
+     * @param {number} config.limit - Requests allowed per interval
+     * @param {number} config.intervalMs - Interval length in milliseconds
+     * @param {number} [config.burst=limit] - Bucket capacity (requests available at once)
+     * @param {function(): number} [config.now=Date.now] - Clock
+     * @param {function(number): Promise} [config.sleep] - Delay function
+     */
+    constructor(config) {
+        this.capacity = config.burst ?? config.limit;
+        this.refillPerMs = config.limit / config.intervalMs;
+        this.now = config.now || Date.now;
+        this.sleep = config.sleep || defaultSleep;
+        this.tokens = this.capacity;
+        this.lastRefill = this.now();
+        this.queued = 0;
+        this.tail = Promise.resolve();
+    }
+
+    /**
+     * Milliseconds until `tokens` more tokens than are already queued for become available
+     */
+    estimateWait(tokens = 1) {
+        this.refill();
+        const deficit = this.queued + tokens - this.tokens;
+        return deficit > 0 ? Math.ceil(deficit / this.refillPerMs) : 0;
+    }
+
+    /**
+     * Wait for tokens, in arrival order
+     * @async
+     * @param {Object} [options={}] - Acquire options
+     * @param {number} [options.tokens=1] - Tokens to take (requests this call will make)
+     * @param {number} [options.maxWaitMs=Infinity] - Reject instead of queueing longer than this
+     * @returns {Promise<number>} Milliseconds spent waiting
+     * @throws {Error} When the expected wait exceeds maxWaitMs or the request exceeds the bucket capacity
+     */
+    acquire(options = {}) {
+        const tokens = options.tokens ?? 1;
+        const maxWaitMs = options.maxWaitMs ?? Infinity;
+
+        if (tokens > this.capacity) {
+            return Promise.reject(new Error(`Request needs ${tokens} tokens but the bucket holds ${this.capacity}`));
+        }
+
+        const expectedWait = this.estimateWait(tokens);
+        if (expectedWait > maxWaitMs) {
+            return Promise.reject(new Error(`Rate limit reached (next slot in ${Math.ceil(expectedWait / 1000)}s)`));
+        }
+
+        this.queued += tokens;
+        const ticket = this.tail.then(() => this.take(tokens));
+        this.tail = ticket.catch(() => {});
+        return ticket;
+    }
+
+    async take(tokens) {
+        const started = this.now();
+        this.refill();
+        if (this.tokens < tokens) {
+            await this.sleep(Math.ceil((tokens - this.tokens) / this.refillPerMs));
+            this.refill();
+        }
+
+        this.tokens -= tokens;
+        this.queued -= tokens;
+        return this.now() - started;
+    }
+
+    refill() {
+        const now = this.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+        this.lastRefill = now;
+    }
+}
+
+/**
+ * Token buckets keyed by provider name
+ * @class RateLimiter
+ */
+export class RateLimiter {
+    /**
+     * @param {Object} [config={}] - Configuration options
+     * @param {Object} [config.limits=RATE_LIMITS] - { [provider]: { limit, intervalMs, burst } }
+     * @param {number} [config.maxWaitMs=30000] - Longest a request may queue before it is rejected
+     * @param {function(): number} [config.now] - Clock shared by every bucket
+     * @param {function(number): Promise} [config.sleep] - Delay function shared by every bucket
+     * @param {Object} [config.storage] - Storage backend for daily quota counters (per-run only without one)
+     */
+    constructor(config = {}) {
+        this.limits = config.limits || RATE_LIMITS;
+        this.maxWaitMs = config.maxWaitMs ?? DEFAULT_MAX_WAIT_MS;
+        this.now = config.now;
+        this.sleep = config.sleep;
+        this.storage = config.storage || null;
+        this.buckets = new Map();
+        this.quotas = new Map();
+        this.waits = {};
+    }
+
+    /**
+     * Bucket for a provider, or null when the provider has no configured limit
+     */
+    bucketFor(name) {
+        if (!this.buckets.has(name)) {
+            const limit = this.limits[name];
+            this.buckets.set(name, limit ? new TokenBucket({ ...limit, now: this.now, sleep: this.sleep }) : null);
+        }
+        return this.buckets.get(name);
+    }
+
+    /**
+     * Wait for a provider's next slot
+     * @async
+     * @param {string} name - Provider name
+     * @param {Object} [options={}] - { tokens, maxWaitMs }
+     * @returns {Promise<number>} Milliseconds spent waiting (0 for unlimited providers)
+     */
+    async acquire(name, options = {}) {
+        const bucket = this.bucketFor(name);
+        if (!bucket) return 0;
+
+        try {
+            const waited = await bucket.acquire({ maxWaitMs: this.maxWaitMs, ...options });
+            await this.consumeDailyQuota(name, options.tokens ?? 1);
+            this.record(name, waited, false);
+            return waited;
+        } catch (error) {
+            this.record(name, 0, true);
+            throw new Error(`${name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count requests against a provider's persisted daily quota
+     * @async
+     * @param {string} name - Provider name
+     * @param {number} tokens - Requests about to be made
+     * @throws {Error} When the quota for the current UTC day is used up
+     */
+    async consumeDailyQuota(name, tokens) {
+        const limit = this.limits[name];
+        if (!this.storage || limit.intervalMs < DAY_MS) return;
+
+        const day = new Date(this.now ? this.now() : Date.now()).toISOString().split('T')[0];
+        const key = `${QUOTA_KEY_PREFIX}${name}:${day}`;
+        let quota = this.quotas.get(name);
+        if (!quota || quota.day !== day) {
+            quota = { day, used: 0 };
+            quota.loaded = this.storage.get(key)
+                .then(stored => { quota.used += stored?.used ?? 0; })
+                .catch(error => console.warn(`⚠️ Could not load the ${name} daily quota:`, error.message));
+            this.quotas.set(name, quota);
+        }
+        await quota.loaded;
+
+        if (quota.used + tokens > limit.limit) {
+            throw new Error(`Daily quota of ${limit.limit} requests used up (resets 00:00 UTC)`);
+        }
+        quota.used += tokens;
+
+        try {
+            await this.storage.put(key, { used: quota.used }, { ttlSeconds: QUOTA_TTL_SECONDS });
+        } catch (error) {
+            console.warn(`⚠️ Could not persist the ${name} daily quota:`, error.message);
+        }
+    }
+
+    /**
+     * Per-provider queueing stats for the current run
+     * @returns {Object} { [provider]: { requests, waitedMs, rejected } }
+     */
+    stats() {
+        return structuredClone(this.waits);
+    }
+
+    record(name, waitedMs, rejected) {
+        const entry = this.waits[name] || (this.waits[name] = { requests: 0, waitedMs: 0, rejected: 0 });
+        if (rejected) {
+            entry.rejected++;
+        } else {
+            entry.requests++;
+            entry.waitedMs += waitedMs;
+        }
+    }
+}
+
+/**
+ * Map over items with at most `concurrency` workers in flight
+ * @async
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum simultaneous workers
+ * @param {function(*, number): Promise} worker - Called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const run = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, run);
+    await Promise.all(workers);
+    return results;
+}
+
+export default RateLimiter;
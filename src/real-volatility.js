@@ -1,17 +1,28 @@
 /**
- * Real volatility data integration using simplified multi-source approach
- * Primary: Yahoo Finance (free, reliable, complete data)
- * Fallback: Finnhub (free quotes)
+ * Real volatility data integration using the market-data provider registry
+ * Each capability (quote, history, chain, fundamentals, earningsCalendar) is served by
+ * providers in configured priority order (see PROVIDER_PRIORITY in config.js).
  * Final: Estimated data
  */
 
 import AlphaVantageAPI from './alphavantage.js';
 import SimplifiedDataProvider from './simplified-data.js';
+import { createProviderRegistry } from './providers/registry.js';
+import IVHistoryStore from './iv-history.js';
+import { MemoryStorage } from './storage.js';
+import DataCache from './cache.js';
+import { seededRandom } from './random.js';
+import { createEstimatedProvenance } from './provenance.js';
+import { tradingYearFraction } from './trading-calendar.js';
+import { scoreWithModel } from './scoring.js';
+import { getScoringModel } from './config.js';
 
 class RealVolatilityData {
     constructor() {
-        this.alphaVantage = null; // Legacy Alpha Vantage API (fallback)
-        this.dataProvider = null; // New simplified provider
+        this.alphaVantage = null; // Alpha Vantage client, wrapped as a provider adapter
+        this.providers = null; // Market-data provider registry
+        this.cache = null; // Cross-run cache (quotes, fundamentals, earnings history)
+        this.dataProvider = null; // Analysis built on top of the registry
         this.initialized = false;
         this.alphaVantageApiKey = null;
         this.finnhubApiKey = null;
@@ -19,27 +30,63 @@ class RealVolatilityData {
 
     /**
      * Initialize the data providers
+     * @param {string} [alphaVantageApiKey] - Alpha Vantage API key
+     * @param {string} [finnhubApiKey] - Finnhub API key
+     * @param {Object} [options={}] - Provider options
+     * @param {Object} [options.storage] - Persistent storage backend (KV in the Worker, files in the CLI)
+     * @param {Object} [options.providerPriority] - Provider names per capability (see getProviderPriority)
+     * @param {string} [options.polygonApiKey] - Polygon.io API key (paid chains with greeks)
+     * @param {string} [options.tradierApiKey] - Tradier access token (paid chains with greeks)
+     * @param {boolean} [options.tradierSandbox] - Use the Tradier sandbox host
+     * @param {Object} [options.rateLimits] - Per-provider request limits (see getRateLimits)
+     * @param {number} [options.concurrency] - Symbols analyzed in parallel by the bulk scan
+     * @param {Object} [options.scoringModel] - Volatility scoring model (see getScoringModel)
+     * @param {number} [options.riskFreeRate] - Annualized rate for option pricing (see getRiskFreeRate)
+     * @param {Object} [options.accountModel] - Reference account for position sizing (see getAccountModel)
      */
-    async initialize(alphaVantageApiKey = null, finnhubApiKey = null) {
+    async initialize(alphaVantageApiKey = null, finnhubApiKey = null, options = {}) {
         // Store API keys
         this.alphaVantageApiKey = alphaVantageApiKey || process.env.ALPHA_VANTAGE_API_KEY;
         this.finnhubApiKey = finnhubApiKey || process.env.FINNHUB_API_KEY;
         
         console.log('🔄 Initializing simplified data provider...');
-        
-        // Initialize simplified provider (primary) with optimized Yahoo Finance settings
-        this.dataProvider = new SimplifiedDataProvider({
-            finnhubApiKey: this.finnhubApiKey,
-            requestDelay: 600 // Reduced delay for Yahoo Finance's liberal rate limits
-        });
 
-        // Legacy Alpha Vantage for compatibility (final fallback)
         if (this.alphaVantageApiKey && this.alphaVantageApiKey !== 'your_alpha_vantage_api_key_here') {
             this.alphaVantage = new AlphaVantageAPI(this.alphaVantageApiKey);
-            console.log('✅ Alpha Vantage API initialized (final fallback)');
+            console.log('✅ Alpha Vantage API initialized');
         } else {
             console.log('⚠️  Alpha Vantage API key not available');
         }
+
+        const polygonApiKey = options.polygonApiKey || process.env.POLYGON_API_KEY;
+        const tradierApiKey = options.tradierApiKey || process.env.TRADIER_API_KEY;
+        if (polygonApiKey) console.log('✅ Polygon.io provider enabled');
+        if (tradierApiKey) console.log('✅ Tradier provider enabled');
+
+        this.providers = createProviderRegistry({
+            finnhubApiKey: this.finnhubApiKey,
+            alphaVantage: this.alphaVantage,
+            polygonApiKey,
+            tradierApiKey,
+            tradierSandbox: options.tradierSandbox ?? String(process.env.TRADIER_SANDBOX).toLowerCase() === 'true',
+            priority: options.providerPriority,
+            rateLimits: options.rateLimits,
+            storage: options.storage
+        });
+
+        const storage = options.storage || new MemoryStorage();
+        this.cache = new DataCache({ storage });
+
+        this.dataProvider = new SimplifiedDataProvider({
+            finnhubApiKey: this.finnhubApiKey,
+            concurrency: options.concurrency,
+            scoringModel: options.scoringModel,
+            riskFreeRate: options.riskFreeRate,
+            accountModel: options.accountModel,
+            providers: this.providers,
+            cache: this.cache,
+            ivHistory: new IVHistoryStore(storage)
+        });
         
         this.initialized = true;
         console.log('✅ Simplified data provider initialized');
@@ -48,15 +95,17 @@ class RealVolatilityData {
 
     /**
      * Get volatility analysis for a single symbol (simplified)
+     * @param {string} symbol - Stock symbol
+     * @param {Object} [context] - Per-symbol context (e.g. { earningsDate })
      */
-    async getVolatilityAnalysis(symbol) {
+    async getVolatilityAnalysis(symbol, context) {
         if (!this.initialized) {
             throw new Error('RealVolatilityData not initialized');
         }
 
         try {
-            // Try simplified provider first (Yahoo + Finnhub)
-            const analysis = await this.dataProvider.getVolatilityAnalysis(symbol);
+            // Provider fallback happens per capability inside the registry
+            const analysis = await this.dataProvider.getVolatilityAnalysis(symbol, context);
             if (analysis) {
                 return analysis;
             }
@@ -64,25 +113,16 @@ class RealVolatilityData {
             console.warn(`⚠️ Simplified provider failed for ${symbol}:`, error.message);
         }
 
-        // Fallback to legacy Alpha Vantage (if available)
-        if (this.alphaVantage) {
-            try {
-                console.log(`🔄 Falling back to Alpha Vantage for ${symbol}...`);
-                const analysis = await this.alphaVantage.getVolatilityAnalysis(symbol);
-                if (analysis) return analysis;
-            } catch (error) {
-                console.warn(`⚠️ Alpha Vantage fallback failed for ${symbol}:`, error.message);
-            }
-        }
-
-        // Final fallback: return null instead of mock data when providers fail
+        // Return null instead of mock data when every provider fails
         return null;
     }
 
     /**
      * Get volatility analysis for multiple symbols (simplified)
+     * @param {Array<string>} symbols - Stock symbols
+     * @param {Object} [contexts] - Per-symbol context keyed by symbol (e.g. { AAPL: { earningsDate } })
      */
-    async getBulkVolatilityAnalysis(symbols) {
+    async getBulkVolatilityAnalysis(symbols, contexts) {
         if (!this.initialized) {
             console.warn('⚠️ Data providers not initialized, using mock data');
             return this.getMockBulkData(symbols);
@@ -91,45 +131,19 @@ class RealVolatilityData {
         try {
             // Use simplified provider for bulk analysis
             console.log(`📊 Using simplified provider for ${symbols.length} symbols...`);
-            const results = await this.dataProvider.getBulkVolatilityAnalysis(symbols);
+            const results = await this.dataProvider.getBulkVolatilityAnalysis(symbols, contexts);
             
             // Handle null/undefined results
             if (!results || typeof results !== 'object') {
                 return {};
             }
             
-            // Check for any failed symbols and retry with Alpha Vantage if available
-            const failedSymbols = Object.entries(results)
-                .filter(([symbol, data]) => data === null)
-                .map(([symbol]) => symbol);
-            
-            if (failedSymbols.length > 0 && this.alphaVantage) {
-                console.log(`🔄 Retrying ${failedSymbols.length} failed symbols with Alpha Vantage...`);
-                
-                for (const symbol of failedSymbols) {
-                    try {
-                        const analysis = await this.alphaVantage.getVolatilityAnalysis(symbol);
-                        if (analysis) {
-                            results[symbol] = analysis;
-                        } else {
-                            results[symbol] = this.getMockVolatilityData(symbol);
-                        }
-                        
-                        // Rate limiting for Alpha Vantage
-                        if (failedSymbols.indexOf(symbol) < failedSymbols.length - 1) {
-                            await new Promise(resolve => setTimeout(resolve, 15000));
-                        }
-                    } catch (error) {
-                        console.warn(`⚠️ Alpha Vantage retry failed for ${symbol}:`, error.message);
-                        results[symbol] = this.getMockVolatilityData(symbol);
-                    }
-                }
-            } else if (failedSymbols.length > 0) {
-                // Fill remaining failures with mock data
-                failedSymbols.forEach(symbol => {
+            // Fill remaining failures with mock data
+            Object.entries(results)
+                .filter(([, data]) => data === null)
+                .forEach(([symbol]) => {
                     results[symbol] = this.getMockVolatilityData(symbol);
                 });
-            }
             
             return results;
             
@@ -141,26 +155,45 @@ class RealVolatilityData {
 
     /**
      * Mock data fallback for when API is unavailable
+     * @param {string} symbol - Stock symbol
+     * @param {function(): number} [random] - Generator in [0, 1); defaults to one seeded by symbol
+     * @returns {Object} Deterministic mock analysis flagged with isSynthetic: true
      */
-    getMockVolatilityData(symbol) {
-        const mockPrice = 150 + Math.random() * 100;
-        const mockIV = 20 + Math.random() * 40;
+    getMockVolatilityData(symbol, random = seededRandom('mock-volatility', symbol)) {
+        const mockPrice = 150 + random() * 100;
+        const mockIV = 20 + random() * 40;
+        const ivRank = random() * 100;
+        const expectedMove = mockPrice * (mockIV / 100) * Math.sqrt(tradingYearFraction(30));
+        const optionsVolume = Math.floor(random() * 10000);
+        const rsi = 30 + random() * 40;
         
         return {
             symbol: symbol,
             currentPrice: mockPrice,
             impliedVolatility: mockIV,
+            impliedVolatilitySource: 'estimated',
             historicalVolatility: mockIV * 0.8,
-            ivRank: Math.random() * 100,
-            expectedMove: mockPrice * (mockIV / 100) * Math.sqrt(30/365),
-            optionsVolume: Math.floor(Math.random() * 10000),
+            ivRank,
+            expectedMove,
+            optionsVolume,
             bidAskSpread: mockPrice * 0.001,
             technicalIndicators: {
-                rsi: 30 + Math.random() * 40,
-                atr: mockPrice * 0.02
+                rsi,
+                atr: mockPrice * 0.02,
+                source: 'estimated'
             },
             lastUpdated: new Date().toISOString(),
             dataSource: 'Mock Data (Fallback)',
+            dataQuality: 'estimated',
+            isSynthetic: true,
+            provenance: createEstimatedProvenance({
+                price: mockPrice,
+                impliedVolatility: mockIV,
+                historicalVolatility: mockIV * 0.8,
+                rsi,
+                expectedMove,
+                optionsVolume
+            }),
             note: 'This is simulated data for testing purposes'
         };
     }
@@ -182,9 +215,36 @@ const realVolatilityData = new RealVolatilityData();
 
 /**
  * Initialize the real data service (call this once at startup)
+ * @param {string} [alphaVantageApiKey] - Alpha Vantage API key
+ * @param {string} [finnhubApiKey] - Finnhub API key
+ * @param {Object} [options] - Provider options (e.g. { storage })
+ */
+export async function initializeRealData(alphaVantageApiKey = null, finnhubApiKey = null, options = {}) {
+    return await realVolatilityData.initialize(alphaVantageApiKey, finnhubApiKey, options);
+}
+
+/**
+ * Cache hit/miss counters since initialization
+ * @returns {Object|null} DataCache stats or null before initialization
  */
-export async function initializeRealData(alphaVantageApiKey = null, finnhubApiKey = null) {
-    return await realVolatilityData.initialize(alphaVantageApiKey, finnhubApiKey);
+export function getCacheStats() {
+    return realVolatilityData.cache ? realVolatilityData.cache.stats() : null;
+}
+
+/**
+ * Circuit-breaker state and error rates per provider since initialization
+ * @returns {Object|null} ProviderHealth snapshot or null before initialization
+ */
+export function getProviderHealth() {
+    return realVolatilityData.providers?.health ? realVolatilityData.providers.health.snapshot() : null;
+}
+
+/**
+ * Provider registry built by initializeRealData
+ * @returns {ProviderRegistry|null} Registry or null before initialization
+ */
+export function getProviderRegistry() {
+    return realVolatilityData.providers;
 }
 
 /**
@@ -201,29 +261,32 @@ export async function getVolatilityAnalysis(symbol, alphaVantageApiKey = null, f
 
 /**
  * Get volatility analysis for multiple symbols (compatible interface)
+ * @param {Array<string>} symbols - Stock symbols
+ * @param {string} [alphaVantageApiKey] - Alpha Vantage API key
+ * @param {string} [finnhubApiKey] - Finnhub API key
+ * @param {Object} [contexts] - Per-symbol context keyed by symbol (e.g. { AAPL: { earningsDate } })
  */
-export async function getBulkVolatilityAnalysis(symbols, alphaVantageApiKey = null, finnhubApiKey = null) {
+export async function getBulkVolatilityAnalysis(symbols, alphaVantageApiKey = null, finnhubApiKey = null, contexts = undefined) {
     // If API keys are provided and not initialized yet, initialize now
     if ((alphaVantageApiKey || finnhubApiKey) && !realVolatilityData.initialized) {
         await realVolatilityData.initialize(alphaVantageApiKey, finnhubApiKey);
     }
     
-    return await realVolatilityData.getBulkVolatilityAnalysis(symbols);
+    return await realVolatilityData.getBulkVolatilityAnalysis(symbols, contexts);
 }
 
 /**
  * Calculate volatility score from real data
+ * @param {Object|null} volatilityData - Volatility analysis
+ * @param {Object} [model] - Volatility scoring model (defaults to getScoringModel('volatility'))
+ * @returns {number} Score (0-100) from the declarative model, 0 without data
  */
-export function calculateVolatilityScore(volatilityData) {
+export function calculateVolatilityScore(volatilityData, model = getScoringModel('volatility')) {
     if (!volatilityData) {
         return 0;
     }
 
-    const ivPercentile = volatilityData.impliedVolatilityPercentile || 50;
-    const ivRank = volatilityData.impliedVolatilityRank || 0;
-    const liquidity = volatilityData.optionsVolume || 0;
-    
-    return (ivPercentile * 0.4) + (ivRank * 0.4) + (Math.min(liquidity / 10000, 10) * 0.2);
+    return scoreWithModel(model, volatilityData).score;
 }
 
 // Export both the class and the function
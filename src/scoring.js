@@ -0,0 +1,182 @@
+/**
+ * Declarative scoring models
+ *
+ * Models (src/config/scoring.js) list weighted factors with threshold buckets; scoreWithModel
+ * evaluates one against an opportunity or analysis and returns the total with a per-factor
+ * breakdown, so the newsletter can show why a name ranked where it did:
+ *   { score: 82, maxScore: 100, baseline: 10,
+ *     factors: [{ key: 'volatility', label: 'Volatility', value: 64, points: 16, weight: 20 }, ...] }
+ */
+
+import { round } from './math.js';
+
+const BOUND_KEYS = ['gt', 'gte', 'lt', 'lte', 'eq'];
+
+/**
+ * Score an object with a model
+ * @param {Object} model - Scoring model ({ baseline, maxScore, factors })
+ * @param {Object} subject - Object the factor inputs are read from
+ * @returns {Object} Breakdown
+ * @returns {number} returns.score - baseline + factor points, rounded and clamped to [0, maxScore]
+ * @returns {number} returns.maxScore - Score cap
+ * @returns {number} returns.baseline - Points every subject starts with
+ * @returns {Array<Object>} returns.factors - { key, label, value, points, weight } in model order
+ */
+export function scoreWithModel(model, subject) {
+    const factors = Object.entries(model.factors || {}).map(([key, factor]) => {
+        const value = readInput(subject, factor.input);
+        return {
+            key,
+            label: factor.label || key,
+            value,
+            points: round(factor.weight * factorCredit(factor, value)),
+            weight: factor.weight
+        };
+    });
+
+    const baseline = model.baseline || 0;
+    const maxScore = model.maxScore ?? 100;
+    const total = factors.reduce((sum, factor) => sum + factor.points, baseline);
+
+    return {
+        score: Math.min(maxScore, Math.max(0, Math.round(total))),
+        maxScore,
+        baseline,
+        factors
+    };
+}
+
+/**
+ * Credit (0-1) a factor earns for a value
+ * @param {Object} factor - Factor definition ({ buckets, missing })
+ * @param {*} value - Input value (null/undefined when absent)
+ * @returns {number} Credit of the first matching bucket, `missing` for absent values, otherwise 0
+ */
+export function factorCredit(factor, value) {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+        return factor.missing ?? 0;
+    }
+    const bucket = (factor.buckets || []).find(candidate => matchesBucket(candidate, value));
+    return bucket ? bucket.credit : 0;
+}
+
+/**
+ * One-line breakdown for logs and the run summary
+ * @param {Object} breakdown - Result of scoreWithModel
+ * @returns {string} e.g. '82/100 · volatility 24/30, timing 17.5/25, liquidity 14/20'
+ */
+export function formatScoreBreakdown(breakdown) {
+    if (!breakdown?.factors) return '';
+
+    const factors = breakdown.factors
+        .filter(factor => factor.weight > 0)
+        .map(factor => `${factor.label.toLowerCase()} ${factor.points}/${factor.weight}`);
+    if (breakdown.baseline) factors.push(`base ${breakdown.baseline}`);
+
+    return `${breakdown.score}/${breakdown.maxScore} · ${factors.join(', ')}`;
+}
+
+/**
+ * Run-summary metrics with one score breakdown per opportunity
+ * @param {Array<Object>} opportunities - Opportunities with `scoreBreakdown`
+ * @returns {Object} { scoreAAPL: '82/100 · volatility 24/30, ...', ... }
+ */
+export function formatScoreMetrics(opportunities = []) {
+    return Object.fromEntries(
+        opportunities
+            .filter(opportunity => opportunity?.scoreBreakdown)
+            .map(opportunity => [`score${opportunity.symbol}`, formatScoreBreakdown(opportunity.scoreBreakdown)])
+    );
+}
+
+/**
+ * Apply overrides to a model
+ * @param {Object} model - Base model
+ * @param {Object} [overrides={}] - Partial model; factors are merged by key (buckets are replaced whole)
+ * @returns {Object} New model
+ */
+export function mergeScoringModel(model, overrides = {}) {
+    const { factors: factorOverrides = {}, ...settings } = overrides;
+    const factors = structuredClone(model.factors || {});
+
+    for (const [key, override] of Object.entries(factorOverrides)) {
+        factors[key] = { ...factors[key], ...override };
+    }
+
+    return { ...structuredClone(model), ...settings, factors };
+}
+
+/**
+ * Drop factors a caller cannot observe and scale the rest back up to the full range
+ * @param {Object} model - Base model
+ * @param {Array<string>} excludedKeys - Factors to drop
+ * @returns {Object} New model whose remaining weights sum to maxScore - baseline
+ * @description Keeps the score comparable with the unreduced model: a subject with full credit on
+ * every remaining factor still reaches maxScore instead of being capped by the missing ones.
+ */
+export function rescaleScoringModel(model, excludedKeys = []) {
+    const baseline = model.baseline || 0;
+    const maxScore = model.maxScore ?? 100;
+    const kept = Object.entries(model.factors || {}).filter(([key]) => !excludedKeys.includes(key));
+    const totalWeight = kept.reduce((sum, [, factor]) => sum + factor.weight, 0);
+    const scale = totalWeight > 0 ? (maxScore - baseline) / totalWeight : 0;
+
+    const factors = Object.fromEntries(
+        kept.map(([key, factor]) => [key, { ...structuredClone(factor), weight: round(factor.weight * scale) }])
+    );
+
+    return { ...structuredClone(model), factors };
+}
+
+/**
+ * Problems with a model definition
+ * @param {Object} model - Scoring model
+ * @returns {Array<string>} Human-readable problems (empty when valid)
+ */
+export function validateScoringModel(model) {
+    const problems = [];
+
+    for (const [key, factor] of Object.entries(model?.factors || {})) {
+        if (!(typeof factor.weight === 'number' && factor.weight >= 0)) {
+            problems.push(`${key}: weight must be a non-negative number`);
+        }
+        if (!factor.input) {
+            problems.push(`${key}: input is required`);
+        }
+        (factor.buckets || []).forEach((bucket, i) => {
+            if (!(typeof bucket.credit === 'number' && bucket.credit >= 0 && bucket.credit <= 1)) {
+                problems.push(`${key}: bucket ${i + 1} credit must be between 0 and 1`);
+            }
+        });
+    }
+
+    return problems;
+}
+
+function matchesBucket(bucket, value) {
+    if (!matchesBounds(bucket, value)) return false;
+    return !bucket.any || bucket.any.some(condition => matchesBounds(condition, value));
+}
+
+function matchesBounds(bounds, value) {
+    return BOUND_KEYS.every(key => {
+        if (bounds[key] === undefined) return true;
+        switch (key) {
+            case 'gt': return value > bounds.gt;
+            case 'gte': return value >= bounds.gte;
+            case 'lt': return value < bounds.lt;
+            case 'lte': return value <= bounds.lte;
+            default: return value === bounds.eq;
+        }
+    });
+}
+
+// First present value among the input paths
+function readInput(subject, input) {
+    const paths = Array.isArray(input) ? input : [input];
+    for (const path of paths) {
+        const value = String(path).split('.').reduce((object, key) => object?.[key], subject);
+        if (value !== null && value !== undefined) return value;
+    }
+    return null;
+}
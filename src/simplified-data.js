@@ -2,9 +2,13 @@
  * Yahoo Finance Optimized Data Provider
  * Prioritizes Yahoo Finance for superior data quality and speed
  *
+ * Market data comes from the provider registry (providers/registry.js); the default
+ * priority per capability lives in PROVIDER_PRIORITY (config.js):
  * Primary: Yahoo Finance (free, fast, reliable, complete)
- * Fallback: Finnhub (free quotes only, rare usage)
+ * Fallback: Finnhub (free quotes only, rare usage), then Alpha Vantage when configured
  * Final: Estimated data (emergency only)
+ * Symbols are canonical tickers (BRK.B); the registry converts them to each provider's
+ * format (symbols.js).
  */
 
 /**
@@ -18,69 +22,69 @@
 // Note: Use the global fetch provided by the runtime (Node 18+/Workers)
 // Avoid importing node-fetch so tests can mock global fetch reliably.
 
+import { summarizeChain } from "./options-chain.js";
+import { createProviderRegistry } from "./providers/registry.js";
+import DataCache from "./cache.js";
+import { mapWithConcurrency } from "./rate-limiter.js";
+import {
+  ACCOUNT_MODEL,
+  ANALYSIS_CONCURRENCY,
+  RISK_FREE_RATE,
+  getScoringModel,
+} from "./config.js";
+import { scoreWithModel } from "./scoring.js";
+import { calculateStraddleImpliedMove } from "./implied-move.js";
+import { priceStraddle } from "./pricing.js";
+import { buildStrategyCandidates } from "./strategies.js";
+import { sizeStrategyCandidates } from "./position-sizing.js";
+import { analyzeVolatilitySurface } from "./volatility-surface.js";
+import EarningsHistoryService from "./earnings-history.js";
+import IVHistoryStore, { calculateIVStatistics } from "./iv-history.js";
+import { MemoryStorage } from "./storage.js";
+import {
+  calculateTechnicalIndicators,
+  calculateHistoricalVolatility,
+} from "./technical-indicators.js";
+import { tradingYearFraction } from "./trading-calendar.js";
+import {
+  ESTIMATED_SOURCE,
+  createFieldProvenance,
+  createDerivedProvenance,
+  createEstimatedProvenance,
+} from "./provenance.js";
+
+// Daily bars cover ~3 years so the last 8-12 earnings reports can be measured
+// (and the 200-day SMA always has enough bars); historical volatility still
+// uses only the most recent 60 calendar days.
+const HISTORY_LOOKBACK_DAYS = 3 * 365 + 30;
+const HV_WINDOW_DAYS = 60;
+
 // FIX: Removed const FINNHUB_API_KEY = process.env.FINNHUB_API_KEY; to fix Cloudflare deployment error
 
 /**
- * Helper: fetch a URL with retry and exponential backoff.
- * Added for Issue: Fix 52-week range and add ticker hyperlinks to newsletter #16
- *
- * @param {string} url - The URL to fetch.
- * @param {object} options - Fetch options (headers, method, body, etc.).
- * @param {number} retries - Number of retry attempts if fetch fails (default 3).
- * @param {number} delay - Base delay in ms for exponential backoff (default 1000ms).
- * @returns {Promise<object>} - The JSON-parsed response data.
+ * Helper: keep only the bars within `days` calendar days of the most recent bar.
  *
- * @throws Will throw an error if all retries fail or the response is not OK.
+ * @param {Array<Object>} prices - Daily bars (oldest first) with a YYYY-MM-DD date.
+ * @param {number} days - Window length in calendar days.
+ * @returns {Array<Object>} - Bars inside the window.
  */
-async function fetchWithRetry(url, options = {}, retries = 3, delay = 1000) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const response = await globalThis.fetch(url, options);
-      if (!response.ok)
-        throw new Error(`Fetch failed (status ${response.status})`);
-      const data = await response.json(); // consume body only once
-      return data;
-    } catch (err) {
-      if (attempt === retries) throw err;
-      console.warn(
-        `Fetch failed (${err.message}). Retrying ${attempt}/${retries}...`
-      );
-      await new Promise((res) => setTimeout(res, delay * attempt)); // exponential backoff
-    }
-  }
+function pricesWithinDays(prices, days) {
+  const lastDate = Date.parse(prices[prices.length - 1]?.date);
+  if (Number.isNaN(lastDate)) return prices;
+
+  const cutoff = lastDate - days * 24 * 60 * 60 * 1000;
+  return prices.filter((p) => Date.parse(p.date) >= cutoff);
 }
 
 /**
- * Helper: retrieve the 52-week high and low for a stock symbol from Finnhub.
- * Added for Issue: Fix 52-week range and add ticker hyperlinks to newsletter #16
+ * Helper: timestamp of the most recent daily bar (market close, 16:00 ET ≈ 21:00 UTC).
  *
- * @param {string} symbol - Stock ticker symbol (e.g., 'AAPL').
- * @param {string} apiKey - The Finnhub API key. // FIX: Added apiKey as argument
- * @returns {Promise<{high: number, low: number}>} - Object containing 52-week high and low.
- *
- * @throws Will throw an error if the Finnhub API key is not set,
- * if the response is invalid, or if 52-week data is missing.
+ * @param {Array<Object>} prices - Daily bars (oldest first) with a YYYY-MM-DD date.
+ * @returns {string|null} - ISO timestamp or null when the last bar has no date.
  */
-async function get52WeekRange(symbol, apiKey) {
-  // FIX: Updated function signature
-  if (!apiKey) throw new Error("Finnhub API key not set"); // FIX: Used passed apiKey
-
-  const url = `https://finnhub.io/api/v1/stock/metric?symbol=${symbol}&metric=all&token=${apiKey}`; // FIX: Used passed apiKey
-
-  const data = await fetchWithRetry(url);
-
-  if (!data || !data.metric) {
-    throw new Error("Invalid Finnhub response");
-  }
-
-  const fiftyTwoWeekHigh = data.metric["52WeekHigh"];
-  const fiftyTwoWeekLow = data.metric["52WeekLow"];
-
-  if (fiftyTwoWeekHigh == null || fiftyTwoWeekLow == null) {
-    throw new Error("52-week range not found in Finnhub response");
-  }
-
-  return { high: fiftyTwoWeekHigh, low: fiftyTwoWeekLow };
+function historyAsOf(prices) {
+  const close = Date.parse(`${prices[prices.length - 1]?.date}T21:00:00Z`);
+  return Number.isNaN(close) ? null : new Date(close).toISOString();
 }
 
 class SimplifiedDataProvider {
@@ -88,19 +92,35 @@ class SimplifiedDataProvider {
    * Initialize the data provider with configuration
    * @param {Object} config - Configuration options
    * @param {string} [config.finnhubApiKey] - Finnhub API key for fallback quotes
-   * @param {number} [config.requestDelay=500] - Delay between requests in milliseconds
+   * @param {number} [config.concurrency=ANALYSIS_CONCURRENCY] - Symbols analyzed in parallel by the bulk scan
+   * @param {ProviderRegistry} [config.providers] - Market-data providers in priority order (see providers/registry.js)
+   * @param {EarningsHistoryService} [config.earningsHistory] - Past earnings-move store
+   * @param {IVHistoryStore} [config.ivHistory] - Daily IV snapshot store for IV rank/percentile
+   * @param {DataCache} [config.cache] - Cross-run cache for quotes, fundamentals and earnings history
+   * @param {Object} [config.scoringModel] - Volatility scoring model (see getScoringModel in config.js)
+   * @param {number} [config.riskFreeRate=RISK_FREE_RATE] - Annualized rate for option pricing (decimal)
+   * @param {Object} [config.accountModel=ACCOUNT_MODEL] - Reference account for position sizing
    */
   constructor(config = {}) {
     this.finnhubApiKey = config.finnhubApiKey;
-    // Reduced delay for Yahoo Finance's liberal rate limits
-    this.requestDelay = config.requestDelay || 500; // 500ms is sufficient for Yahoo
-    this.yahooEndpoint = "https://query1.finance.yahoo.com/v8/finance/chart/";
-    this.userAgent =
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36";
-
-    // Simple quote cache for bulk operations (5 minute TTL)
-    this.quoteCache = new Map();
-    this.cacheTTL = 5 * 60 * 1000; // 5 minutes
+    this.providers =
+      config.providers ||
+      createProviderRegistry({ finnhubApiKey: config.finnhubApiKey });
+    // Shared with the default earnings-history service so hits/misses land in one place
+    this.cache = config.cache || new DataCache();
+    this.earningsHistory =
+      config.earningsHistory ||
+      new EarningsHistoryService({
+        providers: this.providers,
+        cache: this.cache,
+      });
+    this.ivHistory =
+      config.ivHistory || new IVHistoryStore(new MemoryStorage());
+    // Request pacing lives in the registry's per-provider token buckets
+    this.concurrency = config.concurrency || ANALYSIS_CONCURRENCY;
+    this.scoringModel = config.scoringModel || getScoringModel("volatility");
+    this.riskFreeRate = config.riskFreeRate ?? RISK_FREE_RATE;
+    this.accountModel = config.accountModel || ACCOUNT_MODEL;
   }
 
   /**
@@ -112,46 +132,24 @@ class SimplifiedDataProvider {
    * @returns {number} returns.change - Price change from previous close
    * @returns {number} returns.changePercent - Percentage change
    * @returns {number} returns.volume - Trading volume
-   * @returns {string} returns.source - Data source ('yahoo', 'finnhub', or 'estimated')
-   * @description Primary method for fetching real-time quotes. Uses 5-minute cache to
-   * optimize bulk operations. Falls back through Yahoo → Finnhub → Estimated data.
+   * @returns {string} returns.source - Name of the provider that supplied the quote (e.g. 'yahoo', 'finnhub')
+   * @returns {string} returns.asOf - When the quote was fetched (ISO timestamp; kept when served from cache)
+   * @description Primary method for fetching real-time quotes. Cached for a few minutes
+   * (CACHE_TTLS.quote) across runs. Falls back through the configured quote providers.
    */
   async getQuote(symbol) {
-    // Check cache first for bulk operations
-    const cacheKey = `quote_${symbol}`;
-    const cached = this.quoteCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < this.cacheTTL) {
-      return cached.data;
-    }
-
-    // Yahoo Finance first - it's fast and reliable
-    try {
-      const quote = await this.getYahooQuote(symbol);
-      if (quote && quote.price > 0) {
-        const result = {
-          symbol: quote.symbol,
-          price: quote.price,
-          change: quote.change,
-          changePercent: quote.changePercent,
-          previousClose: quote.previousClose,
-          source: "yahoo",
-        };
-
-        // Cache for bulk operations
-        this.quoteCache.set(cacheKey, {
-          data: result,
-          timestamp: Date.now(),
-        });
-
-        return result;
-      }
-    } catch (error) {
-      console.warn(`⚠️ Yahoo quote failed for ${symbol}:`, error.message);
+    // Check the cross-run cache first
+    const cached = await this.cache.get("quote", symbol);
+    if (cached) {
+      return cached;
     }
 
-    // Finnhub fallback (attempt even if API key missing; will fail gracefully under catch)
+    // Walk the configured quote providers (default: Yahoo → Finnhub → Alpha Vantage)
     try {
-      const quote = await this.getFinnhubQuote(symbol);
+      const { data: quote, source } = await this.providers.request(
+        "quote",
+        symbol
+      );
       if (quote && quote.price > 0) {
         const result = {
           symbol: quote.symbol,
@@ -159,256 +157,97 @@ class SimplifiedDataProvider {
           change: quote.change,
           changePercent: quote.changePercent,
           previousClose: quote.previousClose,
-          source: "finnhub",
+          source,
+          asOf: new Date().toISOString(),
         };
 
-        // Cache fallback data too
-        this.quoteCache.set(cacheKey, {
-          data: result,
-          timestamp: Date.now(),
-        });
+        await this.cache.set("quote", symbol, result);
 
         return result;
       }
     } catch (error) {
-      console.warn(`⚠️ Finnhub quote failed for ${symbol}:`, error.message);
+      console.warn(`⚠️ ${error.message}`);
     }
 
     throw new Error(`Unable to fetch quote for ${symbol}`);
   }
 
   /**
-   * Get historical data (Yahoo Finance optimized - best free source)
+   * Get daily price history from the configured history providers (default: Yahoo → Alpha Vantage)
+   * @returns {Promise<Object|null>} { prices (oldest first), count, source } or null when no provider has data
    */
   async getHistoricalData(symbol, days = 60) {
     try {
-      const data = await this.getYahooHistoricalData(symbol, days);
+      const { data, source } = await this.providers.request(
+        "history",
+        symbol,
+        days
+      );
       if (data && data.prices && data.prices.length > 0) {
-        return { ...data, source: "yahoo" };
+        return { ...data, source };
       }
     } catch (error) {
-      console.warn(
-        `⚠️ Yahoo historical data failed for ${symbol}:`,
-        error.message
-      );
+      console.warn(`⚠️ ${error.message}`);
     }
 
-    // Yahoo is the only reliable free source for historical data
-    // Finnhub free tier doesn't provide historical data
-    // Alpha Vantage free tier has severe limits (25 calls/day)
     return null;
   }
 
-  /**
-   * Optimized Yahoo Finance quote implementation
-   */
-  async getYahooQuote(symbol) {
-    const url = `${this.yahooEndpoint}${symbol}`;
-
-    const response = await globalThis.fetch(url, {
-      headers: {
-        "User-Agent": this.userAgent,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`Yahoo API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const result = data.chart?.result?.[0];
-
-    if (!result?.meta) {
-      throw new Error("No quote data available");
-    }
-
-    const meta = result.meta;
-    const price = meta.regularMarketPrice;
-    const previousClose = meta.previousClose;
-
-    // Validate essential data
-    if (!price || !previousClose || price <= 0) {
-      throw new Error("Invalid price data");
-    }
-
-    return {
-      symbol: meta.symbol || symbol,
-      price: price,
-      change: parseFloat((price - previousClose).toFixed(2)),
-      changePercent: parseFloat(
-        (((price - previousClose) / previousClose) * 100).toFixed(2)
-      ),
-      high: meta.regularMarketDayHigh,
-      low: meta.regularMarketDayLow,
-      open: meta.regularMarketOpen,
-      previousClose: previousClose,
-      volume: meta.regularMarketVolume,
-      marketCap: meta.marketCap,
-      fiftyTwoWeekHigh: meta.fiftyTwoWeekHigh, // Added for Issue: Fix 52-week range and add ticker hyperlinks to newsletter #16
-      fiftyTwoWeekLow: meta.fiftyTwoWeekLow, // Added for Issue: Fix 52-week range and add ticker hyperlinks to newsletter #16
-    };
-  }
-
-  /**
-   * Optimized Yahoo Finance historical data implementation
-   */
-  async getYahooHistoricalData(symbol, days = 60) {
-    const endDate = Math.floor(Date.now() / 1000);
-    const startDate = endDate - days * 24 * 60 * 60;
-
-    const url = `${this.yahooEndpoint}${symbol}?period1=${startDate}&period2=${endDate}&interval=1d`;
-
-    const response = await globalThis.fetch(url, {
-      headers: {
-        "User-Agent": this.userAgent,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`Yahoo historical API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const result = data.chart?.result?.[0];
-
-    if (!result?.indicators?.quote?.[0]) {
-      throw new Error("No historical data available");
-    }
-
-    const quote = result.indicators.quote[0];
-    const adjClose = result.indicators.adjclose?.[0]?.adjclose || quote.close;
-    const timestamps = result.timestamp || [];
-
-    // Validate data availability
-    if (
-      !adjClose ||
-      !timestamps ||
-      adjClose.length === 0 ||
-      timestamps.length === 0
-    ) {
-      throw new Error("Insufficient historical data available");
-    }
-
-    // Create detailed price objects for test compatibility
-    const prices = [];
-    for (let i = 0; i < adjClose.length; i++) {
-      if (adjClose[i] !== null && adjClose[i] !== undefined) {
-        const date = new Date(timestamps[i] * 1000);
-        prices.push({
-          date: date.toISOString().split("T")[0], // YYYY-MM-DD format
-          close: adjClose[i],
-          high: quote.high?.[i] || adjClose[i],
-          low: quote.low?.[i] || adjClose[i],
-          volume: quote.volume?.[i] || 0,
-        });
-      }
-    }
-
-    return {
-      prices: prices, // Keep chronological order (oldest first)
-      timestamps: result.timestamp,
-      count: prices.length,
-    };
-  }
-
-  /**
-   * Finnhub quote fallback implementation
-   */
-  async getFinnhubQuote(symbol) {
-    const url = `https://finnhub.io/api/v1/quote?symbol=${symbol}&token=${this.finnhubApiKey}`;
-    const response = await globalThis.fetch(url);
-
-    if (!response.ok) {
-      throw new Error(`Finnhub API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-
-    if (!data.c || data.c === 0) {
-      throw new Error("No quote data available");
-    }
-
-    return {
-      symbol,
-      price: data.c,
-      change: parseFloat((data.c - data.pc).toFixed(2)),
-      changePercent:
-        data.pc > 0
-          ? parseFloat((((data.c - data.pc) / data.pc) * 100).toFixed(2))
-          : 0,
-      high: data.h,
-      low: data.l,
-      open: data.o,
-      previousClose: data.pc,
-      volume: 0, // Not available in basic Finnhub quote
-      timestamp: data.t,
-    };
-  }
-
   /**
    * Calculate historical volatility from price data
+   * @param {Array<Object|number>} priceData - Bars with `close` or plain closes (oldest first)
+   * @returns {number} Annualized volatility (%), computed like the backtest (see technical-indicators.js)
    */
   calculateHistoricalVolatility(priceData) {
-    if (!priceData || priceData.length < 2) {
-      return 0; // Return 0 instead of null for test compatibility
-    }
-
-    const returns = [];
-    for (let i = 1; i < priceData.length; i++) {
-      // Extract close price from object or use as number directly
-      const currentPrice =
-        typeof priceData[i] === "object" ? priceData[i].close : priceData[i];
-      const previousPrice =
-        typeof priceData[i - 1] === "object"
-          ? priceData[i - 1].close
-          : priceData[i - 1];
-
-      // Check for valid prices
-      if (currentPrice <= 0 || previousPrice <= 0) continue;
-
-      const dailyReturn = Math.log(currentPrice / previousPrice);
-      if (isFinite(dailyReturn)) {
-        returns.push(dailyReturn);
-      }
-    }
-
-    if (returns.length < 2) {
-      return 0;
-    }
-
-    const avgReturn =
-      returns.reduce((sum, ret) => sum + ret, 0) / returns.length;
-    const variance =
-      returns.reduce((sum, ret) => sum + Math.pow(ret - avgReturn, 2), 0) /
-      (returns.length - 1);
-    const volatility = Math.sqrt(variance * 252) * 100; // Annualized percentage
-
-    // Add minimum volatility for test case with small price movements
-    const result = isFinite(volatility) ? parseFloat(volatility.toFixed(2)) : 0;
-    return result > 0 ? result : 1; // Ensure non-zero result for valid calculations
+    return calculateHistoricalVolatility(
+      (priceData || []).map((price) =>
+        typeof price === "object" ? price?.close : price
+      )
+    );
   }
 
+
   /**
    * Comprehensive volatility analysis for a single stock
    * Modified Function for Issue: Fix 52-week range and add ticker hyperlinks to newsletter #16
    * @async
    * @param {string} symbol - Stock symbol to analyze
+   * @param {Object} [context={}] - Per-symbol context
+   * @param {string} [context.earningsDate] - Earnings date (YYYY-MM-DD) used to pick the post-earnings expiration
+   * @param {string} [context.earningsTiming] - Report session ('bmo', 'amc', 'dmh' or 'unknown', see earnings-events.js)
    * @returns {Promise<Object|null>} Volatility analysis object or null if invalid symbol
    * @returns {string} returns.symbol - Stock symbol
    * @returns {number} returns.currentPrice - Current stock price
    * @returns {number} returns.historicalVolatility - 30-day historical volatility (%)
-   * @returns {number} returns.impliedVolatility - Estimated implied volatility (%)
-   * @returns {number} returns.expectedMove - Expected price move through earnings
+   * @returns {number} returns.impliedVolatility - Front-month ATM implied volatility (%), estimated when no chain is available
+   * @returns {string} returns.impliedVolatilitySource - IV origin ('yahoo-chain', 'alphavantage-chain' or 'estimated')
+   * @returns {Object|null} returns.optionsChain - Chain summary (front-month and post-earnings ATM IV)
+   * @returns {number} returns.expectedMove - 30-day expected move from IV (1 std dev, dollars)
+   * @returns {Object|null} returns.impliedEarningsMove - Straddle-implied earnings move (see implied-move.js)
+   * @returns {Object|null} returns.optionPricing - Model price, Greeks, breakevens and POP of the
+   * post-earnings ATM straddle (see priceEarningsStraddle)
+   * @returns {Object|null} returns.strategyCandidates - Concrete strategies built from the chain with
+   * legs, credit/debit, max loss, breakevens, POP and position sizing (see strategies.js and
+   * position-sizing.js)
+   * @returns {Object|null} returns.volatilitySurface - Term structure, 25-delta skew and smile around the
+   * earnings date (see volatility-surface.js)
    * @returns {number} returns.volatilityScore - Composite volatility score (0-100)
    * @returns {number} returns.optionsVolume - Estimated options trading volume
    * @returns {Object} returns.technicalIndicators - Technical analysis data
-   * @returns {number} returns.technicalIndicators.rsi - RSI indicator value
+   * @returns {number} returns.technicalIndicators.rsi - Wilder RSI(14) (see technical-indicators.js)
+   * @returns {string} returns.technicalIndicators.source - 'computed' from daily bars or 'estimated'
+   * @returns {Object|null} returns.earningsHistory - Realized earnings moves (see earnings-history.js)
+   * @returns {number|null} returns.impliedVolatilityRank - 52-week IV rank (0-100) from stored IV history
+   * @returns {number|null} returns.impliedVolatilityPercentile - 52-week IV percentile (0-100)
    * @returns {string} returns.dataQuality - Quality flag ('real' or 'estimated')
+   * @returns {Object} returns.provenance - Per-field lineage ({ value, source, asOf, estimated }) for price,
+   * IV, HV, RSI, 52-week range, expected move and options volume (see provenance.js)
    * @description Core analysis function combining quote data, historical volatility,
    * and technical indicators. Implements multi-source fallback strategy and includes
-   * estimated options volume and RSI for quality scoring.
+   * estimated options volume for quality scoring. RSI is only estimated when no price
+   * history is available.
    */
-  async getVolatilityAnalysis(symbol) {
+  async getVolatilityAnalysis(symbol, context = {}) {
     console.log(`📊 Analyzing volatility for ${symbol}...`);
 
     if (symbol === "INVALID") {
@@ -417,18 +256,44 @@ class SimplifiedDataProvider {
 
     let fiftyTwoWeekHigh = null;
     let fiftyTwoWeekLow = null;
+    let fiftyTwoWeekRangeProvenance = null;
 
     try {
-      // FIX: Pass the API key from the instance property
-      const range = await get52WeekRange(symbol, this.finnhubApiKey);
-      fiftyTwoWeekHigh = range.high;
-      fiftyTwoWeekLow = range.low;
+      // Cached for a day so the basic-financials call is not repeated every run
+      const range = await this.cache.getOrLoad(
+        "fundamentals",
+        symbol,
+        async () => {
+          const { data, source } = await this.providers.request(
+            "fundamentals",
+            symbol
+          );
+          return {
+            fiftyTwoWeekHigh: data.fiftyTwoWeekHigh,
+            fiftyTwoWeekLow: data.fiftyTwoWeekLow,
+            source,
+            asOf: new Date().toISOString(),
+          };
+        }
+      );
+      fiftyTwoWeekHigh = range.fiftyTwoWeekHigh;
+      fiftyTwoWeekLow = range.fiftyTwoWeekLow;
+      if (fiftyTwoWeekHigh && fiftyTwoWeekLow) {
+        fiftyTwoWeekRangeProvenance = createFieldProvenance(
+          { high: fiftyTwoWeekHigh, low: fiftyTwoWeekLow },
+          `${range.source}-fundamentals`,
+          range.asOf ?? null
+        );
+      }
       // Print the values right after assignment
       console.log(
         `📈 52-week range for ${symbol}: High = ${fiftyTwoWeekHigh}, Low = ${fiftyTwoWeekLow}`
       );
     } catch (err) {
-      console.warn(`⚠️ Could not fetch 52-week range for ${symbol}:`, err);
+      console.warn(
+        `⚠️ Could not fetch 52-week range for ${symbol}:`,
+        err.message
+      );
     }
 
     try {
@@ -436,15 +301,18 @@ class SimplifiedDataProvider {
       const quote = await this.getQuote(symbol);
       console.log(`✅ Quote from ${quote.source}: $${quote.price}`);
 
-      // Get historical data
-      const historicalData = await this.getHistoricalData(symbol);
+      // Get historical data (multi-year, for the earnings-move history)
+      const historicalData = await this.getHistoricalData(
+        symbol,
+        HISTORY_LOOKBACK_DAYS
+      );
       let historicalVol = null;
       let dataSource = "estimated";
       let dataQuality = "estimated";
 
       if (historicalData?.prices?.length) {
         historicalVol = this.calculateHistoricalVolatility(
-          historicalData.prices
+          pricesWithinDays(historicalData.prices, HV_WINDOW_DAYS)
         );
         dataSource = historicalData.source;
         dataQuality = "real";
@@ -454,11 +322,13 @@ class SimplifiedDataProvider {
 
         // Fallback: compute 52-week high/low from historical data if Finnhub failed
         if (!fiftyTwoWeekHigh || !fiftyTwoWeekLow) {
-          fiftyTwoWeekHigh = Math.max(
-            ...historicalData.prices.map((p) => p.high)
-          );
-          fiftyTwoWeekLow = Math.min(
-            ...historicalData.prices.map((p) => p.low)
+          const yearOfPrices = pricesWithinDays(historicalData.prices, 365);
+          fiftyTwoWeekHigh = Math.max(...yearOfPrices.map((p) => p.high));
+          fiftyTwoWeekLow = Math.min(...yearOfPrices.map((p) => p.low));
+          fiftyTwoWeekRangeProvenance = createFieldProvenance(
+            { high: fiftyTwoWeekHigh, low: fiftyTwoWeekLow },
+            `${dataSource}-history`,
+            historyAsOf(historicalData.prices)
           );
           console.log(
             `ℹ️ Using 52-week range from historical data: ${fiftyTwoWeekLow} - ${fiftyTwoWeekHigh}`
@@ -469,12 +339,128 @@ class SimplifiedDataProvider {
         console.log(`📊 Using estimated volatility: ${historicalVol}%`);
       }
 
-      // Estimate implied volatility based on historical
-      const impliedVol = this.estimateImpliedVolatility(symbol, historicalVol);
+      // Real ATM implied volatility from the options chain; the HV-based estimate is only a fallback
+      const chain = await this.loadOptionsChain(symbol, context);
+      const optionsChain = summarizeChain(chain, {
+        underlyingPrice: quote.price,
+        earningsDate: context.earningsDate,
+        earningsTiming: context.earningsTiming,
+      });
+      const impliedEarningsMove = calculateStraddleImpliedMove(chain, {
+        underlyingPrice: quote.price,
+        earningsDate: context.earningsDate,
+        earningsTiming: context.earningsTiming,
+      });
+      if (impliedEarningsMove) {
+        console.log(
+          `✅ Straddle-implied earnings move for ${symbol}: ±$${impliedEarningsMove.move} (${impliedEarningsMove.movePercent}%, exp ${impliedEarningsMove.expiration})`
+        );
+      }
+      const optionPricing = this.priceEarningsStraddle(
+        quote.price,
+        optionsChain,
+        impliedEarningsMove
+      );
+      const strategyCandidates = buildStrategyCandidates(chain, {
+        underlyingPrice: quote.price,
+        earningsDate: context.earningsDate,
+        earningsTiming: context.earningsTiming,
+        expectedMove: impliedEarningsMove?.move,
+        impliedVolatility: optionsChain?.postEarnings?.atmImpliedVolatility,
+        rate: this.riskFreeRate,
+      });
+      sizeStrategyCandidates(strategyCandidates, this.accountModel, {
+        spot: quote.price,
+        rate: this.riskFreeRate,
+      });
+      const volatilitySurface = analyzeVolatilitySurface(chain, {
+        underlyingPrice: quote.price,
+        earningsDate: context.earningsDate,
+        earningsTiming: context.earningsTiming,
+        rate: this.riskFreeRate,
+      });
+      const earningsHistory = await this.loadEarningsHistory(
+        symbol,
+        historicalData?.prices
+      );
+      if (earningsHistory) {
+        console.log(
+          `✅ Earnings-move history for ${symbol}: avg ±${earningsHistory.averageMove}% over ${earningsHistory.sampleSize} reports`
+        );
+      }
+      let impliedVol;
+      let impliedVolatilitySource;
+      if (optionsChain?.frontMonth?.atmImpliedVolatility) {
+        impliedVol = optionsChain.frontMonth.atmImpliedVolatility;
+        impliedVolatilitySource = `${optionsChain.source}-chain`;
+        console.log(
+          `✅ ATM implied volatility from ${optionsChain.source} chain (${optionsChain.frontMonth.expiration}): ${impliedVol}%`
+        );
+      } else {
+        impliedVol = this.estimateImpliedVolatility(symbol, historicalVol);
+        impliedVolatilitySource = "estimated";
+        console.log(`📊 No options chain for ${symbol}, using estimated IV: ${impliedVol}%`);
+      }
+
+      const ivStatistics = await this.updateIVHistory(
+        symbol,
+        impliedVol,
+        impliedVolatilitySource
+      );
 
-      // Calculate expected move (30-day)
+      // Calculate expected move (30 calendar days, scaled by the sessions inside them)
       const expectedMove =
-        quote.price * (impliedVol / 100) * Math.sqrt(30 / 365);
+        quote.price * (impliedVol / 100) * Math.sqrt(tradingYearFraction(30));
+      const technicalIndicators = historicalData?.prices?.length
+        ? calculateTechnicalIndicators(historicalData.prices, {
+            source: historicalData.source,
+          })
+        : {
+            rsi: this.estimateRSI(symbol, quote.changePercent),
+            source: "estimated",
+            inputs: { source: "estimated", changePercent: quote.changePercent },
+          };
+      const optionsVolume = this.estimateOptionsVolume(symbol, quote.volume);
+
+      const history = historicalData?.prices?.length
+        ? { source: `${dataSource}-history`, asOf: historyAsOf(historicalData.prices) }
+        : { source: ESTIMATED_SOURCE, asOf: null };
+      const price = createFieldProvenance(
+        quote.price,
+        `${quote.source}-quote`,
+        quote.asOf ?? null
+      );
+      const iv = createFieldProvenance(
+        impliedVol,
+        impliedVolatilitySource,
+        impliedVolatilitySource === ESTIMATED_SOURCE
+          ? null
+          : optionsChain?.asOf ?? null
+      );
+      const provenance = {
+        price,
+        impliedVolatility: iv,
+        historicalVolatility: createFieldProvenance(
+          historicalVol,
+          history.source,
+          history.asOf
+        ),
+        rsi: createFieldProvenance(
+          technicalIndicators.rsi,
+          history.source,
+          history.asOf
+        ),
+        fiftyTwoWeekRange:
+          fiftyTwoWeekRangeProvenance ||
+          createFieldProvenance(null, ESTIMATED_SOURCE),
+        expectedMove: createDerivedProvenance(
+          parseFloat(expectedMove.toFixed(2)),
+          [price, iv],
+          ["price", "impliedVolatility"]
+        ),
+        // Heuristic share of stock volume; no provider reports aggregate options volume
+        optionsVolume: createFieldProvenance(optionsVolume, ESTIMATED_SOURCE),
+      };
 
       const analysis = {
         symbol,
@@ -484,12 +470,20 @@ class SimplifiedDataProvider {
         volume: quote.volume,
         historicalVolatility: historicalVol,
         impliedVolatility: impliedVol,
+        impliedVolatilitySource,
+        impliedVolatilityRank: ivStatistics?.ivRank ?? null,
+        impliedVolatilityPercentile: ivStatistics?.ivPercentile ?? null,
+        ivHistory: ivStatistics,
+        optionsChain,
         expectedMove: parseFloat(expectedMove.toFixed(2)),
+        impliedEarningsMove,
+        optionPricing,
+        strategyCandidates,
+        volatilitySurface,
+        earningsHistory,
         volatilityScore: 0,
-        optionsVolume: this.estimateOptionsVolume(symbol, quote.volume),
-        technicalIndicators: {
-          rsi: this.estimateRSI(symbol, quote.changePercent),
-        },
+        optionsVolume,
+        technicalIndicators,
         weeklyRange: this.calculate5WeekRange(
           symbol,
           quote.price,
@@ -498,11 +492,18 @@ class SimplifiedDataProvider {
         fiftyTwoWeekHigh,
         fiftyTwoWeekLow,
         dataQuality,
-        dataSources: { quote: quote.source, historical: dataSource },
+        isSynthetic: false,
+        dataSources: {
+          quote: quote.source,
+          historical: dataSource,
+          impliedVolatility: impliedVolatilitySource,
+        },
+        provenance,
         lastUpdated: new Date().toISOString(),
       };
 
-      analysis.volatilityScore = this.calculateVolatilityScore(analysis);
+      analysis.volatilityScoreBreakdown = this.scoreVolatility(analysis);
+      analysis.volatilityScore = analysis.volatilityScoreBreakdown.score;
       console.log(
         `✅ Analysis complete for ${symbol} (Score: ${analysis.volatilityScore}/100)`
       );
@@ -514,7 +515,7 @@ class SimplifiedDataProvider {
       const historicalVol = this.getEstimatedVolatility(symbol);
       const impliedVol = this.estimateImpliedVolatility(symbol, historicalVol);
       const expectedMove =
-        estimatedPrice * (impliedVol / 100) * Math.sqrt(30 / 365);
+        estimatedPrice * (impliedVol / 100) * Math.sqrt(tradingYearFraction(30));
 
       return {
         symbol,
@@ -524,17 +525,141 @@ class SimplifiedDataProvider {
         volume: 0,
         historicalVolatility: historicalVol,
         impliedVolatility: impliedVol,
+        impliedVolatilitySource: "estimated",
+        impliedVolatilityRank: null,
+        impliedVolatilityPercentile: null,
+        ivHistory: null,
+        optionsChain: null,
         expectedMove: parseFloat(expectedMove.toFixed(2)),
+        impliedEarningsMove: null,
+        optionPricing: null,
+        strategyCandidates: null,
+        volatilitySurface: null,
+        earningsHistory: null,
         volatilityScore: 0,
         fiftyTwoWeekHigh,
         fiftyTwoWeekLow,
         dataQuality: "estimated",
-        dataSources: { quote: "estimated", historical: "estimated" },
+        // Price is a placeholder, so nothing in this analysis is market data
+        isSynthetic: true,
+        dataSources: {
+          quote: "estimated",
+          historical: "estimated",
+          impliedVolatility: "estimated",
+        },
+        provenance: createEstimatedProvenance({
+          price: estimatedPrice,
+          impliedVolatility: impliedVol,
+          historicalVolatility: historicalVol,
+          expectedMove: parseFloat(expectedMove.toFixed(2)),
+        }),
         lastUpdated: new Date().toISOString(),
       };
     }
   }
 
+  /**
+   * Load the normalized options chain (front-month and post-earnings expirations)
+   * @param {string} symbol - Stock symbol
+   * @param {Object} [context={}] - { earningsDate, earningsTiming }
+   * @returns {Promise<Object|null>} Normalized chain or null when no chain is available
+   */
+  async loadOptionsChain(symbol, context = {}) {
+    try {
+      const { data } = await this.providers.request("chain", symbol, {
+        earningsDate: context.earningsDate,
+        earningsTiming: context.earningsTiming,
+      });
+      return data;
+    } catch (error) {
+      console.warn(`⚠️ Options chain unavailable for ${symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Price the post-earnings ATM straddle with the pricing engine (American exercise)
+   * @param {number} price - Current stock price
+   * @param {Object|null} optionsChain - Chain summary from summarizeChain
+   * @param {Object|null} impliedEarningsMove - Straddle-implied move (strike, expiration, market price)
+   * @returns {Object|null} Straddle pricing (see priceStraddle in pricing.js) with expiration,
+   * strike, impliedVolatility and rate, or null without a priced straddle or post-earnings IV
+   * @description Breakevens and POP use the market straddle price, so they describe the trade
+   * that can actually be placed; the model price and Greeks use the post-earnings ATM IV.
+   */
+  priceEarningsStraddle(price, optionsChain, impliedEarningsMove) {
+    const impliedVolatility = optionsChain?.postEarnings?.atmImpliedVolatility;
+    if (!impliedEarningsMove || !(impliedVolatility > 0)) {
+      return null;
+    }
+
+    const pricing = priceStraddle(
+      {
+        spot: price,
+        strike: impliedEarningsMove.strike,
+        daysToExpiration: impliedEarningsMove.daysToExpiration,
+        impliedVolatility,
+        rate: this.riskFreeRate,
+      },
+      { premium: impliedEarningsMove.straddlePrice }
+    );
+    if (!pricing) {
+      return null;
+    }
+
+    return {
+      expiration: impliedEarningsMove.expiration,
+      strike: impliedEarningsMove.strike,
+      daysToExpiration: impliedEarningsMove.daysToExpiration,
+      impliedVolatility,
+      rate: this.riskFreeRate,
+      ...pricing,
+    };
+  }
+
+  /**
+   * Record today's chain IV and derive 52-week IV rank / percentile from the stored history
+   * @returns {Promise<Object|null>} IV statistics or null for estimated IV / storage errors
+   */
+  async updateIVHistory(symbol, impliedVolatility, source) {
+    if (source === "estimated") {
+      return null;
+    }
+
+    try {
+      const history = await this.ivHistory.record(symbol, {
+        impliedVolatility,
+        source,
+      });
+      const statistics = calculateIVStatistics(history, impliedVolatility);
+      if (statistics.ivRank != null) {
+        console.log(
+          `✅ IV rank for ${symbol}: ${statistics.ivRank} | IV percentile: ${statistics.ivPercentile} (${statistics.sampleSize} snapshots)`
+        );
+      }
+      return statistics;
+    } catch (error) {
+      console.warn(`⚠️ IV history unavailable for ${symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Load the per-symbol earnings-move history measured from the daily bars
+   * @returns {Promise<Object|null>} Earnings-move summary or null when unavailable
+   */
+  async loadEarningsHistory(symbol, prices) {
+    try {
+      return await this.earningsHistory.getEarningsHistory(symbol, prices);
+    } catch (error) {
+      console.warn(
+        `⚠️ Earnings-move history unavailable for ${symbol}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
   /**
    * Calculate 5-week price range from historical data or estimate
    */
@@ -611,7 +736,7 @@ class SimplifiedDataProvider {
   }
 
   /**
-   * Estimate RSI based on recent price change and symbol characteristics
+   * Estimate RSI from the day's price change (only used when no price history is available)
    */
   estimateRSI(symbol, changePercent = 0) {
     // Base RSI around neutral 50
@@ -625,11 +750,8 @@ class SimplifiedDataProvider {
     else if (changePercent < -1) baseRSI -= 8;
     else if (changePercent < 0) baseRSI -= 3;
 
-    // Add some randomness for variety (±5 points)
-    const randomAdjustment = (Math.random() - 0.5) * 10;
-
     // Clamp between 20-80 for realistic values
-    const estimatedRSI = Math.max(20, Math.min(80, baseRSI + randomAdjustment));
+    const estimatedRSI = Math.max(20, Math.min(80, baseRSI));
 
     return parseFloat(estimatedRSI.toFixed(1));
   }
@@ -728,6 +850,7 @@ class SimplifiedDataProvider {
 
   /**
    * Estimate implied volatility with realistic market premiums
+   * Fallback only: used when no options chain is available for the symbol
    */
   estimateImpliedVolatility(symbolOrHistoricalVol, historicalVol = null) {
     // Handle both calling patterns: (symbol, historicalVol) and (historicalVol)
@@ -775,73 +898,54 @@ class SimplifiedDataProvider {
     return parseFloat((hist * premium).toFixed(1));
   }
 
+  /**
+   * Volatility score with per-factor breakdown
+   * @param {Object} analysis - Volatility analysis
+   * @returns {Object} scoreWithModel breakdown (see scoring.js); `score` is 0-100
+   */
+  scoreVolatility(analysis) {
+    return scoreWithModel(this.scoringModel, analysis);
+  }
+
   /**
    * Calculate volatility score
+   * @param {Object} analysis - Volatility analysis
+   * @returns {number} Score (0-100) from the volatility scoring model
    */
   calculateVolatilityScore(analysis) {
-    let score = 0;
-
-    // Historical volatility score (0-30 points)
-    if (analysis.historicalVolatility) {
-      const hv = analysis.historicalVolatility;
-      if (hv >= 20 && hv <= 50) score += 30;
-      else if (hv >= 15 && hv <= 60) score += 25;
-      else if (hv >= 10) score += 20;
-    }
-
-    // Implied volatility score (0-25 points)
-    if (analysis.impliedVolatility) {
-      const iv = analysis.impliedVolatility;
-      if (iv >= 25 && iv <= 55) score += 25;
-      else if (iv >= 20 && iv <= 65) score += 20;
-      else if (iv >= 15) score += 15;
-    }
-
-    // Price action score (0-20 points)
-    if (analysis.currentPrice >= 20 && analysis.currentPrice <= 500)
-      score += 20;
-    else if (analysis.currentPrice >= 10) score += 15;
-
-    // Data quality bonus (0-15 points)
-    if (analysis.dataQuality === "real") score += 15;
-    else score += 8; // Partial credit for estimates
-
-    // Volume/liquidity proxy (0-10 points)
-    if (analysis.volume && analysis.volume > 1000000) score += 10;
-    else if (analysis.volume && analysis.volume > 500000) score += 8;
-    else if (analysis.volume && analysis.volume > 100000) score += 5;
-    else score += 3; // Default for no volume data
-
-    return Math.min(100, Math.max(0, score));
+    return this.scoreVolatility(analysis).score;
   }
 
   /**
-   * Optimized bulk analysis with intelligent batching and Yahoo Finance speed
+   * Bulk analysis with bounded concurrency
+   * @param {Array<string>} symbols - Symbols to analyze
+   * @param {Object} [contexts={}] - Per-symbol context keyed by symbol (e.g. { AAPL: { earningsDate } })
+   * @description Up to `concurrency` symbols are analyzed at once; provider calls queue on
+   * their token buckets instead of sleeping a fixed delay between symbols.
    */
-  async getBulkVolatilityAnalysis(symbols) {
+  async getBulkVolatilityAnalysis(symbols, contexts = {}) {
     console.log(
-      `📊 Analyzing ${symbols.length} symbols with Yahoo Finance optimization...`
+      `📊 Analyzing ${symbols.length} symbols (${this.concurrency} at a time)...`
     );
 
-    const results = {};
-
-    for (let i = 0; i < symbols.length; i++) {
-      const symbol = symbols[i];
-
-      try {
-        results[symbol] = await this.getVolatilityAnalysis(symbol);
-      } catch (error) {
-        console.error(`❌ Analysis failed for ${symbol}:`, error);
-        results[symbol] = null;
+    const analyses = await mapWithConcurrency(
+      symbols,
+      this.concurrency,
+      async (symbol) => {
+        try {
+          return await this.getVolatilityAnalysis(symbol, contexts[symbol]);
+        } catch (error) {
+          console.error(`❌ Analysis failed for ${symbol}:`, error);
+          return null;
+        }
       }
+    );
 
-      // Optimized rate limiting for Yahoo Finance
-      if (i < symbols.length - 1) {
-        // Yahoo Finance can handle faster requests than Finnhub
-        console.log(`⏳ Rate limit delay (${this.requestDelay}ms)...`);
-        await new Promise((resolve) => setTimeout(resolve, this.requestDelay));
-      }
-    }
+    // Keep results keyed in input order
+    const results = {};
+    symbols.forEach((symbol, index) => {
+      results[symbol] = analyses[index];
+    });
 
     console.log(`✅ Bulk analysis complete`);
     return results;
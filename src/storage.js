@@ -0,0 +1,91 @@
+/**
+ * Persistent key/value storage for run-to-run state (IV snapshots, caches, provider health)
+ * Worker: Cloudflare KV namespace bound as OPTIONS_INSIGHT_KV
+ * CLI: JSON files on disk (see file-storage.js - kept separate so the Worker bundle never imports node:fs)
+ * Fallback: in-memory map (state lasts for the current run only)
+ *
+ * All backends share the same async interface: get(key), put(key, value, { ttlSeconds }), delete(key).
+ * Values are JSON-serializable objects.
+ */
+
+export const KV_BINDING = 'OPTIONS_INSIGHT_KV';
+
+// Cloudflare KV rejects expiration TTLs below 60 seconds
+const KV_MIN_TTL_SECONDS = 60;
+
+/**
+ * Cloudflare KV-backed storage
+ * @class KVStorage
+ */
+export class KVStorage {
+    /**
+     * @param {Object} namespace - KV namespace binding from the Worker env
+     */
+    constructor(namespace) {
+        this.namespace = namespace;
+        this.type = 'kv';
+    }
+
+    async get(key) {
+        return await this.namespace.get(key, 'json');
+    }
+
+    async put(key, value, options = {}) {
+        const putOptions = options.ttlSeconds
+            ? { expirationTtl: Math.max(KV_MIN_TTL_SECONDS, Math.ceil(options.ttlSeconds)) }
+            : undefined;
+        await this.namespace.put(key, JSON.stringify(value), putOptions);
+    }
+
+    async delete(key) {
+        await this.namespace.delete(key);
+    }
+}
+
+/**
+ * In-memory storage used when no persistent backend is configured
+ * @class MemoryStorage
+ */
+export class MemoryStorage {
+    constructor() {
+        this.entries = new Map();
+        this.type = 'memory';
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return structuredClone(entry.value);
+    }
+
+    async put(key, value, options = {}) {
+        this.entries.set(key, {
+            value: structuredClone(value),
+            expiresAt: options.ttlSeconds ? Date.now() + options.ttlSeconds * 1000 : null
+        });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * Create the storage backend for the Worker environment
+ * @param {Object} env - Worker environment bindings
+ * @returns {KVStorage|MemoryStorage} KV storage when the namespace is bound, otherwise in-memory storage
+ */
+export function createStorage(env = {}) {
+    if (env[KV_BINDING]) {
+        return new KVStorage(env[KV_BINDING]);
+    }
+
+    console.warn(`⚠️ ${KV_BINDING} binding not configured, stored history will not persist between runs`);
+    return new MemoryStorage();
+}
+
+export default createStorage;
@@ -0,0 +1,408 @@
+/**
+ * Deterministic earnings strategy builder
+ * Builds concrete candidates from the options chain (real strikes, expirations and quotes) so the
+ * newsletter only ever shows trades that can be placed, with every figure computed in code:
+ *   - Iron Condor: short strikes at ±1 expected move, long wings half an expected move beyond
+ *   - Short Strangle: the same short strikes without wings
+ *   - Long Straddle: at-the-money call and put
+ *   - Call Calendar: sell the post-earnings ATM call, buy the same strike on a later loaded expiration
+ *   - Broken-Wing Butterfly: put butterfly with the body at the money, a narrow upper wing and a
+ *     lower wing twice as wide (risk only below the body)
+ *
+ * Legs are filled at the mid (last trade when there is no usable quote). Prices, P&L, max profit and
+ * max loss are per share (× 100 per contract). POP is the risk-neutral probability of finishing
+ * between/outside the breakevens at the post-earnings expiration (see pricing.js).
+ */
+
+import { selectExpirations, selectBackExpiration, getContractsForExpiration, findAtmStrike, calculateAtmImpliedVolatility, contractPrice } from './options-chain.js';
+import { blackScholes, probabilityBetween } from './pricing.js';
+import { DAY_MS, daysUntilExpiration } from './trading-calendar.js';
+import { round } from './math.js';
+
+// Wings sit this fraction of the expected move beyond the short strikes
+const WING_FRACTION = 0.5;
+// The calendar's long leg must expire at least this many days after the short leg
+const CALENDAR_MIN_GAP_DAYS = 7;
+// Price grid (± fraction of the strike) searched for the calendar's breakevens
+const CALENDAR_SEARCH_RANGE = 0.5;
+const CALENDAR_SEARCH_STEPS = 400;
+
+export const STRATEGY_NAMES = {
+    ironCondor: 'Iron Condor',
+    shortStrangle: 'Short Strangle',
+    longStraddle: 'Long Straddle',
+    calendar: 'Call Calendar',
+    brokenWingButterfly: 'Broken-Wing Butterfly'
+};
+
+/**
+ * Build the earnings strategy candidates for a symbol
+ * @param {Object} chain - Normalized chain (see options-chain.js)
+ * @param {Object} options - Build options
+ * @param {number} options.underlyingPrice - Current stock price
+ * @param {string} options.earningsDate - Earnings date (YYYY-MM-DD)
+ * @param {string} [options.earningsTiming] - 'bmo', 'amc', 'dmh' or 'unknown'
+ * @param {number} [options.expectedMove] - Expected earnings move in dollars (defaults to the ATM straddle)
+ * @param {number} [options.impliedVolatility] - IV (%) for POP (defaults to the post-earnings ATM IV)
+ * @param {number} [options.rate=0] - Annualized risk-free rate (decimal)
+ * @param {Date} [options.now] - Reference time (defaults to current time)
+ * @returns {Object|null} Candidates or null when the post-earnings expiration cannot be priced
+ * @returns {string} returns.expiration - Post-earnings expiration the candidates trade
+ * @returns {string|null} returns.backExpiration - Later expiration used by the calendar
+ * @returns {number} returns.expectedMove - Expected move used for strike selection (dollars)
+ * @returns {number} returns.impliedVolatility - IV used for POP (%)
+ * @returns {number} returns.daysToExpiration - Calendar days until the expiration
+ * @returns {Array<Object>} returns.candidates - Strategy candidates (see analyzeCandidate); strategies
+ * whose strikes are missing from the chain are left out
+ */
+export function buildStrategyCandidates(chain, options = {}) {
+    const { underlyingPrice, earningsDate } = options;
+    if (!chain?.contracts?.length || !earningsDate || !(underlyingPrice > 0)) {
+        return null;
+    }
+
+    const now = options.now || new Date();
+    const { postEarnings } = selectExpirations(chain.expirations, {
+        earningsDate,
+        earningsTiming: options.earningsTiming,
+        now
+    });
+    const contracts = getContractsForExpiration(chain, postEarnings).filter(contract => contractPrice(contract) != null);
+    const atmStrike = findAtmStrike(chain, postEarnings, underlyingPrice);
+    const atmCall = findContract(contracts, 'call', atmStrike);
+    const atmPut = findContract(contracts, 'put', atmStrike);
+    if (!atmCall || !atmPut) {
+        return null;
+    }
+
+    const expectedMove = options.expectedMove > 0 ? options.expectedMove : contractPrice(atmCall) + contractPrice(atmPut);
+    const impliedVolatility = options.impliedVolatility > 0
+        ? options.impliedVolatility
+        : calculateAtmImpliedVolatility(chain, postEarnings, underlyingPrice);
+    if (!(impliedVolatility > 0)) {
+        return null;
+    }
+
+    const backExpiration = selectBackExpiration(chain, postEarnings, CALENDAR_MIN_GAP_DAYS);
+    const context = {
+        chain,
+        contracts,
+        spot: underlyingPrice,
+        atmStrike,
+        expectedMove,
+        expiration: postEarnings,
+        backExpiration,
+        now,
+        pricing: {
+            spot: underlyingPrice,
+            daysToExpiration: daysUntilExpiration(postEarnings, now),
+            impliedVolatility,
+            rate: options.rate ?? 0
+        }
+    };
+
+    const candidates = [
+        buildIronCondor(context),
+        buildShortStrangle(context),
+        buildLongStraddle(context),
+        buildCalendar(context),
+        buildBrokenWingButterfly(context)
+    ].filter(Boolean);
+
+    return {
+        expiration: postEarnings,
+        backExpiration,
+        expectedMove: round(expectedMove),
+        impliedVolatility,
+        daysToExpiration: context.pricing.daysToExpiration,
+        candidates
+    };
+}
+
+/**
+ * Price, risk and probability of a set of legs
+ * @param {string} type - Strategy type (key of STRATEGY_NAMES)
+ * @param {Array<Object>} legs - Legs ({ action: 'buy'|'sell', type, strike, expiration, quantity, price })
+ * @param {Object} pricing - Underlying parameters for POP ({ spot, daysToExpiration, impliedVolatility, rate })
+ * @returns {Object} Candidate
+ * @returns {string} returns.type - Strategy type
+ * @returns {string} returns.name - Display name ('Iron Condor')
+ * @returns {string} returns.label - Name with strikes ('Iron Condor 185/190/210/215')
+ * @returns {string} returns.premiumType - 'credit' or 'debit'
+ * @returns {number} returns.premium - Net credit received or debit paid
+ * @returns {number|null} returns.maxProfit - Maximum profit at expiration (null = unlimited)
+ * @returns {number|null} returns.maxLoss - Maximum loss at expiration (null = unlimited)
+ * @returns {Array<number>} returns.breakevens - Breakeven prices at expiration, ascending
+ * @returns {number|null} returns.probabilityOfProfit - Risk-neutral POP (%)
+ * @description All legs must share one expiration: the P&L at expiration is piecewise linear with
+ * kinks at the strikes, so extremes and breakevens are found exactly on the strike grid.
+ */
+export function analyzeCandidate(type, legs, pricing) {
+    const netPremium = legs.reduce((sum, leg) => sum - legSign(leg) * leg.price * leg.quantity, 0);
+    const profitAt = createProfitFunction({ legs }, pricing);
+
+    const strikes = [...new Set(legs.map(leg => leg.strike))].sort((a, b) => a - b);
+    const top = strikes[strikes.length - 1] * 3;
+    const points = [0, ...strikes, top];
+    const values = points.map(profitAt);
+    // Slope beyond the highest strike: net calls held
+    const upperSlope = legs.reduce((sum, leg) => sum + (leg.type === 'call' ? legSign(leg) * leg.quantity : 0), 0);
+
+    const breakevens = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const [a, b] = [values[i], values[i + 1]];
+        if (a === 0 && i > 0) breakevens.push(points[i]);
+        if ((a < 0 && b > 0) || (a > 0 && b < 0)) {
+            breakevens.push(points[i] + (points[i + 1] - points[i]) * (-a / (b - a)));
+        }
+    }
+
+    const finite = values.slice(0, -1);
+    const maxProfit = upperSlope > 0 ? null : Math.max(...finite);
+    const maxLoss = upperSlope < 0 ? null : -Math.min(...finite);
+
+    return {
+        type,
+        name: STRATEGY_NAMES[type],
+        label: `${STRATEGY_NAMES[type]} ${strikes.map(formatStrike).join('/')}`,
+        expiration: legs[0].expiration,
+        legs,
+        premiumType: netPremium >= 0 ? 'credit' : 'debit',
+        premium: round(Math.abs(netPremium)),
+        maxProfit: maxProfit == null ? null : round(maxProfit),
+        maxLoss: maxLoss == null ? null : round(Math.max(maxLoss, 0)),
+        breakevens: breakevens.map(value => round(value)),
+        probabilityOfProfit: probabilityOfProfit(breakevens, profitAt, pricing)
+    };
+}
+
+/**
+ * Profit per share at the first expiration as a function of the underlying price
+ * @param {Object} candidate - Candidate (or any { legs })
+ * @param {Object} [pricing={}] - { rate } used to value legs that outlive the first expiration
+ * @returns {function(number): number} Profit at the given underlying price
+ * @description Legs expiring first settle at intrinsic value; later legs (the calendar's long leg)
+ * are valued with Black-Scholes at their own IV for the days they have left.
+ */
+export function createProfitFunction(candidate, pricing = {}) {
+    const { legs } = candidate;
+    const netPremium = legs.reduce((sum, leg) => sum - legSign(leg) * leg.price * leg.quantity, 0);
+    const firstExpiration = legs.map(leg => leg.expiration).sort()[0];
+
+    const legValue = (leg, price) => {
+        if (leg.expiration === firstExpiration) return intrinsic(leg, price);
+        const remainingDays = (Date.parse(`${leg.expiration}T00:00:00Z`) - Date.parse(`${firstExpiration}T00:00:00Z`)) / DAY_MS;
+        return blackScholes({
+            spot: price,
+            strike: leg.strike,
+            daysToExpiration: remainingDays,
+            impliedVolatility: leg.impliedVolatility,
+            rate: pricing.rate ?? 0,
+            type: leg.type
+        })?.price ?? intrinsic(leg, price);
+    };
+
+    return price => netPremium + legs.reduce((sum, leg) => sum + legSign(leg) * leg.quantity * legValue(leg, price), 0);
+}
+
+/**
+ * Find the candidate a free-text strategy name refers to
+ * @param {string} name - Strategy name from the AI response
+ * @param {Array<Object>} [candidates=[]] - Strategy candidates
+ * @returns {Object|null} Matching candidate (longest matching name wins) or null
+ */
+export function matchStrategyCandidate(name, candidates = []) {
+    if (!name) return null;
+    const text = name.toLowerCase();
+    const matches = candidates.filter(candidate => text.includes(candidate.name.toLowerCase()));
+    return matches.sort((a, b) => b.name.length - a.name.length)[0] || null;
+}
+
+/**
+ * One-line summary of a candidate for the prompt and the email
+ * @param {Object} candidate - Strategy candidate
+ * @returns {string} e.g. "Iron Condor 185/190/210/215 exp 2025-01-17 | credit $2.10 | max loss $2.90 | BE $187.90/$212.10 | POP 64%"
+ */
+export function formatStrategyCandidate(candidate) {
+    const expirations = [...new Set(candidate.legs.map(leg => leg.expiration))].join('/');
+    const parts = [
+        `${candidate.label} exp ${expirations}`,
+        `${candidate.premiumType} $${candidate.premium.toFixed(2)}`,
+        `max loss ${candidate.maxLoss == null ? 'unlimited' : `$${candidate.maxLoss.toFixed(2)}`}`,
+        `max profit ${candidate.maxProfit == null ? 'unlimited' : `$${candidate.maxProfit.toFixed(2)}`}`
+    ];
+    if (candidate.breakevens.length) parts.push(`BE ${candidate.breakevens.map(value => `$${value.toFixed(2)}`).join('/')}`);
+    if (candidate.probabilityOfProfit != null) parts.push(`POP ${candidate.probabilityOfProfit.toFixed(0)}%`);
+    return parts.join(' | ');
+}
+
+/**
+ * Legs in trading shorthand
+ * @param {Object} candidate - Strategy candidate
+ * @returns {string} e.g. "Sell 190P / Buy 185P / Sell 210C / Buy 215C"
+ */
+export function formatLegs(candidate) {
+    return candidate.legs
+        .map(leg => `${leg.action === 'sell' ? 'Sell' : 'Buy'}${leg.quantity > 1 ? ` ${leg.quantity}x` : ''} ${formatStrike(leg.strike)}${leg.type === 'call' ? 'C' : 'P'}${leg.expiration !== candidate.expiration ? ` ${leg.expiration}` : ''}`)
+        .join(' / ');
+}
+
+function buildIronCondor(context) {
+    const shorts = selectShortStrikes(context);
+    if (!shorts) return null;
+    const wing = context.expectedMove * WING_FRACTION;
+    const longPut = strikeAtOrBelow(context.contracts, 'put', shorts.put.strike - wing, shorts.put.strike);
+    const longCall = strikeAtOrAbove(context.contracts, 'call', shorts.call.strike + wing, shorts.call.strike);
+    if (!longPut || !longCall) return null;
+
+    return analyzeCandidate('ironCondor', [
+        leg('sell', shorts.put),
+        leg('buy', longPut),
+        leg('sell', shorts.call),
+        leg('buy', longCall)
+    ], context.pricing);
+}
+
+function buildShortStrangle(context) {
+    const shorts = selectShortStrikes(context);
+    if (!shorts) return null;
+
+    return analyzeCandidate('shortStrangle', [leg('sell', shorts.put), leg('sell', shorts.call)], context.pricing);
+}
+
+function buildLongStraddle(context) {
+    const call = findContract(context.contracts, 'call', context.atmStrike);
+    const put = findContract(context.contracts, 'put', context.atmStrike);
+
+    return analyzeCandidate('longStraddle', [leg('buy', call), leg('buy', put)], context.pricing);
+}
+
+// Long the back-month call, short the post-earnings call at the same strike: profits when the stock
+// stays near the strike while the front month's earnings premium collapses
+function buildCalendar(context) {
+    if (!context.backExpiration) return null;
+    const front = findContract(context.contracts, 'call', context.atmStrike);
+    const back = getContractsForExpiration(context.chain, context.backExpiration)
+        .find(contract => contract.type === 'call' && contract.strike === context.atmStrike && contractPrice(contract) != null);
+    if (!front || !back) return null;
+
+    const backVolatility = back.impliedVolatility > 0 ? back.impliedVolatility : context.pricing.impliedVolatility;
+    const legs = [leg('sell', front), { ...leg('buy', back), impliedVolatility: backVolatility }];
+    const debit = contractPrice(back) - contractPrice(front);
+    if (!(debit > 0)) return null;
+    const profitAt = createProfitFunction({ legs }, context.pricing);
+
+    const breakevens = [];
+    let maxProfit = -Infinity;
+    const low = back.strike * (1 - CALENDAR_SEARCH_RANGE);
+    const step = (2 * back.strike * CALENDAR_SEARCH_RANGE) / CALENDAR_SEARCH_STEPS;
+    let previous = profitAt(low);
+    for (let i = 1; i <= CALENDAR_SEARCH_STEPS; i++) {
+        const price = low + i * step;
+        const value = profitAt(price);
+        maxProfit = Math.max(maxProfit, value);
+        if ((previous < 0) !== (value < 0)) breakevens.push(bisect(profitAt, price - step, price));
+        previous = value;
+    }
+
+    return {
+        type: 'calendar',
+        name: STRATEGY_NAMES.calendar,
+        label: `${STRATEGY_NAMES.calendar} ${formatStrike(front.strike)}`,
+        expiration: front.expiration,
+        legs,
+        premiumType: 'debit',
+        premium: round(debit),
+        maxProfit: round(maxProfit),
+        maxLoss: round(debit),
+        breakevens: breakevens.map(value => round(value)),
+        probabilityOfProfit: probabilityOfProfit(breakevens, profitAt, context.pricing)
+    };
+}
+
+// Put butterfly with the body at the money: long 1 upper put, short 2 at the money, long 1 lower put
+// twice as far below, so the position is flat above the upper wing and only loses below the body
+function buildBrokenWingButterfly(context) {
+    const body = findContract(context.contracts, 'put', context.atmStrike);
+    const upper = strikeAtOrAbove(context.contracts, 'put', context.atmStrike + context.expectedMove * WING_FRACTION, context.atmStrike);
+    if (!body || !upper) return null;
+    const width = upper.strike - context.atmStrike;
+    const lower = strikeAtOrBelow(context.contracts, 'put', context.atmStrike - 2 * width, context.atmStrike - width);
+    if (!lower) return null;
+
+    return analyzeCandidate('brokenWingButterfly', [
+        leg('buy', upper),
+        leg('sell', body, 2),
+        leg('buy', lower)
+    ], context.pricing);
+}
+
+function selectShortStrikes(context) {
+    const put = strikeAtOrBelow(context.contracts, 'put', context.spot - context.expectedMove, context.atmStrike);
+    const call = strikeAtOrAbove(context.contracts, 'call', context.spot + context.expectedMove, context.atmStrike);
+    return put && call ? { put, call } : null;
+}
+
+// Highest priced strike at or below `level` (and strictly below `limit`)
+function strikeAtOrBelow(contracts, type, level, limit) {
+    const matches = contracts.filter(contract => contract.type === type && contract.strike <= level && contract.strike < limit);
+    return matches[matches.length - 1] || null;
+}
+
+// Lowest priced strike at or above `level` (and strictly above `limit`)
+function strikeAtOrAbove(contracts, type, level, limit) {
+    return contracts.find(contract => contract.type === type && contract.strike >= level && contract.strike > limit) || null;
+}
+
+function probabilityOfProfit(breakevens, profitAt, pricing) {
+    // Profitable regions are the intervals between breakevens whose midpoint makes money
+    const bounds = [0, ...breakevens, null];
+    let probability = 0;
+    for (let i = 0; i < bounds.length - 1; i++) {
+        const [lower, upper] = [bounds[i], bounds[i + 1]];
+        const probe = upper == null ? (lower || pricing.spot) * 2 + 1 : (lower + upper) / 2;
+        if (profitAt(probe) <= 0) continue;
+        const inside = probabilityBetween(lower, upper, pricing);
+        if (inside == null) return null;
+        probability += inside;
+    }
+    return round(probability * 100, 1);
+}
+
+function bisect(fn, low, high) {
+    for (let i = 0; i < 40; i++) {
+        const mid = (low + high) / 2;
+        if ((fn(low) < 0) === (fn(mid) < 0)) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+function findContract(contracts, type, strike) {
+    return contracts.find(contract => contract.type === type && contract.strike === strike) || null;
+}
+
+function leg(action, contract, quantity = 1) {
+    return {
+        action,
+        type: contract.type,
+        strike: contract.strike,
+        expiration: contract.expiration,
+        quantity,
+        price: round(contractPrice(contract)),
+        impliedVolatility: contract.impliedVolatility ?? null
+    };
+}
+
+function legSign(leg) {
+    return leg.action === 'buy' ? 1 : -1;
+}
+
+function intrinsic(leg, price) {
+    return Math.max(leg.type === 'call' ? price - leg.strike : leg.strike - price, 0);
+}
+
+function formatStrike(strike) {
+    return Number.isInteger(strike) ? String(strike) : strike.toFixed(2).replace(/0$/, '');
+}
+
@@ -0,0 +1,105 @@
+/**
+ * Provider symbol mapping
+ *
+ * The pipeline works with canonical exchange tickers (src/config/universe.js): share classes use a
+ * dot (BRK.B, BF.B). Providers disagree on that format:
+ *   yahoo, alphavantage - dash (BRK-B)
+ *   finnhub, polygon, tradier - dot, same as canonical
+ * Every outbound request converts with toProviderSymbol and every inbound symbol (calendar rows,
+ * quote payloads) converts back with toCanonicalSymbol. Explicit `aliases` on universe entries win
+ * over the separator rule for tickers that differ in other ways.
+ *
+ * GOOG and GOOGL are separate listings (Class C and Class A) and are never mapped onto each other.
+ */
+
+import { UNIVERSE } from './config/universe.js';
+
+// Share-class separator each provider expects
+export const SHARE_CLASS_SEPARATORS = {
+    yahoo: '-',
+    alphavantage: '-',
+    finnhub: '.',
+    polygon: '.',
+    tradier: '.'
+};
+
+// Base ticker plus a one-letter class suffix in any provider's format: BRK.B, BRK-B, BRK/B
+const SHARE_CLASS_PATTERN = /^([A-Z]+)[.\-/]([A-Z])$/;
+
+// Provider aliases from the universe: canonical -> { provider: alias } and 'provider:alias' -> canonical
+const UNIVERSE_ALIASES = new Map(
+    UNIVERSE.filter(entry => entry.aliases).map(entry => [entry.symbol, entry.aliases])
+);
+const aliasIndex = buildAliasIndex(UNIVERSE);
+
+/**
+ * Trim and upper-case a ticker
+ * @param {string} symbol - Ticker in any case
+ * @returns {string|null} Normalized ticker, or null for empty input
+ */
+export function normalizeSymbol(symbol) {
+    if (typeof symbol !== 'string') return null;
+    const normalized = symbol.trim().toUpperCase();
+    return normalized || null;
+}
+
+/**
+ * Convert a provider's ticker to the canonical format
+ * @param {string} symbol - Ticker as the provider formats it
+ * @param {string} [provider] - Provider the ticker came from (limits alias matching to that provider)
+ * @returns {string|null} Canonical ticker (e.g. 'BRK-B' -> 'BRK.B')
+ */
+export function toCanonicalSymbol(symbol, provider) {
+    const normalized = normalizeSymbol(symbol);
+    if (!normalized) return null;
+
+    const aliased = aliasIndex.get(aliasKey(normalized, provider)) || (!provider && aliasIndex.get(aliasKey(normalized, '*')));
+    if (aliased) return aliased;
+
+    const shareClass = normalized.match(SHARE_CLASS_PATTERN);
+    return shareClass ? `${shareClass[1]}.${shareClass[2]}` : normalized;
+}
+
+/**
+ * Convert a ticker to the format a provider expects
+ * @param {string} symbol - Canonical ticker (other formats are canonicalized first)
+ * @param {string} provider - Provider name ('yahoo', 'finnhub', 'alphavantage', 'polygon', 'tradier')
+ * @returns {string|null} Provider ticker (e.g. 'BRK.B' -> 'BRK-B' for yahoo); unknown providers get the canonical ticker
+ */
+export function toProviderSymbol(symbol, provider) {
+    const canonical = toCanonicalSymbol(symbol);
+    if (!canonical) return null;
+
+    const alias = UNIVERSE_ALIASES.get(canonical)?.[provider];
+    if (alias) return alias;
+
+    const separator = SHARE_CLASS_SEPARATORS[provider];
+    const shareClass = canonical.match(SHARE_CLASS_PATTERN);
+    return separator && shareClass ? `${shareClass[1]}${separator}${shareClass[2]}` : canonical;
+}
+
+/**
+ * Whether two tickers name the same listing once canonicalized
+ * @param {string} a - Ticker in any provider format
+ * @param {string} b - Ticker in any provider format
+ * @returns {boolean} True for 'BRK-B' and 'BRK.B'; false for 'GOOG' and 'GOOGL'
+ */
+export function isSameSymbol(a, b) {
+    const canonical = toCanonicalSymbol(a);
+    return canonical !== null && canonical === toCanonicalSymbol(b);
+}
+
+function buildAliasIndex(universe) {
+    const index = new Map();
+    for (const entry of universe) {
+        for (const [provider, alias] of Object.entries(entry.aliases || {})) {
+            index.set(aliasKey(alias, provider), entry.symbol);
+            index.set(aliasKey(alias, '*'), entry.symbol);
+        }
+    }
+    return index;
+}
+
+function aliasKey(symbol, provider) {
+    return `${provider}:${symbol}`;
+}
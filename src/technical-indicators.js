@@ -0,0 +1,159 @@
+/**
+ * Technical indicators computed from daily price bars
+ * Input: the `prices` array returned by SimplifiedDataProvider.getHistoricalData
+ * (oldest first, split/dividend-adjusted close/high/low).
+ *
+ * Every value is deterministic for a given price history; indicators that need more bars
+ * than are available are returned as null rather than approximated.
+ */
+
+import { round } from './math.js';
+import { TRADING_DAYS_PER_YEAR } from './trading-calendar.js';
+
+export const RSI_PERIOD = 14;
+export const ATR_PERIOD = 14;
+export const SMA_PERIODS = [20, 50, 200];
+export const BOLLINGER_PERIOD = 20;
+export const BOLLINGER_STD_DEVS = 2;
+
+/**
+ * Compute the full indicator set from daily bars
+ * @param {Array<Object>} prices - Daily bars (oldest first) with date, close, high and low
+ * @param {Object} [options={}] - Metadata options
+ * @param {string} [options.source] - Where the bars came from (e.g. 'yahoo')
+ * @returns {Object} Technical indicators
+ * @returns {number|null} returns.rsi - Wilder RSI(14)
+ * @returns {number|null} returns.atr - Wilder ATR(14) in dollars
+ * @returns {number|null} returns.atrPercent - ATR as a percentage of the last close
+ * @returns {number|null} returns.sma20 - 20-day simple moving average
+ * @returns {number|null} returns.sma50 - 50-day simple moving average
+ * @returns {number|null} returns.sma200 - 200-day simple moving average
+ * @returns {number|null} returns.bollingerBandwidth - (upper - lower) / middle band, in percent
+ * @returns {Object} returns.inputs - Bars used: { source, bars, from, to, priceField }
+ */
+export function calculateTechnicalIndicators(prices = [], options = {}) {
+    const bars = prices.filter(bar => bar && bar.close > 0);
+    const closes = bars.map(bar => bar.close);
+    const lastClose = closes[closes.length - 1];
+    const atr = calculateATR(bars, ATR_PERIOD);
+
+    return {
+        rsi: roundOrNull(calculateRSI(closes, RSI_PERIOD), 1),
+        atr: roundOrNull(atr, 2),
+        atrPercent: atr != null && lastClose ? roundOrNull((atr / lastClose) * 100, 2) : null,
+        sma20: roundOrNull(calculateSMA(closes, 20), 2),
+        sma50: roundOrNull(calculateSMA(closes, 50), 2),
+        sma200: roundOrNull(calculateSMA(closes, 200), 2),
+        bollingerBandwidth: roundOrNull(calculateBollingerBandwidth(closes, BOLLINGER_PERIOD, BOLLINGER_STD_DEVS), 2),
+        source: 'computed',
+        inputs: {
+            source: options.source || 'unknown',
+            bars: bars.length,
+            from: bars[0]?.date || null,
+            to: bars[bars.length - 1]?.date || null,
+            priceField: 'adjusted close/high/low'
+        }
+    };
+}
+
+/**
+ * Wilder RSI: SMA seed over the first `period` changes, then Wilder smoothing
+ * @param {Array<number>} closes - Closing prices (oldest first)
+ * @param {number} [period=14] - Lookback period
+ * @returns {number|null} RSI 0-100 or null with fewer than period + 1 closes
+ */
+export function calculateRSI(closes, period = RSI_PERIOD) {
+    if (!closes || closes.length < period + 1) return null;
+
+    let averageGain = 0;
+    let averageLoss = 0;
+    for (let i = 1; i <= period; i++) {
+        const change = closes[i] - closes[i - 1];
+        if (change > 0) averageGain += change;
+        else averageLoss -= change;
+    }
+    averageGain /= period;
+    averageLoss /= period;
+
+    for (let i = period + 1; i < closes.length; i++) {
+        const change = closes[i] - closes[i - 1];
+        averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+        averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+    }
+
+    if (averageLoss === 0) return averageGain === 0 ? 50 : 100;
+    const relativeStrength = averageGain / averageLoss;
+    return 100 - 100 / (1 + relativeStrength);
+}
+
+/**
+ * Wilder ATR: SMA seed of the first `period` true ranges, then Wilder smoothing
+ * @param {Array<Object>} bars - Bars (oldest first) with high, low and close
+ * @param {number} [period=14] - Lookback period
+ * @returns {number|null} ATR in price units or null with fewer than period + 1 bars
+ */
+export function calculateATR(bars, period = ATR_PERIOD) {
+    if (!bars || bars.length < period + 1) return null;
+
+    const trueRanges = [];
+    for (let i = 1; i < bars.length; i++) {
+        const high = bars[i].high ?? bars[i].close;
+        const low = bars[i].low ?? bars[i].close;
+        const previousClose = bars[i - 1].close;
+        trueRanges.push(Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose)));
+    }
+
+    let atr = trueRanges.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+    for (let i = period; i < trueRanges.length; i++) {
+        atr = (atr * (period - 1) + trueRanges[i]) / period;
+    }
+    return atr;
+}
+
+/**
+ * Simple moving average of the most recent `period` values
+ * @returns {number|null} Average or null with fewer than `period` values
+ */
+export function calculateSMA(values, period) {
+    if (!values || values.length < period) return null;
+    const window = values.slice(-period);
+    return window.reduce((sum, value) => sum + value, 0) / period;
+}
+
+/**
+ * Bollinger band width: (upper - lower) / middle, expressed in percent
+ * @returns {number|null} Bandwidth or null with fewer than `period` values
+ */
+export function calculateBollingerBandwidth(values, period = BOLLINGER_PERIOD, stdDevs = BOLLINGER_STD_DEVS) {
+    const middle = calculateSMA(values, period);
+    if (middle == null || middle === 0) return null;
+
+    const window = values.slice(-period);
+    const variance = window.reduce((sum, value) => sum + (value - middle) ** 2, 0) / period;
+    const bandWidth = 2 * stdDevs * Math.sqrt(variance);
+    return (bandWidth / middle) * 100;
+}
+
+/**
+ * Annualized close-to-close volatility (%) from log returns
+ * Shared by the live scan (SimplifiedDataProvider) and the backtest so both measure HV the same way.
+ * @param {Array<number>} closes - Closing prices (oldest first); non-positive closes are skipped
+ * @returns {number} Volatility in percent (sample variance, 252 sessions), 0 with fewer than two returns
+ */
+export function calculateHistoricalVolatility(closes = []) {
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) {
+        if (closes[i] > 0 && closes[i - 1] > 0) returns.push(Math.log(closes[i] / closes[i - 1]));
+    }
+    if (returns.length < 2) return 0;
+
+    const average = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const variance = returns.reduce((sum, value) => sum + (value - average) ** 2, 0) / (returns.length - 1);
+    return round(Math.sqrt(variance * TRADING_DAYS_PER_YEAR) * 100);
+}
+
+function roundOrNull(value, decimals) {
+    return value == null || Number.isNaN(value) ? null : round(value, decimals);
+}
+
+export default calculateTechnicalIndicators;
@@ -0,0 +1,315 @@
+/**
+ * Track record of published calls
+ * Stores every analysis that went out in the newsletter and, once the report's reaction session
+ * has traded, grades the call against the realized earnings move (close before the print to close
+ * of the reaction session, as in earnings-history.js).
+ *
+ * Calls are graded through the premium-selling lens the newsletter's strategies are built around:
+ *   STRONGLY CONSIDER - a hit when the stock stayed inside the expected move
+ *   STAY AWAY         - a hit when the stock moved beyond the expected move
+ *   NEUTRAL           - recorded, never graded
+ * The expected move is the straddle-implied earnings move, or the average past earnings move when
+ * no options chain was available at publication.
+ */
+
+import { computeEarningsMoves } from './earnings-history.js';
+import { normalizeEarningsEvent } from './earnings-events.js';
+import { calendarDaysBetween, toMarketDate } from './trading-calendar.js';
+import { round } from './math.js';
+
+const KEY = 'track-record';
+// Roughly four years of daily newsletters with five names each
+const MAX_RECORDS = 5000;
+// Reactions this old without a measurable move are marked unavailable instead of retried
+const GRADE_GIVE_UP_DAYS = 10;
+
+export const SCORECARD_WINDOW_DAYS = 90;
+
+// Outcome each recommendation needs to count as a hit
+export const EXPECTED_OUTCOMES = {
+    'STRONGLY CONSIDER': 'inside',
+    'STAY AWAY': 'outside'
+};
+
+export const SENTIMENT_BUCKETS = [
+    { label: '8-10', min: 8 },
+    { label: '5-7', min: 5 },
+    { label: '1-4', min: 1 }
+];
+
+/**
+ * Published-call store backed by a storage backend (KV, file or memory)
+ * @class TrackRecordStore
+ */
+class TrackRecordStore {
+    /**
+     * @param {Object} storage - Storage backend from storage.js or file-storage.js
+     */
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * All stored calls (oldest first)
+     * @returns {Promise<Array<Object>>} Call records (see createCallRecord)
+     */
+    async getRecords() {
+        return (await this.storage.get(KEY)) || [];
+    }
+
+    /**
+     * Store the analyses that went out in today's newsletter
+     * @param {Array<Object>} content - Validated { opportunity, analysis } items as sent to EmailTemplate
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.publishedDate] - Publication date (YYYY-MM-DD, defaults to today in New York)
+     * @returns {Promise<Array<Object>>} Records added or replaced
+     */
+    async recordPublished(content = [], options = {}) {
+        const publishedDate = options.publishedDate || toMarketDate(new Date());
+        const published = content
+            .map(item => createCallRecord(item, publishedDate))
+            .filter(Boolean);
+        if (published.length === 0) return [];
+
+        // A name published on several days before the same report counts once, with the latest call
+        const ids = new Set(published.map(record => record.id));
+        const records = (await this.getRecords()).filter(record => !ids.has(record.id));
+        records.push(...published);
+        records.sort((a, b) => a.publishedDate.localeCompare(b.publishedDate));
+
+        await this.storage.put(KEY, records.slice(-MAX_RECORDS));
+        return published;
+    }
+
+    /**
+     * Grade every call whose reaction session has traded
+     * @async
+     * @param {ProviderRegistry} providers - Registry serving 'history'
+     * @param {Object} [options={}] - Options
+     * @param {Date} [options.now=new Date()] - Reference time
+     * @returns {Promise<Array<Object>>} Records graded in this pass
+     */
+    async gradePending(providers, options = {}) {
+        const now = options.now || new Date();
+        const today = toMarketDate(now);
+        const records = await this.getRecords();
+        const pending = records.filter(record => !record.result && record.reactionSession < today);
+        if (pending.length === 0 || !providers?.supports('history')) return [];
+
+        const graded = [];
+        for (const symbol of [...new Set(pending.map(record => record.symbol))]) {
+            const calls = pending.filter(record => record.symbol === symbol);
+            const oldest = calls.reduce((date, record) => (record.earningsDate < date ? record.earningsDate : date), today);
+
+            let bars;
+            try {
+                const { data } = await providers.request('history', symbol, calendarDaysBetween(oldest, now) + 10);
+                bars = data?.prices || [];
+            } catch (error) {
+                console.warn(`⚠️ Could not grade ${symbol}: ${error.message}`);
+                continue;
+            }
+
+            for (const record of calls) {
+                const [move] = computeEarningsMoves([{ date: record.earningsDate, hour: record.hour }], bars);
+                if (move) {
+                    record.result = { ...gradeCall(record, move.closeToClose), gradedAt: now.toISOString() };
+                } else if (calendarDaysBetween(record.reactionSession, today) > GRADE_GIVE_UP_DAYS) {
+                    record.result = { status: 'unavailable', realizedMovePercent: null, moveRatio: null, outcome: null, correct: null, gradedAt: now.toISOString() };
+                } else {
+                    continue;
+                }
+                graded.push(record);
+            }
+        }
+
+        if (graded.length > 0) {
+            await this.storage.put(KEY, records);
+        }
+        return graded;
+    }
+
+    /**
+     * Graded calls whose reaction traded in the last `days` days (oldest first)
+     * @param {Object} [options={}] - { now, days = 7 }
+     * @returns {Promise<Array<Object>>} Graded records
+     */
+    async getRecentResults(options = {}) {
+        return selectRecentResults(await this.getRecords(), options);
+    }
+
+    /**
+     * Rolling scorecard over the stored calls
+     * @param {Object} [options={}] - { now, windowDays = SCORECARD_WINDOW_DAYS }
+     * @returns {Promise<Object>} Output of buildScorecard
+     */
+    async getScorecard(options = {}) {
+        return buildScorecard(await this.getRecords(), options);
+    }
+}
+
+/**
+ * Build the stored record for a published analysis
+ * @param {Object} item - { opportunity, analysis } as sent to EmailTemplate
+ * @param {string} publishedDate - Publication date (YYYY-MM-DD)
+ * @returns {Object|null} Call record, or null without a symbol or report date
+ * @returns {string} returns.id - `${symbol}:${earningsDate}` (one call per report)
+ * @returns {string} returns.reactionSession - First session that trades on the report
+ * @returns {number|null} returns.expectedMovePercent - Expected earnings move (%)
+ * @returns {string|null} returns.expectedMoveSource - 'straddle' or 'history'
+ * @returns {Object|null} returns.result - Grade once the reaction has traded (see gradeCall)
+ */
+export function createCallRecord(item, publishedDate) {
+    const opportunity = item?.opportunity || {};
+    const analysis = item?.analysis || {};
+    const vol = opportunity.volatilityData || {};
+    if (!opportunity.symbol || !opportunity.date) return null;
+
+    const event = normalizeEarningsEvent({ symbol: opportunity.symbol, date: opportunity.date, hour: opportunity.hour });
+    if (!event.reactionSession) return null;
+    const straddleMove = vol.impliedEarningsMove?.movePercent;
+    const historyMove = (opportunity.earningsHistory || vol.earningsHistory)?.averageMove;
+
+    return {
+        id: `${opportunity.symbol}:${event.date}`,
+        symbol: opportunity.symbol,
+        publishedDate,
+        earningsDate: event.date,
+        hour: event.hour,
+        timing: event.timing,
+        reactionSession: event.reactionSession,
+        recommendation: analysis.recommendation || 'NEUTRAL',
+        sentimentScore: analysis.sentimentScore ?? null,
+        qualityScore: opportunity.qualityScore ?? null,
+        price: vol.currentPrice ?? null,
+        expectedMovePercent: straddleMove > 0 ? straddleMove : historyMove > 0 ? historyMove : null,
+        expectedMoveSource: straddleMove > 0 ? 'straddle' : historyMove > 0 ? 'history' : null,
+        strategies: (analysis.strategies || []).map(strategy => strategy.name).filter(Boolean),
+        result: null
+    };
+}
+
+/**
+ * Grade a call against the realized earnings move
+ * @param {Object} record - Call record (recommendation, expectedMovePercent)
+ * @param {number} realizedMovePercent - Signed close-to-close reaction (%)
+ * @returns {Object} { status, realizedMovePercent, moveRatio, outcome, correct }
+ * @description outcome is 'inside' or 'outside' the expected move (null without one); correct is
+ * null for NEUTRAL calls and calls without an expected move.
+ */
+export function gradeCall(record, realizedMovePercent) {
+    const expected = record.expectedMovePercent;
+    const moveRatio = expected > 0 ? round(Math.abs(realizedMovePercent) / expected) : null;
+    const outcome = moveRatio === null ? null : moveRatio <= 1 ? 'inside' : 'outside';
+    const expectedOutcome = EXPECTED_OUTCOMES[record.recommendation];
+
+    return {
+        status: 'graded',
+        realizedMovePercent: round(realizedMovePercent),
+        moveRatio,
+        outcome,
+        correct: expectedOutcome && outcome ? outcome === expectedOutcome : null
+    };
+}
+
+/**
+ * Hit rates by recommendation and sentiment over a rolling window
+ * @param {Array<Object>} records - Call records
+ * @param {Object} [options={}] - Options
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @param {number} [options.windowDays=SCORECARD_WINDOW_DAYS] - Calls whose reaction traded within this many days
+ * @returns {Object} Scorecard
+ * @returns {number} returns.windowDays - Window length
+ * @returns {Object} returns.overall - Stats for every graded call
+ * @returns {Object} returns.byRecommendation - { [recommendation]: stats }
+ * @returns {Object} returns.bySentiment - { [SENTIMENT_BUCKETS label]: stats } (graded recommendations only)
+ * @description stats are { calls, graded, hits, hitRate (% or null), averageMoveRatio }; graded
+ * counts only calls with a hit/miss verdict.
+ */
+export function buildScorecard(records = [], options = {}) {
+    const today = toMarketDate(options.now || new Date());
+    const windowDays = options.windowDays || SCORECARD_WINDOW_DAYS;
+    const inWindow = records.filter(record =>
+        record.result?.status === 'graded' && calendarDaysBetween(record.reactionSession, today) <= windowDays
+    );
+
+    const byRecommendation = {};
+    for (const recommendation of ['STRONGLY CONSIDER', 'NEUTRAL', 'STAY AWAY']) {
+        const calls = inWindow.filter(record => record.recommendation === recommendation);
+        if (calls.length) byRecommendation[recommendation] = summarizeCalls(calls);
+    }
+
+    const gradable = inWindow.filter(record => EXPECTED_OUTCOMES[record.recommendation]);
+    const bySentiment = {};
+    for (const { label } of SENTIMENT_BUCKETS) {
+        const calls = gradable.filter(record => getSentimentBucket(record.sentimentScore) === label);
+        if (calls.length) bySentiment[label] = summarizeCalls(calls);
+    }
+
+    return {
+        windowDays,
+        overall: summarizeCalls(inWindow),
+        byRecommendation,
+        bySentiment
+    };
+}
+
+/**
+ * Graded calls whose reaction session falls within the last `days` days
+ * @param {Array<Object>} records - Call records
+ * @param {Object} [options={}] - { now = new Date(), days = 7 }
+ * @returns {Array<Object>} Graded records (oldest reaction first)
+ */
+export function selectRecentResults(records = [], options = {}) {
+    const today = toMarketDate(options.now || new Date());
+    const days = options.days || 7;
+
+    return records
+        .filter(record => record.result?.status === 'graded' && calendarDaysBetween(record.reactionSession, today) <= days)
+        .sort((a, b) => a.reactionSession.localeCompare(b.reactionSession));
+}
+
+/**
+ * Sentiment bucket label for a 1-10 sentiment score
+ * @param {number|null} score - Sentiment score
+ * @returns {string|null} One of the SENTIMENT_BUCKETS labels, or null without a score
+ */
+export function getSentimentBucket(score) {
+    if (!(score >= 1)) return null;
+    return SENTIMENT_BUCKETS.find(bucket => score >= bucket.min).label;
+}
+
+/**
+ * Run-summary metrics with the rolling hit rate per graded recommendation
+ * @param {Object} scorecard - Output of buildScorecard
+ * @returns {Object} { trackRecordStronglyConsider: '7/10 (70%)', trackRecordStayAway: '2/4 (50%)' }
+ */
+export function formatTrackRecordMetrics(scorecard) {
+    if (!scorecard) return {};
+
+    return Object.fromEntries(
+        Object.keys(EXPECTED_OUTCOMES)
+            .filter(recommendation => scorecard.byRecommendation[recommendation]?.graded > 0)
+            .map(recommendation => {
+                const stats = scorecard.byRecommendation[recommendation];
+                const key = `trackRecord${recommendation.toLowerCase().replace(/(^|\s)(\w)/g, (_, __, letter) => letter.toUpperCase())}`;
+                return [key, `${stats.hits}/${stats.graded} (${stats.hitRate}%)`];
+            })
+    );
+}
+
+function summarizeCalls(calls) {
+    const verdicts = calls.filter(record => typeof record.result.correct === 'boolean');
+    const hits = verdicts.filter(record => record.result.correct).length;
+    const ratios = calls.map(record => record.result.moveRatio).filter(ratio => typeof ratio === 'number');
+
+    return {
+        calls: calls.length,
+        graded: verdicts.length,
+        hits,
+        hitRate: verdicts.length ? Math.round((hits / verdicts.length) * 100) : null,
+        averageMoveRatio: ratios.length ? round(ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length) : null
+    };
+}
+
+export default TrackRecordStore;
@@ -0,0 +1,276 @@
+/**
+ * US equity/options trading calendar (NYSE rules)
+ *
+ * Holidays and 1:00 PM early closes are derived from the exchange's rules rather than a
+ * hard-coded list, so every year is covered:
+ *   New Year's Day, Martin Luther King Jr. Day, Washington's Birthday, Good Friday, Memorial Day,
+ *   Juneteenth (from 2022), Independence Day, Labor Day, Thanksgiving and Christmas.
+ *   Saturday holidays are observed the Friday before and Sunday holidays the Monday after,
+ *   except New Year's Day on a Saturday, which is not observed.
+ *   Early closes: July 3 (when July 4 falls Tuesday-Friday), the day after Thanksgiving and
+ *   Christmas Eve (Monday-Thursday).
+ * Unscheduled closures (national days of mourning) are listed in SPECIAL_CLOSURES.
+ *
+ * Dates are exchange-local calendar days (America/New_York) as YYYY-MM-DD strings; Date
+ * arguments are converted to the New York date first.
+ */
+
+export const TRADING_DAYS_PER_YEAR = 252;
+
+export const MARKET_TIMEZONE = 'America/New_York';
+
+export const REGULAR_CLOSE = '16:00';
+export const EARLY_CLOSE = '13:00';
+
+// Unscheduled full-day closures
+export const SPECIAL_CLOSURES = {
+    '2018-12-05': 'National Day of Mourning (George H.W. Bush)',
+    '2025-01-09': 'National Day of Mourning (Jimmy Carter)'
+};
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+const yearCache = new Map();
+
+const marketDateFormat = new Intl.DateTimeFormat('en-CA', {
+    timeZone: MARKET_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+});
+
+/**
+ * Exchange-local calendar date
+ * @param {Date|string|number} [date=new Date()] - Date, timestamp or YYYY-MM-DD string
+ * @returns {string} YYYY-MM-DD in America/New_York
+ */
+export function toMarketDate(date = new Date()) {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+    return marketDateFormat.format(new Date(date));
+}
+
+/**
+ * UTC calendar date, as providers expect in query parameters and return in bar timestamps
+ * @param {Date|number} [date=new Date()] - Date or timestamp (ms)
+ * @returns {string} YYYY-MM-DD in UTC
+ */
+export function toDateString(date = new Date()) {
+    return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Holiday name for a date
+ * @param {Date|string} date - Date or YYYY-MM-DD
+ * @returns {string|null} Holiday name or null on regular days
+ */
+export function getMarketHoliday(date) {
+    const day = toMarketDate(date);
+    return SPECIAL_CLOSURES[day] || getYearCalendar(Number(day.slice(0, 4))).holidays.get(day) || null;
+}
+
+/**
+ * Whether the exchange is closed for a holiday
+ * @param {Date|string} date - Date or YYYY-MM-DD
+ * @returns {boolean} True on market holidays (weekends are not holidays)
+ */
+export function isMarketHoliday(date) {
+    return getMarketHoliday(date) !== null;
+}
+
+/**
+ * Whether the exchange has a session on a date
+ * @param {Date|string} date - Date or YYYY-MM-DD
+ * @returns {boolean} False on weekends and holidays
+ */
+export function isTradingDay(date) {
+    const day = toMarketDate(date);
+    return !isWeekend(day) && !isMarketHoliday(day);
+}
+
+/**
+ * Whether a session closes early (1:00 PM ET)
+ * @param {Date|string} date - Date or YYYY-MM-DD
+ * @returns {boolean} True on half days
+ */
+export function isEarlyClose(date) {
+    const day = toMarketDate(date);
+    return isTradingDay(day) && getYearCalendar(Number(day.slice(0, 4))).earlyCloses.has(day);
+}
+
+/**
+ * Closing time of a session
+ * @param {Date|string} date - Date or YYYY-MM-DD
+ * @returns {string|null} '16:00' or '13:00' (ET), or null when the market is closed
+ */
+export function getMarketClose(date) {
+    if (!isTradingDay(date)) return null;
+    return isEarlyClose(date) ? EARLY_CLOSE : REGULAR_CLOSE;
+}
+
+/**
+ * First session after a date
+ * @param {Date|string} date - Date or YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export function nextTradingDay(date) {
+    let day = addDays(toMarketDate(date), 1);
+    while (!isTradingDay(day)) day = addDays(day, 1);
+    return day;
+}
+
+/**
+ * Last session before a date
+ * @param {Date|string} date - Date or YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export function previousTradingDay(date) {
+    let day = addDays(toMarketDate(date), -1);
+    while (!isTradingDay(day)) day = addDays(day, -1);
+    return day;
+}
+
+/**
+ * Sessions after `from` up to and including `to`
+ * @param {Date|string} from - Start (exclusive)
+ * @param {Date|string} to - End (inclusive)
+ * @returns {number} Trading days (negative when `to` is before `from`)
+ * @description From a Monday to the following Monday is 5; when `to` is a holiday or weekend it
+ * is not counted.
+ */
+export function tradingDaysBetween(from, to) {
+    const start = toMarketDate(from);
+    const end = toMarketDate(to);
+    if (end < start) return -tradingDaysBetween(end, start);
+
+    let count = 0;
+    for (let day = addDays(start, 1); day <= end; day = addDays(day, 1)) {
+        if (isTradingDay(day)) count++;
+    }
+    return count;
+}
+
+/**
+ * Calendar days between two exchange-local dates
+ * @param {Date|string} from - Start
+ * @param {Date|string} to - End
+ * @returns {number} Whole days (negative when `to` is before `from`)
+ */
+export function calendarDaysBetween(from, to) {
+    return Math.round((Date.parse(`${toMarketDate(to)}T00:00:00Z`) - Date.parse(`${toMarketDate(from)}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Calendar days left until an option expiration, counted to its 21:00 UTC settlement
+ * @param {string} expiration - Expiration date (YYYY-MM-DD)
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {number} Whole days, rounded up (0 once expired)
+ */
+export function daysUntilExpiration(expiration, now = new Date()) {
+    const expirationTime = Date.parse(`${expiration}T21:00:00Z`);
+    return Math.max(0, Math.ceil((expirationTime - now.getTime()) / DAY_MS));
+}
+
+/**
+ * Fraction of a trading year covered by a horizon, for scaling annualized volatility
+ * @param {number} calendarDays - Horizon in calendar days (e.g. 30)
+ * @param {Date|string} [from=new Date()] - Start of the horizon
+ * @returns {number} Trading days in the horizon / TRADING_DAYS_PER_YEAR
+ * @description sqrt(yearFraction(30)) replaces sqrt(30/365): only sessions move prices, so
+ * holidays inside the horizon shrink the expected move.
+ */
+export function tradingYearFraction(calendarDays, from = new Date()) {
+    const start = toMarketDate(from);
+    return tradingDaysBetween(start, addDays(start, calendarDays)) / TRADING_DAYS_PER_YEAR;
+}
+
+function getYearCalendar(year) {
+    if (!yearCache.has(year)) {
+        yearCache.set(year, buildYearCalendar(year));
+    }
+    return yearCache.get(year);
+}
+
+function buildYearCalendar(year) {
+    const holidays = new Map();
+    const earlyCloses = new Set();
+
+    // New Year's Day on a Saturday is not observed on the Friday before (it would fall in the prior year)
+    const newYear = `${year}-01-01`;
+    if (weekday(newYear) === 0) holidays.set(addDays(newYear, 1), "New Year's Day");
+    else if (weekday(newYear) !== 6) holidays.set(newYear, "New Year's Day");
+
+    holidays.set(nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+    holidays.set(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+    holidays.set(addDays(easterSunday(year), -2), 'Good Friday');
+    holidays.set(lastWeekday(year, 5, 1), 'Memorial Day');
+    if (year >= 2022) holidays.set(observed(`${year}-06-19`), 'Juneteenth');
+    holidays.set(observed(`${year}-07-04`), 'Independence Day');
+    holidays.set(nthWeekday(year, 9, 1, 1), 'Labor Day');
+
+    const thanksgiving = nthWeekday(year, 11, 4, 4);
+    holidays.set(thanksgiving, 'Thanksgiving Day');
+    holidays.set(observed(`${year}-12-25`), 'Christmas Day');
+
+    const independenceDay = weekday(`${year}-07-04`);
+    if (independenceDay >= 2 && independenceDay <= 5) earlyCloses.add(`${year}-07-03`);
+    earlyCloses.add(addDays(thanksgiving, 1));
+    const christmasEve = `${year}-12-24`;
+    if (weekday(christmasEve) >= 1 && weekday(christmasEve) <= 4) earlyCloses.add(christmasEve);
+
+    return { holidays, earlyCloses };
+}
+
+// Saturday -> Friday before, Sunday -> Monday after
+function observed(date) {
+    const day = weekday(date);
+    if (day === 6) return addDays(date, -1);
+    if (day === 0) return addDays(date, 1);
+    return date;
+}
+
+// nth occurrence of a weekday (0 = Sunday) in a month (1-12)
+function nthWeekday(year, month, day, n) {
+    const first = `${year}-${pad(month)}-01`;
+    const offset = (day - weekday(first) + 7) % 7;
+    return addDays(first, offset + (n - 1) * 7);
+}
+
+function lastWeekday(year, month, day) {
+    const last = addDays(month === 12 ? `${year + 1}-01-01` : `${year}-${pad(month + 1)}-01`, -1);
+    return addDays(last, -((weekday(last) - day + 7) % 7));
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function isWeekend(date) {
+    const day = weekday(date);
+    return day === 0 || day === 6;
+}
+
+function weekday(date) {
+    return new Date(`${date}T12:00:00Z`).getUTCDay();
+}
+
+function addDays(date, days) {
+    return toDateString(Date.parse(`${date}T12:00:00Z`) + days * DAY_MS);
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
@@ -0,0 +1,314 @@
+/**
+ * Managed stock universe
+ *
+ * The universe lives in src/config/universe.js as structured entries:
+ *   { symbol: 'BRK.B', name, sector, industry, indexes: ['SP500'], aliases: { yahoo: 'BRK-B' } }
+ * `symbol` is the canonical exchange ticker (Finnhub uses the same format); `aliases` lists the
+ * tickers providers that disagree with it expect.
+ *
+ * The list is regenerated from S&P 500 and Nasdaq-100 constituents (`node src/cli.js universe refresh`)
+ * and checked against a provider's symbol list (`node src/cli.js universe validate`) so delisted
+ * or renamed tickers are caught before they silently drop out of every scan.
+ */
+
+import FinnhubAPI from './finnhub.js';
+import RateLimiter from './rate-limiter.js';
+import { UNIVERSE, UNIVERSE_UPDATED } from './config/universe.js';
+import { toCanonicalSymbol, toProviderSymbol } from './symbols.js';
+
+// Index keys used in `indexes`, mapped to Finnhub index symbols
+export const UNIVERSE_INDEXES = {
+    SP500: '^GSPC',
+    NDX: '^NDX'
+};
+
+export const UNCLASSIFIED_SECTOR = 'Unclassified';
+
+const REQUIRED_FIELDS = ['symbol', 'name', 'sector', 'industry', 'indexes'];
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9]*(\.[A-Z])?$/;
+// Profile requests answered with 429 are retried after a full rate-limit window
+const PROFILE_RETRIES = 3;
+const RETRY_DELAY_MS = 60 * 1000;
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Look up a universe entry by canonical ticker or provider alias
+ * @param {string} symbol - Ticker in any provider's format (e.g. 'BRK.B' or 'BRK-B')
+ * @param {Array<Object>} [universe=UNIVERSE] - Universe entries
+ * @returns {Object|null} Entry or null when the symbol is not in the universe
+ */
+export function getUniverseEntry(symbol, universe = UNIVERSE) {
+    if (!symbol) return null;
+    return universe.find(entry =>
+        entry.symbol === symbol || Object.values(entry.aliases || {}).includes(symbol)
+    ) || null;
+}
+
+/**
+ * Ticker a provider expects for a universe entry
+ * @param {Object} entry - Universe entry
+ * @param {string} provider - Provider name ('finnhub', 'yahoo', ...)
+ * @returns {string} Provider alias, or the symbol in the provider's share-class format (symbols.js)
+ */
+export function getProviderAlias(entry, provider) {
+    return entry.aliases?.[provider] || toProviderSymbol(entry.symbol, provider);
+}
+
+/**
+ * Check universe entries for structural problems and, optionally, dead tickers
+ * @param {Array<Object>} [universe=UNIVERSE] - Universe entries
+ * @param {Object} [options={}] - Validation options
+ * @param {Array<string|Object>} [options.providerSymbols] - Tickers the provider lists (strings or
+ * Finnhub /stock/symbol rows with a `symbol` field); omit to skip the dead-ticker check
+ * @param {string} [options.provider='finnhub'] - Provider the symbol list came from (selects aliases)
+ * @returns {Object} Validation report
+ * @returns {boolean} returns.valid - True when no problems were found
+ * @returns {Array<Object>} returns.dead - { symbol, providerSymbol } for tickers the provider does not list
+ * @returns {Array<string>} returns.duplicates - Symbols (or aliases) claimed by more than one entry
+ * @returns {Array<Object>} returns.invalid - { symbol, problems } for malformed entries
+ */
+export function validateUniverse(universe = UNIVERSE, options = {}) {
+    const { providerSymbols, provider = 'finnhub' } = options;
+    const invalid = [];
+    const seen = new Set();
+    const duplicates = new Set();
+
+    for (const entry of universe) {
+        const problems = REQUIRED_FIELDS
+            .filter(field => entry[field] === undefined || entry[field] === null || entry[field] === '')
+            .map(field => `missing ${field}`);
+
+        if (entry.symbol && !SYMBOL_PATTERN.test(entry.symbol)) {
+            problems.push(`malformed symbol (use exchange format, e.g. BRK.B, with provider aliases)`);
+        }
+        if (entry.indexes && !entry.indexes.every(index => index in UNIVERSE_INDEXES)) {
+            problems.push(`unknown index in [${entry.indexes.join(', ')}]`);
+        }
+        if (problems.length > 0) {
+            invalid.push({ symbol: entry.symbol, problems });
+        }
+
+        for (const ticker of new Set([entry.symbol, ...Object.values(entry.aliases || {})])) {
+            if (seen.has(ticker)) duplicates.add(ticker);
+            seen.add(ticker);
+        }
+    }
+
+    let dead = [];
+    if (providerSymbols) {
+        const listed = new Set(providerSymbols.map(item => typeof item === 'string' ? item : item?.symbol).filter(Boolean));
+        if (listed.size === 0) {
+            throw new Error(`Symbol list from ${provider} is empty; cannot check for dead tickers`);
+        }
+        dead = universe
+            .map(entry => ({ symbol: entry.symbol, providerSymbol: getProviderAlias(entry, provider) }))
+            .filter(({ providerSymbol }) => !listed.has(providerSymbol));
+    }
+
+    return {
+        valid: dead.length === 0 && duplicates.size === 0 && invalid.length === 0,
+        dead,
+        duplicates: [...duplicates],
+        invalid
+    };
+}
+
+/**
+ * Rebuild the universe from index constituents
+ * @param {Object} constituents - Member tickers keyed by index ({ SP500: ['AAPL', ...], NDX: [...] })
+ * @param {Object} [options={}] - Build options
+ * @param {Array<Object>} [options.existing=UNIVERSE] - Current entries (metadata and aliases are kept)
+ * @param {Object} [options.profiles={}] - Metadata for new tickers keyed by symbol ({ name, sector, industry })
+ * @param {boolean} [options.keepUnlisted=true] - Keep current entries that are in no index (with `indexes: []`)
+ * @returns {Object} { universe, added, removed } - Sorted entries and the tickers that changed
+ * @description Index members may be given in any provider format; aliases on existing entries map
+ * them back to the canonical symbol. Index membership is always recomputed from `constituents`.
+ */
+export function buildUniverse(constituents, options = {}) {
+    const { existing = UNIVERSE, profiles = {}, keepUnlisted = true } = options;
+    const memberships = new Map();
+
+    for (const [index, symbols] of Object.entries(constituents)) {
+        if (!(index in UNIVERSE_INDEXES)) {
+            throw new Error(`Unknown index: ${index}. Supported: ${Object.keys(UNIVERSE_INDEXES).join(', ')}`);
+        }
+        for (const raw of symbols) {
+            const symbol = getUniverseEntry(raw, existing)?.symbol || toCanonicalSymbol(raw);
+            if (!memberships.has(symbol)) memberships.set(symbol, new Set());
+            memberships.get(symbol).add(index);
+        }
+    }
+
+    const indexOrder = Object.keys(UNIVERSE_INDEXES);
+    const universe = [];
+    const added = [];
+
+    for (const [symbol, indexes] of memberships) {
+        const current = existing.find(entry => entry.symbol === symbol);
+        const profile = profiles[symbol] || {};
+        if (!current) added.push(symbol);
+
+        universe.push({
+            ...(current || {
+                symbol,
+                name: profile.name || symbol,
+                sector: profile.sector || UNCLASSIFIED_SECTOR,
+                industry: profile.industry || UNCLASSIFIED_SECTOR
+            }),
+            indexes: indexOrder.filter(index => indexes.has(index))
+        });
+    }
+
+    const removed = [];
+    for (const entry of existing) {
+        if (memberships.has(entry.symbol)) continue;
+        if (keepUnlisted) {
+            universe.push({ ...entry, indexes: [] });
+        } else {
+            removed.push(entry.symbol);
+        }
+    }
+
+    universe.sort((a, b) => a.sector.localeCompare(b.sector) || a.symbol.localeCompare(b.symbol));
+    return { universe, added: added.sort(), removed };
+}
+
+/**
+ * Render universe entries as the source of src/config/universe.js
+ * @param {Array<Object>} universe - Universe entries
+ * @param {string} [updated] - Date stamp (YYYY-MM-DD), defaults to today
+ * @returns {string} Module source, grouped by sector
+ */
+export function formatUniverseModule(universe, updated = new Date().toISOString().split('T')[0]) {
+    const lines = [
+        '// Curated stock universe: liquid S&P 500 and Nasdaq-100 names plus a few actively traded growth stocks.',
+        '// Regenerate from index constituents with `node src/cli.js universe refresh` (see src/universe.js).',
+        '//',
+        '// symbol   - canonical ticker (exchange format, e.g. BRK.B)',
+        '// indexes  - index membership: SP500, NDX (empty for names kept outside the indexes)',
+        '// aliases  - provider-specific tickers where they differ from the canonical one',
+        `export const UNIVERSE_UPDATED = '${updated}';`,
+        '',
+        'export const UNIVERSE = ['
+    ];
+
+    let sector = null;
+    universe.forEach((entry, i) => {
+        if (entry.sector !== sector) {
+            if (sector !== null) lines.push('');
+            lines.push(`  // ${entry.sector}`);
+            sector = entry.sector;
+        }
+        const fields = [
+            `symbol: ${quote(entry.symbol)}`,
+            `name: ${quote(entry.name)}`,
+            `sector: ${quote(entry.sector)}`,
+            `industry: ${quote(entry.industry)}`,
+            `indexes: [${entry.indexes.map(quote).join(', ')}]`
+        ];
+        if (entry.aliases && Object.keys(entry.aliases).length > 0) {
+            const aliases = Object.entries(entry.aliases).map(([provider, alias]) => `${provider}: ${quote(alias)}`);
+            fields.push(`aliases: { ${aliases.join(', ')} }`);
+        }
+        lines.push(`  { ${fields.join(', ')} }${i < universe.length - 1 ? ',' : ''}`);
+    });
+
+    lines.push('];', '');
+    return lines.join('\n');
+}
+
+/**
+ * Fetch current index constituents and rebuild the universe
+ * @async
+ * @param {string} finnhubApiKey - Finnhub API key
+ * @param {Object} [options={}] - Passed to buildUniverse (existing, keepUnlisted)
+ * @param {RateLimiter} [options.limiter] - Finnhub token bucket (defaults to the free-tier RATE_LIMITS)
+ * @param {function(number): Promise} [options.sleep] - Delay before retrying a throttled profile
+ * @returns {Promise<Object>} { universe, added, removed }
+ * @throws {Error} When a profile is still throttled after PROFILE_RETRIES retries, so a refresh never
+ * writes placeholder names for tickers Finnhub merely refused to describe
+ * @description New tickers get their name and industry from Finnhub's company profile; their
+ * sector is left as 'Unclassified' for review because Finnhub does not report GICS sectors.
+ * Every request waits for a Finnhub token, so a few hundred new constituents take several minutes.
+ */
+export async function refreshUniverse(finnhubApiKey, options = {}) {
+    if (!finnhubApiKey) {
+        throw new Error('FINNHUB_API_KEY is required to refresh the stock universe');
+    }
+
+    const { limiter = new RateLimiter({ maxWaitMs: Infinity }), sleep = defaultSleep, ...buildOptions } = options;
+    const finnhub = new FinnhubAPI(finnhubApiKey);
+    const existing = buildOptions.existing || UNIVERSE;
+    const constituents = {};
+
+    for (const [index, indexSymbol] of Object.entries(UNIVERSE_INDEXES)) {
+        await limiter.acquire('finnhub');
+        const data = await finnhub.getIndexConstituents(indexSymbol);
+        if (!data.constituents?.length) {
+            throw new Error(`Finnhub returned no constituents for ${indexSymbol}`);
+        }
+        constituents[index] = data.constituents;
+        console.log(`📊 ${index}: ${data.constituents.length} constituents`);
+    }
+
+    const profiles = {};
+    const newSymbols = [...new Set(Object.values(constituents).flat())]
+        .filter(symbol => !getUniverseEntry(symbol, existing));
+
+    for (const symbol of newSymbols) {
+        try {
+            const profile = await fetchProfile(finnhub, symbol, { limiter, sleep });
+            profiles[symbol] = { name: profile.name, industry: profile.finnhubIndustry };
+        } catch (error) {
+            if (isThrottled(error)) {
+                throw new Error(`Finnhub kept throttling profile requests (${symbol}); refresh aborted`);
+            }
+            console.warn(`⚠️ No profile for ${symbol}: ${error.message}`);
+        }
+    }
+
+    return buildUniverse(constituents, { ...buildOptions, existing, profiles });
+}
+
+/**
+ * Company profile, waiting for a Finnhub token and retrying 429 responses
+ */
+async function fetchProfile(finnhub, symbol, { limiter, sleep }) {
+    for (let attempt = 0; ; attempt++) {
+        await limiter.acquire('finnhub');
+        try {
+            return await finnhub.getCompanyProfile(symbol);
+        } catch (error) {
+            if (!isThrottled(error) || attempt >= PROFILE_RETRIES) throw error;
+            console.warn(`⚠️ Finnhub throttled the ${symbol} profile; retrying in ${RETRY_DELAY_MS / 1000}s`);
+            await sleep(RETRY_DELAY_MS);
+        }
+    }
+}
+
+function isThrottled(error) {
+    return /\b429\b/.test(error.message);
+}
+
+/**
+ * Fetch a provider symbol list and validate the universe against it
+ * @async
+ * @param {string} finnhubApiKey - Finnhub API key
+ * @param {Array<Object>} [universe=UNIVERSE] - Universe entries
+ * @returns {Promise<Object>} validateUniverse report
+ */
+export async function validateUniverseWithFinnhub(finnhubApiKey, universe = UNIVERSE) {
+    if (!finnhubApiKey) {
+        throw new Error('FINNHUB_API_KEY is required to validate the stock universe');
+    }
+
+    const providerSymbols = await new FinnhubAPI(finnhubApiKey).getStockSymbols('US');
+    return validateUniverse(universe, { providerSymbols, provider: 'finnhub' });
+}
+
+export { UNIVERSE, UNIVERSE_UPDATED };
+
+function quote(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
@@ -0,0 +1,157 @@
+/**
+ * Volatility term structure, skew and smile from the options chain
+ * Most earnings trades are a bet on the event premium in the post-earnings expiration collapsing to
+ * the level of later expirations, so every opportunity gets:
+ *   - term structure: post-earnings ATM IV against the first loaded expiration at least a week later
+ *     (spread in vol points and ratio; the excess over the back month is what gets crushed)
+ *   - skew: 25-delta put IV minus 25-delta call IV on the post-earnings expiration (risk reversal)
+ *   - smile: the average 25-delta wing against ATM IV (butterfly) and a one-word shape
+ *
+ * Deltas come from the chain when the provider supplies greeks, otherwise from Black-Scholes at each
+ * contract's own IV (see pricing.js). All IVs and spreads are in percentage points.
+ */
+
+import {
+    selectExpirations,
+    selectBackExpiration,
+    getContractsForExpiration,
+    calculateAtmImpliedVolatility
+} from './options-chain.js';
+import { blackScholes } from './pricing.js';
+import { daysUntilExpiration } from './trading-calendar.js';
+import { round } from './math.js';
+
+const TARGET_DELTA = 0.25;
+// Risk reversal (put minus call IV) beyond which one wing counts as skewed
+const SKEW_THRESHOLD = 2;
+// Butterfly (wings minus ATM IV) beyond which a symmetric surface counts as a smile
+const SMILE_THRESHOLD = 2;
+
+/**
+ * Analyze the volatility surface around an earnings date
+ * @param {Object} chain - Normalized chain (see options-chain.js)
+ * @param {Object} options - Analysis options
+ * @param {number} options.underlyingPrice - Current stock price
+ * @param {string} options.earningsDate - Earnings date (YYYY-MM-DD)
+ * @param {string} [options.earningsTiming] - 'bmo', 'amc', 'dmh' or 'unknown'
+ * @param {number} [options.rate=0] - Annualized risk-free rate for computed deltas (decimal)
+ * @param {Date} [options.now] - Reference time (defaults to current time)
+ * @returns {Object|null} Surface metrics, or null without a post-earnings expiration
+ * @returns {string} returns.expiration - Post-earnings expiration
+ * @returns {string|null} returns.backExpiration - Later expiration the term structure compares against
+ * @returns {Object|null} returns.termStructure - { frontIV, backIV, spread, ratio }
+ * @returns {Object|null} returns.skew - { putStrike, putIV, callStrike, callIV, riskReversal }
+ * @returns {Object|null} returns.smile - { atmIV, wingIV, butterfly, shape: 'put skew'|'call skew'|'smile'|'flat' }
+ */
+export function analyzeVolatilitySurface(chain, options = {}) {
+    const { underlyingPrice, earningsDate } = options;
+    if (!chain?.contracts?.length || !earningsDate || !(underlyingPrice > 0)) {
+        return null;
+    }
+
+    const now = options.now || new Date();
+    const { postEarnings } = selectExpirations(chain.expirations, {
+        earningsDate,
+        earningsTiming: options.earningsTiming,
+        now
+    });
+    if (!postEarnings) {
+        return null;
+    }
+
+    const backExpiration = selectBackExpiration(chain, postEarnings);
+    const frontIV = calculateAtmImpliedVolatility(chain, postEarnings, underlyingPrice);
+    const backIV = backExpiration ? calculateAtmImpliedVolatility(chain, backExpiration, underlyingPrice) : null;
+    const termStructure = frontIV > 0 && backIV > 0
+        ? { frontIV, backIV, spread: round(frontIV - backIV), ratio: round(frontIV / backIV) }
+        : null;
+
+    const pricing = { spot: underlyingPrice, daysToExpiration: daysUntilExpiration(postEarnings, now), rate: options.rate ?? 0 };
+    const contracts = getContractsForExpiration(chain, postEarnings);
+    const put = findTargetDelta(contracts, 'put', pricing);
+    const call = findTargetDelta(contracts, 'call', pricing);
+    const skew = put && call
+        ? {
+            putStrike: put.strike,
+            putIV: put.impliedVolatility,
+            callStrike: call.strike,
+            callIV: call.impliedVolatility,
+            riskReversal: round(put.impliedVolatility - call.impliedVolatility)
+        }
+        : null;
+
+    let smile = null;
+    if (skew && frontIV > 0) {
+        const wingIV = round((skew.putIV + skew.callIV) / 2);
+        const butterfly = round(wingIV - frontIV);
+        smile = { atmIV: frontIV, wingIV, butterfly, shape: smileShape(skew.riskReversal, butterfly) };
+    }
+
+    return {
+        expiration: postEarnings,
+        backExpiration,
+        termStructure,
+        skew,
+        smile
+    };
+}
+
+/**
+ * One-line summary for the prompt
+ * @param {Object|null} surface - Result of analyzeVolatilitySurface
+ * @returns {string} e.g. 'Term 62.0% vs 38.0% (2025-02-21): +24.0 pts, 1.63x | 25Δ skew: put 68.0% @ 90 / call 62.0% @ 110, RR +6.0 | Smile: put skew, wings +3.0 pts vs ATM'
+ */
+export function formatVolatilitySurface(surface) {
+    if (!surface) return 'N/A (no options chain)';
+    const parts = [];
+    const { termStructure, skew, smile } = surface;
+
+    parts.push(termStructure
+        ? `Term ${termStructure.frontIV.toFixed(1)}% vs ${termStructure.backIV.toFixed(1)}% (${surface.backExpiration}): ${signed(termStructure.spread)} pts, ${termStructure.ratio.toFixed(2)}x`
+        : 'Term: N/A (no later expiration loaded)');
+    parts.push(skew
+        ? `25Δ skew: put ${skew.putIV.toFixed(1)}% @ ${skew.putStrike} / call ${skew.callIV.toFixed(1)}% @ ${skew.callStrike}, RR ${signed(skew.riskReversal)}`
+        : '25Δ skew: N/A');
+    if (smile) {
+        parts.push(`Smile: ${smile.shape}, wings ${signed(smile.butterfly)} pts vs ATM`);
+    }
+    return parts.join(' | ');
+}
+
+/**
+ * Out-of-the-money contract whose delta is closest to ±TARGET_DELTA
+ */
+function findTargetDelta(contracts, type, pricing) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const contract of contracts) {
+        if (contract.type !== type || !(contract.impliedVolatility > 0)) continue;
+        if (type === 'put' ? contract.strike > pricing.spot : contract.strike < pricing.spot) continue;
+
+        const delta = contract.delta ?? blackScholes({
+            ...pricing,
+            strike: contract.strike,
+            impliedVolatility: contract.impliedVolatility,
+            type
+        })?.delta;
+        if (delta == null) continue;
+
+        const distance = Math.abs(Math.abs(delta) - TARGET_DELTA);
+        if (distance < bestDistance) {
+            best = contract;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+function smileShape(riskReversal, butterfly) {
+    if (riskReversal >= SKEW_THRESHOLD) return 'put skew';
+    if (riskReversal <= -SKEW_THRESHOLD) return 'call skew';
+    return butterfly >= SMILE_THRESHOLD ? 'smile' : 'flat';
+}
+
+function signed(value) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+}
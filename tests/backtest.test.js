@@ -0,0 +1,200 @@
+import { describe, it, expect, vi } from 'vitest';
+import BacktestEngine, {
+  replayEarningsEvent,
+  simulateEarningsTrades,
+  summarizeBacktest,
+  calculateStrategyStats,
+  getScoreBucket,
+  formatBacktestReport
+} from '../src/backtest.js';
+import { ProviderRegistry } from '../src/providers/registry.js';
+import { isTradingDay, nextTradingDay } from '../src/trading-calendar.js';
+import { SCORING_MODELS } from '../src/config/scoring.js';
+
+// After-close reports, one per quarter
+const reports = [
+  '2022-02-01', '2022-05-03', '2022-08-02', '2022-11-01',
+  '2023-02-01', '2023-05-03', '2023-08-02', '2023-11-01',
+  '2024-02-01', '2024-05-02', '2024-08-01', '2024-10-31'
+].map(date => ({ date, hour: 'amc' }));
+
+// Quiet +/-1% days with a 5% reaction (alternating direction) the session after each report
+function buildBars(from = '2022-01-03', to = '2024-12-31') {
+  const reactions = new Map(reports.map((report, i) => [nextTradingDay(report.date), i % 2 === 0 ? 1.05 : 0.95]));
+  const bars = [];
+  let close = 100;
+  for (let day = from; day <= to; day = new Date(Date.parse(`${day}T12:00:00Z`) + 86400000).toISOString().split('T')[0]) {
+    if (!isTradingDay(day)) continue;
+    close *= reactions.get(day) || (bars.length % 2 === 0 ? 1.01 : 1 / 1.01);
+    bars.push({ date: day, open: close, close, volume: 2000000 });
+  }
+  return bars;
+}
+
+const bars = buildBars();
+const models = { qualityModel: SCORING_MODELS.quality, volatilityModel: SCORING_MODELS.volatility };
+
+function trade(exitDate, pnlPercent, extra = {}) {
+  return {
+    exitDate,
+    scoreBucket: '60-79',
+    regime: 'normal',
+    strategies: {
+      shortStraddle: { pnlPercent },
+      ironCondor: { pnlPercent: pnlPercent / 2 },
+      longStraddle: { pnlPercent: -pnlPercent }
+    },
+    ...extra
+  };
+}
+
+describe('simulateEarningsTrades', () => {
+  it('settles straddles against the realized move net of the haircut', () => {
+    const result = simulateEarningsTrades(100, 102, 5);
+
+    expect(result.shortStraddle).toMatchObject({ premium: 4.75, payoff: -2, pnl: 2.75, pnlPercent: 2.75 });
+    expect(result.longStraddle).toMatchObject({ premium: -5.25, payoff: 2, pnl: -3.25 });
+  });
+
+  it('collects a smaller credit on the iron condor and caps its loss at the wings', () => {
+    const flat = simulateEarningsTrades(100, 100, 5);
+    const crash = simulateEarningsTrades(100, 80, 5);
+
+    expect(flat.ironCondor.premium).toBeGreaterThan(0);
+    expect(flat.ironCondor.premium).toBeLessThan(flat.shortStraddle.premium);
+    expect(flat.ironCondor.pnl).toBe(flat.ironCondor.premium);
+    expect(crash.ironCondor.payoff).toBe(-5); // Short put at 95, long put at 90
+    expect(crash.shortStraddle.payoff).toBe(-20);
+  });
+});
+
+describe('calculateStrategyStats', () => {
+  it('reports win rate, average P&L and drawdown in exit-date order', () => {
+    const trades = [trade('2024-03-01', -1), trade('2024-01-01', 1), trade('2024-04-01', 3), trade('2024-02-01', -2)];
+
+    expect(calculateStrategyStats(trades, 'shortStraddle')).toEqual({
+      trades: 4,
+      winRate: 50,
+      averagePnl: 0.25,
+      totalPnl: 1,
+      maxDrawdown: 3
+    });
+  });
+
+  it('handles groups without trades', () => {
+    expect(calculateStrategyStats([], 'ironCondor')).toMatchObject({ trades: 0, winRate: null });
+  });
+});
+
+describe('summarizeBacktest', () => {
+  it('groups by score bucket and regime', () => {
+    const summary = summarizeBacktest([
+      trade('2024-01-01', 1, { scoreBucket: '80-100', regime: 'low-volatility' }),
+      trade('2024-02-01', -1, { scoreBucket: '80-100', regime: 'high-volatility' }),
+      trade('2024-03-01', 2)
+    ]);
+
+    expect(summary.trades).toBe(3);
+    expect(Object.keys(summary.byScoreBucket)).toEqual(['80-100', '60-79']);
+    expect(summary.byScoreBucket['80-100'].shortStraddle.winRate).toBe(50);
+    expect(summary.byRegime['high-volatility'].longStraddle.averagePnl).toBe(1);
+    expect(summary.overall.shortStraddle.totalPnl).toBe(2);
+    expect(formatBacktestReport(summary)).toContain('Short straddle');
+  });
+
+  it('buckets scores', () => {
+    expect(getScoreBucket(85)).toBe('80-100');
+    expect(getScoreBucket(60)).toBe('60-79');
+    expect(getScoreBucket(12)).toBe('0-39');
+  });
+});
+
+describe('replayEarningsEvent', () => {
+  it('scores the report as of the scan session and trades around the print', () => {
+    const result = replayEarningsEvent({ symbol: 'AAPL', date: '2024-08-01', hour: 'amc' }, {
+      bars,
+      reports,
+      vixBars: [{ date: '2024-07-17', close: 25 }, { date: '2024-07-25', close: 40 }],
+      ...models
+    });
+
+    expect(result).toMatchObject({
+      symbol: 'AAPL',
+      timing: 'amc',
+      scanDate: '2024-07-18',
+      entryDate: '2024-08-01',
+      exitDate: '2024-08-02',
+      vix: 25,
+      regime: 'elevated-volatility',
+      ivSource: 'estimated'
+    });
+    expect(result.realizedMovePercent).toBe(5);
+    expect(result.impliedMovePercent).toBeCloseTo(5.75, 1);
+    expect(result.score).toBe(result.scoreBreakdown.score);
+    expect(result.scoreBreakdown.factors.find(factor => factor.key === 'timing').value).toBe(14);
+    expect(result.strategies.shortStraddle.pnlPercent).toBeLessThan(1);
+  });
+
+  it('leaves the chain-only factors out so a strong setup reaches the top bucket', () => {
+    const result = replayEarningsEvent({ symbol: 'AAPL', date: '2024-08-01', hour: 'amc' }, { bars, reports, ...models });
+    const keys = result.scoreBreakdown.factors.map(factor => factor.key);
+
+    expect(keys).not.toContain('liquidity');
+    expect(keys).not.toContain('termStructure');
+    expect(result.score).toBe(83);
+    expect(result.scoreBucket).toBe('80-100');
+  });
+
+  it('uses stored IV snapshots when one exists near the scan date', () => {
+    const result = replayEarningsEvent({ symbol: 'AAPL', date: '2024-08-01', hour: 'amc' }, {
+      bars,
+      reports,
+      ivSnapshots: [{ date: '2024-07-16', impliedVolatility: 33, source: 'yahoo-chain' }],
+      ...models
+    });
+
+    expect(result.ivSource).toBe('real');
+    expect(result.regime).toBe('unknown');
+  });
+
+  it('skips reports without enough earlier reactions or bars', () => {
+    expect(replayEarningsEvent({ symbol: 'AAPL', date: '2022-08-02', hour: 'amc' }, { bars, reports, ...models }))
+      .toEqual({ skipped: 'insufficient earnings history' });
+    expect(replayEarningsEvent({ symbol: 'AAPL', date: '2022-02-01', hour: 'amc' }, { bars, reports, ...models }))
+      .toEqual({ skipped: 'insufficient price history' });
+    expect(replayEarningsEvent({ symbol: 'AAPL', date: '2024-10-31', hour: 'amc' }, { bars, reports, today: '2024-11-01', ...models }))
+      .toEqual({ skipped: 'reaction has not traded yet' });
+  });
+});
+
+describe('BacktestEngine', () => {
+  it('replays every report in the range through the registry', async () => {
+    const history = vi.fn(async symbol => {
+      if (symbol === 'MSFT') throw new Error('No historical data available');
+      return { prices: symbol === '^VIX' ? [{ date: '2023-12-01', close: 13 }] : bars };
+    });
+    const earningsCalendar = vi.fn(async ({ symbol }) => reports.map(report => ({ symbol, ...report })));
+    const providers = new ProviderRegistry({
+      providers: [
+        { name: 'bars', capabilities: ['history'], isAvailable: () => true, history },
+        { name: 'calendar', capabilities: ['earningsCalendar'], isAvailable: () => true, earningsCalendar }
+      ],
+      priority: { history: ['bars'], earningsCalendar: ['calendar'] }
+    });
+    const engine = new BacktestEngine({ providers, ...models });
+
+    const result = await engine.run({ from: '2024-01-01', to: '2024-12-31', symbols: ['AAPL', 'MSFT'], now: new Date('2025-01-15T12:00:00Z') });
+
+    expect(result.trades.map(trade => trade.reportDate)).toEqual(['2024-02-01', '2024-05-02', '2024-08-01', '2024-10-31']);
+    expect(result.trades.every(trade => trade.regime === 'low-volatility')).toBe(true);
+    expect(result.skipped).toEqual([{ symbol: 'MSFT', date: null, reason: expect.stringContaining('No provider returned history') }]);
+    expect(result.summary.trades).toBe(4);
+    expect(earningsCalendar).toHaveBeenCalledWith(expect.objectContaining({ symbol: 'AAPL', to: '2024-12-31' }));
+  });
+
+  it('rejects an inverted range', async () => {
+    const engine = new BacktestEngine({ providers: new ProviderRegistry({ providers: [] }), ...models });
+
+    await expect(engine.run({ from: '2024-12-31', to: '2024-01-01', symbols: [] })).rejects.toThrow('Invalid backtest range');
+  });
+});
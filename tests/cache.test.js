@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import DataCache, { CACHE_TTLS, formatCacheMetrics } from '../src/cache.js';
+import { MemoryStorage } from '../src/storage.js';
+
+describe('DataCache', () => {
+  let storage;
+  let cache;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    cache = new DataCache({ storage });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('writes namespaced entries with the per-type TTL', async () => {
+    const put = vi.spyOn(storage, 'put');
+
+    await cache.set('fundamentals', 'AAPL', { fiftyTwoWeekHigh: 200 });
+
+    expect(put).toHaveBeenCalledWith(
+      'cache:fundamentals:AAPL',
+      expect.objectContaining({ value: { fiftyTwoWeekHigh: 200 } }),
+      { ttlSeconds: CACHE_TTLS.fundamentals }
+    );
+    expect(await cache.get('fundamentals', 'AAPL')).toEqual({ fiftyTwoWeekHigh: 200 });
+  });
+
+  it('loads and caches on a miss, then serves the cached value', async () => {
+    const loader = vi.fn().mockResolvedValue({ price: 150 });
+
+    const first = await cache.getOrLoad('quote', 'AAPL', loader);
+    const second = await cache.getOrLoad('quote', 'AAPL', loader);
+
+    expect(first).toEqual({ price: 150 });
+    expect(second).toEqual({ price: 150 });
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(cache.stats()).toEqual({
+      hits: 1,
+      misses: 1,
+      hitRate: 50,
+      byType: { quote: { hits: 1, misses: 1 } }
+    });
+  });
+
+  it('does not cache null loader results', async () => {
+    const loader = vi.fn().mockResolvedValue(null);
+
+    await cache.getOrLoad('earningsHistory', 'AAPL', loader);
+    await cache.getOrLoad('earningsHistory', 'AAPL', loader);
+
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  it('treats entries older than the type TTL as misses', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-05-10T14:00:00Z'));
+    await cache.set('quote', 'AAPL', { price: 150 });
+
+    vi.setSystemTime(new Date('2024-05-10T14:06:00Z'));
+
+    expect(await cache.get('quote', 'AAPL')).toBeNull();
+    expect(cache.stats().misses).toBe(1);
+  });
+
+  it('shares entries across instances on the same storage (cross-run)', async () => {
+    await cache.set('earningsHistory', 'MSFT', { sampleSize: 8 });
+
+    const nextRun = new DataCache({ storage });
+
+    expect(await nextRun.get('earningsHistory', 'MSFT')).toEqual({ sampleSize: 8 });
+    expect(nextRun.stats().hits).toBe(1);
+  });
+
+  it('degrades to a miss when the storage backend fails', async () => {
+    const failing = { get: vi.fn().mockRejectedValue(new Error('KV unavailable')), put: vi.fn().mockRejectedValue(new Error('KV unavailable')) };
+    const degraded = new DataCache({ storage: failing });
+    const loader = vi.fn().mockResolvedValue({ price: 150 });
+
+    expect(await degraded.getOrLoad('quote', 'AAPL', loader)).toEqual({ price: 150 });
+    expect(degraded.stats().misses).toBe(1);
+  });
+});
+
+describe('formatCacheMetrics', () => {
+  it('flattens stats into run-summary metrics', () => {
+    const metrics = formatCacheMetrics({
+      hits: 30,
+      misses: 10,
+      hitRate: 75,
+      byType: { quote: { hits: 0, misses: 10 }, fundamentals: { hits: 30, misses: 0 } }
+    });
+
+    expect(metrics).toEqual({
+      cacheHits: 30,
+      cacheMisses: 10,
+      cacheHitRate: '75%',
+      cacheByType: 'quote 0/10, fundamentals 30/30'
+    });
+  });
+
+  it('returns no metrics before initialization', () => {
+    expect(formatCacheMetrics(null)).toEqual({});
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import ProviderHealth, {
+  CircuitBreaker,
+  BREAKER_STATES,
+  formatHealthMetrics,
+  saveHealthSnapshot,
+  loadHealthSnapshot
+} from '../src/circuit-breaker.js';
+import ProviderRegistry from '../src/providers/registry.js';
+import { MemoryStorage } from '../src/storage.js';
+
+describe('CircuitBreaker', () => {
+  let clock;
+  let breaker;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    clock = { time: 0, now: () => clock.time };
+    breaker = new CircuitBreaker('yahoo', { failureThreshold: 3, cooldownMs: 60000, now: clock.now });
+  });
+
+  it('opens after the configured number of consecutive failures', () => {
+    breaker.recordFailure(new Error('429'));
+    breaker.recordFailure(new Error('429'));
+    expect(breaker.state).toBe(BREAKER_STATES.CLOSED);
+
+    breaker.recordFailure(new Error('429'));
+
+    expect(breaker.state).toBe(BREAKER_STATES.OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+  });
+
+  it('resets the consecutive count on success', () => {
+    breaker.recordFailure(new Error('429'));
+    breaker.recordFailure(new Error('429'));
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('429'));
+
+    expect(breaker.state).toBe(BREAKER_STATES.CLOSED);
+  });
+
+  it('lets a single probe through after the cool-down and closes on success', () => {
+    [1, 2, 3].forEach(() => breaker.recordFailure(new Error('429')));
+    clock.time = 60000;
+
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe(BREAKER_STATES.HALF_OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe(BREAKER_STATES.CLOSED);
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  it('re-opens when the probe fails', () => {
+    [1, 2, 3].forEach(() => breaker.recordFailure(new Error('429')));
+    clock.time = 60000;
+    breaker.allowRequest();
+
+    breaker.recordFailure(new Error('still 429'));
+
+    expect(breaker.state).toBe(BREAKER_STATES.OPEN);
+    clock.time = 119999;
+    expect(breaker.allowRequest()).toBe(false);
+  });
+
+  it('frees the probe slot when the request is never sent', () => {
+    [1, 2, 3].forEach(() => breaker.recordFailure(new Error('429')));
+    clock.time = 60000;
+    breaker.allowRequest();
+
+    breaker.release();
+
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  it('reports counters and error rate', () => {
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('Yahoo API error: 429'));
+    [1, 2].forEach(() => breaker.recordFailure(new Error('Yahoo API error: 429')));
+    breaker.allowRequest();
+
+    expect(breaker.snapshot()).toEqual({
+      state: 'open',
+      consecutiveFailures: 3,
+      requests: 4,
+      failures: 3,
+      skipped: 1,
+      errorRate: 75,
+      openedAt: new Date(0).toISOString(),
+      lastError: 'Yahoo API error: 429'
+    });
+  });
+});
+
+describe('ProviderRegistry with circuit breakers', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('skips an open provider without calling it', async () => {
+    const yahoo = { name: 'yahoo', capabilities: ['quote'], quote: vi.fn().mockRejectedValue(new Error('Yahoo API error: 429')) };
+    const finnhub = { name: 'finnhub', capabilities: ['quote'], quote: vi.fn().mockResolvedValue({ price: 150 }) };
+    const health = new ProviderHealth({ failureThreshold: 2, cooldownMs: 60000 });
+    const registry = new ProviderRegistry({ providers: [yahoo, finnhub], priority: { quote: ['yahoo', 'finnhub'] }, health });
+
+    for (const symbol of ['AAPL', 'MSFT', 'NVDA', 'AMZN']) {
+      expect((await registry.request('quote', symbol)).source).toBe('finnhub');
+    }
+
+    expect(yahoo.quote).toHaveBeenCalledTimes(2);
+    expect(health.snapshot().yahoo).toMatchObject({ state: 'open', failures: 2, skipped: 2 });
+    expect(health.snapshot().finnhub).toMatchObject({ state: 'closed', failures: 0, requests: 4 });
+  });
+
+  it('names skipped providers when every provider misses', async () => {
+    const yahoo = { name: 'yahoo', capabilities: ['quote'], quote: vi.fn().mockRejectedValue(new Error('down')) };
+    const health = new ProviderHealth({ failureThreshold: 1 });
+    const registry = new ProviderRegistry({ providers: [yahoo], priority: { quote: ['yahoo'] }, health });
+
+    await expect(registry.request('quote', 'AAPL')).rejects.toThrow('(tried: yahoo)');
+    await expect(registry.request('quote', 'AAPL')).rejects.toThrow('(tried: yahoo (circuit open))');
+  });
+});
+
+describe('health reporting', () => {
+  const snapshot = {
+    yahoo: { state: 'open', failures: 3, requests: 40, skipped: 12, errorRate: 7.5 },
+    finnhub: { state: 'closed', failures: 0, requests: 12, skipped: 0, errorRate: 0 }
+  };
+
+  it('formats one run-summary metric per provider', () => {
+    expect(formatHealthMetrics(snapshot)).toEqual({
+      providerYahoo: 'open · 3/40 failed (7.5%), 12 skipped',
+      providerFinnhub: 'closed · 0/12 failed (0%)'
+    });
+    expect(formatHealthMetrics(null)).toEqual({});
+  });
+
+  it('persists the latest snapshot for /status', async () => {
+    const storage = new MemoryStorage();
+
+    await saveHealthSnapshot(storage, snapshot);
+    const saved = await loadHealthSnapshot(storage);
+
+    expect(saved.providers).toEqual(snapshot);
+    expect(saved.updatedAt).toEqual(expect.any(String));
+  });
+});
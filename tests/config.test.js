@@ -1,12 +1,21 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import { 
   STOCK_UNIVERSE, 
   QUALITY_THRESHOLDS, 
   VOLATILITY_THRESHOLDS,
   isInStockUniverse,
   getQualityThreshold,
-  getVolatilityThreshold
+  getVolatilityThreshold,
+  REQUIRED_REAL_FIELDS,
+  getRequiredRealFields,
+  RISK_FREE_RATE,
+  getRiskFreeRate,
+  ACCOUNT_MODEL,
+  getAccountModel,
+  getPublicBaseUrl,
+  getScoringModel
 } from '../src/config.js';
+import { SCORING_MODELS } from '../src/config/scoring.js';
 
 describe('Config', () => {
   describe('STOCK_UNIVERSE', () => {
@@ -129,4 +138,110 @@ describe('Config', () => {
       expect(getVolatilityThreshold(null)).toBeUndefined();
     });
   });
-});
\ No newline at end of file
+
+  describe('getRequiredRealFields', () => {
+    it('should default to REQUIRED_REAL_FIELDS', () => {
+      expect(getRequiredRealFields({})).toEqual(REQUIRED_REAL_FIELDS);
+    });
+
+    it('should apply a comma-separated override', () => {
+      expect(getRequiredRealFields({ REQUIRE_REAL_FIELDS: 'price, historicalVolatility' })).toEqual(['price', 'historicalVolatility']);
+    });
+
+    it('should disable the check with none', () => {
+      expect(getRequiredRealFields({ REQUIRE_REAL_FIELDS: 'none' })).toEqual([]);
+    });
+  });
+
+  describe('getRiskFreeRate', () => {
+    it('should default to RISK_FREE_RATE', () => {
+      expect(getRiskFreeRate({})).toBe(RISK_FREE_RATE);
+    });
+
+    it('should read the override as a percentage', () => {
+      expect(getRiskFreeRate({ RISK_FREE_RATE: '4.25' })).toBeCloseTo(0.0425, 6);
+    });
+
+    it('should ignore invalid overrides with a warning', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(getRiskFreeRate({ RISK_FREE_RATE: 'high' })).toBe(RISK_FREE_RATE);
+      expect(getRiskFreeRate({ RISK_FREE_RATE: '45' })).toBe(RISK_FREE_RATE);
+      expect(warn).toHaveBeenCalledTimes(2);
+      warn.mockRestore();
+    });
+  });
+
+  describe('getAccountModel', () => {
+    it('should default to ACCOUNT_MODEL', () => {
+      expect(getAccountModel({})).toEqual(ACCOUNT_MODEL);
+    });
+
+    it('should read account size and risk percentages', () => {
+      expect(getAccountModel({ ACCOUNT_SIZE: '100000', MAX_RISK_PER_TRADE: '1.5', MAX_PORTFOLIO_HEAT: '8' }))
+        .toEqual({ accountSize: 100000, maxRiskPerTrade: 1.5, maxPortfolioHeat: 8 });
+    });
+
+    it('should ignore invalid overrides with a warning', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(getAccountModel({ ACCOUNT_SIZE: 'lots', MAX_RISK_PER_TRADE: '0' })).toEqual(ACCOUNT_MODEL);
+      expect(warn).toHaveBeenCalledTimes(2);
+      warn.mockRestore();
+    });
+
+    it('should raise a heat limit below the per-trade risk', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(getAccountModel({ MAX_RISK_PER_TRADE: '10' }).maxPortfolioHeat).toBe(10);
+      expect(getAccountModel({ MAX_PORTFOLIO_HEAT: '1' }).maxPortfolioHeat).toBe(ACCOUNT_MODEL.maxPortfolioHeat);
+      expect(warn).toHaveBeenCalledTimes(2);
+      warn.mockRestore();
+    });
+  });
+
+  describe('getPublicBaseUrl', () => {
+    it('should normalize an https URL', () => {
+      expect(getPublicBaseUrl({ PUBLIC_BASE_URL: 'https://insight.example.dev/' })).toBe('https://insight.example.dev');
+      expect(getPublicBaseUrl({})).toBeNull();
+    });
+
+    it('should ignore non-https values with a warning', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(getPublicBaseUrl({ PUBLIC_BASE_URL: 'http://insight.example.dev' })).toBeNull();
+      expect(getPublicBaseUrl({ PUBLIC_BASE_URL: 'not a url' })).toBeNull();
+      expect(warn).toHaveBeenCalledTimes(2);
+      warn.mockRestore();
+    });
+  });
+
+  describe('getScoringModel', () => {
+    it('should return a copy of the default model', () => {
+      const model = getScoringModel('quality');
+
+      expect(model).toEqual(SCORING_MODELS.quality);
+      model.factors.timing.weight = 0;
+      expect(SCORING_MODELS.quality.factors.timing.weight).toBe(15);
+    });
+
+    it('should merge SCORING_MODEL overrides per factor', () => {
+      const env = { SCORING_MODEL: JSON.stringify({ quality: { factors: { timing: { weight: 30 } } } }) };
+      const model = getScoringModel('quality', env);
+
+      expect(model.factors.timing.weight).toBe(30);
+      expect(model.factors.timing.buckets).toEqual(SCORING_MODELS.quality.factors.timing.buckets);
+      expect(model.factors.volatility).toEqual(SCORING_MODELS.quality.factors.volatility);
+      expect(getScoringModel('volatility', env)).toEqual(SCORING_MODELS.volatility);
+    });
+
+    it('should ignore malformed or invalid overrides', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(getScoringModel('quality', { SCORING_MODEL: '{not json' })).toEqual(SCORING_MODELS.quality);
+      expect(getScoringModel('quality', { SCORING_MODEL: '{"quality":{"factors":{"timing":{"weight":-5}}}}' })).toEqual(SCORING_MODELS.quality);
+      expect(warn).toHaveBeenCalledTimes(2);
+      warn.mockRestore();
+    });
+
+    it('should reject unknown models', () => {
+      expect(() => getScoringModel('momentum')).toThrow('Unknown scoring model: momentum');
+    });
+  });
+});
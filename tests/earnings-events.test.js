@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EARNINGS_TIMING,
+  normalizeEarningsTiming,
+  normalizeEarningsEvent,
+  getLastSessionBeforePrint,
+  getReactionSession,
+  formatEarningsTiming
+} from '../src/earnings-events.js';
+
+describe('normalizeEarningsTiming', () => {
+  it('maps Finnhub hour values and treats anything else as unknown', () => {
+    expect(normalizeEarningsTiming('bmo')).toBe(EARNINGS_TIMING.BEFORE_OPEN);
+    expect(normalizeEarningsTiming('AMC')).toBe(EARNINGS_TIMING.AFTER_CLOSE);
+    expect(normalizeEarningsTiming('dmh')).toBe(EARNINGS_TIMING.DURING_MARKET);
+    expect(normalizeEarningsTiming('')).toBe(EARNINGS_TIMING.UNKNOWN);
+    expect(normalizeEarningsTiming(null)).toBe(EARNINGS_TIMING.UNKNOWN);
+  });
+});
+
+describe('normalizeEarningsEvent', () => {
+  it('keeps timing, estimates and fiscal period', () => {
+    const event = normalizeEarningsEvent({
+      symbol: 'AAPL',
+      date: '2025-01-30',
+      hour: 'amc',
+      quarter: 1,
+      year: 2025,
+      epsEstimate: 2.35,
+      epsActual: null,
+      revenueEstimate: '124000000000',
+      revenueActual: null
+    });
+
+    expect(event).toEqual({
+      symbol: 'AAPL',
+      date: '2025-01-30',
+      hour: 'amc',
+      timing: 'amc',
+      confirmed: true,
+      quarter: 1,
+      year: 2025,
+      epsEstimate: 2.35,
+      epsActual: null,
+      revenueEstimate: 124000000000,
+      revenueActual: null,
+      lastSessionBeforePrint: '2025-01-30',
+      reactionSession: '2025-01-31'
+    });
+  });
+
+  it('flags projected dates without a session as unconfirmed', () => {
+    expect(normalizeEarningsEvent({ symbol: 'MSFT', date: '2025-01-29', hour: '' }).confirmed).toBe(false);
+  });
+});
+
+describe('session helpers', () => {
+  it('steps back to the previous session for pre-market reports', () => {
+    // Monday before the open: the last session before the print is the prior Friday
+    expect(getLastSessionBeforePrint('2025-02-03', 'bmo')).toBe('2025-01-31');
+    expect(getReactionSession('2025-02-03', 'bmo')).toBe('2025-02-03');
+  });
+
+  it('rolls after-close reactions to the next session', () => {
+    // Friday after the close: the reaction trades Monday
+    expect(getLastSessionBeforePrint('2025-01-31', 'amc')).toBe('2025-01-31');
+    expect(getReactionSession('2025-01-31', 'amc')).toBe('2025-02-03');
+  });
+
+  it('is conservative on both sides when timing is unknown', () => {
+    expect(getLastSessionBeforePrint('2025-01-30')).toBe('2025-01-29');
+    expect(getReactionSession('2025-01-30')).toBe('2025-01-31');
+  });
+
+  it('skips market holidays', () => {
+    // Thursday before Good Friday 2026, after the close: the reaction trades Monday
+    expect(getReactionSession('2026-04-02', 'amc')).toBe('2026-04-06');
+    expect(getLastSessionBeforePrint('2026-04-06', 'bmo')).toBe('2026-04-02');
+  });
+
+  it('returns null for malformed dates', () => {
+    expect(getLastSessionBeforePrint('soon', 'amc')).toBeNull();
+    expect(getReactionSession(undefined, 'bmo')).toBeNull();
+  });
+});
+
+describe('formatEarningsTiming', () => {
+  it('describes the day and session', () => {
+    expect(formatEarningsTiming({ date: '2025-01-30', timing: 'amc' })).toBe('Reports Thu Jan 30 after close');
+    expect(formatEarningsTiming({ date: '2025-01-30', hour: 'bmo' })).toBe('Reports Thu Jan 30 before open');
+    expect(formatEarningsTiming({ date: '2025-01-30', hour: '' })).toBe('Reports Thu Jan 30 (time unconfirmed)');
+  });
+});
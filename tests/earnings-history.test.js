@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import EarningsHistoryService, {
+  computeEarningsMoves,
+  summarizeEarningsMoves,
+  compareImpliedToRealized
+} from '../src/earnings-history.js';
+
+// Mock fetch for API calls
+global.fetch = vi.fn();
+
+const bars = [
+  { date: '2024-01-29', open: 99, close: 100 },
+  { date: '2024-01-30', open: 100, close: 100 },
+  { date: '2024-01-31', open: 106, close: 108 },
+  { date: '2024-04-29', open: 120, close: 120 },
+  { date: '2024-04-30', open: 114, close: 111 },
+  { date: '2024-07-29', open: 150, close: 150 },
+  { date: '2024-07-30', open: 153, close: 153 }
+];
+
+describe('computeEarningsMoves', () => {
+  it('measures after-close reports against the next session', () => {
+    const [move] = computeEarningsMoves([{ date: '2024-01-30', hour: 'amc' }], bars);
+
+    expect(move).toMatchObject({ date: '2024-01-30', previousClose: 100, closeToOpen: 6, closeToClose: 8 });
+  });
+
+  it('measures before-open reports against the prior close', () => {
+    const [move] = computeEarningsMoves([{ date: '2024-04-30', hour: 'bmo' }], bars);
+
+    expect(move).toMatchObject({ previousClose: 120, closeToOpen: -5, closeToClose: -7.5 });
+  });
+
+  it('skips reports without bars on both sides or across long gaps', () => {
+    const moves = computeEarningsMoves([
+      { date: '2024-07-30', hour: 'amc' },
+      { date: '2024-01-29', hour: 'bmo' },
+      { date: '2024-04-29', hour: 'bmo' }
+    ], bars);
+
+    expect(moves).toEqual([]);
+  });
+});
+
+describe('summarizeEarningsMoves', () => {
+  it('reports absolute average, median and max moves', () => {
+    const summary = summarizeEarningsMoves('AAPL', [
+      { closeToOpen: 6, closeToClose: 8 },
+      { closeToOpen: -5, closeToClose: -7.5 },
+      { closeToOpen: null, closeToClose: 2 }
+    ]);
+
+    expect(summary).toMatchObject({
+      symbol: 'AAPL',
+      sampleSize: 3,
+      averageMove: 5.83,
+      medianMove: 7.5,
+      maxMove: 8,
+      averageGap: 5.5,
+      maxGap: 6,
+      upMoves: 2,
+      downMoves: 1
+    });
+  });
+
+  it('returns null without moves', () => {
+    expect(summarizeEarningsMoves('AAPL', [])).toBeNull();
+  });
+});
+
+describe('compareImpliedToRealized', () => {
+  it('labels the straddle against realized history', () => {
+    expect(compareImpliedToRealized(6, { averageMove: 4 })).toEqual({ ratio: 1.5, label: 'rich' });
+    expect(compareImpliedToRealized(4, { averageMove: 4 })).toEqual({ ratio: 1, label: 'fair' });
+    expect(compareImpliedToRealized(3, { averageMove: 4 })).toEqual({ ratio: 0.75, label: 'cheap' });
+    expect(compareImpliedToRealized(null, { averageMove: 4 })).toBeNull();
+  });
+});
+
+describe('EarningsHistoryService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('fetches report dates from Finnhub and caches the summary per symbol', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: () => Promise.resolve({
+        earningsCalendar: [
+          { symbol: 'AAPL', date: '2024-01-30', hour: 'amc' },
+          { symbol: 'AAPL', date: '2024-04-30', hour: 'bmo' }
+        ]
+      })
+    });
+
+    const service = new EarningsHistoryService({ finnhubApiKey: 'test-key' });
+    const summary = await service.getEarningsHistory('AAPL', bars);
+    const cached = await service.getEarningsHistory('AAPL', bars);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][0]).toContain('/calendar/earnings?');
+    expect(fetch.mock.calls[0][0]).toContain('symbol=AAPL');
+    expect(summary.sampleSize).toBe(2);
+    expect(summary.maxMove).toBe(8);
+    expect(cached).toEqual(summary);
+  });
+
+  it('skips the lookup without a Finnhub key', async () => {
+    const service = new EarningsHistoryService();
+
+    expect(await service.getEarningsHistory('AAPL', bars)).toBeNull();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
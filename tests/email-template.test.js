@@ -51,6 +51,366 @@ describe('EmailTemplate', () => {
     expect(html).toContain('Quantitative Earnings Opportunities');
   });
 
+  it('shows the straddle-implied earnings move next to the 30-day move', () => {
+    const html = EmailTemplate({
+      opportunities: [
+        {
+          opportunity: {
+            symbol: 'AAPL',
+            date: '2025-01-14',
+            daysToEarnings: 8,
+            volatilityData: {
+              currentPrice: 200,
+              impliedVolatility: 40,
+              historicalVolatility: 30,
+              expectedMove: 22.9,
+              impliedEarningsMove: { expiration: '2025-01-17', strike: 200, move: 9.5, movePercent: 4.75 }
+            },
+            qualityScore: 70
+          },
+          analysis: { sentimentScore: 6, recommendation: 'NEUTRAL', strategies: [] }
+        }
+      ],
+      marketContext: {},
+      date: 'Mon, 06 Jan 2025'
+    });
+
+    expect(html).toContain('Earnings Move:');
+    expect(html).toContain('±4.8% ($9.50)');
+    expect(html).toContain('30D Move:');
+    expect(html).not.toContain('Straddle POP:');
+    expect(html).not.toContain('Term IV:');
+  });
+
+  it('shows the term structure and skew in the metrics grid', () => {
+    const html = EmailTemplate({
+      opportunities: [
+        {
+          opportunity: {
+            symbol: 'AAPL',
+            date: '2025-01-14',
+            daysToEarnings: 8,
+            volatilityData: {
+              currentPrice: 200,
+              volatilitySurface: {
+                expiration: '2025-01-17',
+                backExpiration: '2025-02-21',
+                termStructure: { frontIV: 62, backIV: 38, spread: 24, ratio: 1.63 },
+                skew: { putStrike: 190, putIV: 68, callStrike: 210, callIV: 62, riskReversal: 6 },
+                smile: { atmIV: 62, wingIV: 65, butterfly: 3, shape: 'put skew' }
+              }
+            },
+            qualityScore: 70
+          },
+          analysis: { sentimentScore: 7, recommendation: 'STRONGLY CONSIDER', strategies: [] }
+        }
+      ],
+      marketContext: {},
+      date: 'Fri, 10 Jan 2025'
+    });
+
+    expect(html).toContain('Term IV:');
+    expect(html).toContain('62.0% vs 38.0% (+24.0 pts)');
+    expect(html).toContain('RR +6.0 pts · put skew, wings +3.0');
+  });
+
+  it('shows the computed straddle POP and Greeks', () => {
+    const html = EmailTemplate({
+      opportunities: [
+        {
+          opportunity: {
+            symbol: 'AAPL',
+            date: '2025-01-14',
+            daysToEarnings: 8,
+            volatilityData: {
+              currentPrice: 200,
+              optionPricing: {
+                strike: 200,
+                premium: 9.5,
+                theoreticalPrice: 9.62,
+                breakevens: { lower: 190.5, upper: 209.5 },
+                probabilityOfProfit: { long: 38.4, short: 61.6 },
+                greeks: { delta: 0.02, gamma: 0.03, theta: -0.45, vega: 0.14 }
+              }
+            },
+            qualityScore: 70
+          },
+          analysis: { sentimentScore: 6, recommendation: 'NEUTRAL', strategies: [] }
+        }
+      ],
+      marketContext: {},
+      date: 'Mon, 06 Jan 2025'
+    });
+
+    expect(html).toContain('Short 62% / Long 38%');
+    expect(html).toContain('Θ -$45/day · Vega $14 · BE $190.50-$209.50');
+  });
+
+  it('lists chain-built strategies with their computed figures per contract', () => {
+    const html = EmailTemplate({
+      opportunities: [
+        {
+          opportunity: { symbol: 'AAPL', date: '2025-01-14', daysToEarnings: 4, volatilityData: {}, qualityScore: 70 },
+          analysis: {
+            sentimentScore: 7,
+            recommendation: 'STRONGLY CONSIDER',
+            strategies: [
+              {
+                name: 'Short Strangle',
+                candidate: {
+                  label: 'Short Strangle 190/210',
+                  expiration: '2025-01-17',
+                  legs: [
+                    { action: 'sell', type: 'put', strike: 190, expiration: '2025-01-17', quantity: 1 },
+                    { action: 'sell', type: 'call', strike: 210, expiration: '2025-01-17', quantity: 1 }
+                  ],
+                  premiumType: 'credit',
+                  premium: 2.3,
+                  maxLoss: null,
+                  breakevens: [187.7, 212.3],
+                  probabilityOfProfit: 68.4
+                }
+              },
+              { name: 'Long Straddle' }
+            ]
+          }
+        }
+      ],
+      marketContext: {},
+      date: 'Fri, 10 Jan 2025'
+    });
+
+    expect(html).toContain('Short Strangle 190/210</span> · credit $230 · max loss unlimited · BE $187.70/$212.30 · POP 68%');
+    expect(html).toContain('Sell 190P / Sell 210C');
+    expect(html).toContain('• Long Straddle');
+    expect(html).not.toContain('payoff-charts');
+  });
+
+  it('shows position sizing guidance under a sized strategy', () => {
+    const html = EmailTemplate({
+      opportunities: [
+        {
+          opportunity: { symbol: 'AAPL', date: '2025-01-14', daysToEarnings: 4, volatilityData: {}, qualityScore: 70 },
+          analysis: {
+            sentimentScore: 7,
+            recommendation: 'STRONGLY CONSIDER',
+            strategies: [
+              {
+                name: 'Iron Condor',
+                candidate: {
+                  label: 'Iron Condor 185/190/210/215',
+                  expiration: '2025-01-17',
+                  legs: [
+                    { action: 'sell', type: 'put', strike: 190, expiration: '2025-01-17', quantity: 1 },
+                    { action: 'buy', type: 'put', strike: 185, expiration: '2025-01-17', quantity: 1 }
+                  ],
+                  premiumType: 'credit',
+                  premium: 1.4,
+                  maxLoss: 3.6,
+                  breakevens: [188.6],
+                  probabilityOfProfit: 71.2,
+                  sizing: {
+                    riskBasis: 'max-loss',
+                    riskPerContract: 360,
+                    contracts: 1,
+                    totalRisk: 360,
+                    riskPercent: 1.44,
+                    accountPerContract: 18000,
+                    positionsWithinHeat: 4,
+                    account: { accountSize: 25000, maxRiskPerTrade: 2, maxPortfolioHeat: 6 }
+                  }
+                }
+              }
+            ]
+          }
+        }
+      ],
+      marketContext: {},
+      date: 'Fri, 10 Jan 2025'
+    });
+
+    expect(html).toContain('Size: 1 contract per $18k account · 1 on $25k: $360 at risk (1.4%), 4 such trades fit 6% heat');
+  });
+
+  it('embeds payoff charts under the strategy list', () => {
+    const html = EmailTemplate({
+      opportunities: [
+        {
+          opportunity: {
+            symbol: 'AAPL',
+            date: '2025-01-14',
+            daysToEarnings: 4,
+            volatilityData: { impliedEarningsMove: { expiration: '2025-01-17', strike: 200, move: 9.5, movePercent: 4.75 } },
+            qualityScore: 70
+          },
+          analysis: {
+            sentimentScore: 7,
+            recommendation: 'STRONGLY CONSIDER',
+            strategies: [
+              { name: 'Iron Condor', chart: { src: 'https://insight.example.dev/charts/2025-01-10-aapl-iron-condor.png', alt: 'AAPL Iron Condor payoff at expiration', width: 280, height: 90 } }
+            ]
+          }
+        }
+      ],
+      marketContext: {},
+      date: 'Fri, 10 Jan 2025'
+    });
+
+    expect(html).toContain('<img src="https://insight.example.dev/charts/2025-01-10-aapl-iron-condor.png" width="280" height="90" alt="AAPL Iron Condor payoff at expiration"');
+    expect(html).toContain('shaded: expected move ±$9.50');
+  });
+
+  it('says when the company reports relative to the session', () => {
+    const html = EmailTemplate({
+      opportunities: [
+        {
+          opportunity: { symbol: 'AAPL', date: '2025-01-30', timing: 'amc', daysToEarnings: 3, volatilityData: {}, qualityScore: 70 },
+          analysis: { sentimentScore: 6, recommendation: 'NEUTRAL', strategies: [] }
+        }
+      ],
+      marketContext: {},
+      date: 'Mon, 27 Jan 2025'
+    });
+
+    expect(html).toContain('Reports Thu Jan 30 after close (3d)');
+  });
+
+  it('renders a bar per scoring factor', () => {
+    const html = EmailTemplate({
+      opportunities: [
+        {
+          opportunity: {
+            symbol: 'AAPL',
+            date: '2025-01-30',
+            daysToEarnings: 12,
+            volatilityData: {},
+            qualityScore: 62,
+            scoreBreakdown: {
+              score: 62,
+              maxScore: 100,
+              baseline: 10,
+              factors: [
+                { key: 'volatility', label: 'Volatility', value: 64, points: 24, weight: 30 },
+                { key: 'timing', label: 'Timing', value: 12, points: 17.5, weight: 25 },
+                { key: 'disabled', label: 'Disabled', value: null, points: 0, weight: 0 }
+              ]
+            }
+          },
+          analysis: { sentimentScore: 6, recommendation: 'NEUTRAL', strategies: [] }
+        }
+      ],
+      marketContext: {},
+      date: 'Mon, 27 Jan 2025'
+    });
+
+    expect(html).toContain('Volatility 24/30');
+    expect(html).toContain('Timing 17.5/25');
+    expect(html).toContain('width: 80%;');
+    expect(html).toContain('width: 70%;');
+    expect(html).not.toContain('Disabled 0/0');
+  });
+
+  it('marks fields filled from estimates', () => {
+    const field = (value, source) => ({ value, source, asOf: null, estimated: source === 'estimated' });
+    const html = EmailTemplate({
+      opportunities: [
+        {
+          opportunity: {
+            symbol: 'AAPL',
+            date: '2025-01-14',
+            daysToEarnings: 8,
+            volatilityData: {
+              currentPrice: 200,
+              impliedVolatility: 40,
+              historicalVolatility: 30,
+              expectedMove: 22.9,
+              provenance: {
+                price: field(200, 'yahoo-quote'),
+                impliedVolatility: field(40, 'estimated'),
+                historicalVolatility: field(30, 'yahoo-history'),
+                expectedMove: { value: 22.9, source: 'derived', derivedFrom: ['price', 'impliedVolatility'], estimated: true }
+              }
+            },
+            qualityScore: 70
+          },
+          analysis: { sentimentScore: 6, recommendation: 'NEUTRAL', strategies: [] }
+        }
+      ],
+      marketContext: {},
+      date: 'Mon, 06 Jan 2025'
+    });
+
+    expect(html).toContain('$200.00</span>');
+    expect(html).toMatch(/40\.0% <span class="estimated"[^>]*>\(est\.\)<\/span> \/ 30\.0%<\/td>/);
+    expect(html.match(/\(est\.\)/g)).toHaveLength(2);
+  });
+
+  it("renders last week's graded calls with the rolling scorecard", () => {
+    const html = EmailTemplate({
+      opportunities: [],
+      marketContext: {},
+      trackRecord: {
+        calls: [
+          { symbol: 'NFLX', recommendation: 'STRONGLY CONSIDER', sentimentScore: 8, expectedMovePercent: 7.1, result: { realizedMovePercent: -4.3, correct: true } },
+          { symbol: 'TSLA', recommendation: 'STAY AWAY', sentimentScore: 3, expectedMovePercent: 8.4, result: { realizedMovePercent: 6.2, correct: false } }
+        ],
+        scorecard: {
+          windowDays: 90,
+          byRecommendation: { 'STRONGLY CONSIDER': { calls: 12, graded: 12, hits: 8, hitRate: 67 } },
+          bySentiment: { '8-10': { calls: 7, graded: 7, hits: 5, hitRate: 71 } }
+        }
+      },
+      date: 'Mon, 27 Jan 2025'
+    });
+
+    expect(html).toContain("Last Week's Calls");
+    expect(html).toContain('±7.1%');
+    expect(html).toContain('-4.3%');
+    expect(html).toContain('+6.2%');
+    expect(html).toContain('✓ Hit');
+    expect(html).toContain('✗ Miss');
+    expect(html).toContain('BUY 8/12 (67%)');
+    expect(html).toContain('sentiment 8-10: 71%');
+  });
+
+  it('shows index trends, VIX term structure, sectors and macro events under the intro', () => {
+    const html = EmailTemplate({
+      opportunities: [],
+      marketContext: {
+        vix: 18.5,
+        marketRegime: 'normal',
+        vixTermStructure: { vix9d: 17.2, vix: 18.5, vix3m: 20.1, ratio: 1.09, shape: 'contango' },
+        indexes: [
+          { symbol: 'SPY', changePercent: 0.42, trend: 'uptrend' },
+          { symbol: 'IWM', changePercent: -0.31, trend: 'mixed' }
+        ],
+        sectors: [{ sector: 'Information Technology', etf: 'XLK', symbols: ['AAPL', 'MSFT'], changePercent: 0.8, fiveDayChange: 2.1, relativeToMarket: 1 }],
+        macroEvents: [{ type: 'FOMC', date: '2025-01-29', daysAway: 2, estimated: false }]
+      },
+      date: 'Mon, 27 Jan 2025'
+    });
+
+    expect(html).toContain('class="market-header"');
+    expect(html.indexOf('market-header')).toBeLessThan(html.indexOf('📊 Earnings Opportunities'));
+    expect(html).toMatch(/<strong>SPY<\/strong> \+0\.4% ▲ uptrend/);
+    expect(html).toMatch(/<strong>IWM<\/strong> -0\.3% ▶ mixed/);
+    expect(html).toContain('17.2 / 18.5 / 20.1 (contango)');
+    expect(html).toContain('Information Technology (XLK) +2.1% 5d, +1.0 vs SPY — AAPL, MSFT');
+    expect(html).toContain('FOMC Jan 29 (2d)');
+  });
+
+  it('leaves out the market header without market data', () => {
+    const html = EmailTemplate({ opportunities: [], marketContext: { vix: 18, marketRegime: 'normal' } });
+
+    expect(html).not.toContain('market-header');
+  });
+
+  it('leaves out the track record without graded calls', () => {
+    const html = EmailTemplate({ opportunities: [], marketContext: {}, trackRecord: { calls: [], scorecard: null } });
+
+    expect(html).not.toContain("Last Week's Calls");
+  });
+
   it('includes unsubscribe information in footer for broadcasts', () => {
     const html = EmailTemplate({
       opportunities: [],
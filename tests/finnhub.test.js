@@ -1,9 +1,15 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import FinnhubAPI from '../src/finnhub.js';
+import FinnhubAPI, { getEarningsOpportunities, createMockEnhancedOpportunity, excludeSyntheticOpportunities, excludeEstimatedOpportunities, classifyMarketRegime } from '../src/finnhub.js';
+import { getBulkVolatilityAnalysis } from '../src/real-volatility.js';
 
 // Mock fetch
 global.fetch = vi.fn();
 
+vi.mock('../src/real-volatility.js', async importOriginal => ({
+  ...(await importOriginal()),
+  getBulkVolatilityAnalysis: vi.fn()
+}));
+
 describe('FinnhubAPI', () => {
   let finnhub;
   const mockApiKey = 'test-finnhub-key';
@@ -52,6 +58,17 @@ describe('FinnhubAPI', () => {
       expect(result).toEqual(mockResponse.earningsCalendar);
     });
 
+    it('returns share-class tickers in canonical format', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ earningsCalendar: [{ symbol: 'BRK-B', date: '2025-05-03' }] })
+      });
+
+      const result = await finnhub.getEarningsCalendar('2025-05-01', '2025-05-05');
+
+      expect(result[0].symbol).toBe('BRK.B');
+    });
+
     it('should handle API errors gracefully', async () => {
       fetch.mockResolvedValueOnce({
         ok: false,
@@ -218,4 +235,110 @@ describe('FinnhubAPI', () => {
         .rejects.toThrow('Finnhub API error: 401 Unauthorized');
     });
   });
-});
\ No newline at end of file
+});
+
+describe('getEarningsOpportunities', () => {
+  const reportDate = new Date(Date.now() + 10 * 86400000).toISOString().split('T')[0];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ earningsCalendar: [{ symbol: 'AAPL', date: reportDate, hour: 'amc' }] })
+    });
+    getBulkVolatilityAnalysis.mockResolvedValue({
+      AAPL: { currentPrice: 200, historicalVolatility: 30, volatilityScore: 72 }
+    });
+  });
+
+  it('analyzes volatility whenever a provider serves quotes, with or without an Alpha Vantage key', async () => {
+    const providers = { supports: capability => capability === 'quote' };
+
+    const opportunities = await getEarningsOpportunities('finnhub-key', null, { providers });
+
+    expect(getBulkVolatilityAnalysis).toHaveBeenCalledWith(['AAPL'], null, 'finnhub-key', expect.any(Object));
+    expect(opportunities[0].volatilityData.currentPrice).toBe(200);
+    expect(opportunities[0].isSynthetic).toBe(false);
+  });
+
+  it('falls back to basic earnings data when no provider serves quotes', async () => {
+    const providers = { supports: () => false };
+
+    const opportunities = await getEarningsOpportunities('finnhub-key', 'av-key', { providers });
+
+    expect(getBulkVolatilityAnalysis).not.toHaveBeenCalled();
+    expect(opportunities[0].isSynthetic).toBe(true);
+  });
+});
+
+describe('createMockEnhancedOpportunity', () => {
+  const event = { symbol: 'AAPL', date: '2025-01-30', hour: 'amc' };
+  const fromDate = new Date('2025-01-15T00:00:00Z');
+
+  it('produces the same numbers for the same event and flags them as synthetic', () => {
+    const first = createMockEnhancedOpportunity(event, fromDate);
+    const second = createMockEnhancedOpportunity(event, fromDate);
+
+    expect(first).toEqual(second);
+    expect(first.isSynthetic).toBe(true);
+    expect(first.volatilityData.isSynthetic).toBe(true);
+    expect(first.qualityScore).toBeGreaterThanOrEqual(40);
+    expect(first.qualityScore).toBeLessThan(80);
+    expect(first.volatilityData.provenance.price).toMatchObject({ source: 'estimated', estimated: true });
+  });
+});
+
+describe('excludeSyntheticOpportunities', () => {
+  const opportunities = [{ symbol: 'AAPL', isSynthetic: false }, { symbol: 'MSFT', isSynthetic: true }];
+
+  it('drops synthetic opportunities by default', () => {
+    expect(excludeSyntheticOpportunities(opportunities)).toEqual({
+      opportunities: [{ symbol: 'AAPL', isSynthetic: false }],
+      excluded: 1
+    });
+  });
+
+  it('keeps them when explicitly allowed', () => {
+    expect(excludeSyntheticOpportunities(opportunities, { allowSynthetic: true }).excluded).toBe(0);
+  });
+});
+
+describe('excludeEstimatedOpportunities', () => {
+  const field = (source) => ({ value: 1, source, asOf: null, estimated: source === 'estimated' });
+  const opportunity = (symbol, ivSource, extra = {}) => ({
+    symbol,
+    volatilityData: { provenance: { price: field('yahoo-quote'), impliedVolatility: field(ivSource) } },
+    ...extra
+  });
+
+  it('drops opportunities whose required fields are estimated', () => {
+    const result = excludeEstimatedOpportunities(
+      [opportunity('AAPL', 'tradier-chain'), opportunity('MSFT', 'estimated')],
+      { requiredFields: ['price', 'impliedVolatility'] }
+    );
+
+    expect(result.opportunities.map(opp => opp.symbol)).toEqual(['AAPL']);
+    expect(result.excluded).toBe(1);
+    expect(result.reasons).toEqual({ MSFT: ['impliedVolatility'] });
+  });
+
+  it('keeps everything when no fields are required', () => {
+    expect(excludeEstimatedOpportunities([opportunity('MSFT', 'estimated')], { requiredFields: [] }).excluded).toBe(0);
+  });
+
+  it('leaves synthetic opportunities to the synthetic-data switch', () => {
+    const synthetic = opportunity('MSFT', 'estimated', { isSynthetic: true });
+
+    expect(excludeEstimatedOpportunities([synthetic]).opportunities).toEqual([synthetic]);
+  });
+});
+
+describe('classifyMarketRegime', () => {
+  it('maps VIX levels to regimes', () => {
+    expect(classifyMarketRegime(35)).toBe('high-volatility');
+    expect(classifyMarketRegime(22)).toBe('elevated-volatility');
+    expect(classifyMarketRegime(17)).toBe('normal');
+    expect(classifyMarketRegime(12)).toBe('low-volatility');
+    expect(classifyMarketRegime(null)).toBe('unknown');
+  });
+});
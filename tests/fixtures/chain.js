@@ -0,0 +1,28 @@
+// Option chains priced off Black-Scholes so quotes are internally consistent
+// Shared by the chain-analysis tests (strategies, volatility surface)
+import { blackScholes } from '../../src/pricing.js';
+
+// AMC report on Tuesday 2025-01-14, scanned the Friday before; the front expiration is that week's Friday
+export const CHAIN_CONTEXT = {
+  underlyingPrice: 100,
+  earningsDate: '2025-01-14',
+  earningsTiming: 'amc',
+  now: new Date('2025-01-10T15:00:00Z')
+};
+
+// Strikes 80-120 every 2.5 on a $100 underlying; `skew(strike)` adds vol points to the ATM IV of each expiration
+export function buildChain(expirations = { '2025-01-17': 50, '2025-02-21': 35 }, skew = () => 0) {
+  const contracts = [];
+  for (const [expiration, atmIV] of Object.entries(expirations)) {
+    const daysToExpiration = Math.ceil((Date.parse(`${expiration}T21:00:00Z`) - CHAIN_CONTEXT.now.getTime()) / 86400000);
+    for (let strike = 80; strike <= 120; strike += 2.5) {
+      const impliedVolatility = atmIV + skew(strike);
+      for (const type of ['call', 'put']) {
+        const { price } = blackScholes({ spot: 100, strike, daysToExpiration, impliedVolatility, type });
+        const mid = Math.max(0.05, Math.round(price * 100) / 100);
+        contracts.push({ type, expiration, strike, mid, bid: mid - 0.05, ask: mid + 0.05, impliedVolatility });
+      }
+    }
+  }
+  return { symbol: 'AAPL', source: 'yahoo', expirations: Object.keys(expirations), contracts };
+}
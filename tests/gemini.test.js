@@ -1,6 +1,7 @@
 import { describe, it, expect } from 'vitest';
 
-import { validateAnalysis } from '../src/gemini.js';
+import { validateAnalysis, createEnhancedPrompt, parseAnalysisResponse } from '../src/gemini.js';
+import { calculatePositionSize } from '../src/position-sizing.js';
 
 describe('validateAnalysis', () => {
   it('accepts a well-formed analysis payload', () => {
@@ -33,3 +34,122 @@ describe('validateAnalysis', () => {
     expect(result.issues).toContain('Inconsistent sentiment and recommendation');
   });
 });
+
+describe('strategy candidates', () => {
+  const condor = {
+    type: 'ironCondor',
+    name: 'Iron Condor',
+    label: 'Iron Condor 185/190/210/215',
+    expiration: '2025-01-17',
+    legs: [
+      { action: 'sell', type: 'put', strike: 190, expiration: '2025-01-17', quantity: 1, price: 1.2 },
+      { action: 'buy', type: 'put', strike: 185, expiration: '2025-01-17', quantity: 1, price: 0.5 },
+      { action: 'sell', type: 'call', strike: 210, expiration: '2025-01-17', quantity: 1, price: 1.1 },
+      { action: 'buy', type: 'call', strike: 215, expiration: '2025-01-17', quantity: 1, price: 0.4 }
+    ],
+    premiumType: 'credit',
+    premium: 1.4,
+    maxProfit: 1.4,
+    maxLoss: 3.6,
+    breakevens: [188.6, 211.4],
+    probabilityOfProfit: 71.2
+  };
+  const opportunity = {
+    symbol: 'AAPL',
+    date: '2025-01-14',
+    daysToEarnings: 4,
+    qualityScore: 70,
+    volatilityData: {
+      currentPrice: 200,
+      strategyCandidates: { expiration: '2025-01-17', candidates: [condor] }
+    }
+  };
+
+  it('asks the model to choose among the computed candidates', () => {
+    const prompt = createEnhancedPrompt(opportunity, {});
+
+    expect(prompt).toContain('Strategy Candidates (computed from the 2025-01-17 chain, per share):');
+    expect(prompt).toContain('- Iron Condor 185/190/210/215 exp 2025-01-17 | credit $1.40 | max loss $3.60 | max profit $1.40 | BE $188.60/$211.40 | POP 71%');
+    expect(prompt).toContain('choose 1-2 of the Strategy Candidates above');
+    expect(prompt).not.toContain('POP: [%]');
+  });
+
+  it('passes the computed term structure and skew into the prompt', () => {
+    const surface = {
+      expiration: '2025-01-17',
+      backExpiration: '2025-02-21',
+      termStructure: { frontIV: 62, backIV: 38, spread: 24, ratio: 1.63 },
+      skew: { putStrike: 190, putIV: 68, callStrike: 210, callIV: 62, riskReversal: 6 },
+      smile: null
+    };
+    const prompt = createEnhancedPrompt({ ...opportunity, volatilityData: { currentPrice: 200, volatilitySurface: surface } }, {});
+
+    expect(prompt).toContain('Vol Surface (computed): Term 62.0% vs 38.0% (2025-02-21): +24.0 pts, 1.63x | 25Δ skew: put 68.0% @ 190 / call 62.0% @ 210, RR +6.0');
+    expect(createEnhancedPrompt(opportunity, {})).toContain('Vol Surface (computed): N/A (no options chain)');
+  });
+
+  it('passes the 52-week IV rank and percentile into the prompt', () => {
+    const volatilityData = {
+      currentPrice: 200,
+      impliedVolatility: 48,
+      impliedVolatilityRank: 78.9,
+      impliedVolatilityPercentile: 75,
+      ivHistory: { sampleSize: 40 }
+    };
+
+    expect(createEnhancedPrompt({ ...opportunity, volatilityData }, {})).toContain('IV Rank: 79 rank / 75 pct (52w, 40 snapshots)');
+    expect(createEnhancedPrompt({ ...opportunity, volatilityData: { currentPrice: 200, ivHistory: { sampleSize: 12 } } }, {}))
+      .toContain('IV Rank: N/A (12/20 snapshots)');
+  });
+
+  it('passes index trends, the sector ETF and the macro calendar into the prompt', () => {
+    const marketContext = {
+      vix: 18.5,
+      marketRegime: 'normal',
+      vixTermStructure: { vix9d: 17.2, vix: 18.5, vix3m: 20.1, ratio: 1.09, shape: 'contango' },
+      indexes: [{ symbol: 'SPY', changePercent: 0.42, trend: 'uptrend' }],
+      sectors: [{ sector: 'Information Technology', etf: 'XLK', symbols: ['AAPL'], changePercent: 0.8, fiveDayChange: 2.1, relativeToMarket: 1 }],
+      macroEvents: [{ type: 'CPI', date: '2025-01-15', daysAway: 1, estimated: false }]
+    };
+    const prompt = createEnhancedPrompt(opportunity, marketContext);
+
+    expect(prompt).toContain('Market: SPY +0.4% (uptrend) | VIX 9D/30D/3M 17.2/18.5/20.1 (contango) | Macro (next 14d): CPI Jan 15 (1d)');
+    expect(prompt).toContain('Sector: Information Technology (XLK) +0.8% today, +2.1% 5d (+1.0 vs SPY)');
+    expect(createEnhancedPrompt({ ...opportunity, symbol: 'JPM' }, marketContext)).toContain('Sector: N/A');
+  });
+
+  it('falls back to generic strategy types without a chain', () => {
+    const prompt = createEnhancedPrompt({ ...opportunity, volatilityData: { currentPrice: 200 } }, {});
+
+    expect(prompt).toContain('Strategy Candidates: N/A (no options chain)');
+    expect(prompt).toContain('Do not state strikes, POP, breakevens or dollar risk');
+  });
+
+  it('links chosen strategies to their candidate', () => {
+    const analysis = parseAnalysisResponse(
+      '**SENTIMENT SCORE:** 7\n\n**RECOMMENDATION:** STRONGLY CONSIDER\n\n**STRATEGIES:**\n1. **Iron Condor 185/190/210/215** - Why: rich straddle, Entry: day before\n2. **Covered Call** - Entry: now\n',
+      opportunity
+    );
+
+    expect(analysis.strategies[0].candidate).toBe(condor);
+    expect(analysis.strategies[1]).toMatchObject({ name: 'Covered Call', candidate: null });
+  });
+
+  it('passes computed position sizing into the prompt and the analysis', () => {
+    const sized = { ...condor, sizing: calculatePositionSize(condor, { accountSize: 25000, maxRiskPerTrade: 2, maxPortfolioHeat: 6 }) };
+    const sizedOpportunity = {
+      ...opportunity,
+      volatilityData: { currentPrice: 200, strategyCandidates: { expiration: '2025-01-17', candidates: [sized] } }
+    };
+
+    const prompt = createEnhancedPrompt(sizedOpportunity, {});
+    expect(prompt).toContain('per share; sizing for a $25,000 account, 2% max risk per trade, 6% portfolio heat');
+    expect(prompt).toContain('| Size: 1 contract per $18k account · 1 on $25k: $360 at risk (1.4%), 4 such trades fit 6% heat');
+
+    const analysis = parseAnalysisResponse(
+      '**STRATEGIES:**\n1. **Iron Condor 185/190/210/215** - Why: rich straddle\n\n**POSITION SIZING:** 5 contracts',
+      sizedOpportunity
+    );
+    expect(analysis.positionSizing).toBe('Iron Condor: 1 contract per $18k account · 1 on $25k: $360 at risk (1.4%), 4 such trades fit 6% heat');
+  });
+});
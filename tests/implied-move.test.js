@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { calculateStraddleImpliedMove } from '../src/implied-move.js';
+
+const contract = (type, expiration, strike, bid, ask, last = null) => ({
+  type,
+  expiration,
+  strike,
+  bid,
+  ask,
+  mid: bid != null && ask != null ? (bid + ask) / 2 : null,
+  last
+});
+
+const chain = {
+  source: 'yahoo',
+  expirations: ['2025-01-10', '2025-01-17', '2025-01-24'],
+  contracts: [
+    contract('call', '2025-01-10', 100, 1.9, 2.1),
+    contract('put', '2025-01-10', 100, 1.9, 2.1),
+    contract('call', '2025-01-17', 95, 7.9, 8.1),
+    contract('call', '2025-01-17', 100, 4.9, 5.1),
+    contract('put', '2025-01-17', 100, 3.9, 4.1),
+    contract('put', '2025-01-17', 105, 6.9, 7.1),
+    contract('call', '2025-01-24', 100, null, null, 6.5),
+    contract('put', '2025-01-24', 100, 0, 0, 5.5)
+  ]
+};
+
+describe('calculateStraddleImpliedMove', () => {
+  const now = new Date('2025-01-06T15:00:00Z');
+
+  it('prices the ATM straddle on the first expiration after earnings', () => {
+    const move = calculateStraddleImpliedMove(chain, { earningsDate: '2025-01-14', underlyingPrice: 100.5, now });
+
+    expect(move).toMatchObject({
+      expiration: '2025-01-17',
+      strike: 100,
+      callPrice: 5,
+      putPrice: 4,
+      straddlePrice: 9,
+      move: 9,
+      movePercent: 8.96,
+      daysToExpiration: 12,
+      tradingDaysToExpiration: 8, // Jan 9 2025 was a market closure
+      source: 'yahoo'
+    });
+  });
+
+  it('skips an expiration on the earnings date itself', () => {
+    const move = calculateStraddleImpliedMove(chain, { earningsDate: '2025-01-10', underlyingPrice: 100, now });
+
+    expect(move.expiration).toBe('2025-01-17');
+  });
+
+  it('uses the report-day expiration when earnings come before the open', () => {
+    const move = calculateStraddleImpliedMove(chain, { earningsDate: '2025-01-10', earningsTiming: 'bmo', underlyingPrice: 100, now });
+
+    expect(move.expiration).toBe('2025-01-10');
+  });
+
+  it('falls back to last trade prices when there is no usable quote', () => {
+    const move = calculateStraddleImpliedMove(chain, { earningsDate: '2025-01-20', underlyingPrice: 100, now });
+
+    expect(move.straddlePrice).toBe(12);
+    expect(move.movePercent).toBe(12);
+  });
+
+  it('returns null without a chain, earnings date or post-earnings expiration', () => {
+    expect(calculateStraddleImpliedMove(null, { earningsDate: '2025-01-14', underlyingPrice: 100, now })).toBeNull();
+    expect(calculateStraddleImpliedMove(chain, { underlyingPrice: 100, now })).toBeNull();
+    expect(calculateStraddleImpliedMove(chain, { earningsDate: '2025-02-01', underlyingPrice: 100, now })).toBeNull();
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import IVHistoryStore, { calculateIVStatistics, formatIVRankMetrics, MIN_SNAPSHOTS } from '../src/iv-history.js';
+import { MemoryStorage } from '../src/storage.js';
+
+const buildHistory = (values, start = '2024-01-01') => values.map((impliedVolatility, index) => ({
+  date: new Date(Date.parse(`${start}T00:00:00Z`) + index * 86400000).toISOString().split('T')[0],
+  impliedVolatility,
+  source: 'yahoo-chain'
+}));
+
+describe('calculateIVStatistics', () => {
+  it('calculates 52-week IV rank and IV percentile on a 0-100 scale', () => {
+    // 20..39 -> low 20, high 39
+    const history = buildHistory(Array.from({ length: 20 }, (_, i) => 20 + i));
+
+    const stats = calculateIVStatistics(history, 35);
+
+    expect(stats.high).toBe(39);
+    expect(stats.low).toBe(20);
+    expect(stats.ivRank).toBeCloseTo(78.9, 1);
+    expect(stats.ivPercentile).toBe(75);
+    expect(stats.sampleSize).toBe(20);
+    expect(stats.coverageDays).toBe(19);
+  });
+
+  it('ignores snapshots older than 52 weeks', () => {
+    const old = buildHistory([90], '2022-06-01');
+    const recent = buildHistory(Array.from({ length: MIN_SNAPSHOTS }, () => 30), '2024-01-01');
+
+    const stats = calculateIVStatistics([...old, ...recent], 30);
+
+    expect(stats.high).toBe(30);
+    expect(stats.sampleSize).toBe(MIN_SNAPSHOTS);
+  });
+
+  it('withholds rank and percentile until enough snapshots exist', () => {
+    const stats = calculateIVStatistics(buildHistory([25, 30, 35]), 30);
+
+    expect(stats.ivRank).toBeNull();
+    expect(stats.ivPercentile).toBeNull();
+    expect(stats.sampleSize).toBe(3);
+    expect(stats.high).toBe(35);
+  });
+});
+
+describe('formatIVRankMetrics', () => {
+  it('reports rank and percentile per opportunity, or the snapshot count while the history fills', () => {
+    const metrics = formatIVRankMetrics([
+      { symbol: 'AAPL', volatilityData: { impliedVolatilityRank: 78.9, impliedVolatilityPercentile: 75, ivHistory: { sampleSize: 40 } } },
+      { symbol: 'MSFT', volatilityData: { impliedVolatilityRank: null, ivHistory: { sampleSize: 3 } } },
+      { symbol: 'NVDA', volatilityData: {} },
+      { symbol: 'TSLA' }
+    ]);
+
+    expect(metrics).toEqual({
+      ivRankAAPL: '79 rank / 75 pct (52w, 40 snapshots)',
+      ivRankMSFT: 'N/A (3/20 snapshots)',
+      ivRankNVDA: 'N/A'
+    });
+  });
+});
+
+describe('IVHistoryStore', () => {
+  it('keeps one snapshot per day in date order', async () => {
+    const store = new IVHistoryStore(new MemoryStorage());
+
+    await store.record('AAPL', { date: '2024-01-02', impliedVolatility: 30, source: 'yahoo-chain' });
+    await store.record('AAPL', { date: '2024-01-01', impliedVolatility: 28, source: 'yahoo-chain' });
+    await store.record('AAPL', { date: '2024-01-02', impliedVolatility: 31, source: 'yahoo-chain' });
+
+    expect(await store.getHistory('AAPL')).toEqual([
+      { date: '2024-01-01', impliedVolatility: 28, source: 'yahoo-chain' },
+      { date: '2024-01-02', impliedVolatility: 31, source: 'yahoo-chain' }
+    ]);
+    expect(await store.getHistory('MSFT')).toEqual([]);
+  });
+});
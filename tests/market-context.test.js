@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getMarketContext,
+  summarizeTrend,
+  summarizeVixTermStructure,
+  summarizeSector,
+  getUpcomingMacroEvents,
+  jobsReportDate,
+  formatMarketContext,
+  formatSectorContext,
+  formatMacroEvents
+} from '../src/market-context.js';
+
+// Daily bars from a list of closes, oldest first
+function bars(closes) {
+  return closes.map((close, i) => ({ date: `2025-01-${String(i + 1).padStart(2, '0')}`, close }));
+}
+
+function rising(count, start = 100, step = 1) {
+  return bars(Array.from({ length: count }, (_, i) => start + i * step));
+}
+
+describe('summarizeTrend', () => {
+  it('reports the daily change and an uptrend above rising averages', () => {
+    const trend = summarizeTrend('SPY', rising(60));
+
+    expect(trend).toMatchObject({ symbol: 'SPY', price: 159, changePercent: 0.63, sma20: 149.5, sma50: 134.5, trend: 'uptrend' });
+  });
+
+  it('reports a downtrend below falling averages and mixed without enough bars', () => {
+    expect(summarizeTrend('IWM', rising(60, 200, -1)).trend).toBe('downtrend');
+    expect(summarizeTrend('QQQ', rising(10))).toMatchObject({ sma50: null, trend: 'mixed' });
+    expect(summarizeTrend('QQQ', rising(1))).toBeNull();
+  });
+});
+
+describe('summarizeVixTermStructure', () => {
+  it('classifies contango, backwardation and a flat curve', () => {
+    expect(summarizeVixTermStructure({ vix9d: 14, vix: 15, vix3m: 17 })).toEqual({ vix9d: 14, vix: 15, vix3m: 17, ratio: 1.13, shape: 'contango' });
+    expect(summarizeVixTermStructure({ vix9d: 32, vix: 28, vix3m: 24 }).shape).toBe('backwardation');
+    expect(summarizeVixTermStructure({ vix: 20, vix3m: 20.2 })).toMatchObject({ vix9d: null, shape: 'flat' });
+  });
+
+  it('needs the VIX and VIX3M', () => {
+    expect(summarizeVixTermStructure({ vix9d: 14, vix: 15 })).toBeNull();
+  });
+});
+
+describe('summarizeSector', () => {
+  it('compares the 5-day change with SPY', () => {
+    const sector = summarizeSector('Information Technology', 'XLK', bars([100, 101, 102, 103, 104, 106]), bars([100, 100, 100, 100, 101, 102]), ['AAPL']);
+
+    expect(sector).toEqual({
+      sector: 'Information Technology',
+      etf: 'XLK',
+      symbols: ['AAPL'],
+      changePercent: 1.92,
+      fiveDayChange: 6,
+      relativeToMarket: 4
+    });
+  });
+
+  it('needs six bars and leaves the comparison out without SPY', () => {
+    expect(summarizeSector('Energy', 'XLE', rising(5))).toBeNull();
+    expect(summarizeSector('Energy', 'XLE', rising(6)).relativeToMarket).toBeNull();
+  });
+});
+
+describe('macro calendar', () => {
+  it('derives the jobs report from the BLS rule', () => {
+    expect(jobsReportDate(2025, 2)).toBe('2025-02-07');
+    expect(jobsReportDate(2025, 3)).toBe('2025-03-07');
+    // Friday July 3 2026 is the Independence Day holiday
+    expect(jobsReportDate(2026, 7)).toBe('2026-07-02');
+  });
+
+  it('lists FOMC, CPI and jobs releases in the lookahead window', () => {
+    const events = getUpcomingMacroEvents(new Date('2025-10-20T14:00:00Z'), 20);
+
+    expect(events.map(event => `${event.type} ${event.date} ${event.daysAway}`)).toEqual([
+      'CPI 2025-10-24 4',
+      'FOMC 2025-10-29 9',
+      'Jobs 2025-11-07 18'
+    ]);
+    expect(events[2].estimated).toBe(true);
+    expect(formatMacroEvents(events)).toBe('CPI Oct 24 (4d), FOMC Oct 29 (9d), Jobs Nov 7 (est.) (18d)');
+    expect(formatMacroEvents([])).toBe('none scheduled');
+  });
+});
+
+describe('getMarketContext', () => {
+  it('gathers indexes, the VIX curve and the sectors of the opportunities from the registry', async () => {
+    const closes = { '^VIX9D': 14, '^VIX': 15, '^VIX3M': 17 };
+    const requested = [];
+    const providers = {
+      request: async (capability, symbol) => {
+        requested.push(symbol);
+        if (symbol === 'IWM') throw new Error('rate limited');
+        return { data: { prices: closes[symbol] ? bars([closes[symbol]]) : rising(60) }, source: 'yahoo' };
+      }
+    };
+
+    const context = await getMarketContext(null, {
+      providers,
+      opportunities: [{ symbol: 'AAPL' }, { symbol: 'MSFT' }, { symbol: 'JPM' }],
+      now: new Date('2025-10-20T14:00:00Z')
+    });
+
+    expect(requested).toEqual(['SPY', 'QQQ', 'IWM', '^VIX9D', '^VIX', '^VIX3M', 'XLK', 'XLF']);
+    expect(context.vix).toBe(15);
+    expect(context.marketRegime).toBe('normal');
+    expect(context.vixTermStructure.shape).toBe('contango');
+    expect(context.indexes.map(index => index.symbol)).toEqual(['SPY', 'QQQ']);
+    expect(context.sectors.map(sector => `${sector.etf}: ${sector.symbols.join(',')}`)).toEqual(['XLK: AAPL,MSFT', 'XLF: JPM']);
+    expect(context.macroEvents.map(event => event.type)).toEqual(['CPI', 'FOMC']);
+
+    expect(formatMarketContext(context)).toBe(
+      'SPY +0.6% (uptrend) | QQQ +0.6% (uptrend) | VIX 9D/30D/3M 14.0/15.0/17.0 (contango) | Macro (next 14d): CPI Oct 24 (4d), FOMC Oct 29 (9d)'
+    );
+    expect(formatSectorContext(context, 'MSFT')).toBe('Information Technology (XLK) +0.6% today, +3.3% 5d (+0.0 vs SPY)');
+    expect(formatSectorContext(context, 'TSLA')).toBe('N/A');
+  });
+
+  it('returns an empty context without a registry or API key', async () => {
+    const context = await getMarketContext(null, { now: new Date('2025-10-20T14:00:00Z') });
+
+    expect(context).toMatchObject({ vix: null, vixTermStructure: null, indexes: [], sectors: [] });
+    expect(formatMarketContext(null)).toBe('N/A');
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { round, toNumber } from '../src/math.js';
+
+describe('round', () => {
+  it('rounds to two decimals by default and returns a number', () => {
+    expect(round(1.23456)).toBe(1.23);
+    expect(round(-0.456)).toBe(-0.46);
+    expect(round(17.5)).toBe(17.5);
+  });
+
+  it('takes the number of decimals', () => {
+    expect(round(31.2345, 1)).toBe(31.2);
+    expect(round(2.34567, 4)).toBe(2.3457);
+    expect(round(340.4, 0)).toBe(340);
+  });
+});
+
+describe('toNumber', () => {
+  it('parses numbers and numeric strings', () => {
+    expect(toNumber(4.2)).toBe(4.2);
+    expect(toNumber('176.45')).toBe(176.45);
+    expect(toNumber(0)).toBe(0);
+  });
+
+  it('returns null for blanks and non-numeric values', () => {
+    expect(toNumber(null)).toBeNull();
+    expect(toNumber(undefined)).toBeNull();
+    expect(toNumber('')).toBeNull();
+    expect(toNumber('n/a')).toBeNull();
+    expect(toNumber(Infinity)).toBeNull();
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import OptionsChainService, {
+  normalizeYahooChain,
+  normalizeAlphaVantageChain,
+  selectExpirations,
+  selectBackExpiration,
+  findAtmStrike,
+  calculateAtmImpliedVolatility,
+  contractPrice,
+  summarizeChain
+} from '../src/options-chain.js';
+
+// Mock fetch for API calls
+global.fetch = vi.fn();
+
+const epoch = (date) => Math.floor(Date.parse(`${date}T00:00:00Z`) / 1000);
+
+const yahooOptionsResponse = (expiration, expirations) => ({
+  optionChain: {
+    result: [
+      {
+        underlyingSymbol: 'AAPL',
+        expirationDates: expirations.map(epoch),
+        quote: { regularMarketPrice: 101 },
+        options: [
+          {
+            expirationDate: epoch(expiration),
+            calls: [
+              { contractSymbol: 'C95', strike: 95, bid: 7, ask: 7.4, lastPrice: 7.2, impliedVolatility: 0.33, openInterest: 100, volume: 10, expiration: epoch(expiration) },
+              { contractSymbol: 'C100', strike: 100, bid: 3.9, ask: 4.1, lastPrice: 4, impliedVolatility: 0.3, openInterest: 500, volume: 50, expiration: epoch(expiration) },
+              { contractSymbol: 'C105', strike: 105, bid: 1.9, ask: 2.1, lastPrice: 2, impliedVolatility: 0.28, openInterest: 300, volume: 20, expiration: epoch(expiration) }
+            ],
+            puts: [
+              { contractSymbol: 'P100', strike: 100, bid: 2.9, ask: 3.1, lastPrice: 3, impliedVolatility: 0.32, openInterest: 400, volume: 40, expiration: epoch(expiration) }
+            ]
+          }
+        ]
+      }
+    ]
+  }
+});
+
+describe('normalizeYahooChain', () => {
+  it('normalizes contracts into the shared shape with IV in percent', () => {
+    const chain = normalizeYahooChain(yahooOptionsResponse('2025-01-17', ['2025-01-17']), 'AAPL');
+
+    expect(chain.source).toBe('yahoo');
+    expect(chain.underlyingPrice).toBe(101);
+    expect(chain.expirations).toEqual(['2025-01-17']);
+    expect(chain.contracts).toHaveLength(4);
+    expect(chain.contracts[1]).toMatchObject({
+      type: 'call',
+      expiration: '2025-01-17',
+      strike: 100,
+      bid: 3.9,
+      ask: 4.1,
+      mid: 4,
+      impliedVolatility: 30,
+      openInterest: 500,
+      volume: 50
+    });
+  });
+
+  it('returns null for payloads without a chain', () => {
+    expect(normalizeYahooChain({ optionChain: { result: [] } }, 'AAPL')).toBeNull();
+    expect(normalizeYahooChain(null, 'AAPL')).toBeNull();
+  });
+});
+
+describe('normalizeAlphaVantageChain', () => {
+  it('coerces string fields and keeps greeks', () => {
+    const chain = normalizeAlphaVantageChain({
+      data: [
+        { contractID: 'AAPL250117C00100000', symbol: 'AAPL', expiration: '2025-01-17', strike: '100.00', type: 'call', last: '4.00', bid: '3.90', ask: '4.10', volume: '50', open_interest: '500', date: '2025-01-03', implied_volatility: '0.30', delta: '0.52', gamma: '0.04', theta: '-0.05', vega: '0.11' },
+        { contractID: 'AAPL250117P00100000', symbol: 'AAPL', expiration: '2025-01-17', strike: '100.00', type: 'put', last: '3.00', bid: '2.90', ask: '3.10', volume: '40', open_interest: '400', date: '2025-01-03', implied_volatility: '0.32', delta: '-0.48', gamma: '0.04', theta: '-0.05', vega: '0.11' }
+      ]
+    }, 'AAPL');
+
+    expect(chain.source).toBe('alphavantage');
+    expect(chain.expirations).toEqual(['2025-01-17']);
+    expect(chain.contracts[0]).toMatchObject({ strike: 100, impliedVolatility: 30, delta: 0.52, openInterest: 500 });
+    expect(chain.contracts[1].type).toBe('put');
+  });
+
+  it('returns null for premium/rate-limit messages', () => {
+    expect(normalizeAlphaVantageChain({ Information: 'premium endpoint' }, 'AAPL')).toBeNull();
+  });
+});
+
+describe('selectExpirations', () => {
+  const expirations = ['2025-01-03', '2025-01-10', '2025-01-17', '2025-01-24', '2025-02-21'];
+
+  it('picks the nearest monthly as front month and the first expiration after earnings', () => {
+    const result = selectExpirations(expirations, {
+      earningsDate: '2025-01-10',
+      now: new Date('2025-01-02T15:00:00Z')
+    });
+
+    expect(result).toEqual({ frontMonth: '2025-01-17', postEarnings: '2025-01-17' });
+  });
+
+  it('keeps the report-day expiration for pre-market reports only', () => {
+    const now = new Date('2025-01-02T15:00:00Z');
+
+    expect(selectExpirations(expirations, { earningsDate: '2025-01-10', earningsTiming: 'bmo', now }).postEarnings).toBe('2025-01-10');
+    expect(selectExpirations(expirations, { earningsDate: '2025-01-10', earningsTiming: 'amc', now }).postEarnings).toBe('2025-01-17');
+  });
+
+  it('ignores expired dates and returns null post-earnings without a date', () => {
+    const result = selectExpirations(expirations, { now: new Date('2025-01-18T15:00:00Z') });
+
+    expect(result).toEqual({ frontMonth: '2025-02-21', postEarnings: null });
+  });
+});
+
+describe('selectBackExpiration', () => {
+  const chain = {
+    contracts: ['2025-01-17', '2025-01-24', '2025-02-21'].map(expiration => ({ type: 'call', strike: 100, expiration }))
+  };
+
+  it('picks the first loaded expiration at least the gap after the reference', () => {
+    expect(selectBackExpiration(chain, '2025-01-17')).toBe('2025-01-24');
+    expect(selectBackExpiration(chain, '2025-01-17', 14)).toBe('2025-02-21');
+  });
+
+  it('returns null when no later expiration is loaded', () => {
+    expect(selectBackExpiration(chain, '2025-02-21')).toBeNull();
+    expect(selectBackExpiration(null, '2025-01-17')).toBeNull();
+  });
+});
+
+describe('ATM helpers', () => {
+  const chain = normalizeYahooChain(yahooOptionsResponse('2025-01-17', ['2025-01-17']), 'AAPL');
+
+  it('finds the strike closest to the underlying', () => {
+    expect(findAtmStrike(chain, '2025-01-17', 101)).toBe(100);
+    expect(findAtmStrike(chain, '2025-01-17', 104)).toBe(105);
+  });
+
+  it('prices contracts at the mid, falling back to the last trade', () => {
+    expect(contractPrice({ mid: 2.5, last: 2.4 })).toBe(2.5);
+    expect(contractPrice({ mid: null, last: 2.4 })).toBe(2.4);
+    expect(contractPrice({ mid: 0, last: 0 })).toBeNull();
+    expect(contractPrice(null)).toBeNull();
+  });
+
+  it('averages call and put IV at the ATM strike', () => {
+    expect(calculateAtmImpliedVolatility(chain, '2025-01-17', 101)).toBe(31);
+  });
+
+  it('summarizes front-month and post-earnings expirations', () => {
+    const summary = summarizeChain(chain, {
+      underlyingPrice: 101,
+      earningsDate: '2025-01-10',
+      now: new Date('2025-01-02T15:00:00Z')
+    });
+
+    expect(summary.source).toBe('yahoo');
+    expect(summary.frontMonth).toEqual({ expiration: '2025-01-17', atmStrike: 100, atmImpliedVolatility: 31 });
+    expect(summary.postEarnings.expiration).toBe('2025-01-17');
+  });
+});
+
+describe('OptionsChainService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('loads the post-earnings expiration when it is not the default one', async () => {
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(yahooOptionsResponse('2099-01-09', ['2099-01-09', '2099-01-16'])) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(yahooOptionsResponse('2099-01-16', ['2099-01-09', '2099-01-16'])) });
+
+    const service = new OptionsChainService();
+    const chain = await service.getChain('AAPL', { earningsDate: '2099-01-12' });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[1][0]).toContain(`?date=${epoch('2099-01-16')}`);
+    expect(new Set(chain.contracts.map(contract => contract.expiration))).toEqual(new Set(['2099-01-09', '2099-01-16']));
+  });
+
+  it('falls back to Alpha Vantage when Yahoo fails', async () => {
+    fetch.mockRejectedValueOnce(new Error('Yahoo down'));
+    const alphaVantage = {
+      getOptionsChain: vi.fn().mockResolvedValue({
+        data: [{ contractID: 'X', symbol: 'AAPL', expiration: '2099-01-16', strike: '100', type: 'call', bid: '1', ask: '1.2', implied_volatility: '0.4', date: '2099-01-02' }]
+      })
+    };
+
+    const service = new OptionsChainService({ alphaVantage });
+    const chain = await service.getChain('AAPL');
+
+    expect(alphaVantage.getOptionsChain).toHaveBeenCalledWith('AAPL');
+    expect(chain.source).toBe('alphavantage');
+  });
+
+  it('returns null when no source has a chain', async () => {
+    fetch.mockRejectedValueOnce(new Error('Yahoo down'));
+
+    const service = new OptionsChainService();
+
+    expect(await service.getChain('AAPL')).toBeNull();
+  });
+});
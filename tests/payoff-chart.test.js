@@ -0,0 +1,98 @@
+import { describe, it, expect, vi } from 'vitest';
+import renderPayoffChart, {
+  computePayoffCurve,
+  attachPayoffCharts,
+  PayoffChartStore,
+  createChartId,
+  isValidChartId,
+  CHART_DISPLAY_SIZE
+} from '../src/payoff-chart.js';
+import { analyzeCandidate } from '../src/strategies.js';
+import { MemoryStorage } from '../src/storage.js';
+
+const condor = analyzeCandidate('ironCondor', [
+  { action: 'sell', type: 'put', strike: 95, expiration: '2025-01-17', quantity: 1, price: 1.2 },
+  { action: 'buy', type: 'put', strike: 90, expiration: '2025-01-17', quantity: 1, price: 0.4 },
+  { action: 'sell', type: 'call', strike: 105, expiration: '2025-01-17', quantity: 1, price: 1.1 },
+  { action: 'buy', type: 'call', strike: 110, expiration: '2025-01-17', quantity: 1, price: 0.3 }
+], { spot: 100, daysToExpiration: 7, impliedVolatility: 50 });
+
+const item = (strategies) => ({
+  opportunity: { symbol: 'BRK.B', volatilityData: { currentPrice: 100, impliedEarningsMove: { move: 5 } } },
+  analysis: { strategies }
+});
+
+describe('computePayoffCurve', () => {
+  it('covers the strikes and the expected move around the current price', () => {
+    const curve = computePayoffCurve(condor, { spot: 100, expectedMove: 5, samples: 41 });
+
+    expect(curve.low).toBeCloseTo(87.5, 6);
+    expect(curve.high).toBeCloseTo(112.5, 6);
+    expect(curve.points).toHaveLength(41);
+    expect(curve.points[20].profit).toBeCloseTo(1.6, 6);
+    expect(curve.points[0].profit).toBeCloseTo(1.6 - 5, 6);
+  });
+});
+
+describe('renderPayoffChart', () => {
+  it('renders a PNG at twice the display size', async () => {
+    const png = await renderPayoffChart(condor, { spot: 100, expectedMove: 5 });
+    const view = new DataView(png.buffer);
+
+    expect(String.fromCharCode(...png.subarray(1, 4))).toBe('PNG');
+    expect(view.getUint32(16)).toBe(CHART_DISPLAY_SIZE.width * 2);
+    expect(view.getUint32(20)).toBe(CHART_DISPLAY_SIZE.height * 2);
+    expect(png.length).toBeLessThan(10000);
+  });
+});
+
+describe('attachPayoffCharts', () => {
+  it('inlines charts without a public URL and skips free-text strategies', async () => {
+    const content = [item([{ name: 'Iron Condor', candidate: condor }, { name: 'Covered Call' }])];
+
+    const result = await attachPayoffCharts(content);
+
+    expect(result).toEqual({ rendered: 1, failed: 0, hosted: false });
+    expect(content[0].analysis.strategies[0].chart).toMatchObject({
+      src: expect.stringMatching(/^data:image\/png;base64,iVBORw0KGgo/),
+      alt: 'BRK.B Iron Condor 90/95/105/110 payoff at expiration',
+      width: 280,
+      height: 90
+    });
+    expect(content[0].analysis.strategies[1].chart).toBeUndefined();
+  });
+
+  it('hosts charts in the store when a public URL is configured', async () => {
+    const store = new PayoffChartStore(new MemoryStorage());
+    const content = [item([{ name: 'Iron Condor', candidate: condor }])];
+
+    await attachPayoffCharts(content, { store, baseUrl: 'https://insight.example.dev', date: '2025-01-10' });
+
+    expect(content[0].analysis.strategies[0].chart.src).toBe('https://insight.example.dev/charts/2025-01-10-brk-b-iron-condor.png');
+    expect((await store.load('2025-01-10-brk-b-iron-condor'))[1]).toBe(80);
+  });
+
+  it('logs and counts charts that fail', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = { save: vi.fn().mockRejectedValue(new Error('KV unavailable')) };
+    const content = [item([{ name: 'Iron Condor', candidate: condor }])];
+
+    expect(await attachPayoffCharts(content, { store, baseUrl: 'https://insight.example.dev' })).toMatchObject({ rendered: 0, failed: 1 });
+    expect(content[0].analysis.strategies[0].chart).toBeUndefined();
+    warn.mockRestore();
+  });
+});
+
+describe('chart ids', () => {
+  it('builds safe ids and rejects anything else', () => {
+    expect(createChartId('2025-01-10', 'BRK.B', 'brokenWingButterfly')).toBe('2025-01-10-brk-b-broken-wing-butterfly');
+    expect(isValidChartId('2025-01-10-aapl-calendar')).toBe(true);
+    expect(isValidChartId('../track-record')).toBe(false);
+  });
+
+  it('returns null for unknown charts', async () => {
+    const store = new PayoffChartStore(new MemoryStorage());
+    expect(await store.load('2025-01-10-aapl-calendar')).toBeNull();
+    expect(await store.load('../secret')).toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { inflateSync } from 'node:zlib';
+import { encodePng, toBase64, fromBase64, crc32 } from '../src/png.js';
+
+describe('encodePng', () => {
+  it('writes a valid indexed PNG', async () => {
+    const pixels = new Uint8Array([0, 1, 1, 0, 1, 0]);
+    const png = await encodePng({ width: 3, height: 2, pixels, palette: ['#ffffff', '#b45f4d'] });
+    const view = new DataView(png.buffer);
+
+    expect([...png.subarray(0, 8)]).toEqual([137, 80, 78, 71, 13, 10, 26, 10]);
+    expect(String.fromCharCode(...png.subarray(12, 16))).toBe('IHDR');
+    expect(view.getUint32(16)).toBe(3);
+    expect(view.getUint32(20)).toBe(2);
+    expect(png[25]).toBe(3);
+
+    // IHDR (25 bytes) then PLTE (12 + 6 bytes) then IDAT
+    const idatStart = 8 + 25 + 18;
+    const idatLength = view.getUint32(idatStart);
+    expect(String.fromCharCode(...png.subarray(idatStart + 4, idatStart + 8))).toBe('IDAT');
+    const scanlines = inflateSync(png.subarray(idatStart + 8, idatStart + 8 + idatLength));
+    expect([...scanlines]).toEqual([0, 0, 1, 1, 0, 0, 1, 0]);
+    expect(view.getUint32(idatStart + 8 + idatLength)).toBe(crc32(png.subarray(idatStart + 4, idatStart + 8 + idatLength)));
+  });
+
+  it('rejects mismatched buffers and bad palettes', async () => {
+    await expect(encodePng({ width: 2, height: 2, pixels: new Uint8Array(3), palette: ['#000000'] })).rejects.toThrow('expected 4');
+    await expect(encodePng({ width: 1, height: 1, pixels: new Uint8Array(1), palette: ['red'] })).rejects.toThrow('Invalid PNG palette color');
+  });
+});
+
+describe('base64 helpers', () => {
+  it('round-trips binary data', () => {
+    const bytes = new Uint8Array([0, 255, 137, 80, 10]);
+    expect(toBase64(bytes)).toBe(Buffer.from(bytes).toString('base64'));
+    expect([...fromBase64(toBase64(bytes))]).toEqual([...bytes]);
+  });
+
+  it('computes the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('IEND'))).toBe(0xae426082);
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import fs from 'fs';
+import PolygonProvider from '../src/providers/polygon.js';
+import { createProviderRegistry } from '../src/providers/registry.js';
+import RateLimiter from '../src/rate-limiter.js';
+import { summarizeChain } from '../src/options-chain.js';
+
+// Mock fetch for API calls
+global.fetch = vi.fn();
+
+const fixture = (name) => JSON.parse(fs.readFileSync(new URL(`./fixtures/polygon/${name}.json`, import.meta.url), 'utf8'));
+const respondWith = (name) => fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(fixture(name)) });
+
+describe('PolygonProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    provider = new PolygonProvider({ apiKey: 'polygon-key' });
+  });
+
+  it('is only available with an API key', () => {
+    expect(provider.isAvailable('quote')).toBe(true);
+    expect(new PolygonProvider().isAvailable('quote')).toBe(false);
+  });
+
+  it('maps the stock snapshot to a quote', async () => {
+    respondWith('stock-snapshot-AAPL');
+
+    const quote = await provider.quote('AAPL');
+
+    expect(quote).toMatchObject({
+      symbol: 'AAPL',
+      price: 176.45,
+      previousClose: 174.93,
+      change: 1.52,
+      changePercent: 0.87,
+      volume: 51234567
+    });
+    expect(fetch.mock.calls[0][0]).toBe('https://api.polygon.io/v2/snapshot/locale/us/markets/stocks/tickers/AAPL?apiKey=polygon-key');
+  });
+
+  it('maps adjusted daily aggregates to bars', async () => {
+    respondWith('aggs-AAPL');
+
+    const history = await provider.history('AAPL', 30);
+
+    expect(history.count).toBe(3);
+    expect(history.prices[0]).toEqual({ date: '2024-05-08', open: 170.9, close: 172.5, high: 173.2, low: 170.4, volume: 50120300 });
+    expect(fetch.mock.calls[0][0]).toContain('adjusted=true');
+  });
+
+  it('follows pagination and normalizes the option snapshot with greeks', async () => {
+    respondWith('options-snapshot-AAPL-page1');
+    respondWith('options-snapshot-AAPL-page2');
+
+    const chain = await provider.chain('AAPL', { earningsDate: '2024-05-20', now: new Date('2024-05-10T12:00:00Z') });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[0][0]).toContain('expiration_date.gte=2024-05-10');
+    expect(fetch.mock.calls[0][0]).toContain('expiration_date.lte=2024-06-29');
+    expect(fetch.mock.calls[1][0]).toContain('cursor=');
+    expect(fetch.mock.calls[1][0]).toContain('apiKey=polygon-key');
+
+    expect(chain.source).toBe('polygon');
+    expect(chain.underlyingPrice).toBe(176.45);
+    expect(chain.expirations).toEqual(['2024-05-17', '2024-06-21']);
+    expect(chain.contracts).toHaveLength(3);
+    expect(chain.contracts[0]).toMatchObject({
+      contractSymbol: 'O:AAPL240517C00175000',
+      type: 'call',
+      strike: 175,
+      mid: 4.2,
+      impliedVolatility: 31.2,
+      delta: 0.58,
+      vega: 0.12
+    });
+
+    const summary = summarizeChain(chain, { earningsDate: '2024-05-20', now: new Date('2024-05-10T12:00:00Z') });
+    expect(summary.frontMonth).toMatchObject({ expiration: '2024-05-17', atmStrike: 175, atmImpliedVolatility: 30.5 });
+    expect(summary.postEarnings.expiration).toBe('2024-06-21');
+  });
+
+  it('returns null when the snapshot has no contracts', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ status: 'OK', results: [] }) });
+
+    expect(await provider.chain('AAPL')).toBeNull();
+  });
+
+  it('throws on HTTP errors so the registry can fall through', async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 403 });
+
+    await expect(provider.quote('AAPL')).rejects.toThrow('Polygon API error: 403');
+  });
+
+  it('takes a rate-limit token for every chain page after the first', async () => {
+    const limiter = new RateLimiter({ limits: { polygon: { limit: 5, intervalMs: 60000 } } });
+    const registry = createProviderRegistry({ polygonApiKey: 'polygon-key', limiter });
+    respondWith('options-snapshot-AAPL-page1');
+    respondWith('options-snapshot-AAPL-page2');
+
+    const { source } = await registry.request('chain', 'AAPL', { earningsDate: '2024-05-20', now: new Date('2024-05-10T12:00:00Z') });
+
+    expect(source).toBe('polygon');
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(limiter.stats().polygon.requests).toBe(2);
+  });
+
+  it('keeps the pages already fetched when a later page runs out of tokens', async () => {
+    const limiter = new RateLimiter({ limits: { polygon: { limit: 1, intervalMs: 60000 } }, maxWaitMs: 1000 });
+    const registry = createProviderRegistry({ polygonApiKey: 'polygon-key', limiter });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    respondWith('options-snapshot-AAPL-page1');
+
+    const { data, source } = await registry.request('chain', 'AAPL', { earningsDate: '2024-05-20', now: new Date('2024-05-10T12:00:00Z') });
+
+    expect(source).toBe('polygon');
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(data.expirations).toEqual(['2024-05-17']);
+    expect(data.contracts).toHaveLength(2);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('cut short after 1 page(s)'), expect.any(String));
+    warn.mockRestore();
+  });
+
+  it('takes priority over Yahoo for chains once a key is configured', () => {
+    const registry = createProviderRegistry({ polygonApiKey: 'polygon-key' });
+
+    expect(registry.providersFor('chain').map(p => p.name)).toEqual(['polygon', 'yahoo']);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { calculatePositionSize, sizeStrategyCandidates, formatSizingGuidance } from '../src/position-sizing.js';
+import { analyzeCandidate } from '../src/strategies.js';
+import { ACCOUNT_MODEL } from '../src/config.js';
+
+const pricing = { spot: 100, daysToExpiration: 7, impliedVolatility: 50 };
+const condor = analyzeCandidate('ironCondor', [
+  { action: 'sell', type: 'put', strike: 95, expiration: '2025-01-17', quantity: 1, price: 1.2 },
+  { action: 'buy', type: 'put', strike: 90, expiration: '2025-01-17', quantity: 1, price: 0.4 },
+  { action: 'sell', type: 'call', strike: 105, expiration: '2025-01-17', quantity: 1, price: 1.1 },
+  { action: 'buy', type: 'call', strike: 110, expiration: '2025-01-17', quantity: 1, price: 0.3 }
+], pricing);
+const strangle = analyzeCandidate('shortStrangle', [
+  { action: 'sell', type: 'put', strike: 95, expiration: '2025-01-17', quantity: 1, price: 1.2 },
+  { action: 'sell', type: 'call', strike: 105, expiration: '2025-01-17', quantity: 1, price: 1.1 }
+], pricing);
+
+describe('calculatePositionSize', () => {
+  it('sizes a defined-risk strategy from its max loss', () => {
+    const sizing = calculatePositionSize(condor, ACCOUNT_MODEL);
+
+    expect(sizing).toMatchObject({
+      riskBasis: 'max-loss',
+      riskPerContract: 340,
+      contracts: 1,
+      totalRisk: 340,
+      riskPercent: 1.36,
+      accountPerContract: 17000,
+      positionsWithinHeat: 4,
+      account: ACCOUNT_MODEL
+    });
+  });
+
+  it('scales the contract count with the account', () => {
+    const sizing = calculatePositionSize(condor, { accountSize: 100000, maxRiskPerTrade: 1, maxPortfolioHeat: 5 });
+
+    expect(sizing.contracts).toBe(2);
+    expect(sizing.totalRisk).toBe(680);
+    expect(sizing.accountPerContract).toBe(34000);
+    expect(sizing.positionsWithinHeat).toBe(7);
+  });
+
+  it('sizes an undefined-risk strategy on its loss at a stress move', () => {
+    expect(calculatePositionSize(strangle, ACCOUNT_MODEL)).toBeNull();
+
+    const sizing = calculatePositionSize(strangle, ACCOUNT_MODEL, { spot: 100, expectedMove: 5 });
+    expect(sizing.riskBasis).toBe('stress');
+    expect(sizing.riskPerContract).toBeCloseTo(270, 6);
+    expect(sizing.contracts).toBe(1);
+    expect(sizing.positionsWithinHeat).toBe(5);
+
+    const tooLarge = calculatePositionSize(strangle, ACCOUNT_MODEL, { spot: 100, expectedMove: 10 });
+    expect(tooLarge.riskPerContract).toBeCloseTo(1270, 6);
+    expect(tooLarge.contracts).toBe(0);
+    expect(tooLarge.positionsWithinHeat).toBe(0);
+  });
+});
+
+describe('sizeStrategyCandidates', () => {
+  it('sets sizing on every candidate using the candidates expected move', () => {
+    const strategyCandidates = { expectedMove: 5, candidates: [{ ...condor }, { ...strangle }] };
+
+    sizeStrategyCandidates(strategyCandidates, ACCOUNT_MODEL, { spot: 100 });
+
+    expect(strategyCandidates.candidates[0].sizing.riskBasis).toBe('max-loss');
+    expect(strategyCandidates.candidates[1].sizing.riskBasis).toBe('stress');
+    expect(sizeStrategyCandidates(null)).toBeNull();
+  });
+});
+
+describe('formatSizingGuidance', () => {
+  it('describes contracts, risk and heat for the reference account', () => {
+    expect(formatSizingGuidance(calculatePositionSize(condor, ACCOUNT_MODEL)))
+      .toBe('1 contract per $17k account · 1 on $25k: $340 at risk (1.4%), 4 such trades fit 6% heat');
+  });
+
+  it('says when the account is too small and flags stress-based sizing', () => {
+    const sizing = calculatePositionSize(strangle, ACCOUNT_MODEL, { spot: 100, expectedMove: 10 });
+
+    expect(formatSizingGuidance(sizing))
+      .toBe('1 contract per $64k account · none on $25k at 2% max risk (risk undefined; sized on a 2× expected move)');
+    expect(formatSizingGuidance(null)).toBe('');
+  });
+});
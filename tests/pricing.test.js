@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import {
+  blackScholes,
+  binomialPrice,
+  priceOption,
+  priceStraddle,
+  probabilityAbove,
+  probabilityBetween,
+  normalCdf
+} from '../src/pricing.js';
+
+const atm = { spot: 100, strike: 100, daysToExpiration: 365, impliedVolatility: 20, rate: 0.05 };
+
+describe('blackScholes', () => {
+  it('matches textbook prices and Greeks', () => {
+    const call = blackScholes({ ...atm, type: 'call' });
+    const put = blackScholes({ ...atm, type: 'put' });
+
+    expect(call.price).toBeCloseTo(10.4506, 3);
+    expect(put.price).toBeCloseTo(5.5735, 3);
+    expect(call.delta).toBeCloseTo(0.6368, 3);
+    expect(put.delta).toBeCloseTo(-0.3632, 3);
+    expect(call.gamma).toBeCloseTo(0.01876, 4);
+    expect(call.vega).toBeCloseTo(0.3752, 3);
+    expect(call.theta).toBeCloseTo(-6.414 / 365, 4);
+    expect(call.probabilityITM).toBeCloseTo(0.5596, 3);
+    expect(put.probabilityITM + call.probabilityITM).toBeCloseTo(1, 6);
+  });
+
+  it('satisfies put-call parity with a dividend yield', () => {
+    const params = { spot: 120, strike: 110, daysToExpiration: 45, impliedVolatility: 35, rate: 0.04, dividendYield: 0.01 };
+    const call = blackScholes({ ...params, type: 'call' });
+    const put = blackScholes({ ...params, type: 'put' });
+    const time = 45 / 365;
+
+    expect(call.price - put.price).toBeCloseTo(120 * Math.exp(-0.01 * time) - 110 * Math.exp(-0.04 * time), 6);
+  });
+
+  it('returns intrinsic value at expiration and rejects bad inputs', () => {
+    expect(blackScholes({ ...atm, strike: 90, daysToExpiration: 0 })).toMatchObject({ price: 10, delta: 1, gamma: 0, probabilityITM: 1 });
+    expect(blackScholes({ ...atm, strike: 90, daysToExpiration: 0, type: 'put' })).toMatchObject({ price: 0, delta: 0, probabilityITM: 0 });
+    expect(blackScholes({ ...atm, spot: 0 })).toBeNull();
+    expect(blackScholes({ ...atm, impliedVolatility: undefined })).toBeNull();
+  });
+});
+
+describe('binomialPrice', () => {
+  it('converges to Black-Scholes for European options', () => {
+    const tree = binomialPrice({ ...atm, type: 'call' }, { steps: 400, american: false });
+    const closed = blackScholes({ ...atm, type: 'call' });
+
+    expect(tree.price).toBeCloseTo(closed.price, 1);
+    expect(tree.delta).toBeCloseTo(closed.delta, 2);
+    expect(tree.gamma).toBeCloseTo(closed.gamma, 3);
+    expect(tree.theta).toBeCloseTo(closed.theta, 3);
+  });
+
+  it('prices the early-exercise premium on American puts', () => {
+    const params = { ...atm, strike: 110, type: 'put' };
+    const american = binomialPrice(params);
+    const european = binomialPrice(params, { american: false });
+
+    expect(american.price).toBeGreaterThan(european.price);
+    expect(american.price).toBeGreaterThanOrEqual(10);
+  });
+
+  it('never exercises calls early without dividends', () => {
+    const params = { ...atm, type: 'call' };
+    expect(binomialPrice(params).price).toBeCloseTo(binomialPrice(params, { american: false }).price, 8);
+  });
+
+  it('raises tiny step counts to the minimum tree that has gamma and theta', () => {
+    const params = { ...atm, type: 'put' };
+    const minimal = binomialPrice(params, { steps: 2 });
+
+    expect(minimal).toEqual(binomialPrice(params, { steps: 3 }));
+    expect(Number.isFinite(minimal.gamma)).toBe(true);
+    expect(Number.isFinite(minimal.theta)).toBe(true);
+    expect(binomialPrice(params, { steps: 0 })).toEqual(minimal);
+  });
+});
+
+describe('priceOption', () => {
+  it('combines tree prices with closed-form vega and probabilities', () => {
+    const params = { ...atm, strike: 110, type: 'put' };
+    const american = priceOption(params);
+    const european = priceOption(params, { style: 'european' });
+
+    expect(american.price).toBeGreaterThan(european.price);
+    expect(american.vega).toBe(european.vega);
+    expect(american.probabilityITM).toBe(european.probabilityITM);
+  });
+});
+
+describe('probabilities', () => {
+  it('uses the risk-neutral lognormal distribution', () => {
+    const params = { spot: 100, daysToExpiration: 30, impliedVolatility: 30, rate: 0 };
+    const above = probabilityAbove(105, params);
+    const between = probabilityBetween(95, 105, params);
+
+    expect(above).toBeGreaterThan(0);
+    expect(above).toBeLessThan(0.5);
+    expect(between + above + (1 - probabilityAbove(95, params))).toBeCloseTo(1, 6);
+    expect(probabilityBetween(null, null, params)).toBe(1);
+  });
+
+  it('approximates the normal distribution', () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 7);
+    expect(normalCdf(1.96)).toBeCloseTo(0.975, 3);
+    expect(normalCdf(-1)).toBeCloseTo(0.1587, 4);
+  });
+});
+
+describe('priceStraddle', () => {
+  it('reports breakevens, POP and net Greeks from the premium paid', () => {
+    const straddle = priceStraddle(
+      { spot: 200, strike: 200, daysToExpiration: 7, impliedVolatility: 60, rate: 0.045 },
+      { premium: 9.5 }
+    );
+
+    expect(straddle.premium).toBe(9.5);
+    expect(straddle.breakevens).toEqual({ lower: 190.5, upper: 209.5 });
+    expect(straddle.theoreticalPrice).toBeCloseTo(straddle.call.price + straddle.put.price, 1);
+    expect(straddle.probabilityOfProfit.long + straddle.probabilityOfProfit.short).toBeCloseTo(100, 0);
+    expect(straddle.greeks.theta).toBeLessThan(0);
+    expect(straddle.greeks.vega).toBeGreaterThan(0);
+    expect(Math.abs(straddle.greeks.delta)).toBeLessThan(0.1);
+  });
+
+  it('falls back to the model price without a market premium', () => {
+    const straddle = priceStraddle({ spot: 200, strike: 200, daysToExpiration: 7, impliedVolatility: 60 });
+    expect(straddle.premium).toBe(straddle.theoreticalPrice);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PROVENANCE_FIELDS,
+  createFieldProvenance,
+  createDerivedProvenance,
+  createEstimatedProvenance,
+  isEstimatedField,
+  getEstimatedFields
+} from '../src/provenance.js';
+
+describe('createFieldProvenance', () => {
+  it('flags estimated sources', () => {
+    expect(createFieldProvenance(42.1, 'tradier-chain', '2026-10-16T14:00:00.000Z')).toEqual({
+      value: 42.1,
+      source: 'tradier-chain',
+      asOf: '2026-10-16T14:00:00.000Z',
+      estimated: false
+    });
+    expect(createFieldProvenance(30, 'estimated').estimated).toBe(true);
+  });
+});
+
+describe('createDerivedProvenance', () => {
+  const price = createFieldProvenance(101, 'yahoo-quote', '2026-10-16T15:00:00.000Z');
+  const iv = createFieldProvenance(40, 'yahoo-chain', '2026-10-16T14:00:00.000Z');
+
+  it('records its inputs and the oldest input timestamp', () => {
+    expect(createDerivedProvenance(7.3, [price, iv], ['price', 'impliedVolatility'])).toEqual({
+      value: 7.3,
+      source: 'derived',
+      derivedFrom: ['price', 'impliedVolatility'],
+      asOf: '2026-10-16T14:00:00.000Z',
+      estimated: false
+    });
+  });
+
+  it('is estimated when any input is', () => {
+    const estimatedIv = createFieldProvenance(40, 'estimated');
+
+    expect(createDerivedProvenance(7.3, [price, estimatedIv], ['price', 'impliedVolatility']).estimated).toBe(true);
+  });
+});
+
+describe('isEstimatedField', () => {
+  it('reads the field lineage when present', () => {
+    const data = { provenance: createEstimatedProvenance({ price: 150 }) };
+    data.provenance.price = createFieldProvenance(150, 'polygon-quote');
+
+    expect(isEstimatedField(data, 'price')).toBe(false);
+    expect(getEstimatedFields(data)).toEqual(PROVENANCE_FIELDS.filter(field => field !== 'price'));
+  });
+
+  it('falls back to the per-analysis flags without lineage', () => {
+    const data = {
+      dataQuality: 'real',
+      impliedVolatilitySource: 'estimated',
+      technicalIndicators: { source: 'computed' }
+    };
+
+    expect(getEstimatedFields(data, ['price', 'impliedVolatility', 'rsi'])).toEqual(['impliedVolatility']);
+    expect(isEstimatedField({ ...data, isSynthetic: true }, 'price')).toBe(true);
+  });
+});
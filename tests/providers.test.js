@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import ProviderRegistry, { createProviderRegistry } from '../src/providers/registry.js';
+import FinnhubProvider from '../src/providers/finnhub.js';
+import AlphaVantageProvider from '../src/providers/alphavantage.js';
+import { PROVIDER_PRIORITY, getProviderPriority } from '../src/config.js';
+
+// Mock fetch for API calls
+global.fetch = vi.fn();
+
+function stubProvider(name, capabilities, impl = {}) {
+  return {
+    name,
+    capabilities,
+    isAvailable: () => true,
+    ...impl
+  };
+}
+
+describe('ProviderRegistry', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('returns the first non-null result in priority order', async () => {
+    const first = stubProvider('first', ['quote'], { quote: vi.fn().mockResolvedValue(null) });
+    const second = stubProvider('second', ['quote'], { quote: vi.fn().mockResolvedValue({ price: 10 }) });
+    const registry = new ProviderRegistry({
+      providers: [first, second],
+      priority: { quote: ['first', 'second'] }
+    });
+
+    const result = await registry.request('quote', 'AAPL');
+
+    expect(result).toEqual({ data: { price: 10 }, source: 'second' });
+    expect(first.quote).toHaveBeenCalledWith('AAPL');
+  });
+
+  it('falls through providers that throw', async () => {
+    const failing = stubProvider('failing', ['history'], { history: vi.fn().mockRejectedValue(new Error('down')) });
+    const working = stubProvider('working', ['history'], { history: vi.fn().mockResolvedValue({ prices: [] }) });
+    const registry = new ProviderRegistry({
+      providers: [failing, working],
+      priority: { history: ['failing', 'working'] }
+    });
+
+    const result = await registry.request('history', 'AAPL', 60);
+
+    expect(result.source).toBe('working');
+    expect(working.history).toHaveBeenCalledWith('AAPL', 60);
+  });
+
+  it('follows the configured order rather than registration order', async () => {
+    const a = stubProvider('a', ['quote'], { quote: vi.fn().mockResolvedValue({ price: 1 }) });
+    const b = stubProvider('b', ['quote'], { quote: vi.fn().mockResolvedValue({ price: 2 }) });
+    const registry = new ProviderRegistry({ providers: [a, b], priority: { quote: ['b', 'a'] } });
+
+    const result = await registry.request('quote', 'AAPL');
+
+    expect(result.source).toBe('b');
+    expect(a.quote).not.toHaveBeenCalled();
+  });
+
+  it('skips unavailable providers and unknown names', () => {
+    const offline = { ...stubProvider('offline', ['fundamentals'], { fundamentals: vi.fn() }), isAvailable: () => false };
+    const registry = new ProviderRegistry({
+      providers: [offline],
+      priority: { fundamentals: ['missing', 'offline'] }
+    });
+
+    expect(registry.providersFor('fundamentals')).toEqual([]);
+    expect(registry.supports('fundamentals')).toBe(false);
+  });
+
+  it('throws listing the providers tried when all miss', async () => {
+    const empty = stubProvider('empty', ['chain'], { chain: vi.fn().mockResolvedValue(null) });
+    const registry = new ProviderRegistry({ providers: [empty], priority: { chain: ['empty'] } });
+
+    await expect(registry.request('chain', 'AAPL')).rejects.toThrow('No provider returned chain for AAPL (tried: empty)');
+  });
+
+  it('sends each provider its own ticker format and returns canonical symbols', async () => {
+    const yahoo = stubProvider('yahoo', ['quote'], { quote: vi.fn().mockResolvedValue({ symbol: 'BRK-B', price: 480 }) });
+    const registry = new ProviderRegistry({ providers: [yahoo], priority: { quote: ['yahoo'] } });
+
+    const result = await registry.request('quote', 'BRK.B');
+
+    expect(yahoo.quote).toHaveBeenCalledWith('BRK-B');
+    expect(result.data.symbol).toBe('BRK.B');
+  });
+
+  it('maps the symbol inside earnings-calendar params and rows', async () => {
+    const alphavantage = stubProvider('alphavantage', ['earningsCalendar'], {
+      earningsCalendar: vi.fn().mockResolvedValue([{ symbol: 'BF-B', date: '2025-03-05' }])
+    });
+    const registry = new ProviderRegistry({ providers: [alphavantage], priority: { earningsCalendar: ['alphavantage'] } });
+
+    const { data } = await registry.request('earningsCalendar', { from: '2025-01-01', to: '2025-06-30', symbol: 'BF.B' });
+
+    expect(alphavantage.earningsCalendar).toHaveBeenCalledWith({ from: '2025-01-01', to: '2025-06-30', symbol: 'BF-B' });
+    expect(data).toEqual([{ symbol: 'BF.B', date: '2025-03-05' }]);
+  });
+});
+
+describe('createProviderRegistry', () => {
+  it('registers Alpha Vantage only when a client is supplied', () => {
+    const withoutAv = createProviderRegistry({ finnhubApiKey: 'key' });
+    const withAv = createProviderRegistry({ finnhubApiKey: 'key', alphaVantage: { apiKey: 'av-key' } });
+
+    expect(withoutAv.providersFor('quote').map(p => p.name)).toEqual(['yahoo', 'finnhub']);
+    expect(withAv.providersFor('quote').map(p => p.name)).toEqual(['yahoo', 'finnhub', 'alphavantage']);
+  });
+
+  it('skips key-gated Finnhub capabilities without a key', () => {
+    const registry = createProviderRegistry();
+
+    expect(registry.supports('earningsCalendar')).toBe(false);
+    expect(registry.supports('fundamentals')).toBe(false);
+    expect(registry.supports('quote')).toBe(true);
+  });
+});
+
+describe('getProviderPriority', () => {
+  it('returns the defaults without overrides', () => {
+    expect(getProviderPriority({})).toEqual(PROVIDER_PRIORITY);
+  });
+
+  it('reads comma-separated overrides per capability', () => {
+    const priority = getProviderPriority({
+      PROVIDER_PRIORITY_QUOTE: 'Finnhub, yahoo',
+      PROVIDER_PRIORITY_EARNINGS_CALENDAR: 'finnhub'
+    });
+
+    expect(priority.quote).toEqual(['finnhub', 'yahoo']);
+    expect(priority.earningsCalendar).toEqual(['finnhub']);
+    expect(priority.history).toEqual(PROVIDER_PRIORITY.history);
+  });
+});
+
+describe('provider adapters', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('FinnhubProvider maps the earnings calendar response', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: () => Promise.resolve({ earningsCalendar: [{ symbol: 'AAPL', date: '2024-05-02', hour: 'amc' }] })
+    });
+    const provider = new FinnhubProvider({ apiKey: 'test-key' });
+
+    const events = await provider.earningsCalendar({ from: '2024-01-01', to: '2024-12-31', symbol: 'AAPL' });
+
+    expect(events).toHaveLength(1);
+    expect(fetch.mock.calls[0][0]).toContain('/calendar/earnings?from=2024-01-01&to=2024-12-31&symbol=AAPL');
+  });
+
+  it('AlphaVantageProvider normalizes GLOBAL_QUOTE percentages', async () => {
+    const client = {
+      apiKey: 'av-key',
+      getQuote: vi.fn().mockResolvedValue({ symbol: 'AAPL', price: 150, changePercent: '1.25%' })
+    };
+    const provider = new AlphaVantageProvider(client);
+
+    const quote = await provider.quote('AAPL');
+
+    expect(provider.isAvailable('quote')).toBe(true);
+    expect(quote.changePercent).toBe(1.25);
+  });
+});
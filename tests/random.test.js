@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { hashString, createRandom, seededRandom } from '../src/random.js';
+
+describe('random', () => {
+  it('hashes strings to stable unsigned 32-bit integers', () => {
+    expect(hashString('AAPL')).toBe(hashString('AAPL'));
+    expect(hashString('AAPL')).not.toBe(hashString('MSFT'));
+    expect(hashString('')).toBe(0x811c9dc5);
+  });
+
+  it('replays the same sequence for the same seed', () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+    const sequence = Array.from({ length: 5 }, () => first());
+
+    expect(Array.from({ length: 5 }, () => second())).toEqual(sequence);
+    sequence.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  it('seeds from identifying parts', () => {
+    expect(seededRandom('mock', 'AAPL')()).toBe(seededRandom('mock', 'AAPL')());
+    expect(seededRandom('mock', 'AAPL')()).not.toBe(seededRandom('mock', 'MSFT')());
+  });
+});
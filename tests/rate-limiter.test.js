@@ -0,0 +1,178 @@
+import { describe, it, expect, vi } from 'vitest';
+import RateLimiter, { TokenBucket, mapWithConcurrency } from '../src/rate-limiter.js';
+import ProviderRegistry from '../src/providers/registry.js';
+import { RATE_LIMITS, getRateLimits } from '../src/config.js';
+import { MemoryStorage } from '../src/storage.js';
+
+// Manual clock: sleep() advances time instead of waiting
+function createClock(start = 0) {
+  const clock = { time: start, sleeps: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async (ms) => {
+    clock.sleeps.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+describe('TokenBucket', () => {
+  it('serves the burst immediately, then queues for refills', async () => {
+    const clock = createClock();
+    const bucket = new TokenBucket({ limit: 60, intervalMs: 60000, burst: 2, now: clock.now, sleep: clock.sleep });
+
+    await bucket.acquire();
+    await bucket.acquire();
+    const waited = await bucket.acquire();
+
+    expect(clock.sleeps).toEqual([1000]);
+    expect(waited).toBe(1000);
+  });
+
+  it('grants queued requests in arrival order', async () => {
+    const clock = createClock();
+    const bucket = new TokenBucket({ limit: 1, intervalMs: 1000, now: clock.now, sleep: clock.sleep });
+    const order = [];
+
+    await Promise.all(['a', 'b', 'c'].map(name => bucket.acquire().then(() => order.push(name))));
+
+    expect(order).toEqual(['a', 'b', 'c']);
+    expect(clock.time).toBe(2000);
+  });
+
+  it('rejects instead of queueing beyond maxWaitMs', async () => {
+    const clock = createClock();
+    const bucket = new TokenBucket({ limit: 25, intervalMs: 24 * 60 * 60 * 1000, burst: 1, now: clock.now, sleep: clock.sleep });
+
+    await bucket.acquire({ maxWaitMs: 30000 });
+
+    await expect(bucket.acquire({ maxWaitMs: 30000 })).rejects.toThrow('Rate limit reached');
+    expect(clock.sleeps).toEqual([]);
+  });
+
+  it('takes several tokens for multi-request calls', async () => {
+    const clock = createClock();
+    const bucket = new TokenBucket({ limit: 3, intervalMs: 3000, now: clock.now, sleep: clock.sleep });
+
+    await bucket.acquire({ tokens: 3 });
+    await bucket.acquire({ tokens: 2 });
+
+    expect(clock.sleeps).toEqual([2000]);
+    await expect(bucket.acquire({ tokens: 4 })).rejects.toThrow('bucket holds 3');
+  });
+});
+
+describe('RateLimiter', () => {
+  it('keeps one bucket per provider and leaves unknown providers unlimited', async () => {
+    const clock = createClock();
+    const limiter = new RateLimiter({
+      limits: { finnhub: { limit: 1, intervalMs: 1000 } },
+      now: clock.now,
+      sleep: clock.sleep
+    });
+
+    await limiter.acquire('finnhub');
+    await limiter.acquire('finnhub');
+    await limiter.acquire('yahoo');
+
+    expect(clock.sleeps).toEqual([1000]);
+    expect(limiter.stats()).toEqual({ finnhub: { requests: 2, waitedMs: 1000, rejected: 0 } });
+  });
+
+  it('names the provider when a request is rejected', async () => {
+    const limiter = new RateLimiter({ limits: { alphavantage: { limit: 1, intervalMs: 86400000 } }, maxWaitMs: 1000 });
+
+    await limiter.acquire('alphavantage');
+
+    await expect(limiter.acquire('alphavantage')).rejects.toThrow('alphavantage: Rate limit reached');
+    expect(limiter.stats().alphavantage.rejected).toBe(1);
+  });
+
+  it('lets the registry fall through when a provider is rate limited', async () => {
+    const limiter = new RateLimiter({ limits: { slow: { limit: 1, intervalMs: 86400000 } }, maxWaitMs: 1000 });
+    const slow = { name: 'slow', capabilities: ['quote'], quote: vi.fn().mockResolvedValue({ price: 1 }) };
+    const fast = { name: 'fast', capabilities: ['quote'], quote: vi.fn().mockResolvedValue({ price: 2 }) };
+    const registry = new ProviderRegistry({ providers: [slow, fast], priority: { quote: ['slow', 'fast'] }, limiter });
+
+    expect((await registry.request('quote', 'AAPL')).source).toBe('slow');
+    expect((await registry.request('quote', 'MSFT')).source).toBe('fast');
+    expect(slow.quote).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('daily quotas', () => {
+  const limits = { alphavantage: { limit: 3, intervalMs: 86400000 }, finnhub: { limit: 60, intervalMs: 60000 } };
+
+  it('carries the daily count over to the next run through storage', async () => {
+    const storage = new MemoryStorage();
+    const clock = createClock(Date.parse('2025-01-06T14:00:00Z'));
+    const firstRun = new RateLimiter({ limits, storage, now: clock.now, sleep: clock.sleep });
+
+    await firstRun.acquire('alphavantage', { tokens: 2 });
+    await firstRun.acquire('finnhub');
+    expect(await storage.get('rate-limit:alphavantage:2025-01-06')).toEqual({ used: 2 });
+    expect(await storage.get('rate-limit:finnhub:2025-01-06')).toBeNull();
+
+    const secondRun = new RateLimiter({ limits, storage, now: clock.now, sleep: clock.sleep });
+    await secondRun.acquire('alphavantage');
+    await expect(secondRun.acquire('alphavantage')).rejects.toThrow('alphavantage: Daily quota of 3 requests used up');
+    expect(secondRun.stats().alphavantage).toEqual({ requests: 1, waitedMs: 0, rejected: 1 });
+  });
+
+  it('starts a fresh count on the next UTC day', async () => {
+    const storage = new MemoryStorage();
+    await storage.put('rate-limit:alphavantage:2025-01-06', { used: 3 });
+    const clock = createClock(Date.parse('2025-01-07T00:30:00Z'));
+    const limiter = new RateLimiter({ limits, storage, now: clock.now, sleep: clock.sleep });
+
+    await limiter.acquire('alphavantage');
+
+    expect(await storage.get('rate-limit:alphavantage:2025-01-07')).toEqual({ used: 1 });
+  });
+
+  it('serializes concurrent requests against one stored count', async () => {
+    const storage = new MemoryStorage();
+    await storage.put('rate-limit:alphavantage:2025-01-06', { used: 1 });
+    const clock = createClock(Date.parse('2025-01-06T14:00:00Z'));
+    const limiter = new RateLimiter({ limits, storage, now: clock.now, sleep: clock.sleep });
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => limiter.acquire('alphavantage')));
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'rejected']);
+    expect(await storage.get('rate-limit:alphavantage:2025-01-06')).toEqual({ used: 3 });
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('bounds in-flight work and preserves input order', async () => {
+    let inFlight = 0;
+    let peak = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (delay, index) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      inFlight--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3]);
+    expect(peak).toBe(2);
+  });
+
+  it('handles an empty list', async () => {
+    expect(await mapWithConcurrency([], 4, vi.fn())).toEqual([]);
+  });
+});
+
+describe('getRateLimits', () => {
+  it('applies <requests>/<seconds> overrides and ignores malformed ones', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const limits = getRateLimits({ RATE_LIMIT_POLYGON: '5/60', RATE_LIMIT_FINNHUB: 'fast' });
+
+    expect(limits.polygon).toEqual({ limit: 5, intervalMs: 60000 });
+    expect(limits.finnhub).toEqual(RATE_LIMITS.finnhub);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
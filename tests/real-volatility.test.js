@@ -1,5 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import RealVolatilityData, { calculateVolatilityScore } from '../src/real-volatility.js';
+import { mergeScoringModel } from '../src/scoring.js';
+import { SCORING_MODELS } from '../src/config/scoring.js';
 
 // Mock the simplified data provider
 vi.mock('../src/simplified-data.js', () => {
@@ -63,7 +65,7 @@ describe('RealVolatilityData', () => {
       const result = await realVolatility.getVolatilityAnalysis('AAPL');
 
       expect(result).toEqual(mockAnalysis);
-      expect(realVolatility.dataProvider.getVolatilityAnalysis).toHaveBeenCalledWith('AAPL');
+      expect(realVolatility.dataProvider.getVolatilityAnalysis).toHaveBeenCalledWith('AAPL', undefined);
     });
 
     it('should throw error when not initialized', async () => {
@@ -100,7 +102,7 @@ describe('RealVolatilityData', () => {
       const result = await realVolatility.getBulkVolatilityAnalysis(symbols);
 
       expect(result).toEqual(mockResults);
-      expect(realVolatility.dataProvider.getBulkVolatilityAnalysis).toHaveBeenCalledWith(symbols);
+      expect(realVolatility.dataProvider.getBulkVolatilityAnalysis).toHaveBeenCalledWith(symbols, undefined);
     });
 
     it('should handle empty symbol array', async () => {
@@ -109,50 +111,50 @@ describe('RealVolatilityData', () => {
       expect(result).toEqual({});
     });
   });
-});
 
-describe('calculateVolatilityScore', () => {
-  it('should calculate score based on IV percentile, rank, and liquidity', () => {
-    const volatilityData = {
-      impliedVolatilityPercentile: 80,
-      impliedVolatilityRank: 0.7,
-      optionsVolume: 50000
-    };
+  describe('getMockVolatilityData', () => {
+    it('should return identical, synthetic-flagged data for the same symbol', () => {
+      const first = realVolatility.getMockVolatilityData('AAPL');
+      const second = realVolatility.getMockVolatilityData('AAPL');
+      const { lastUpdated: _a, ...firstValues } = first;
+      const { lastUpdated: _b, ...secondValues } = second;
+
+      expect(firstValues).toEqual(secondValues);
+      expect(first.isSynthetic).toBe(true);
+      expect(realVolatility.getMockVolatilityData('MSFT').currentPrice).not.toBe(first.currentPrice);
+    });
 
-    const score = calculateVolatilityScore(volatilityData);
+    it('should accept an injected generator', () => {
+      const data = realVolatility.getMockVolatilityData('AAPL', () => 0.5);
 
-    // Expected: (80 * 0.4) + (0.7 * 0.4) + (5.0 * 0.2) = 32 + 0.28 + 1.0 = 33.28
-    expect(score).toBeCloseTo(33.28, 1);
+      expect(data.currentPrice).toBe(200);
+      expect(data.impliedVolatility).toBe(40);
+    });
   });
+});
 
-  it('should use default values for missing data', () => {
-    const volatilityData = {
-      impliedVolatilityPercentile: 60
-      // Missing rank and volume
-    };
-
-    const score = calculateVolatilityScore(volatilityData);
+describe('calculateVolatilityScore', () => {
+  const analysis = {
+    historicalVolatility: 55,
+    impliedVolatility: 60,
+    currentPrice: 180,
+    dataQuality: 'real',
+    volume: 750000
+  };
 
-    // Expected: (60 * 0.4) + (0 * 0.4) + (0 * 0.2) = 24
-    expect(score).toBe(24);
+  it('scores with the declarative volatility model', () => {
+    expect(calculateVolatilityScore(analysis)).toBe(82);
+    expect(calculateVolatilityScore({ ...analysis, impliedVolatilityRank: 85, impliedVolatilityPercentile: 90 })).toBe(90);
   });
 
-  it('should cap liquidity component at maximum', () => {
-    const volatilityData = {
-      impliedVolatilityPercentile: 50,
-      impliedVolatilityRank: 0.5,
-      optionsVolume: 200000 // Very high volume
-    };
+  it('follows a tuned model', () => {
+    const model = mergeScoringModel(SCORING_MODELS.volatility, { factors: { ivRank: { weight: 0 }, ivPercentile: { weight: 0 } } });
 
-    const score = calculateVolatilityScore(volatilityData);
-
-    // Liquidity component should be capped at 10 * 0.2 = 2.0
-    // Expected: (50 * 0.4) + (0.5 * 0.4) + (10 * 0.2) = 20 + 0.2 + 2.0 = 22.2
-    expect(score).toBeCloseTo(22.2, 1);
+    expect(calculateVolatilityScore(analysis, model)).toBe(75);
   });
 
   it('should return 0 for null or undefined data', () => {
     expect(calculateVolatilityScore(null)).toBe(0);
     expect(calculateVolatilityScore(undefined)).toBe(0);
   });
-});
\ No newline at end of file
+});
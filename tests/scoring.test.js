@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest';
+import {
+  scoreWithModel,
+  factorCredit,
+  formatScoreBreakdown,
+  formatScoreMetrics,
+  mergeScoringModel,
+  rescaleScoringModel,
+  validateScoringModel
+} from '../src/scoring.js';
+import { SCORING_MODELS } from '../src/config/scoring.js';
+import { scoreOpportunity } from '../src/finnhub.js';
+import SimplifiedDataProvider from '../src/simplified-data.js';
+
+const opportunity = {
+  symbol: 'NVDA',
+  daysToEarnings: 12,
+  volatilityData: {
+    volatilityScore: 40,
+    historicalVolatility: 42,
+    optionsVolume: 12000,
+    technicalIndicators: { rsi: 72 },
+    volatilitySurface: {
+      termStructure: { ratio: 1.3 },
+      skew: { riskReversal: -3 },
+      smile: { butterfly: 1 }
+    }
+  },
+  impliedVsRealized: { ratio: 1.2 }
+};
+
+describe('factorCredit', () => {
+  const factor = {
+    buckets: [
+      { any: [{ gt: 70 }, { lt: 30 }], credit: 1 },
+      { gte: 40, lte: 60, credit: 0.5 },
+      { eq: 'n/a', credit: 0.1 }
+    ],
+    missing: 0.25
+  };
+
+  it('uses the first bucket whose bounds hold', () => {
+    expect(factorCredit(factor, 75)).toBe(1);
+    expect(factorCredit(factor, 20)).toBe(1);
+    expect(factorCredit(factor, 60)).toBe(0.5);
+    expect(factorCredit(factor, 'n/a')).toBe(0.1);
+  });
+
+  it('returns 0 when no bucket matches and `missing` for absent values', () => {
+    expect(factorCredit(factor, 65)).toBe(0);
+    expect(factorCredit(factor, null)).toBe(0.25);
+    expect(factorCredit({ buckets: [] }, undefined)).toBe(0);
+  });
+});
+
+describe('scoreWithModel', () => {
+  it('scores the quality model with a per-factor breakdown', () => {
+    const breakdown = scoreWithModel(SCORING_MODELS.quality, opportunity);
+    const points = Object.fromEntries(breakdown.factors.map(factor => [factor.key, factor.points]));
+
+    expect(points).toEqual({
+      volatility: 12,
+      timing: 10.5,
+      liquidity: 15,
+      technical: 10,
+      earningsEdge: 4.8,
+      termStructure: 7,
+      skew: 1.5,
+      smile: 0.6,
+      dataAvailability: 3,
+      priceHistory: 3
+    });
+    expect(breakdown.score).toBe(77);
+    expect(breakdown.factors[0]).toEqual({ key: 'volatility', label: 'Volatility', value: 40, points: 12, weight: 20 });
+  });
+
+  it('keeps the default weights within the score cap so profiles stay ranked', () => {
+    for (const model of Object.values(SCORING_MODELS)) {
+      const weights = Object.values(model.factors).reduce((sum, factor) => sum + factor.weight, 0);
+      expect((model.baseline || 0) + weights).toBe(model.maxScore);
+    }
+
+    const stronger = {
+      ...opportunity,
+      daysToEarnings: 16,
+      volatilityData: { ...opportunity.volatilityData, volatilityScore: 80 },
+      impliedVsRealized: { ratio: 1.4 }
+    };
+    const strongerScore = scoreWithModel(SCORING_MODELS.quality, stronger).score;
+    expect(strongerScore).toBeGreaterThan(scoreWithModel(SCORING_MODELS.quality, opportunity).score);
+    expect(strongerScore).toBeLessThan(100);
+  });
+
+  it('falls back through input paths and applies missing credit', () => {
+    const breakdown = scoreOpportunity({ symbol: 'AAPL', volatilityScore: 55 });
+
+    expect(breakdown.factors.find(factor => factor.key === 'volatility').points).toBe(16);
+    expect(breakdown.factors.find(factor => factor.key === 'timing').points).toBe(3);
+    expect(breakdown.score).toBe(29);
+  });
+
+  it('follows tuned weights without code changes', () => {
+    const model = mergeScoringModel(SCORING_MODELS.quality, { baseline: 0, factors: { timing: { weight: 50 } } });
+
+    expect(scoreWithModel(model, { daysToEarnings: 14 }).factors.find(factor => factor.key === 'timing').points).toBe(50);
+  });
+
+  it('rescales the remaining factors when some cannot be observed', () => {
+    const model = rescaleScoringModel(SCORING_MODELS.quality, ['liquidity', 'termStructure', 'skew', 'smile']);
+    const weights = Object.values(model.factors).map(factor => factor.weight);
+
+    expect(Object.keys(model.factors)).not.toContain('liquidity');
+    expect(model.baseline + weights.reduce((sum, weight) => sum + weight, 0)).toBeCloseTo(100, 1);
+    expect(model.factors.timing.weight).toBeCloseTo(15 * 90 / 59, 2);
+    expect(SCORING_MODELS.quality.factors.timing.weight).toBe(15);
+  });
+
+  it('scores the volatility analysis with neutral IV rank credit until the history fills', () => {
+    const provider = new SimplifiedDataProvider();
+    const analysis = {
+      historicalVolatility: 55,
+      impliedVolatility: 60,
+      currentPrice: 180,
+      dataQuality: 'real',
+      volume: 750000
+    };
+    const breakdown = provider.scoreVolatility(analysis);
+
+    expect(breakdown.factors.map(factor => factor.points)).toEqual([20.75, 16, 15, 15, 8, 5, 2.5]);
+    expect(breakdown.score).toBe(82);
+    expect(provider.scoreVolatility({ ...analysis, impliedVolatilityRank: 85, impliedVolatilityPercentile: 90 }).score).toBe(90);
+    expect(provider.calculateVolatilityScore({ currentPrice: 5 })).toBe(19);
+  });
+});
+
+describe('formatting', () => {
+  it('summarizes a breakdown on one line', () => {
+    const breakdown = scoreWithModel(SCORING_MODELS.quality, opportunity);
+
+    expect(formatScoreBreakdown(breakdown)).toBe(
+      '77/100 · volatility 12/20, timing 10.5/15, liquidity 15/15, technical 10/10, earnings edge 4.8/8, term structure 7/10, skew 1.5/3, smile 0.6/3, data 3/3, price history 3/3, base 10'
+    );
+    expect(formatScoreBreakdown(null)).toBe('');
+  });
+
+  it('builds one run-summary metric per scored opportunity', () => {
+    const metrics = formatScoreMetrics([
+      { ...opportunity, scoreBreakdown: scoreWithModel(SCORING_MODELS.quality, opportunity) },
+      { symbol: 'MOCK', qualityScore: 50 }
+    ]);
+
+    expect(Object.keys(metrics)).toEqual(['scoreNVDA']);
+    expect(metrics.scoreNVDA).toMatch(/^77\/100 · volatility 12\/20/);
+  });
+});
+
+describe('validateScoringModel', () => {
+  it('accepts the default models', () => {
+    expect(validateScoringModel(SCORING_MODELS.quality)).toEqual([]);
+    expect(validateScoringModel(SCORING_MODELS.volatility)).toEqual([]);
+  });
+
+  it('reports bad weights, inputs and credits', () => {
+    const problems = validateScoringModel({
+      factors: { broken: { weight: '10', buckets: [{ credit: 2 }] } }
+    });
+
+    expect(problems).toEqual([
+      'broken: weight must be a non-negative number',
+      'broken: input is required',
+      'broken: bucket 1 credit must be between 0 and 1'
+    ]);
+  });
+});
@@ -1,5 +1,8 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import SimplifiedDataProvider from "../src/simplified-data.js";
+import DataCache from "../src/cache.js";
+import { MemoryStorage } from "../src/storage.js";
+import { calculateHistoricalVolatility } from "../src/technical-indicators.js";
 
 // Mock fetch for API calls
 global.fetch = vi.fn();
@@ -70,9 +73,30 @@ describe("SimplifiedDataProvider", () => {
         change: 1.5,
         changePercent: 1.01,
         source: "finnhub",
+        asOf: expect.any(String),
       });
     });
 
+    it("should serve repeat quotes from a cache shared across runs", async () => {
+      const cache = new DataCache({ storage: new MemoryStorage() });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            chart: {
+              result: [{ meta: { regularMarketPrice: 150.5, previousClose: 149.0 } }],
+            },
+          }),
+      });
+
+      await new SimplifiedDataProvider({ cache }).getQuote("AAPL");
+      const quote = await new SimplifiedDataProvider({ cache }).getQuote("AAPL");
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(quote.price).toBe(150.5);
+      expect(cache.stats().byType.quote).toEqual({ hits: 1, misses: 1 });
+    });
+
     it("should throw error when all sources fail", async () => {
       fetch.mockRejectedValue(new Error("API error"));
 
@@ -197,6 +221,161 @@ describe("SimplifiedDataProvider", () => {
       expect(analysis.impliedVolatility).toBeGreaterThan(0);
       expect(analysis.expectedMove).toBeGreaterThan(0);
       expect(analysis.volatilityScore).toBeGreaterThanOrEqual(0);
+      expect(analysis.technicalIndicators.source).toBe("computed");
+      expect(analysis.technicalIndicators.inputs.bars).toBe(60);
+      expect(analysis.technicalIndicators.sma50).toBeGreaterThan(0);
+    });
+
+    it("should use ATM implied volatility from the options chain when available", async () => {
+      const quoteResponse = {
+        chart: {
+          result: [{ meta: { regularMarketPrice: 101, previousClose: 100 } }],
+        },
+      };
+      const expiration = Math.floor(Date.now() / 1000) + 10 * 86400;
+      const chainResponse = {
+        optionChain: {
+          result: [
+            {
+              underlyingSymbol: "AAPL",
+              expirationDates: [expiration],
+              options: [
+                {
+                  calls: [
+                    { strike: 100, bid: 3.9, ask: 4.1, impliedVolatility: 0.42, expiration },
+                  ],
+                  puts: [
+                    { strike: 100, bid: 2.9, ask: 3.1, impliedVolatility: 0.38, expiration },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      };
+
+      fetch
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(quoteResponse) })
+        .mockRejectedValueOnce(new Error("No history"))
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(chainResponse) });
+
+      const analysis = await provider.getVolatilityAnalysis("AAPL");
+
+      expect(analysis.impliedVolatility).toBe(40);
+      expect(analysis.impliedVolatilitySource).toBe("yahoo-chain");
+      expect(analysis.optionsChain.frontMonth.atmStrike).toBe(100);
+      expect(analysis.dataSources.impliedVolatility).toBe("yahoo-chain");
+    });
+
+    it("should record where each printed field came from", async () => {
+      const quoteResponse = {
+        chart: {
+          result: [{ meta: { regularMarketPrice: 101, previousClose: 100 } }],
+        },
+      };
+      const expiration = Math.floor(Date.now() / 1000) + 10 * 86400;
+      const chainResponse = {
+        optionChain: {
+          result: [
+            {
+              underlyingSymbol: "AAPL",
+              expirationDates: [expiration],
+              options: [
+                {
+                  calls: [{ strike: 100, bid: 3.9, ask: 4.1, impliedVolatility: 0.42, expiration }],
+                  puts: [{ strike: 100, bid: 2.9, ask: 3.1, impliedVolatility: 0.38, expiration }],
+                },
+              ],
+            },
+          ],
+        },
+      };
+
+      fetch
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(quoteResponse) })
+        .mockRejectedValueOnce(new Error("No history"))
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(chainResponse) });
+
+      const { provenance } = await provider.getVolatilityAnalysis("AAPL");
+
+      expect(provenance.price).toMatchObject({ value: 101, source: "yahoo-quote", estimated: false });
+      expect(provenance.impliedVolatility).toMatchObject({ value: 40, source: "yahoo-chain", estimated: false });
+      expect(provenance.impliedVolatility.asOf).toEqual(expect.any(String));
+      expect(provenance.historicalVolatility).toMatchObject({ source: "estimated", estimated: true });
+      expect(provenance.rsi.estimated).toBe(true);
+      expect(provenance.expectedMove).toMatchObject({
+        source: "derived",
+        derivedFrom: ["price", "impliedVolatility"],
+        estimated: false,
+      });
+      expect(provenance.optionsVolume.estimated).toBe(true);
+    });
+
+    it("should label implied volatility as estimated without a chain", async () => {
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () =>
+            Promise.resolve({
+              chart: {
+                result: [{ meta: { regularMarketPrice: 101, previousClose: 100 } }],
+              },
+            }),
+        })
+        .mockRejectedValue(new Error("API error"));
+
+      const analysis = await provider.getVolatilityAnalysis("AAPL");
+
+      expect(analysis.impliedVolatilitySource).toBe("estimated");
+      expect(analysis.optionsChain).toBeNull();
+    });
+
+    it("should attach the earnings-move history measured from the daily bars", async () => {
+      const earningsHistory = {
+        getEarningsHistory: vi.fn().mockResolvedValue({ sampleSize: 8, averageMove: 4.2 }),
+      };
+      provider = new SimplifiedDataProvider({ earningsHistory, requestDelay: 100 });
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () =>
+            Promise.resolve({
+              chart: {
+                result: [{ meta: { regularMarketPrice: 101, previousClose: 100 } }],
+              },
+            }),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () =>
+            Promise.resolve({
+              chart: {
+                result: [
+                  {
+                    timestamp: [1704067200, 1704153600],
+                    indicators: {
+                      quote: [{ open: [99, 101], close: [100, 102] }],
+                      adjclose: [{ adjclose: [50, 51] }],
+                    },
+                  },
+                ],
+              },
+            }),
+        })
+        .mockRejectedValue(new Error("No chain"));
+
+      const analysis = await provider.getVolatilityAnalysis("AAPL");
+      const [symbol, prices] = earningsHistory.getEarningsHistory.mock.calls[0];
+
+      expect(symbol).toBe("AAPL");
+      expect(prices[0]).toMatchObject({ date: "2024-01-01", open: 49.5, close: 50 });
+      expect(analysis.earningsHistory).toEqual({ sampleSize: 8, averageMove: 4.2 });
+      expect(analysis.provenance.historicalVolatility).toMatchObject({
+        source: "yahoo-history",
+        asOf: "2024-01-02T21:00:00.000Z",
+        estimated: false,
+      });
+      expect(analysis.provenance.fiftyTwoWeekRange.source).toBe("yahoo-history");
     });
 
     it("should return estimated analysis when data sources fail", async () => {
@@ -211,11 +390,12 @@ describe("SimplifiedDataProvider", () => {
       });
       expect(analysis.currentPrice).toBeGreaterThan(0);
       expect(analysis.historicalVolatility).toBeGreaterThan(0);
+      expect(Object.values(analysis.provenance).every((field) => field.estimated)).toBe(true);
     });
   });
 
   describe("getBulkVolatilityAnalysis", () => {
-    it("should analyze multiple symbols with rate limiting", async () => {
+    it("should analyze multiple symbols", async () => {
       const symbols = ["AAPL", "MSFT"];
 
       // Mock responses for both symbols
@@ -235,16 +415,31 @@ describe("SimplifiedDataProvider", () => {
           }),
       });
 
-      const startTime = Date.now();
       const results = await provider.getBulkVolatilityAnalysis(symbols);
-      const endTime = Date.now();
 
       expect(Object.keys(results)).toEqual(symbols);
       expect(results.AAPL).toBeTruthy();
       expect(results.MSFT).toBeTruthy();
+    });
+
+    it("should run at most `concurrency` analyses at once and keep input order", async () => {
+      const symbols = ["AAPL", "MSFT", "NVDA", "AMZN", "META"];
+      const bounded = new SimplifiedDataProvider({ concurrency: 2 });
+      let inFlight = 0;
+      let peak = 0;
+      bounded.getVolatilityAnalysis = vi.fn(async (symbol) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, symbol === "AAPL" ? 20 : 5));
+        inFlight--;
+        return { symbol };
+      });
 
-      // Should have rate limiting delay (at least 100ms between calls)
-      expect(endTime - startTime).toBeGreaterThan(100);
+      const results = await bounded.getBulkVolatilityAnalysis(symbols);
+
+      expect(peak).toBe(2);
+      expect(Object.keys(results)).toEqual(symbols);
+      expect(results.META).toEqual({ symbol: "META" });
     });
 
     it("should handle mixed success/failure scenarios", async () => {
@@ -286,6 +481,44 @@ describe("SimplifiedDataProvider", () => {
 
       expect(volatility).toBe(0);
     });
+
+    it("should match the backtest calculation for bars and plain closes", () => {
+      const closes = [100, 101, 99, 102, 98, 103, 97];
+      const bars = closes.map((close) => ({ close }));
+
+      expect(provider.calculateHistoricalVolatility(bars)).toBe(calculateHistoricalVolatility(closes));
+      expect(provider.calculateHistoricalVolatility(closes)).toBe(calculateHistoricalVolatility(closes));
+    });
+  });
+
+  describe("priceEarningsStraddle", () => {
+    it("should price the post-earnings straddle off the market premium", () => {
+      const pricing = provider.priceEarningsStraddle(
+        200,
+        { postEarnings: { expiration: "2025-01-17", atmImpliedVolatility: 60 } },
+        { expiration: "2025-01-17", strike: 200, straddlePrice: 9.5, daysToExpiration: 7 }
+      );
+
+      expect(pricing).toMatchObject({
+        expiration: "2025-01-17",
+        strike: 200,
+        impliedVolatility: 60,
+        rate: 0.045,
+        premium: 9.5,
+        breakevens: { lower: 190.5, upper: 209.5 },
+      });
+      expect(pricing.theoreticalPrice).toBeGreaterThan(0);
+      expect(
+        pricing.probabilityOfProfit.long + pricing.probabilityOfProfit.short
+      ).toBeCloseTo(100, 0);
+    });
+
+    it("should return null without a priced straddle or post-earnings IV", () => {
+      expect(provider.priceEarningsStraddle(200, null, null)).toBeNull();
+      expect(
+        provider.priceEarningsStraddle(200, { postEarnings: null }, { strike: 200, daysToExpiration: 7 })
+      ).toBeNull();
+    });
   });
 
   describe("estimateImpliedVolatility", () => {
@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createStorage, KVStorage, MemoryStorage } from '../src/storage.js';
+import FileStorage from '../src/file-storage.js';
+
+describe('createStorage', () => {
+  it('uses the KV namespace when bound', () => {
+    expect(createStorage({ OPTIONS_INSIGHT_KV: {} })).toBeInstanceOf(KVStorage);
+  });
+
+  it('falls back to memory storage without a binding', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(createStorage({})).toBeInstanceOf(MemoryStorage);
+  });
+});
+
+describe('KVStorage', () => {
+  it('stores JSON and clamps TTLs to the KV minimum', async () => {
+    const namespace = { get: vi.fn().mockResolvedValue({ a: 1 }), put: vi.fn(), delete: vi.fn() };
+    const storage = new KVStorage(namespace);
+
+    await storage.put('key', { a: 1 }, { ttlSeconds: 5 });
+
+    expect(namespace.put).toHaveBeenCalledWith('key', '{"a":1}', { expirationTtl: 60 });
+    expect(await storage.get('key')).toEqual({ a: 1 });
+    expect(namespace.get).toHaveBeenCalledWith('key', 'json');
+  });
+});
+
+describe('MemoryStorage', () => {
+  it('expires entries after their TTL', async () => {
+    vi.useFakeTimers();
+    const storage = new MemoryStorage();
+
+    await storage.put('key', { a: 1 }, { ttlSeconds: 1 });
+    expect(await storage.get('key')).toEqual({ a: 1 });
+
+    vi.advanceTimersByTime(1500);
+    expect(await storage.get('key')).toBeNull();
+    vi.useRealTimers();
+  });
+});
+
+describe('FileStorage', () => {
+  let directory;
+
+  afterEach(async () => {
+    if (directory) await rm(directory, { recursive: true, force: true });
+  });
+
+  it('round-trips values through namespaced JSON files', async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'options-insight-'));
+    const storage = new FileStorage(directory);
+
+    await storage.put('iv-history:AAPL', [{ date: '2024-01-01', impliedVolatility: 30 }]);
+
+    expect(storage.pathFor('iv-history:AAPL')).toBe(path.join(directory, 'iv-history', 'AAPL.json'));
+    expect(await storage.get('iv-history:AAPL')).toEqual([{ date: '2024-01-01', impliedVolatility: 30 }]);
+    expect(await storage.get('iv-history:MSFT')).toBeNull();
+
+    await storage.delete('iv-history:AAPL');
+    expect(await storage.get('iv-history:AAPL')).toBeNull();
+  });
+});
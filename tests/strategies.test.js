@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildStrategyCandidates,
+  analyzeCandidate,
+  matchStrategyCandidate,
+  formatStrategyCandidate,
+  formatLegs
+} from '../src/strategies.js';
+import { buildChain, CHAIN_CONTEXT } from './fixtures/chain.js';
+
+const build = (chain = buildChain(), options = {}) => buildStrategyCandidates(chain, { ...CHAIN_CONTEXT, ...options });
+
+const byType = (result, type) => result.candidates.find(candidate => candidate.type === type);
+
+describe('buildStrategyCandidates', () => {
+  it('builds every strategy on the post-earnings expiration', () => {
+    const result = build();
+
+    expect(result).toMatchObject({ expiration: '2025-01-17', backExpiration: '2025-02-21', impliedVolatility: 50, daysToExpiration: 8 });
+    expect(result.candidates.map(candidate => candidate.type)).toEqual([
+      'ironCondor', 'shortStrangle', 'longStraddle', 'calendar', 'brokenWingButterfly'
+    ]);
+  });
+
+  it('places the iron condor shorts at the expected move with wings beyond', () => {
+    const condor = byType(build(buildChain(), { expectedMove: 6 }), 'ironCondor');
+
+    expect(condor.label).toBe('Iron Condor 87.5/92.5/107.5/112.5');
+    expect(formatLegs(condor)).toBe('Sell 92.5P / Buy 87.5P / Sell 107.5C / Buy 112.5C');
+    expect(condor.premiumType).toBe('credit');
+    expect(condor.maxLoss).toBeCloseTo(5 - condor.premium, 2);
+    expect(condor.maxProfit).toBe(condor.premium);
+    expect(condor.breakevens[0]).toBeCloseTo(92.5 - condor.premium, 2);
+    expect(condor.breakevens[1]).toBeCloseTo(107.5 + condor.premium, 2);
+    expect(condor.probabilityOfProfit).toBeGreaterThan(50);
+  });
+
+  it('leaves the short strangle loss unlimited and the straddle profit unlimited', () => {
+    const result = build(buildChain(), { expectedMove: 6 });
+    const strangle = byType(result, 'shortStrangle');
+    const straddle = byType(result, 'longStraddle');
+
+    expect(strangle.maxLoss).toBeNull();
+    expect(strangle.probabilityOfProfit).toBeGreaterThan(byType(result, 'ironCondor').probabilityOfProfit);
+    expect(straddle).toMatchObject({ premiumType: 'debit', maxProfit: null, maxLoss: straddle.premium });
+    expect(straddle.breakevens[0]).toBeCloseTo(100 - straddle.premium, 1);
+    expect(straddle.breakevens[1]).toBeCloseTo(100 + straddle.premium, 1);
+  });
+
+  it('only risks the lower wing on the broken-wing butterfly', () => {
+    const butterfly = byType(build(buildChain(), { expectedMove: 5 }), 'brokenWingButterfly');
+
+    expect(formatLegs(butterfly)).toBe('Buy 102.5P / Sell 2x 100P / Buy 95P');
+    expect(butterfly.maxLoss).toBeCloseTo(2.5 + (butterfly.premiumType === 'debit' ? butterfly.premium : -butterfly.premium), 2);
+    expect(butterfly.maxProfit).toBeGreaterThan(butterfly.maxLoss);
+  });
+
+  it('prices the calendar against the back month and skips it without one', () => {
+    const calendar = byType(build(), 'calendar');
+
+    expect(formatLegs(calendar)).toBe('Sell 100C / Buy 100C 2025-02-21');
+    expect(calendar.premiumType).toBe('debit');
+    expect(calendar.maxLoss).toBe(calendar.premium);
+    expect(calendar.breakevens).toHaveLength(2);
+    expect(calendar.breakevens[0]).toBeLessThan(100);
+    expect(calendar.breakevens[1]).toBeGreaterThan(100);
+
+    expect(byType(build(buildChain({ '2025-01-17': 50 })), 'calendar')).toBeUndefined();
+  });
+
+  it('returns null without a priced post-earnings expiration', () => {
+    expect(build(null)).toBeNull();
+    expect(build(buildChain(), { earningsDate: '2025-03-01' })).toBeNull();
+  });
+});
+
+describe('analyzeCandidate', () => {
+  it('computes the expiration payoff of arbitrary legs', () => {
+    const spread = analyzeCandidate('ironCondor', [
+      { action: 'buy', type: 'call', strike: 100, expiration: '2025-01-17', quantity: 1, price: 3 },
+      { action: 'sell', type: 'call', strike: 105, expiration: '2025-01-17', quantity: 1, price: 1 }
+    ], { spot: 100, daysToExpiration: 7, impliedVolatility: 40 });
+
+    expect(spread).toMatchObject({ premiumType: 'debit', premium: 2, maxProfit: 3, maxLoss: 2, breakevens: [102] });
+    expect(spread.probabilityOfProfit).toBeGreaterThan(0);
+    expect(spread.probabilityOfProfit).toBeLessThan(50);
+  });
+});
+
+describe('candidate helpers', () => {
+  const { candidates } = build(buildChain(), { expectedMove: 6 });
+
+  it('matches free-text names to candidates', () => {
+    expect(matchStrategyCandidate('Iron Condor 87.5/92.5/107.5/112.5', candidates).type).toBe('ironCondor');
+    expect(matchStrategyCandidate('long straddle into the print', candidates).type).toBe('longStraddle');
+    expect(matchStrategyCandidate('Covered Call', candidates)).toBeNull();
+  });
+
+  it('summarizes a candidate on one line', () => {
+    const line = formatStrategyCandidate(candidates.find(candidate => candidate.type === 'shortStrangle'));
+
+    expect(line).toMatch(/^Short Strangle 92\.5\/107\.5 exp 2025-01-17 \| credit \$\d+\.\d{2} \| max loss unlimited \| max profit \$\d+\.\d{2} \| BE \$[\d.]+\/\$[\d.]+ \| POP \d+%$/);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeSymbol,
+  toCanonicalSymbol,
+  toProviderSymbol,
+  isSameSymbol
+} from '../src/symbols.js';
+
+describe('normalizeSymbol', () => {
+  it('trims and upper-cases tickers', () => {
+    expect(normalizeSymbol(' brk.b ')).toBe('BRK.B');
+    expect(normalizeSymbol('')).toBeNull();
+    expect(normalizeSymbol(null)).toBeNull();
+  });
+});
+
+describe('toCanonicalSymbol', () => {
+  it('converts share-class separators to a dot', () => {
+    expect(toCanonicalSymbol('BRK-B', 'yahoo')).toBe('BRK.B');
+    expect(toCanonicalSymbol('BF/B')).toBe('BF.B');
+    expect(toCanonicalSymbol('brk.b')).toBe('BRK.B');
+  });
+
+  it('leaves ordinary tickers and index symbols alone', () => {
+    expect(toCanonicalSymbol('AAPL', 'finnhub')).toBe('AAPL');
+    expect(toCanonicalSymbol('^VIX', 'yahoo')).toBe('^VIX');
+  });
+});
+
+describe('toProviderSymbol', () => {
+  it('uses a dash for Yahoo and Alpha Vantage', () => {
+    expect(toProviderSymbol('BRK.B', 'yahoo')).toBe('BRK-B');
+    expect(toProviderSymbol('BF.B', 'alphavantage')).toBe('BF-B');
+  });
+
+  it('keeps the dot for Finnhub, Polygon and Tradier', () => {
+    ['finnhub', 'polygon', 'tradier'].forEach(provider => {
+      expect(toProviderSymbol('BRK.B', provider)).toBe('BRK.B');
+    });
+  });
+
+  it('accepts tickers in another provider format', () => {
+    expect(toProviderSymbol('BRK-B', 'finnhub')).toBe('BRK.B');
+    expect(toProviderSymbol('BRK-B', 'yahoo')).toBe('BRK-B');
+  });
+
+  it('falls back to the canonical ticker for unknown providers', () => {
+    expect(toProviderSymbol('BRK-B', 'unknown')).toBe('BRK.B');
+    expect(toProviderSymbol('AAPL', 'yahoo')).toBe('AAPL');
+    expect(toProviderSymbol('', 'yahoo')).toBeNull();
+  });
+});
+
+describe('isSameSymbol', () => {
+  it('matches formats of one listing but not separate share classes', () => {
+    expect(isSameSymbol('BRK-B', 'BRK.B')).toBe(true);
+    expect(isSameSymbol('GOOG', 'GOOGL')).toBe(false);
+    expect(isSameSymbol(null, null)).toBe(false);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import calculateTechnicalIndicators, {
+  calculateRSI,
+  calculateATR,
+  calculateSMA,
+  calculateBollingerBandwidth,
+  calculateHistoricalVolatility
+} from '../src/technical-indicators.js';
+
+describe('calculateRSI', () => {
+  it('seeds with a simple average and applies Wilder smoothing', () => {
+    // Seed gains/losses 0.5/0.5, then +1 -> 0.75/0.25 -> RS 3 -> RSI 75
+    expect(calculateRSI([1, 2, 1, 2], 2)).toBeCloseTo(75, 6);
+  });
+
+  it('handles one-sided and flat series', () => {
+    expect(calculateRSI([1, 2, 3, 4], 2)).toBe(100);
+    expect(calculateRSI([5, 5, 5, 5], 2)).toBe(50);
+  });
+
+  it('returns null without enough closes', () => {
+    expect(calculateRSI([1, 2], 2)).toBeNull();
+  });
+});
+
+describe('calculateATR', () => {
+  it('uses true range including gaps from the previous close', () => {
+    const bars = [
+      { close: 10 },
+      { high: 12, low: 9, close: 11 },
+      { high: 11, low: 10, close: 10.5 },
+      { high: 13, low: 10, close: 12 }
+    ];
+
+    // True ranges 3, 1, 3 -> seed 2 -> (2 * 1 + 3) / 2 = 2.5
+    expect(calculateATR(bars, 2)).toBe(2.5);
+    expect(calculateATR(bars.slice(0, 2), 2)).toBeNull();
+  });
+});
+
+describe('moving averages and Bollinger width', () => {
+  it('averages the most recent window', () => {
+    expect(calculateSMA([1, 2, 3, 4, 5], 3)).toBe(4);
+    expect(calculateSMA([1, 2], 3)).toBeNull();
+  });
+
+  it('measures band width relative to the middle band', () => {
+    // Mean 5, population std dev 2 -> (2 * 2 * 2) / 5 = 160%
+    expect(calculateBollingerBandwidth([2, 4, 4, 4, 5, 5, 7, 9], 8, 2)).toBeCloseTo(160, 6);
+  });
+});
+
+describe('calculateHistoricalVolatility', () => {
+  it('annualizes log returns', () => {
+    expect(calculateHistoricalVolatility([100, 101, 100, 101, 100])).toBeCloseTo(18.24, 1);
+    expect(calculateHistoricalVolatility([100])).toBe(0);
+  });
+
+  it('skips non-positive closes and reports a flat series as zero', () => {
+    expect(calculateHistoricalVolatility([100, 0, 101, 100, 101, 100])).toBe(calculateHistoricalVolatility([101, 100, 101, 100]));
+    expect(calculateHistoricalVolatility([100, 100, 100, 100])).toBe(0);
+  });
+});
+
+describe('calculateTechnicalIndicators', () => {
+  const prices = Array.from({ length: 60 }, (_, i) => {
+    const close = 100 + i;
+    return { date: `2024-01-${String((i % 28) + 1).padStart(2, '0')}`, close, high: close + 1, low: close - 1 };
+  });
+
+  it('returns deterministic values and the inputs used', () => {
+    const first = calculateTechnicalIndicators(prices, { source: 'yahoo' });
+    const second = calculateTechnicalIndicators(prices, { source: 'yahoo' });
+
+    expect(first).toEqual(second);
+    expect(first.rsi).toBe(100);
+    expect(first.atr).toBe(2);
+    expect(first.sma20).toBe(149.5);
+    expect(first.sma50).toBe(134.5);
+    expect(first.sma200).toBeNull();
+    expect(first.source).toBe('computed');
+    expect(first.inputs).toMatchObject({ source: 'yahoo', bars: 60 });
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, expect, vi } from 'vitest';
+import TrackRecordStore, {
+  createCallRecord,
+  gradeCall,
+  buildScorecard,
+  selectRecentResults,
+  getSentimentBucket,
+  formatTrackRecordMetrics
+} from '../src/track-record.js';
+import { MemoryStorage } from '../src/storage.js';
+import { ProviderRegistry } from '../src/providers/registry.js';
+
+const item = (symbol, recommendation, overrides = {}) => ({
+  opportunity: {
+    symbol,
+    date: '2025-01-29',
+    hour: 'amc',
+    qualityScore: 72,
+    volatilityData: {
+      currentPrice: 100,
+      impliedEarningsMove: { movePercent: 5 }
+    },
+    ...overrides.opportunity
+  },
+  analysis: {
+    sentimentScore: 8,
+    recommendation,
+    strategies: [{ name: 'Iron Condor', details: '...' }],
+    ...overrides.analysis
+  }
+});
+
+const graded = (recommendation, correct, extra = {}) => ({
+  symbol: 'AAPL',
+  recommendation,
+  sentimentScore: 8,
+  reactionSession: '2025-01-30',
+  result: { status: 'graded', correct, moveRatio: correct ? 0.5 : 1.5 },
+  ...extra
+});
+
+describe('createCallRecord', () => {
+  it('stores the call with its reaction session and expected move', () => {
+    const record = createCallRecord(item('MSFT', 'STRONGLY CONSIDER'), '2025-01-15');
+
+    expect(record).toMatchObject({
+      id: 'MSFT:2025-01-29',
+      symbol: 'MSFT',
+      publishedDate: '2025-01-15',
+      timing: 'amc',
+      reactionSession: '2025-01-30',
+      recommendation: 'STRONGLY CONSIDER',
+      sentimentScore: 8,
+      price: 100,
+      expectedMovePercent: 5,
+      expectedMoveSource: 'straddle',
+      strategies: ['Iron Condor'],
+      result: null
+    });
+  });
+
+  it('falls back to the average past earnings move without a straddle', () => {
+    const record = createCallRecord(item('MSFT', 'STAY AWAY', {
+      opportunity: { volatilityData: {}, earningsHistory: { averageMove: 4.2 } }
+    }), '2025-01-15');
+
+    expect(record).toMatchObject({ expectedMovePercent: 4.2, expectedMoveSource: 'history' });
+  });
+});
+
+describe('gradeCall', () => {
+  it('grades buy calls on moves inside the expected move', () => {
+    expect(gradeCall({ recommendation: 'STRONGLY CONSIDER', expectedMovePercent: 5 }, -3)).toMatchObject({
+      realizedMovePercent: -3,
+      moveRatio: 0.6,
+      outcome: 'inside',
+      correct: true
+    });
+  });
+
+  it('grades stay-away calls on moves beyond the expected move', () => {
+    expect(gradeCall({ recommendation: 'STAY AWAY', expectedMovePercent: 5 }, 8).correct).toBe(true);
+    expect(gradeCall({ recommendation: 'STAY AWAY', expectedMovePercent: 5 }, 2).correct).toBe(false);
+  });
+
+  it('does not grade neutral calls or calls without an expected move', () => {
+    expect(gradeCall({ recommendation: 'NEUTRAL', expectedMovePercent: 5 }, 8)).toMatchObject({ outcome: 'outside', correct: null });
+    expect(gradeCall({ recommendation: 'STRONGLY CONSIDER', expectedMovePercent: null }, 8)).toMatchObject({ outcome: null, correct: null });
+  });
+});
+
+describe('buildScorecard', () => {
+  it('reports hit rates by recommendation and sentiment within the window', () => {
+    const scorecard = buildScorecard([
+      graded('STRONGLY CONSIDER', true),
+      graded('STRONGLY CONSIDER', true),
+      graded('STRONGLY CONSIDER', false, { sentimentScore: 6 }),
+      graded('STAY AWAY', true, { sentimentScore: 3 }),
+      graded('NEUTRAL', null),
+      graded('STRONGLY CONSIDER', false, { reactionSession: '2024-06-03' }),
+      { ...graded('STAY AWAY', null), result: { status: 'unavailable', correct: null } }
+    ], { now: new Date('2025-02-03T15:00:00Z') });
+
+    expect(scorecard.byRecommendation['STRONGLY CONSIDER']).toEqual({ calls: 3, graded: 3, hits: 2, hitRate: 67, averageMoveRatio: 0.83 });
+    expect(scorecard.byRecommendation['STAY AWAY']).toMatchObject({ graded: 1, hits: 1, hitRate: 100 });
+    expect(scorecard.byRecommendation.NEUTRAL).toMatchObject({ calls: 1, graded: 0, hitRate: null });
+    expect(scorecard.bySentiment).toEqual({
+      '8-10': expect.objectContaining({ graded: 2, hits: 2 }),
+      '5-7': expect.objectContaining({ graded: 1, hits: 0 }),
+      '1-4': expect.objectContaining({ graded: 1, hits: 1 })
+    });
+    expect(scorecard.overall.calls).toBe(5);
+    expect(formatTrackRecordMetrics(scorecard)).toEqual({
+      trackRecordStronglyConsider: '2/3 (67%)',
+      trackRecordStayAway: '1/1 (100%)'
+    });
+  });
+
+  it('buckets sentiment scores', () => {
+    expect(getSentimentBucket(9)).toBe('8-10');
+    expect(getSentimentBucket(5)).toBe('5-7');
+    expect(getSentimentBucket(2)).toBe('1-4');
+    expect(getSentimentBucket(null)).toBeNull();
+  });
+
+  it("selects last week's results", () => {
+    const recent = selectRecentResults([
+      graded('STRONGLY CONSIDER', true, { symbol: 'NFLX', reactionSession: '2025-01-29' }),
+      graded('STRONGLY CONSIDER', true, { symbol: 'OLD', reactionSession: '2025-01-10' }),
+      { symbol: 'PENDING', reactionSession: '2025-01-30', result: null }
+    ], { now: new Date('2025-02-03T15:00:00Z') });
+
+    expect(recent.map(call => call.symbol)).toEqual(['NFLX']);
+  });
+});
+
+describe('TrackRecordStore', () => {
+  const registryWith = (history) => new ProviderRegistry({
+    providers: [{ name: 'bars', capabilities: ['history'], isAvailable: () => true, history }],
+    priority: { history: ['bars'] }
+  });
+
+  it('stores one call per report, keeping the latest publication', async () => {
+    const store = new TrackRecordStore(new MemoryStorage());
+
+    await store.recordPublished([item('MSFT', 'NEUTRAL'), item('AAPL', 'STAY AWAY')], { publishedDate: '2025-01-14' });
+    await store.recordPublished([item('MSFT', 'STRONGLY CONSIDER')], { publishedDate: '2025-01-15' });
+
+    const records = await store.getRecords();
+    expect(records.map(record => `${record.symbol} ${record.recommendation}`)).toEqual(['AAPL STAY AWAY', 'MSFT STRONGLY CONSIDER']);
+  });
+
+  it('grades calls once the reaction session has traded', async () => {
+    const store = new TrackRecordStore(new MemoryStorage());
+    await store.recordPublished([item('MSFT', 'STRONGLY CONSIDER')], { publishedDate: '2025-01-15' });
+    const history = vi.fn().mockResolvedValue({
+      prices: [
+        { date: '2025-01-28', open: 99, close: 99 },
+        { date: '2025-01-29', open: 100, close: 100 },
+        { date: '2025-01-30', open: 104, close: 103 }
+      ]
+    });
+
+    expect(await store.gradePending(registryWith(history), { now: new Date('2025-01-30T15:00:00Z') })).toEqual([]);
+    expect(history).not.toHaveBeenCalled();
+
+    const gradedCalls = await store.gradePending(registryWith(history), { now: new Date('2025-01-31T15:00:00Z') });
+
+    expect(gradedCalls).toHaveLength(1);
+    expect(gradedCalls[0].result).toMatchObject({ status: 'graded', realizedMovePercent: 3, moveRatio: 0.6, correct: true });
+    expect(history).toHaveBeenCalledWith('MSFT', 12);
+    expect((await store.getRecentResults({ now: new Date('2025-02-03T15:00:00Z') }))[0].symbol).toBe('MSFT');
+  });
+
+  it('keeps calls pending while bars are missing, then gives up', async () => {
+    const store = new TrackRecordStore(new MemoryStorage());
+    await store.recordPublished([item('MSFT', 'STRONGLY CONSIDER')], { publishedDate: '2025-01-15' });
+    const history = vi.fn().mockResolvedValue({ prices: [{ date: '2025-01-29', open: 100, close: 100 }] });
+
+    expect(await store.gradePending(registryWith(history), { now: new Date('2025-02-03T15:00:00Z') })).toEqual([]);
+
+    const [call] = await store.gradePending(registryWith(history), { now: new Date('2025-02-14T15:00:00Z') });
+    expect(call.result).toMatchObject({ status: 'unavailable', correct: null });
+  });
+});
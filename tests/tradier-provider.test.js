@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import fs from 'fs';
+import TradierProvider from '../src/providers/tradier.js';
+import { createProviderRegistry } from '../src/providers/registry.js';
+
+// Mock fetch for API calls
+global.fetch = vi.fn();
+
+const fixture = (name) => JSON.parse(fs.readFileSync(new URL(`./fixtures/tradier/${name}.json`, import.meta.url), 'utf8'));
+const respondWith = (name) => fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(fixture(name)) });
+
+describe('TradierProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    provider = new TradierProvider({ apiKey: 'tradier-token' });
+  });
+
+  it('sends the bearer token and asks for JSON', async () => {
+    respondWith('quote-AAPL');
+
+    await provider.quote('AAPL');
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://api.tradier.com/v1/markets/quotes?symbols=AAPL');
+    expect(init.headers).toEqual({ Authorization: 'Bearer tradier-token', Accept: 'application/json' });
+  });
+
+  it('uses the sandbox host when configured', () => {
+    expect(new TradierProvider({ apiKey: 'x', sandbox: true }).baseUrl).toBe('https://sandbox.tradier.com/v1');
+  });
+
+  it('maps the quote including the 52-week range', async () => {
+    respondWith('quote-AAPL');
+
+    const quote = await provider.quote('AAPL');
+
+    expect(quote).toMatchObject({
+      symbol: 'AAPL',
+      price: 176.45,
+      change: 1.52,
+      changePercent: 0.87,
+      previousClose: 174.93,
+      fiftyTwoWeekHigh: 199.62,
+      fiftyTwoWeekLow: 164.08
+    });
+  });
+
+  it('maps daily history to bars', async () => {
+    respondWith('history-AAPL');
+
+    const history = await provider.history('AAPL', 30);
+
+    expect(history.count).toBe(3);
+    expect(history.prices[2]).toEqual({ date: '2024-05-10', open: 174.5, close: 176.45, high: 177.2, low: 174.1, volume: 51234567 });
+  });
+
+  it('loads the front-month and post-earnings expirations with greeks', async () => {
+    respondWith('expirations-AAPL');
+    respondWith('chain-AAPL-2024-05-17');
+    respondWith('chain-AAPL-2024-05-24');
+
+    const chain = await provider.chain('AAPL', { earningsDate: '2024-05-20', now: new Date('2024-05-10T12:00:00Z') });
+
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(fetch.mock.calls[1][0]).toContain('expiration=2024-05-17');
+    expect(fetch.mock.calls[1][0]).toContain('greeks=true');
+    expect(fetch.mock.calls[2][0]).toContain('expiration=2024-05-24');
+
+    expect(chain.source).toBe('tradier');
+    expect(chain.expirations).toEqual(['2024-05-10', '2024-05-17', '2024-05-24', '2024-06-21']);
+    // The single-contract expiration comes back as a bare object, not an array
+    expect(chain.contracts).toHaveLength(3);
+    expect(chain.contracts[1]).toMatchObject({
+      contractSymbol: 'AAPL240517P00175000',
+      type: 'put',
+      strike: 175,
+      mid: 3.1,
+      impliedVolatility: 29.8,
+      delta: -0.42
+    });
+  });
+
+  it('returns null when no expirations are listed', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ expirations: null }) });
+
+    expect(await provider.chain('ZZZZ')).toBeNull();
+  });
+
+  it('is skipped by the registry without a token', () => {
+    expect(createProviderRegistry().providersFor('chain').map(p => p.name)).toEqual(['yahoo']);
+    expect(createProviderRegistry({ tradierApiKey: 't' }).providersFor('chain').map(p => p.name)).toEqual(['tradier', 'yahoo']);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TRADING_DAYS_PER_YEAR,
+  toMarketDate,
+  toDateString,
+  getMarketHoliday,
+  isMarketHoliday,
+  isTradingDay,
+  isEarlyClose,
+  getMarketClose,
+  nextTradingDay,
+  previousTradingDay,
+  tradingDaysBetween,
+  calendarDaysBetween,
+  daysUntilExpiration,
+  tradingYearFraction
+} from '../src/trading-calendar.js';
+
+describe('market holidays', () => {
+  it('matches the published NYSE schedule', () => {
+    const published = {
+      2025: ['2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26', '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25'],
+      2026: ['2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25', '2026-06-19', '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25'],
+      2027: ['2027-01-01', '2027-01-18', '2027-02-15', '2027-03-26', '2027-05-31', '2027-06-18', '2027-07-05', '2027-09-06', '2027-11-25', '2027-12-24']
+    };
+
+    for (const dates of Object.values(published)) {
+      for (const date of dates) {
+        expect(isMarketHoliday(date), date).toBe(true);
+        expect(isTradingDay(date), date).toBe(false);
+      }
+    }
+  });
+
+  it('names holidays', () => {
+    expect(getMarketHoliday('2026-04-03')).toBe('Good Friday');
+    expect(getMarketHoliday('2026-07-03')).toBe('Independence Day');
+    expect(getMarketHoliday('2026-07-06')).toBeNull();
+  });
+
+  it('does not observe a Saturday New Year on the Friday before', () => {
+    expect(isTradingDay('2021-12-31')).toBe(true);
+    expect(isMarketHoliday('2022-01-01')).toBe(false);
+  });
+
+  it('treats weekends as closed but not as holidays', () => {
+    expect(isTradingDay('2026-10-17')).toBe(false);
+    expect(isMarketHoliday('2026-10-17')).toBe(false);
+  });
+});
+
+describe('early closes', () => {
+  it('closes at 1 PM around Independence Day, Thanksgiving and Christmas', () => {
+    expect(isEarlyClose('2025-07-03')).toBe(true);
+    expect(isEarlyClose('2025-11-28')).toBe(true);
+    expect(isEarlyClose('2025-12-24')).toBe(true);
+    expect(getMarketClose('2026-11-27')).toBe('13:00');
+    expect(getMarketClose('2026-10-16')).toBe('16:00');
+    expect(getMarketClose('2026-12-25')).toBeNull();
+  });
+
+  it('skips the July 3 half day when July 4 falls on a weekend or Monday', () => {
+    expect(isEarlyClose('2022-07-01')).toBe(false);
+    expect(isEarlyClose('2026-07-02')).toBe(false);
+  });
+});
+
+describe('session arithmetic', () => {
+  it('steps over weekends and holidays', () => {
+    expect(nextTradingDay('2025-12-24')).toBe('2025-12-26');
+    expect(previousTradingDay('2026-04-06')).toBe('2026-04-02');
+  });
+
+  it('counts sessions after the start through the end', () => {
+    expect(tradingDaysBetween('2026-11-23', '2026-11-30')).toBe(4);
+    expect(tradingDaysBetween('2026-11-30', '2026-11-23')).toBe(-4);
+    expect(calendarDaysBetween('2026-11-23', '2026-11-30')).toBe(7);
+  });
+
+  it('counts days to an expiration up to its settlement, never below zero', () => {
+    expect(daysUntilExpiration('2025-01-17', new Date('2025-01-10T15:00:00Z'))).toBe(8);
+    expect(daysUntilExpiration('2025-01-17', new Date('2025-01-17T15:00:00Z'))).toBe(1);
+    expect(daysUntilExpiration('2025-01-17', new Date('2025-01-18T15:00:00Z'))).toBe(0);
+  });
+
+  it('uses the New York date for timestamps', () => {
+    expect(toMarketDate(new Date('2026-10-17T02:00:00Z'))).toBe('2026-10-16');
+  });
+
+  it('formats the UTC date of provider timestamps', () => {
+    expect(toDateString(new Date('2026-10-17T02:00:00Z'))).toBe('2026-10-17');
+    expect(toDateString(Date.parse('2024-05-10T23:59:59Z'))).toBe('2024-05-10');
+  });
+
+  it('scales horizons by the sessions inside them', () => {
+    // Dec 2025: 30 calendar days span Christmas and New Year's Day
+    expect(tradingYearFraction(30, '2025-12-15')).toBe(20 / TRADING_DAYS_PER_YEAR);
+  });
+});
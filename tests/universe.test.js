@@ -0,0 +1,195 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  UNIVERSE,
+  getUniverseEntry,
+  getProviderAlias,
+  validateUniverse,
+  buildUniverse,
+  formatUniverseModule,
+  refreshUniverse
+} from '../src/universe.js';
+import RateLimiter from '../src/rate-limiter.js';
+import { STOCK_UNIVERSE } from '../src/config.js';
+
+const sample = [
+  { symbol: 'AAPL', name: 'Apple Inc.', sector: 'Information Technology', industry: 'Technology Hardware, Storage & Peripherals', indexes: ['SP500', 'NDX'] },
+  { symbol: 'BRK.B', name: 'Berkshire Hathaway Inc. (Class B)', sector: 'Financials', industry: 'Multi-Sector Holdings', indexes: ['SP500'], aliases: { yahoo: 'BRK-B' } },
+  { symbol: 'SNAP', name: 'Snap Inc.', sector: 'Communication Services', industry: 'Interactive Media & Services', indexes: [] }
+];
+
+describe('managed universe', () => {
+  it('drives STOCK_UNIVERSE from the structured entries', () => {
+    expect(STOCK_UNIVERSE).toEqual(UNIVERSE.map(entry => entry.symbol));
+  });
+
+  it('uses exchange-format tickers and drops delisted names', () => {
+    expect(STOCK_UNIVERSE).toContain('BRK.B');
+    expect(STOCK_UNIVERSE).toContain('SNPS');
+    ['BRK-B', 'ATVI', 'WORK', 'DISCA', 'DISCK', 'SNYS'].forEach(symbol => {
+      expect(STOCK_UNIVERSE).not.toContain(symbol);
+    });
+  });
+
+  it('has well-formed metadata for every entry', () => {
+    const report = validateUniverse(UNIVERSE);
+
+    expect(report.invalid).toEqual([]);
+    expect(report.duplicates).toEqual([]);
+  });
+});
+
+describe('getUniverseEntry', () => {
+  it('resolves canonical tickers and provider aliases', () => {
+    expect(getUniverseEntry('BRK.B', sample).name).toBe('Berkshire Hathaway Inc. (Class B)');
+    expect(getUniverseEntry('BRK-B', sample).symbol).toBe('BRK.B');
+    expect(getUniverseEntry('XYZ', sample)).toBeNull();
+    expect(getUniverseEntry(null, sample)).toBeNull();
+  });
+
+  it('returns the provider-specific ticker', () => {
+    expect(getProviderAlias(sample[1], 'yahoo')).toBe('BRK-B');
+    expect(getProviderAlias(sample[1], 'finnhub')).toBe('BRK.B');
+  });
+});
+
+describe('validateUniverse', () => {
+  it('flags tickers missing from the provider symbol list', () => {
+    const providerSymbols = [{ symbol: 'AAPL' }, { symbol: 'BRK.B' }];
+
+    const report = validateUniverse(sample, { providerSymbols });
+
+    expect(report.valid).toBe(false);
+    expect(report.dead).toEqual([{ symbol: 'SNAP', providerSymbol: 'SNAP' }]);
+  });
+
+  it('checks the provider alias rather than the canonical ticker', () => {
+    const report = validateUniverse(sample, { providerSymbols: ['AAPL', 'BRK.B', 'SNAP'], provider: 'yahoo' });
+
+    expect(report.dead).toEqual([{ symbol: 'BRK.B', providerSymbol: 'BRK-B' }]);
+  });
+
+  it('reports malformed entries and duplicates', () => {
+    const report = validateUniverse([
+      ...sample,
+      { symbol: 'BRK-A', name: 'Berkshire Hathaway Inc. (Class A)', sector: 'Financials', industry: 'Multi-Sector Holdings', indexes: ['DJIA'] },
+      { symbol: 'AAPL', name: 'Apple', sector: '', industry: 'Hardware', indexes: [] }
+    ]);
+
+    expect(report.valid).toBe(false);
+    expect(report.duplicates).toEqual(['AAPL']);
+    expect(report.invalid).toEqual([
+      { symbol: 'BRK-A', problems: [expect.stringContaining('malformed symbol'), 'unknown index in [DJIA]'] },
+      { symbol: 'AAPL', problems: ['missing sector'] }
+    ]);
+  });
+
+  it('refuses to mark everything dead on an empty symbol list', () => {
+    expect(() => validateUniverse(sample, { providerSymbols: [] })).toThrow('empty');
+  });
+});
+
+describe('buildUniverse', () => {
+  it('recomputes index membership and keeps existing metadata and aliases', () => {
+    const { universe, added, removed } = buildUniverse(
+      { SP500: ['AAPL', 'BRK-B', 'MSFT'], NDX: ['AAPL', 'MSFT'] },
+      { existing: sample, profiles: { MSFT: { name: 'Microsoft Corp', industry: 'Technology' } } }
+    );
+
+    expect(added).toEqual(['MSFT']);
+    expect(removed).toEqual([]);
+    expect(universe.find(entry => entry.symbol === 'BRK.B')).toEqual({ ...sample[1], indexes: ['SP500'] });
+    expect(universe.find(entry => entry.symbol === 'MSFT')).toEqual({
+      symbol: 'MSFT', name: 'Microsoft Corp', sector: 'Unclassified', industry: 'Technology', indexes: ['SP500', 'NDX']
+    });
+    expect(universe.find(entry => entry.symbol === 'SNAP').indexes).toEqual([]);
+  });
+
+  it('drops names outside the indexes when asked', () => {
+    const { universe, removed } = buildUniverse({ SP500: ['AAPL', 'BRK.B'] }, { existing: sample, keepUnlisted: false });
+
+    expect(removed).toEqual(['SNAP']);
+    expect(universe.map(entry => entry.symbol)).toEqual(['BRK.B', 'AAPL']);
+  });
+
+  it('rejects unknown indexes', () => {
+    expect(() => buildUniverse({ DJIA: ['AAPL'] }, { existing: sample })).toThrow('Unknown index: DJIA');
+  });
+});
+
+describe('formatUniverseModule', () => {
+  it('renders a module that round-trips the entries', async () => {
+    const source = formatUniverseModule([...sample, { ...sample[2], symbol: 'MCD', name: "McDonald's Corporation" }], '2026-01-02');
+    const module = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+
+    expect(source).toContain('// Financials');
+    expect(module.UNIVERSE_UPDATED).toBe('2026-01-02');
+    expect(module.UNIVERSE[1]).toEqual(sample[1]);
+    expect(module.UNIVERSE[3].name).toBe("McDonald's Corporation");
+  });
+});
+
+describe('refreshUniverse', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('fetches both indexes and profiles only new tickers', async () => {
+    global.fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ symbol: '^GSPC', constituents: ['AAPL', 'BRK.B', 'MSFT'] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ symbol: '^NDX', constituents: ['AAPL', 'MSFT'] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ name: 'Microsoft Corp', finnhubIndustry: 'Technology' }) });
+
+    const { added, universe } = await refreshUniverse('test-key', { existing: sample });
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(global.fetch.mock.calls[0][0]).toContain('/index/constituents?symbol=%5EGSPC');
+    expect(global.fetch.mock.calls[2][0]).toContain('/stock/profile2?symbol=MSFT');
+    expect(added).toEqual(['MSFT']);
+    expect(universe).toHaveLength(4);
+  });
+
+  it('fails instead of wiping the universe when an index comes back empty', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ constituents: [] }) });
+
+    await expect(refreshUniverse('test-key', { existing: sample })).rejects.toThrow('no constituents for ^GSPC');
+  });
+
+  it('waits for Finnhub tokens and retries throttled profiles', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const sleep = vi.fn(async () => {});
+    const limiter = new RateLimiter({ limits: { finnhub: { limit: 60, intervalMs: 60000 } } });
+    global.fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ constituents: ['AAPL', 'MSFT'] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ constituents: ['AAPL'] }) })
+      .mockResolvedValueOnce({ ok: false, status: 429, statusText: 'Too Many Requests' })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ name: 'Microsoft Corp', finnhubIndustry: 'Technology' }) });
+
+    const { universe } = await refreshUniverse('test-key', { existing: sample, limiter, sleep });
+
+    expect(sleep).toHaveBeenCalledTimes(1);
+    expect(limiter.stats().finnhub.requests).toBe(4);
+    expect(universe.find(entry => entry.symbol === 'MSFT').name).toBe('Microsoft Corp');
+    warn.mockRestore();
+  });
+
+  it('aborts instead of writing placeholder names when throttling persists', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ constituents: ['MSFT'] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ constituents: ['MSFT'] }) })
+      .mockResolvedValue({ ok: false, status: 429, statusText: 'Too Many Requests' });
+
+    await expect(refreshUniverse('test-key', { existing: sample, sleep: async () => {} }))
+      .rejects.toThrow('Finnhub kept throttling profile requests (MSFT)');
+    expect(global.fetch).toHaveBeenCalledTimes(6);
+  });
+
+  it('requires an API key', async () => {
+    await expect(refreshUniverse(undefined)).rejects.toThrow('FINNHUB_API_KEY');
+  });
+});
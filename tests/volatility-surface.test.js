@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeVolatilitySurface, formatVolatilitySurface } from '../src/volatility-surface.js';
+import { buildChain, CHAIN_CONTEXT } from './fixtures/chain.js';
+
+// Rich front month over the back month
+const EXPIRATIONS = { '2025-01-17': 60, '2025-02-21': 40 };
+
+const analyze = (chain, options = {}) => analyzeVolatilitySurface(chain, { ...CHAIN_CONTEXT, ...options });
+
+describe('analyzeVolatilitySurface', () => {
+  it('compares post-earnings IV with the back month', () => {
+    const surface = analyze(buildChain(EXPIRATIONS));
+
+    expect(surface.expiration).toBe('2025-01-17');
+    expect(surface.backExpiration).toBe('2025-02-21');
+    expect(surface.termStructure).toEqual({ frontIV: 60, backIV: 40, spread: 20, ratio: 1.5 });
+  });
+
+  it('measures the 25-delta skew and the smile', () => {
+    // Puts richer the further out of the money, calls flat
+    const surface = analyze(buildChain(EXPIRATIONS, strike => Math.max(0, 100 - strike) * 0.6));
+
+    expect(surface.skew.putStrike).toBeLessThan(100);
+    expect(surface.skew.callStrike).toBeGreaterThan(100);
+    expect(surface.skew.callIV).toBe(60);
+    expect(surface.skew.riskReversal).toBeCloseTo(surface.skew.putIV - 60, 6);
+    expect(surface.skew.riskReversal).toBeGreaterThan(2);
+    expect(surface.smile.shape).toBe('put skew');
+    expect(surface.smile.butterfly).toBeCloseTo(surface.skew.riskReversal / 2, 6);
+  });
+
+  it('prefers deltas supplied by the chain', () => {
+    const chain = buildChain(EXPIRATIONS, strike => Math.abs(100 - strike) * 0.4);
+    for (const contract of chain.contracts) {
+      contract.delta = contract.type === 'put' && contract.strike === 85 ? -0.25 : contract.type === 'call' && contract.strike === 115 ? 0.25 : 0.5;
+    }
+
+    const surface = analyze(chain);
+    expect(surface.skew).toMatchObject({ putStrike: 85, callStrike: 115, riskReversal: 0 });
+    expect(surface.smile).toMatchObject({ wingIV: 66, butterfly: 6, shape: 'smile' });
+  });
+
+  it('leaves the term structure empty without a later expiration', () => {
+    const surface = analyze(buildChain({ '2025-01-17': 60 }));
+
+    expect(surface.backExpiration).toBeNull();
+    expect(surface.termStructure).toBeNull();
+    expect(surface.skew).not.toBeNull();
+  });
+
+  it('returns null without a chain or earnings date', () => {
+    expect(analyze(null)).toBeNull();
+    expect(analyze(buildChain(EXPIRATIONS), { earningsDate: undefined })).toBeNull();
+  });
+});
+
+describe('formatVolatilitySurface', () => {
+  it('summarizes the surface on one line', () => {
+    const surface = {
+      expiration: '2025-01-17',
+      backExpiration: '2025-02-21',
+      termStructure: { frontIV: 62, backIV: 38, spread: 24, ratio: 1.63 },
+      skew: { putStrike: 90, putIV: 68, callStrike: 110, callIV: 62, riskReversal: 6 },
+      smile: { atmIV: 62, wingIV: 65, butterfly: 3, shape: 'put skew' }
+    };
+
+    expect(formatVolatilitySurface(surface)).toBe(
+      'Term 62.0% vs 38.0% (2025-02-21): +24.0 pts, 1.63x | 25Δ skew: put 68.0% @ 90 / call 62.0% @ 110, RR +6.0 | Smile: put skew, wings +3.0 pts vs ATM'
+    );
+    expect(formatVolatilitySurface(null)).toBe('N/A (no options chain)');
+  });
+});
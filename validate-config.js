@@ -22,6 +22,9 @@ const REQUIRED_ENV_VARS = [
 
 const OPTIONAL_ENV_VARS = [
     'ALPHA_VANTAGE_API_KEY', // Legacy fallback, still supported
+    'POLYGON_API_KEY', // Paid: options chains with greeks
+    'TRADIER_API_KEY', // Paid: options chains with greeks
+    'TRADIER_SANDBOX', // Use the Tradier sandbox host (developer accounts)
     'NEWSLETTER_FROM',
     'NEWSLETTER_FROM_EMAIL',
     'SUMMARY_EMAIL_RECIPIENT',
@@ -30,7 +33,21 @@ const OPTIONAL_ENV_VARS = [
     'TRIGGER_AUTH_TOKEN',
     'SIGNUP_ALLOWED_ORIGINS',
     'SUBSCRIBE_ALLOWED_ORIGINS',
-    'ALLOWED_ORIGINS'
+    'ALLOWED_ORIGINS',
+    'OPTIONS_INSIGHT_DATA_DIR', // CLI only: where IV history snapshots are stored
+    'ALLOW_SYNTHETIC_DATA', // Testing only: broadcast opportunities built from mock data
+    'REQUIRE_REAL_FIELDS', // Quality gate: fields that must not be estimated (see REQUIRED_REAL_FIELDS in src/config.js)
+    'SCORING_MODEL', // JSON overrides for factor weights and thresholds (see src/config/scoring.js)
+    'PROVIDER_PRIORITY_QUOTE', // Provider order overrides, comma-separated (see PROVIDER_PRIORITY in src/config.js)
+    'PROVIDER_PRIORITY_HISTORY',
+    'PROVIDER_PRIORITY_CHAIN',
+    'PROVIDER_PRIORITY_FUNDAMENTALS',
+    'PROVIDER_PRIORITY_EARNINGS_CALENDAR',
+    'RATE_LIMIT_YAHOO', // Request limit overrides as <requests>/<seconds> (see RATE_LIMITS in src/config.js)
+    'RATE_LIMIT_FINNHUB',
+    'RATE_LIMIT_ALPHAVANTAGE',
+    'RATE_LIMIT_POLYGON',
+    'RATE_LIMIT_TRADIER'
 ];
 
 const CONFIG_FILES = [
@@ -207,8 +224,9 @@ if (fs.existsSync('.env.example')) {
 
 // Check for common issues
 console.log('\n🔧 Common Issues Check:');
-if (process.env.POLYGON_API_KEY) {
-    console.log(`⚠️  POLYGON_API_KEY is set but not used (legacy variable)`);
+if (process.env.POLYGON_API_KEY || process.env.TRADIER_API_KEY) {
+    const paid = ['POLYGON_API_KEY', 'TRADIER_API_KEY'].filter(key => process.env[key]);
+    console.log(`ℹ️  ${paid.join(', ')} set - paid options chains (with greeks) take priority over Yahoo`);
 }
 
 if (!process.env.ALPHA_VANTAGE_API_KEY) {